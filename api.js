@@ -0,0 +1,1009 @@
+// api.js — Flappy Bert HTTP API (score submission, boards, Mini App)
+// ─────────────────────────────────────────────────────────────────────
+//
+// One of the two processes (see core.js); the Telegram bot runs in bot.js.
+// This process never waits on Telegram for a player: sends it needs (share
+// photos via lib/send-queue, Telegram Game scores) and webhook updates go to
+// the bot process through the outbox table. It only calls the Bot API itself
+// for getMe, getGameHighScores and the webhook registration.
+//
+// ENV VARS (plus the shared ones in core.js):
+//   PORT            — HTTP port (default 3000)
+//   API_SECRET      — Shared secret for the /api/admin/* endpoints
+//   REPLAY_MODE     — 'enforce' (default) rejects runs whose replay doesn't
+//                     reproduce the score; 'shadow' only logs the mismatch
+// In webhook mode (WEBHOOK_URL) this process receives the bot's updates.
+//
+// API ENDPOINTS (identity comes from a signed init_data, or a Telegram Game's
+// game_launch token — never from a body telegram_id; details above each route):
+//   POST /api/session                 — Start a run { init_data, tournament_id? } → session_id, seed
+//   POST /api/score                   — Submit a run { init_data | game_launch, score, level,
+//                                       coins_earned, session_id, seed, replay, badges? }
+//   POST /api/share                   — Queue a score card to the player's chat
+//   GET  /api/leaderboard[/image]     — Weekly board (JSON / PNG card)
+//   GET  /api/game/high-scores        — Telegram Game high-score table
+//   GET  /api/player/:id[/card]       — Player stats (JSON / PNG card)
+//   GET  /api/tournaments[/featured]  — Tournament list / home-screen pick
+//   GET  /api/tournament/:id          — Tournament info + board
+//   POST /api/tournament/:id/join     — Register { init_data }
+//   POST /api/tournament/:id/score    — Submit a tournament run (same run fields as /api/score)
+//   GET  /api/archives[?type=]        — Archived boards; /:week and /tournament/:key download CSVs
+//   POST /api/archive-now             — (API_SECRET) Archive the current week now
+//   POST /api/admin/remove-scores, /api/admin/remove-tournament-scores — (API_SECRET)
+//   GET  /api/admin/audit, /api/admin/tournament/:id/results|report   — (API_SECRET)
+//   GET  /api/config, /health; /game with /lib/flappy-sim.js and /assets/sponsors/*
+//   POST /telegram/webhook/<key>/<instance> — Bot updates (webhook mode, lib/webhook)
+// ─────────────────────────────────────────────────────────────────────
+
+const express     = require('express');
+const cors        = require('cors');
+const path        = require('path');
+const crypto      = require('crypto');
+const db          = require('./db');
+const {
+  installCrashSafety, requireBotToken, loadWebhookConfig, telegramClient,
+  BOT_TOKEN, WEBAPP_URL, GAME_SECRET,
+  anonName, apiActor, audit,
+  tournamentConfigById, reloadTournamentConfigs, initTournaments, tournamentSince,
+  tournamentPrizes, tournamentRules, tournamentBranding, tryJoinTournament, ensureBracket, closeDueStages,
+  tournamentReport, reportFilename,
+  getResetCountdown, getWeekLabel,
+} = require('./core');
+const { getFeaturedTournament, publicTournamentRow } = require('./tournaments-config');
+const { resultsToCsv, resultsToJson } = require('./lib/tournament-results');
+const { csvCell } = require('./lib/csv-cell');
+const { parseArchiveType } = require('./lib/archive-files');
+const { describeRules, attemptsLeft } = require('./lib/tournament-rules');
+const { resolveModifiers, sessionModifiers, sameModifiers } = require('./lib/tournament-modifiers');
+const { JOIN_ERRORS, resolveRegistration, registrationClosedReason, describeRegistration } = require('./lib/tournament-entry');
+const { scoreVerdict, LIMITS } = require('./lib/score-validation');
+const { suspicionReasons, SUSPICION } = require('./lib/suspicion');
+const { replayVerdict } = require('./lib/replay-verify');
+const { tournamentCourseSeed } = require('./lib/course-seed');
+const { allowedBadges } = require('./lib/badge-allowlist');
+const {
+  renderLeaderboardCard, renderPlayerCard, renderReportCard,
+} = require('./leaderboard-card');
+const { activeStageIndex, liveStageIndex, stageLabel, stageFromParam } = require('./lib/tournament-stages');
+const { playerBracketStatus } = require('./lib/tournament-bracket');
+const { brandingForClient } = require('./lib/tournament-branding');
+const { reportToCsv } = require('./lib/tournament-report');
+const { webhookRoute, webhookUrl, newInstanceId, webhookHandler, registerWebhook, releaseWebhook } = require('./lib/webhook');
+const { verifyLaunchToken, launchUser, fetchGameHighScores } = require('./lib/telegram-games');
+const { safeSend } = require('./lib/safe-send');
+const { outboundClient } = require('./lib/send-queue');
+
+installCrashSafety();
+
+// ── Config ──────────────────────────────────────────────────────────
+const PORT = process.env.PORT || 3000;
+const API_SECRET = process.env.API_SECRET || '';
+const REPLAY_MODE = process.env.REPLAY_MODE === 'shadow' ? 'shadow' : 'enforce';
+// The API re-reads tournament configs this often: admin edits (/tnew, /tedit,
+// /tend, /tprizes) and template materialization happen in the bot process.
+const CONFIG_RELOAD_MS = 15 * 1000;
+
+requireBotToken();
+const WEBHOOK = loadWebhookConfig();
+// This process's own webhook URL — the instance segment lets shutdown tell
+// "still mine" from "already taken over by the next deploy".
+const WEBHOOK_SELF_URL = WEBHOOK.enabled ? webhookUrl(WEBHOOK, newInstanceId()) : null;
+
+// ── Initialise ──────────────────────────────────────────────────────
+db.init();
+initTournaments();
+setInterval(() => {
+  try { reloadTournamentConfigs(); } catch (err) { console.error('Tournament config reload error:', err.message); }
+}, CONFIG_RELOAD_MS);
+
+// Bot API client for the few calls the API makes itself (never polls).
+const telegram = telegramClient({ polling: false });
+let botUsername = null;
+telegram.getMe().then((me) => { botUsername = me.username || null; }).catch(() => {});
+// Messages for players go out through the bot's paced send queue (lib/send-queue).
+const outbound = outboundClient(db);
+
+// ── Anti-cheat: game sessions ────────────────────────────────────────
+// Score-validation limits now live in ./lib/score-validation (required above).
+// Sessions live in the game_sessions table (db.js) so a restart or a second
+// process can still validate an in-flight run:
+//   { id, telegramId, startedAt, seed, courseTournamentId, usedWeekly, usedTournament }
+const SESSION_TTL_MS = 15 * 60 * 1000;   // shortened from 30m (memory-DoS hardening)
+const MAX_SESSIONS = 50000;              // hard ceiling; evict oldest on overflow
+const MAX_RATE_KEYS = 50000;             // hard ceiling for the rate-limit Map
+const INITDATA_MAX_AGE_S = 24 * 3600;    // initData replay bound (lenient for long sessions)
+
+// Clean up expired sessions every minute (db.getSession already ignores them;
+// this just keeps the table small).
+setInterval(() => {
+  try { db.pruneSessions(SESSION_TTL_MS); } catch (err) { console.error('Session prune error:', err.message); }
+}, 60 * 1000);
+
+function generateSessionId() {
+  return crypto.randomBytes(16).toString('hex');
+}
+
+// Per-run course seed (uint32) for the client's seeded RNG — the replay verifier
+// re-simulates the run with the seed WE issued, never one the client reports.
+function generateRunSeed() {
+  return crypto.randomBytes(4).readUInt32BE(0);
+}
+
+function validateTelegramInitData(initData) {
+  if (!initData) return null;
+  try {
+    const params = new URLSearchParams(initData);
+    const hash = params.get('hash');
+    if (!hash) return null;
+    params.delete('hash');
+    const sorted = [...params.entries()].sort((a, b) => a[0].localeCompare(b[0]));
+    const dataCheckString = sorted.map(([k, v]) => `${k}=${v}`).join('\n');
+    const secretKey = crypto.createHmac('sha256', 'WebAppData').update(BOT_TOKEN).digest();
+    const computed = crypto.createHmac('sha256', secretKey).update(dataCheckString).digest('hex');
+    if (computed !== hash) return null;
+    // Freshness: reject initData older than INITDATA_MAX_AGE_S to bound replay of
+    // a captured initData string (Telegram always stamps auth_date).
+    const authDate = Number(params.get('auth_date'));
+    if (!authDate || (Date.now() / 1000 - authDate) > INITDATA_MAX_AGE_S) return null;
+    const user = params.get('user');
+    return user ? JSON.parse(user) : null;
+  } catch(e) { return null; }
+}
+
+// Require a cryptographically-verified Telegram identity. Returns the verified
+// user object (from the signed initData), or null AFTER sending a 403 — callers
+// MUST `return` when it returns null. Identity is derived ONLY from the signed
+// payload; body-supplied telegram_id/first_name/username are never trusted.
+// A game opened from a Telegram Game message has no initData; its signed launch
+// token (body.game_launch) is accepted instead, and rides along as gameLaunch so
+// /api/score can mirror the run into that message's high-score table.
+function requireVerifiedUser(req, res) {
+  const initData = req.body && req.body.init_data;
+  const verified = initData ? validateTelegramInitData(initData) : gameLaunchUser(req.body && req.body.game_launch);
+  if (!verified || verified.id == null) {
+    res.status(403).json({ error: 'Telegram identity required' });
+    return null;
+  }
+  return verified; // { id, first_name, username, ... } — cryptographically attested
+}
+
+// Optional viewer identity for READ endpoints: the Mini App sends its initData in
+// an X-Telegram-Init-Data header so a shadow-banned player still sees their own
+// scores (db.HIDDEN_PLAYERS). Missing/invalid → anonymous (null), never an error.
+function optionalViewer(req) {
+  const initData = req.get('x-telegram-init-data');
+  const verified = initData ? validateTelegramInitData(initData) : gameLaunchUser(req.get('x-game-launch'));
+  return verified && verified.id != null ? verified.id : null;
+}
+
+function gameLaunchUser(token) {
+  const launch = token ? verifyLaunchToken(token, GAME_SECRET) : null;
+  return launch ? { ...launchUser(launch), gameLaunch: launch } : null;
+}
+
+
+// Server-side score validation. Identity is enforced separately by
+// requireVerifiedUser; this checks only score/level/coins against
+// server-trusted state (all HARD rejects; body-supplied rate inflators are
+// ignored). Decision logic lives in ./lib/score-validation (scoreVerdict),
+// then the run's input log is re-simulated (./lib/replay-verify).
+function validateScore(session, body, board) {
+  const elapsedMs = session ? (Date.now() - session.startedAt) : 0;
+  // Single-use is tracked PER BOARD so one game can record to BOTH the weekly and
+  // the tournament leaderboard, while still blocking a replay to either board.
+  const usedFlag = board === 'tournament' ? 'usedTournament' : 'usedWeekly';
+  const verdict = scoreVerdict({
+    score: body.score,
+    level: body.level,
+    coins: body.coins_earned,
+    hasSession: !!session,
+    sessionUsed: !!(session && session[usedFlag]),
+    elapsedMs,
+  });
+  if (!verdict.valid) return verdict;
+  // The client echoes the seed it flew; a mismatch means it didn't play the course we issued.
+  if (body.seed != null && body.seed !== session.seed) return { valid: false, reason: 'seed_mismatch' };
+
+  const replay = replayVerdict({ replay: body.replay, seed: session.seed, score: body.score, elapsedMs, modifiers: session.modifiers });
+  if (!replay.valid) {
+    if (REPLAY_MODE === 'shadow') {
+      console.log(`👻 Replay check failed (shadow, accepted) [${session.telegramId}]: score=${body.score} reason=${replay.reason}`);
+      return verdict;
+    }
+    return replay;
+  }
+  // The replayed level is server-computed — prefer it over the clamped client claim.
+  return { ...verdict, level: replay.level };
+}
+
+// Middle tier between a hard reject and a clean accept (lib/suspicion): a valid
+// but odd-looking run is queued for /review instead of going on the board.
+// → { reasons (empty = clean), history }
+function scoreSuspicion(session, score) {
+  // A shadow-banned player's scores are already hidden — don't queue them for review.
+  const ban = db.getBan(session.telegramId);
+  if (ban && ban.mode === 'shadow') return { reasons: [], history: null };
+  const history = db.getPlayerScoreHistory(
+    session.telegramId, session.startedAt, LIMITS.MAX_ABSOLUTE_SCORE, SUSPICION.CAP_HITS_WINDOW_DAYS);
+  return { reasons: suspicionReasons({ score, elapsedMs: Date.now() - session.startedAt, history }), history };
+}
+
+const app = express();
+app.use(cors());
+app.set('trust proxy', 1);
+// Minimal security headers. Deliberately NO X-Frame-Options / restrictive
+// frame-ancestors — the game runs inside Telegram's in-app webview (framed).
+app.use((req, res, next) => {
+  res.set('X-Content-Type-Options', 'nosniff');
+  res.set('Referrer-Policy', 'no-referrer');
+  next();
+});
+// Body-size: tiny globally; only /api/share needs room for a base64 PNG upload
+// (a score-card PNG is well under 2mb — bounds the share relay).
+const smallJson = express.json({ limit: '64kb' });
+const largeJson = express.json({ limit: '2mb' });
+app.use((req, res, next) => (req.path === '/api/share' ? largeJson : smallJson)(req, res, next));
+
+// Webhook mode: Telegram pushes updates here. The handler checks the secret
+// token header, then queues the update for the bot process (outbox
+// telegram_update) — so updates are accepted even while the bot restarts.
+const updateQueue = {
+  processUpdate: (update) => db.enqueueOutbox('telegram_update', update, { dedupeKey: `update:${update.update_id}` }),
+};
+if (WEBHOOK.enabled) app.post(webhookRoute(WEBHOOK), webhookHandler(updateQueue, WEBHOOK.secretToken));
+
+// Simple rate limiter — per IP, 30 requests per minute
+const rateLimits = new Map();
+function rateLimit(limit = 30, windowMs = 60000) {
+  return (req, res, next) => {
+    const key = req.ip;
+    const now = Date.now();
+    // Bound the Map: evict the oldest key when at the ceiling (memory-DoS guard).
+    if (rateLimits.size >= MAX_RATE_KEYS && !rateLimits.has(key)) {
+      const oldest = rateLimits.keys().next().value;
+      if (oldest !== undefined) rateLimits.delete(oldest);
+    }
+    const entry = rateLimits.get(key) || { count: 0, resetAt: now + windowMs };
+    if (now > entry.resetAt) { entry.count = 0; entry.resetAt = now + windowMs; }
+    entry.count++;
+    rateLimits.set(key, entry);
+    if (entry.count > limit) return res.status(429).json({ error: 'Too many requests' });
+    next();
+  };
+}
+// Clean rate limit entries every 5 minutes
+setInterval(() => {
+  const now = Date.now();
+  for (const [key, entry] of rateLimits) {
+    if (now > entry.resetAt) rateLimits.delete(key);
+  }
+}, 5 * 60 * 1000);
+
+
+// Middleware: API secret check — fail-closed when API_SECRET is unset so
+// admin endpoints can never be hit by an unauthenticated caller.
+function authMiddleware(req, res, next) {
+  if (!API_SECRET) {
+    return res.status(503).json({ error: 'Admin endpoints disabled (API_SECRET not configured)' });
+  }
+  const provided = Buffer.from(String(req.headers['x-api-secret'] || ''));
+  const expected = Buffer.from(API_SECRET);
+  if (provided.length !== expected.length || !crypto.timingSafeEqual(provided, expected)) {
+    return res.status(401).json({ error: 'Unauthorized' });
+  }
+  next();
+}
+
+// True while the tournament exists and now is inside its start–end window.
+function isTournamentLive(tournamentId) {
+  const t = db.getTournament(tournamentId);
+  if (!t) return false;
+  const now = new Date();
+  return now >= new Date(t.start_time) && now <= new Date(t.end_time);
+}
+
+// POST /api/session — Start a game session (called when game starts)
+// Body: { init_data (required), tournament_id? } — a run entered into a live
+// tournament the player has joined is issued under its gameplay modifiers (lib/tournament-modifiers),
+// and a sameCourse tournament's shared course seed instead of a fresh one.
+app.post('/api/session', rateLimit(10, 60000), (req, res) => {
+  const verified = requireVerifiedUser(req, res);
+  if (!verified) return;
+
+  const requested = typeof req.body.tournament_id === 'string' ? req.body.tournament_id : null;
+  const tournamentId = requested && isTournamentLive(requested) && db.isRegistered(requested, verified.id) ? requested : null;
+  const cfg = tournamentId ? tournamentConfigById.get(tournamentId) : null;
+  const courseSeed = cfg ? tournamentCourseSeed(cfg) : null;
+  const modifiers = cfg ? sessionModifiers(cfg.modifiers) : null;
+
+  const sessionId = generateSessionId();
+  const seed = courseSeed != null ? courseSeed : generateRunSeed();
+  // createSession evicts the oldest rows first, so the table stays under MAX_SESSIONS.
+  db.createSession({
+    id: sessionId,
+    telegramId: verified.id,
+    startedAt: Date.now(),
+    seed,
+    courseTournamentId: courseSeed != null ? tournamentId : null,
+    tournamentId,
+    modifiers,
+  }, MAX_SESSIONS);
+
+  res.json({ session_id: sessionId, seed, same_course: courseSeed != null, modifiers, server_time: Date.now() });
+});
+
+// POST /api/score
+// Body: { init_data (required), score, level, coins_earned, session_id, seed, replay, badges? }
+// Identity (telegram_id / first_name / username) is derived from the verified init_data.
+app.post('/api/score', rateLimit(10, 60000), (req, res) => {
+  try {
+    const verified = requireVerifiedUser(req, res);
+    if (!verified) return;
+    const telegram_id = verified.id;
+
+    const { score, level, coins_earned, session_id, badges } = req.body;
+    if (score == null) {
+      return res.status(400).json({ error: 'score is required' });
+    }
+
+    // Check if player is banned (by verified identity)
+    if (db.isBanned(telegram_id)) {
+      return res.status(403).json({ error: 'Player is banned' });
+    }
+
+    // Session must belong to this verified user
+    const session = db.getSession(session_id, SESSION_TTL_MS);
+    if (session && session.telegramId !== telegram_id) {
+      console.log(`⚠️  Session hijack attempt: session=${session_id} owner=${session.telegramId} submitter=${telegram_id}`);
+      return res.status(403).json({ error: 'Invalid session' });
+    }
+
+    const validation = validateScore(session, { score, level, coins_earned, seed: req.body.seed, replay: req.body.replay }, 'weekly');
+    if (!validation.valid) {
+      console.log(`🚫 Score REJECTED [${telegram_id}]: score=${score} reason=${validation.reason}`);
+      return res.status(403).json({ error: 'Score rejected', reason: validation.reason });
+    }
+
+    // Consume this session's WEEKLY slot. Per-board single-use, so the same game
+    // can still record to the tournament board (separate slot) — but a weekly
+    // replay on this session is rejected. Atomic in SQLite, so a concurrent
+    // double-submit (or another process) loses here even after validating.
+    if (!db.consumeSession(session.id, 'weekly')) {
+      console.log(`🚫 Score REJECTED [${telegram_id}]: score=${score} reason=session_reused`);
+      return res.status(403).json({ error: 'Score rejected', reason: 'session_reused' });
+    }
+
+    // Identity comes from the verified initData; db.upsertPlayer sanitizes the name.
+    db.upsertPlayer(telegram_id, verified.first_name || anonName(telegram_id), verified.username || null);
+    const run = { seed: session.seed, replay: req.body.replay };
+
+    // Suspicious → review queue (off the board, coins held) until an admin decides.
+    const suspicion = scoreSuspicion(session, Number(score));
+    if (suspicion.reasons.length) {
+      const reviewId = db.flagScore({
+        board: 'weekly', telegramId: telegram_id, score: Number(score), level: validation.level,
+        coinsEarned: validation.coins, run, reasons: suspicion.reasons, history: suspicion.history,
+        // Held with the run and granted on approval (db.resolveReview).
+        badges: Array.isArray(badges) ? allowedBadges(badges, Number(score), []) : [],
+      });
+      console.log(`🔎 Score FLAGGED for review #${reviewId} [${telegram_id}]: score=${score} reasons=${suspicion.reasons.join(',')}`);
+      return res.json({ ok: true, rank: db.getPlayerRank(telegram_id), weekStart: db.getWeekStart(), flagged: true });
+    }
+
+    db.submitScore(telegram_id, Number(score), validation.level, validation.coins, run);
+
+    // Badges: allowlist + score-gate + union-with-existing (no forgery).
+    if (Array.isArray(badges)) {
+      let existing = [];
+      try { existing = JSON.parse(db.getPlayer(telegram_id)?.badges || '[]'); } catch (e) { existing = []; }
+      db.updatePlayerBadges(telegram_id, allowedBadges(badges, Number(score), existing));
+    }
+
+    // Launched from a game message → mirror the validated run into its high-score table.
+    // The bot process makes the setGameScore call (outbox → lib/telegram-games mirrorGameScore).
+    if (verified.gameLaunch) db.enqueueOutbox('game_score', { launch: verified.gameLaunch, score: Number(score) });
+
+    const rank = db.getPlayerRank(telegram_id);
+    res.json({ ok: true, rank, weekStart: db.getWeekStart(), flagged: false });
+  } catch (err) {
+    console.error('API score error:', err);
+    res.status(500).json({ error: 'Internal error' });
+  }
+});
+
+// GET /api/leaderboard?limit=20
+app.get('/api/leaderboard', rateLimit(30, 60000), (req, res) => {
+  const limit = Math.min(parseInt(req.query.limit) || 20, 100);
+  const entries = db.getWeeklyLeaderboard(limit, optionalViewer(req));
+  res.json({
+    week:     db.getWeekStart(),
+    resetIn:  getResetCountdown(),
+    entries,
+  });
+});
+
+// GET /api/game/high-scores — the launching game message's high-score table
+// (X-Game-Launch header). Telegram returns the player and their neighbours.
+app.get('/api/game/high-scores', rateLimit(20, 60000), async (req, res) => {
+  const viewer = gameLaunchUser(req.get('x-game-launch'));
+  if (!viewer) return res.status(403).json({ error: 'Game launch required' });
+  try {
+    const scores = await fetchGameHighScores(telegram, viewer.gameLaunch);
+    res.json({
+      entries: (scores || []).map(s => ({
+        position: s.position, score: s.score,
+        telegram_id: s.user && s.user.id, first_name: s.user && s.user.first_name,
+      })),
+    });
+  } catch (err) {
+    console.error('API game high scores error:', err.message);
+    res.status(502).json({ error: 'Telegram unavailable' });
+  }
+});
+
+// Bounded TTL cache for rendered PNGs — repeated requests hit memory, not the
+// synchronous canvas renderer, closing the render-flood DoS. With the per-IP
+// rate limit below, highlight-rotation can't force unbounded renders either.
+const renderCache = new Map(); // key -> { buf, exp }
+const RENDER_CACHE_TTL_MS = 60 * 1000;
+const RENDER_CACHE_MAX = 200;
+function cachedRender(key, produce) {
+  const now = Date.now();
+  const hit = renderCache.get(key);
+  if (hit && hit.exp > now) {
+    // LRU: re-insert so a hot entry isn't FIFO-evicted under key rotation.
+    renderCache.delete(key);
+    renderCache.set(key, hit);
+    return hit.buf;
+  }
+  const buf = produce();
+  renderCache.set(key, { buf, exp: now + RENDER_CACHE_TTL_MS });
+  while (renderCache.size > RENDER_CACHE_MAX) {
+    const oldest = renderCache.keys().next().value;
+    if (oldest === undefined) break;
+    renderCache.delete(oldest);
+  }
+  return buf;
+}
+
+// GET /api/leaderboard/image?highlight=TELEGRAM_ID
+app.get('/api/leaderboard/image', rateLimit(20, 60000), (req, res) => {
+  try {
+    const board = db.getWeeklyLeaderboard(50);
+    const reqHl = parseInt(req.query.highlight) || null;
+    // Only honor highlight if the id is actually on the board — collapses
+    // attacker-rotated fake ids to one cache key, neutralizing render-flood via
+    // ?highlight rotation (the expensive toBuffer render stays cached).
+    const highlightId = (reqHl && board.some((e) => e.telegram_id === reqHl)) ? reqHl : null;
+    const key = `lb:${db.getWeekStart()}:${highlightId || 0}`;
+    const pngBuffer = cachedRender(key, () => renderLeaderboardCard(board, {
+      highlightId,
+      resetIn:   getResetCountdown(),
+      weekLabel:  getWeekLabel(),
+    }));
+    res.set('Content-Type', 'image/png');
+    res.set('Cache-Control', 'public, max-age=60');
+    res.send(pngBuffer);
+  } catch (err) {
+    console.error('API image error:', err);
+    res.status(500).json({ error: 'Failed to render image' });
+  }
+});
+
+// GET /api/player/:id
+app.get('/api/player/:id', rateLimit(30, 60000), (req, res) => {
+  const id = parseInt(req.params.id);
+  const player  = db.getPlayer(id);
+  if (!player) return res.status(404).json({ error: 'Player not found' });
+  const weekly  = db.getPlayerWeeklyBest(id);
+  const rank    = db.getPlayerRank(id);
+  const allTime = db.getAllTimeStats(id);
+  res.json({ player, weekly, rank, allTime });
+});
+
+// GET /api/player/:id/card
+app.get('/api/player/:id/card', rateLimit(20, 60000), (req, res) => {
+  try {
+    const id = parseInt(req.params.id);
+    if (!Number.isInteger(id)) return res.status(400).json({ error: 'Invalid id' });
+    const player  = db.getPlayer(id);
+    if (!player) return res.status(404).json({ error: 'Player not found' });
+    const key = `card:${db.getWeekStart()}:${id}`;
+    const pngBuffer = cachedRender(key, () => {
+      const weekly  = db.getPlayerWeeklyBest(id);
+      const rank    = db.getPlayerRank(id);
+      const allTime = db.getAllTimeStats(id);
+      const statsData = {
+        best_score:    weekly?.best_score || 0,
+        games_played:  weekly?.games_played || 0,
+        max_level:     weekly?.max_level || 0,
+        all_time_best: allTime?.all_time_best || 0,
+      };
+      return renderPlayerCard(player, statsData, rank);
+    });
+    res.set('Content-Type', 'image/png');
+    res.set('Cache-Control', 'public, max-age=60');
+    res.send(pngBuffer);
+  } catch (err) {
+    console.error('API player card error:', err);
+    res.status(500).json({ error: 'Failed to render card' });
+  }
+});
+
+// POST /api/share — Queue the score card image for the user's Telegram chat
+// Body: { init_data, image_base64, score }
+// Auth: chat_id derived from verified initData; body's telegram_id is ignored.
+app.post('/api/share', rateLimit(5, 60000), async (req, res) => {
+  try {
+    const { init_data, image_base64, score } = req.body;
+
+    // Auth: derive chat_id from verified Telegram identity, not the body.
+    const verified = init_data ? validateTelegramInitData(init_data) : null;
+    if (!verified || !verified.id) {
+      return res.status(403).json({ error: 'Invalid Telegram identity' });
+    }
+    const chatId = verified.id;
+
+    // Don't relay through the bot on behalf of a banned player.
+    if (db.isBanned(chatId)) {
+      return res.status(403).json({ error: 'Player is banned' });
+    }
+
+    if (!image_base64) {
+      return res.status(400).json({ error: 'image_base64 required' });
+    }
+
+    const base64Data = image_base64.replace(/^data:image\/\w+;base64,/, '');
+    const imageBuffer = Buffer.from(base64Data, 'base64');
+    // Validate it's actually a PNG (magic bytes) before relaying through the bot —
+    // don't let the bot forward arbitrary attacker-supplied bytes.
+    if (imageBuffer.length < 8 || imageBuffer[0] !== 0x89 || imageBuffer[1] !== 0x50 ||
+        imageBuffer[2] !== 0x4e || imageBuffer[3] !== 0x47) {
+      return res.status(400).json({ error: 'Invalid image' });
+    }
+
+    // Caption is server-supplied, not caller-supplied. No HTML parse mode.
+    const caption = `🐕 Flappy Bert Score: ${score || '?'}\n\n🎮 Can you beat me?\n🔗 Play now: ${WEBAPP_URL}`;
+
+    // Queued for the bot process (lib/send-queue), so a slow or failing
+    // Telegram upload never holds up this request.
+    await outbound.sendPhoto(chatId, imageBuffer, { caption }, {
+      filename: 'flappy-bert-score.png', contentType: 'image/png',
+    });
+
+    res.json({ ok: true, queued: true });
+  } catch (err) {
+    console.error('API share error:', err.message);
+    res.status(500).json({ error: 'Failed to queue image' });
+  }
+});
+
+// GET /api/archives?type=weekly|tournament — List archived boards (both types by default)
+app.get('/api/archives', (req, res) => {
+  const type = parseArchiveType(req.query.type);
+  if (type === undefined) return res.status(400).json({ error: 'Invalid type' });
+  res.json({ archives: db.getArchiveList(type) });
+});
+
+// ── Tournament API ───────────────────────────────────────────────────
+
+// GET /api/tournaments — List all tournaments with status
+app.get('/api/tournaments', (req, res) => {
+  const tournaments = db.getAllTournaments().map(t => {
+    const now = new Date();
+    const start = new Date(t.start_time);
+    const end = new Date(t.end_time);
+    let status = 'ended';
+    if (now < start) status = 'scheduled';
+    else if (now <= end) status = 'live';
+    return { ...publicTournamentRow(t), status, branding: brandingForClient(tournamentBranding(t.id), t.sponsor) };
+  });
+  res.json({ tournaments });
+});
+
+// GET /api/tournaments/featured — Returns the single featured tournament
+// for the home-screen button, or null if none qualify.
+app.get('/api/tournaments/featured', (req, res) => {
+  const all = db.getAllTournaments().map(t => ({
+    id: t.id,
+    name: t.name,
+    sponsor: t.sponsor,
+    startTime: t.start_time,
+    endTime: t.end_time,
+  }));
+  const featured = getFeaturedTournament(all, new Date());
+  res.json({ tournament: featured });
+});
+
+// GET /api/tournament/:id — Tournament info + leaderboard
+app.get('/api/tournament/:id', rateLimit(30, 60000), (req, res) => {
+  const t = db.getTournament(req.params.id);
+  if (!t) return res.status(404).json({ error: 'Tournament not found' });
+  
+  const now = new Date();
+  const start = new Date(t.start_time);
+  const end = new Date(t.end_time);
+  let status = 'ended';
+  if (now < start) status = 'scheduled';
+  else if (now <= end) status = 'live';
+  
+  const since = tournamentSince(t.id);
+  const rules = tournamentRules(t.id);
+  const viewerId = optionalViewer(req);
+  const cfg = tournamentConfigById.get(t.id);
+  const stages = cfg?.stages || null;
+
+  // ?stage=N (1-based) serves an earlier stage's frozen final board.
+  let stageIndex = stages ? activeStageIndex(stages, Date.now()) : null;
+  let entries = null;
+  let prizes = tournamentPrizes(t.id);
+  if (stages && req.query.stage !== undefined) {
+    const requested = stageFromParam(req.query.stage, stages);
+    if (requested < 0) return res.status(400).json({ error: 'Invalid stage' });
+    if (requested !== stageIndex) {
+      entries = db.getStageResults(t.id, requested);
+      if (!entries) return res.status(404).json({ error: 'Stage has no final board yet' });
+      entries = entries.slice(0, 50);
+      stageIndex = requested;
+      prizes = stages[requested].prizes || null;
+    }
+  }
+  if (!entries) entries = db.getTournamentLeaderboard(t.id, 50, since, viewerId, rules);
+  const closedStages = stages ? db.getClosedStages(t.id) : [];
+  res.json({
+    tournament: {
+      ...publicTournamentRow(t), status,
+      scoreResetAt: cfg?.scoreResetAt || null,
+      sameCourse: tournamentCourseSeed(cfg) != null,
+      rules,
+      rulesText: describeRules(rules),
+      // Gameplay modifiers startGame applies to runs entered into this tournament.
+      modifiers: resolveModifiers(cfg?.modifiers),
+      // Viewer's remaining runs under an attempt limit (null = unlimited / anonymous).
+      attemptsLeft: viewerId ? attemptsLeft(rules, db.countTournamentAttempts(t.id, viewerId, since)) : null,
+      registration: cfg ? {
+        ...resolveRegistration(cfg),
+        entries: db.countEntries(t.id),
+        open: !registrationClosedReason(cfg, Date.now()),
+        joined: viewerId ? db.isRegistered(t.id, viewerId) : null,
+      } : null,
+      registrationText: cfg ? describeRegistration(cfg, db.countEntries(t.id)) : null,
+      // Knockout format: every match with its window, players and result.
+      bracket: cfg?.bracket ? db.getBracket(t.id).map(m => ({
+        round: m.round, slot: m.slot, opens_at: m.opens_at, closes_at: m.closes_at,
+        player_a: m.player_a, name_a: m.name_a, seed_a: m.seed_a, score_a: m.score_a,
+        player_b: m.player_b, name_b: m.name_b, seed_b: m.seed_b, score_b: m.score_b,
+        winner: m.winner,
+      })) : null,
+      stages: stages ? stages.map((st, i) => ({
+        number: i + 1, name: st.name, startTime: st.startTime, endTime: st.endTime,
+        prizes: st.prizes || null, advance: st.advance || null, closed: closedStages.includes(i),
+      })) : null,
+      stage: stages ? stageIndex + 1 : null,
+      stageText: stages ? stageLabel(stages, stageIndex) : null,
+      // Sponsor branding for the Mini App views (logo URL, palette, tagline, CTA).
+      branding: brandingForClient(cfg?.branding, t.sponsor),
+    },
+    entries,
+    prizes,
+  });
+});
+
+// POST /api/tournament/:id/join — Register for a tournament (coin fee, cap, closing time)
+// Body: { init_data (required) }
+app.post('/api/tournament/:id/join', rateLimit(10, 60000), (req, res) => {
+  try {
+    const verified = requireVerifiedUser(req, res);
+    if (!verified) return;
+    if (!db.getTournament(req.params.id)) return res.status(404).json({ error: 'Tournament not found' });
+
+    db.upsertPlayer(verified.id, verified.first_name || anonName(verified.id), verified.username || null);
+    const r = tryJoinTournament(req.params.id, verified.id);
+    if (!r.ok) {
+      return res.status(r.reason === 'already_joined' ? 409 : 403)
+        .json({ error: JOIN_ERRORS[r.reason] || 'Could not join', reason: r.reason });
+    }
+    res.json({ ok: true, fee_paid: r.feePaid, coins: r.coins });
+  } catch (err) {
+    console.error('API tournament join error:', err);
+    res.status(500).json({ error: 'Internal error' });
+  }
+});
+
+// POST /api/tournament/:id/score — Submit score to tournament
+app.post('/api/tournament/:id/score', rateLimit(10, 60000), (req, res) => {
+  try {
+    const t = db.getTournament(req.params.id);
+    if (!t) return res.status(404).json({ error: 'Tournament not found' });
+
+    const now = new Date();
+    const start = new Date(t.start_time);
+    const end = new Date(t.end_time);
+    if (now < start || now > end) {
+      return res.status(400).json({ error: 'Tournament not active' });
+    }
+
+    const verified = requireVerifiedUser(req, res);
+    if (!verified) return;
+    const telegram_id = verified.id;
+
+    const { score, level, coins_earned, session_id } = req.body;
+    if (score == null) {
+      return res.status(400).json({ error: 'score required' });
+    }
+
+    if (db.isBanned(telegram_id)) {
+      return res.status(403).json({ error: 'Player is banned' });
+    }
+
+    // Opt-in only: a run counts for a tournament only once the player has joined it.
+    if (!db.isRegistered(t.id, telegram_id)) {
+      return res.status(403).json({ error: 'Score rejected', reason: 'not_registered' });
+    }
+
+    const cfg = tournamentConfigById.get(t.id);
+
+    // Multi-stage: runs count only while a stage is live, and a stage after a
+    // qualification cut only takes the players who made it.
+    if (cfg && cfg.stages) {
+      const live = liveStageIndex(cfg.stages, Date.now());
+      const prev = cfg.stages[live - 1];
+      let reason = null;
+      if (live < 0) reason = 'stage_not_live';
+      else if (prev && prev.advance) {
+        closeDueStages(cfg);
+        if (!db.isQualified(t.id, live - 1, telegram_id)) reason = 'not_qualified';
+      }
+      if (reason) {
+        console.log(`🚫 Tournament score REJECTED [${telegram_id}]: score=${score} reason=${reason}`);
+        return res.status(403).json({ error: 'Score rejected', reason });
+      }
+    }
+
+    // Knockout: only players still in the bracket are playing matches.
+    if (cfg && cfg.bracket) {
+      ensureBracket(cfg);
+      const inBracket = playerBracketStatus(db.getBracket(t.id), telegram_id);
+      if (inBracket !== 'alive') {
+        const reason = inBracket === 'eliminated' ? 'eliminated' : 'not_in_bracket';
+        console.log(`🚫 Tournament score REJECTED [${telegram_id}]: score=${score} reason=${reason}`);
+        return res.status(403).json({ error: 'Score rejected', reason });
+      }
+    }
+
+    // Session must belong to this verified user
+    const session = db.getSession(session_id, SESSION_TTL_MS);
+    if (session && session.telegramId !== telegram_id) {
+      console.log(`⚠️  Tournament session hijack attempt: session=${session_id} owner=${session.telegramId} submitter=${telegram_id}`);
+      return res.status(403).json({ error: 'Invalid session' });
+    }
+
+    // Same-course tournaments only accept runs flown on the shared course seed.
+    const courseSeed = tournamentCourseSeed(tournamentConfigById.get(t.id));
+    if (courseSeed != null && session && session.seed !== courseSeed) {
+      console.log(`🚫 Tournament score REJECTED [${telegram_id}]: score=${score} reason=course_mismatch`);
+      return res.status(403).json({ error: 'Score rejected', reason: 'course_mismatch' });
+    }
+
+    // A tournament with gameplay modifiers only takes runs whose session was
+    // issued for it under its current modifiers; the replay check below then
+    // confirms the run was actually flown under them.
+    const modifiers = sessionModifiers(tournamentConfigById.get(t.id)?.modifiers);
+    if (session && (!sameModifiers(session.modifiers, modifiers) || (modifiers && session.tournamentId !== t.id))) {
+      console.log(`🚫 Tournament score REJECTED [${telegram_id}]: score=${score} reason=modifiers_mismatch`);
+      return res.status(403).json({ error: 'Score rejected', reason: 'modifiers_mismatch' });
+    }
+
+    // Attempt-limited tournaments (rules.attempts): run N+1 is refused outright.
+    // The ranking query only counts the first N anyway, so a race here is harmless.
+    const rules = tournamentRules(t.id);
+    if (rules && rules.attempts && db.countTournamentAttempts(t.id, telegram_id, tournamentSince(t.id)) >= rules.attempts) {
+      console.log(`🚫 Tournament score REJECTED [${telegram_id}]: score=${score} reason=attempts_exhausted`);
+      return res.status(403).json({ error: 'Score rejected', reason: 'attempts_exhausted' });
+    }
+
+    // Full anti-cheat validation (numeric guard, hard cap, bounds, time-based, session reuse)
+    const validation = validateScore(session, { score, level, coins_earned, seed: req.body.seed, replay: req.body.replay }, 'tournament');
+    if (!validation.valid) {
+      console.log(`🚫 Tournament score REJECTED [${telegram_id}]: score=${score} reason=${validation.reason}`);
+      return res.status(403).json({ error: 'Score rejected', reason: validation.reason });
+    }
+
+    // Consume this session's TOURNAMENT slot (separate from the weekly slot).
+    if (!db.consumeSession(session.id, 'tournament')) {
+      console.log(`🚫 Tournament score REJECTED [${telegram_id}]: score=${score} reason=session_reused`);
+      return res.status(403).json({ error: 'Score rejected', reason: 'session_reused' });
+    }
+
+    // Identity from verified initData; db.upsertPlayer sanitizes the name.
+    db.upsertPlayer(telegram_id, verified.first_name || anonName(telegram_id), verified.username || null);
+    const run = { seed: session.seed, replay: req.body.replay };
+
+    const suspicion = scoreSuspicion(session, Number(score));
+    if (suspicion.reasons.length) {
+      const reviewId = db.flagScore({
+        board: 'tournament', tournamentId: req.params.id, telegramId: telegram_id, score: Number(score),
+        level: validation.level, coinsEarned: validation.coins, run, reasons: suspicion.reasons, history: suspicion.history,
+      });
+      console.log(`🔎 Tournament score FLAGGED for review #${reviewId} [${telegram_id}]: score=${score} reasons=${suspicion.reasons.join(',')}`);
+      const rank = db.getTournamentPlayerRank(req.params.id, telegram_id, tournamentSince(req.params.id), rules);
+      return res.json({ ok: true, rank, flagged: true });
+    }
+
+    db.submitTournamentScore(req.params.id, telegram_id, Number(score), validation.level, validation.coins, run);
+
+    const rank = db.getTournamentPlayerRank(req.params.id, telegram_id, tournamentSince(req.params.id), rules);
+    res.json({ ok: true, rank, flagged: false });
+  } catch (err) {
+    console.error('API tournament score error:', err);
+    res.status(500).json({ error: 'Internal error' });
+  }
+});
+
+// GET /api/archives/:week — Download a specific week's CSV
+app.get('/api/archives/:week', (req, res) => {
+  if (!/^\d{4}-\d{2}-\d{2}$/.test(req.params.week)) {
+    return res.status(400).json({ error: 'Invalid week' });
+  }
+  const filepath = db.getArchivePath(req.params.week);
+  if (!filepath) return res.status(404).json({ error: 'Archive not found' });
+  res.download(filepath);
+});
+
+// GET /api/archives/tournament/:key — Download a tournament archive (key from /api/archives)
+app.get('/api/archives/tournament/:key', (req, res) => {
+  const filepath = db.getTournamentArchivePath(req.params.key);
+  if (!filepath) return res.status(404).json({ error: 'Archive not found' });
+  res.download(filepath);
+});
+
+// POST /api/archive-now — Manually trigger archive for current week
+app.post('/api/archive-now', rateLimit(10, 60000), authMiddleware, (req, res) => {
+  const result = db.archiveWeek();
+  audit(apiActor(req), 'archive_now', db.getWeekStart(), result && result.playerCount ? result.playerCount : 0,
+    { filename: result ? result.filename : null, alreadyExists: !!(result && result.alreadyExists) });
+  if (!result) return res.json({ ok: false, message: 'No scores to archive' });
+  res.json({ ok: true, ...result });
+});
+
+// POST /api/admin/remove-scores — Remove a player's scores (requires API_SECRET)
+app.post('/api/admin/remove-scores', rateLimit(10, 60000), authMiddleware, (req, res) => {
+  const { telegram_id, week_only } = req.body;
+  if (!telegram_id) return res.status(400).json({ error: 'telegram_id required' });
+  
+  try {
+    if (week_only) {
+      const week = db.getWeekStart();
+      const rows = db.removePlayerWeekScores(telegram_id, week);
+      audit(apiActor(req), 'remove_week_scores', telegram_id, rows, { week });
+      console.log(`🗑  Removed weekly scores for ${telegram_id} (week: ${week})`);
+    } else {
+      const rows = db.removeAllPlayerScores(telegram_id);
+      audit(apiActor(req), 'remove_scores', telegram_id, rows);
+      console.log(`🗑  Removed ALL scores for ${telegram_id}`);
+    }
+    res.json({ ok: true });
+  } catch(err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// POST /api/admin/remove-tournament-scores — Remove from tournament
+app.post('/api/admin/remove-tournament-scores', rateLimit(10, 60000), authMiddleware, (req, res) => {
+  const { telegram_id, tournament_id } = req.body;
+  if (!telegram_id || !tournament_id) return res.status(400).json({ error: 'telegram_id and tournament_id required' });
+  
+  try {
+    const rows = db.removeTournamentScores(telegram_id, tournament_id);
+    audit(apiActor(req), 'remove_tournament_scores', telegram_id, rows, { tournament_id });
+    console.log(`🗑  Removed tournament scores for ${telegram_id} from ${tournament_id}`);
+    res.json({ ok: true });
+  } catch(err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// GET /api/admin/audit?limit=50&target=<id>&action=<name> — Admin audit trail
+app.get('/api/admin/audit', rateLimit(30, 60000), authMiddleware, (req, res) => {
+  const limit = Math.min(parseInt(req.query.limit) || 50, 500);
+  const target = typeof req.query.target === 'string' && req.query.target ? req.query.target : null;
+  const action = typeof req.query.action === 'string' && req.query.action ? req.query.action : null;
+  res.json({ actions: db.getAdminActions({ limit, target, action }) });
+});
+
+// GET /api/admin/tournament/:id/results?format=json|csv — Recorded results + payouts
+app.get('/api/admin/tournament/:id/results', rateLimit(30, 60000), authMiddleware, (req, res) => {
+  const results = db.getTournamentResults(req.params.id);
+  if (results.length === 0) return res.status(404).json({ error: 'No recorded results' });
+  if (req.query.format === 'csv') {
+    res.set('Content-Type', 'text/csv; charset=utf-8');
+    res.set('Content-Disposition', `attachment; filename="results-${req.params.id.replace(/[^a-z0-9-]/gi, '')}.csv"`);
+    return res.send(resultsToCsv(results, csvCell));
+  }
+  res.json({ tournament_id: req.params.id, results: resultsToJson(results) });
+});
+
+// GET /api/admin/tournament/:id/report?format=json|csv|png — Sponsor participation report
+app.get('/api/admin/tournament/:id/report', rateLimit(10, 60000), authMiddleware, (req, res) => {
+  const report = tournamentReport(req.params.id);
+  if (!report) return res.status(404).json({ error: 'Tournament not found' });
+  if (req.query.format === 'csv') {
+    res.set('Content-Type', 'text/csv; charset=utf-8');
+    res.set('Content-Disposition', `attachment; filename="${reportFilename(req.params.id, 'csv')}"`);
+    return res.send(reportToCsv(report, csvCell));
+  }
+  if (req.query.format === 'png') {
+    res.set('Content-Type', 'image/png');
+    return res.send(renderReportCard(report, { branding: tournamentBranding(req.params.id) }));
+  }
+  res.json({ report });
+});
+
+// Health check. outbox.pending climbing (with an old oldest_pending) means the
+// bot process is down or stuck — the API itself is fine.
+app.get('/health', (req, res) => res.json({
+  ok: true, uptime: process.uptime(), outbox: db.getOutboxStats('default'), sendQueue: db.getOutboxStats('send'),
+}));
+
+// Read-only: lets the client build t.me/<bot>?start=… challenge links.
+app.get('/api/config', (req, res) => res.json({ botUsername }));
+
+// Serve the game HTML from the same directory
+app.get('/game', (req, res) => {
+  res.set('Cache-Control', 'no-cache, no-store, must-revalidate');
+  res.sendFile(path.join(__dirname, 'flappy_bert.html'));
+});
+
+// The shared simulation the game page loads (relative `lib/flappy-sim.js`). Same
+// no-cache policy as /game so the client can never run a stale physics step
+// against a newer server-side replay.
+app.get('/lib/flappy-sim.js', (req, res) => {
+  res.set('Cache-Control', 'no-cache, no-store, must-revalidate');
+  res.sendFile(path.join(__dirname, 'lib', 'flappy-sim.js'));
+});
+
+// Sponsor logos referenced by tournament branding (lib/tournament-branding).
+app.use('/assets/sponsors', express.static(path.join(__dirname, 'assets', 'sponsors'), { maxAge: '1d' }));
+
+// Terminal error handler — catches body-parser errors (malformed JSON, payload
+// too large) and any uncaught route error. Returns a generic message so stack
+// traces / filesystem paths / dependency versions never leak to clients.
+// eslint-disable-next-line no-unused-vars
+app.use((err, req, res, next) => {
+  if (res.headersSent) return next(err);
+  const status = (err && (err.status || err.statusCode)) || 500;
+  console.error('Unhandled error:', err && err.message);
+  res.status(status >= 400 && status < 600 ? status : 500).json({ error: 'Request failed' });
+});
+
+// ── Start server ────────────────────────────────────────────────────
+const server = app.listen(PORT, () => {
+  console.log(`🌐  API server running on port ${PORT}`);
+  if (WEBHOOK.enabled) {
+    registerWebhook(telegram, WEBHOOK_SELF_URL, WEBHOOK.secretToken)
+      .then(() => console.log(`🪝  Webhook set — receiving updates at ${WEBHOOK.baseUrl}`))
+      .catch((err) => console.error('❌  setWebhook failed — no updates will arrive:', err.message));
+  }
+  console.log(`📅  Current week: ${db.getWeekStart()}`);
+  console.log(`⏱   Reset in: ${getResetCountdown()}`);
+});
+
+// ── Shutdown ────────────────────────────────────────────────────────
+// Webhook mode deletes the webhook only while it is still this process's own
+// (lib/webhook releaseWebhook) — in a deploy overlap the new instance has
+// already registered itself and must keep receiving updates.
+let shuttingDown = false;
+async function shutdown(signal) {
+  if (shuttingDown) return;
+  shuttingDown = true;
+  console.log(`👋  API: ${signal} received — shutting down`);
+  setTimeout(() => process.exit(0), 5000).unref();
+  if (WEBHOOK.enabled) {
+    const released = await safeSend(releaseWebhook(telegram, WEBHOOK_SELF_URL), 'deleteWebhook');
+    if (released === true) console.log('🪝  Webhook deleted');
+    else if (released === false) console.log('🪝  Webhook already taken over — left in place');
+  }
+  server.close(() => process.exit(0));
+}
+process.on('SIGTERM', () => shutdown('SIGTERM'));
+process.on('SIGINT', () => shutdown('SIGINT'));
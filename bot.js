@@ -1,175 +1,113 @@
-// bot.js — Flappy Bert Telegram Bot & API Server
+// bot.js — Flappy Bert Telegram Bot
 // ─────────────────────────────────────────────────────────────────────
 //
-// ENV VARS:
-//   BOT_TOKEN       — Telegram bot token from @BotFather
-//   WEBAPP_URL      — Public URL where flappy_bert.html is hosted
-//   PORT            — HTTP port for the API server (default 3000)
-//   API_SECRET      — Optional shared secret for score submissions
+// One of the two processes (see core.js); the HTTP API runs in api.js. Besides
+// commands and callbacks this process runs the schedulers (weekly archive,
+// tournament close-outs, brackets, stages) and drains the outbox the API
+// queues work in (lib/outbox) — Telegram Game scores and, in webhook mode, the
+// updates themselves — plus the paced outbound message queue (lib/send-queue).
+//
+// ENV VARS (plus the shared ones in core.js):
+//   ADMIN_IDS       — Comma-separated Telegram ids allowed to run admin commands
+//   ANNOUNCE_CHAT_ID — Optional chat/@channel for tournament final cards
+//   GAME_SHORT_NAME — Optional Telegram Game short name (@BotFather /newgame)
+//   CARD_CACHE_CHAT_ID — Chat the inline-mode cards are uploaded to once; unset →
+//                    inline mode offers only the challenge, no cards
 //
 // COMMANDS:
 //   /start          — Welcome + launch game button
 //   /play           — Launch the Mini App
 //   /leaderboard    — Weekly leaderboard card (image)
+//   /groupboard     — Weekly leaderboard of this group's players (groups only)
+//   /game           — Post the Telegram Game message (shareable high-score table)
 //   /mystats        — Personal stats card (image)
 //   /help           — Command list
+//   /review         — (admin) Suspicious-score review queue
+//   /auditlog [id]  — (admin) Recent destructive admin actions
+//   /ban, /shadowban <id> [duration] [reason] — (admin) hide a player's scores
+//   /tnew, /tedit, /tend, /tprizes — (admin) manage tournaments at runtime
+//   /results <id>, /payout <id> <rank> <status> — (admin) results + prize payouts
+//   /treport <id>   — (admin) sponsor participation report (PNG + CSV)
+//   /broadcast <audience> [play] — (admin) preview a DM to players; CONFIRM sends
+//
+// FILES:
+//   tournament-templates.json — Optional recurring tournaments, next to
+//                     tournaments.json. A JSON array of templates; see
+//                     tournament-templates.example.json and the format in
+//                     lib/tournament-templates.js. Missing → no recurring
+//                     tournaments; invalid entries are skipped with a warning.
 //
-// API ENDPOINTS:
-//   POST /api/score — Submit a score  { telegram_id, score, level, coins_earned }
-//   GET  /api/leaderboard — JSON leaderboard
-//   GET  /api/player/:id  — Player stats JSON
+// INLINE MODE:
+//   @FlappyBertBot  — share your stats, the weekly top 10, the live tournament
+//                     card or a "beat my score" challenge in any chat
 // ─────────────────────────────────────────────────────────────────────
 
-// Load .env file if available (local dev only — Render injects env vars natively)
-try { require('dotenv').config(); } catch(e) {}
-const TelegramBot = require('node-telegram-bot-api');
-const express     = require('express');
-const cors        = require('cors');
 const path        = require('path');
-const crypto    = require('crypto');
 const db          = require('./db');
-const { loadTournamentsFromFile, getFeaturedTournament } = require('./tournaments-config');
-const { scoreVerdict } = require('./lib/score-validation');
-const { allowedBadges } = require('./lib/badge-allowlist');
+const {
+  installCrashSafety, requireBotToken, loadWebhookConfig, telegramClient,
+  WEBAPP_URL, GAME_SECRET,
+  escapeMarkdown, anonName, tgActor, audit,
+  tournamentConfigById, reloadTournamentConfigs, initTournaments, tournamentSince, tournamentStageLabel,
+  tournamentPrizes, tournamentRules, tournamentBranding, tryJoinTournament, ensureBracket, closeDueStages,
+  tournamentReport, reportFilename, getResetCountdown, getWeekLabel,
+} = require('./core');
+const { loadTemplatesFromFile, tournamentToRow } = require('./tournaments-config');
+const { TEMPLATES, upcomingInstances } = require('./lib/tournament-templates');
+const { planTournamentCommand } = require('./lib/tournament-admin');
+const { CLOSEOUT, dueForCloseout } = require('./lib/tournament-closeout');
+const { resultsToCsv, parsePayoutArgs, changesResults } = require('./lib/tournament-results');
+const { csvCell } = require('./lib/csv-cell');
+const { parseArchiveType } = require('./lib/archive-files');
+const { isGroupChat, groupBoardSubtitle, formatChampionPost } = require('./lib/group-board');
+const { describeRules, scoreLabel } = require('./lib/tournament-rules');
+const { JOIN_ERRORS, registrationClosedReason, describeRegistration } = require('./lib/tournament-entry');
+const { bracketRounds, nextMatch, isBye, decideMatch, playerBracketStatus, roundName } = require('./lib/tournament-bracket');
 const { parseGhost, buildStartParam, formatChallengeMessage } = require('./lib/ghost-challenge');
-const { renderLeaderboardCard, renderPlayerCard, renderTournamentCard } = require('./leaderboard-card');
-const { effectiveResetSince } = require('./lib/tournament-reset');
+const {
+  renderLeaderboardCard, renderPlayerCard, renderTournamentCard, renderBracketCard, renderReportCard,
+} = require('./leaderboard-card');
+const { stageLabel } = require('./lib/tournament-stages');
+const { brandingCta } = require('./lib/tournament-branding');
+const { reportToCsv } = require('./lib/tournament-report');
+const { INLINE_SHARE, cardKey, challengeLink, buildInlineResults } = require('./lib/inline-share');
+const { sendGameMessage, answerGameLaunch, mirrorGameScore } = require('./lib/telegram-games');
+const { OUTBOX, drainOutbox } = require('./lib/outbox');
+const { SEND_QUEUE, createPacer, outboundClient, sendHandler } = require('./lib/send-queue');
 const { safeSend, throttleKey } = require('./lib/safe-send');
+const { parseBanArgs, formatDuration } = require('./lib/ban-command');
 const { parseResetCommand } = require('./lib/reset-tournament-guard');
+const {
+  BROADCAST, parseBroadcastCommand, confirmRejection, describeAudience, broadcastOptions, broadcastJobs, formatBroadcastReport,
+} = require('./lib/broadcast');
 
-// ── Crash safety (FIX 2) ────────────────────────────────────────────
-// node kills the process on an unhandled rejection; a single failed Telegram send
-// (429 burst / 403 bot-blocked / 400) must NOT take down the score API mid-tournament.
-// Log and keep serving. (Individual sends are additionally wrapped in safeSend.)
-process.on('unhandledRejection', (reason, promise) => {
-  console.error('⚠️  Unhandled promise rejection (kept alive):', reason, promise);
-});
-// A truly uncaught exception may have left state inconsistent — exit 1 so the host
-// (Render) restarts the container cleanly rather than serving from corrupted state.
-process.on('uncaughtException', (err) => {
-  console.error('💥  Uncaught exception — exiting for a clean restart:', err && err.stack ? err.stack : err);
-  process.exit(1);
-});
+installCrashSafety();
 
 // ── Config ──────────────────────────────────────────────────────────
-const BOT_TOKEN  = process.env.BOT_TOKEN;
-const WEBAPP_URL = process.env.WEBAPP_URL || 'https://your-domain.com/flappy_bert.html';
-const PORT       = process.env.PORT || 3000;
-const API_SECRET = process.env.API_SECRET || '';
-
-// ── Anti-cheat: game sessions ────────────────────────────────────────
-// Score-validation limits now live in ./lib/score-validation (required above).
-const gameSessions = new Map(); // sessionId -> { telegramId, startedAt, used }
-const SESSION_TTL_MS = 15 * 60 * 1000;   // shortened from 30m (memory-DoS hardening)
-const MAX_SESSIONS = 50000;              // hard ceiling; evict oldest on overflow
-const MAX_RATE_KEYS = 50000;             // hard ceiling for the rate-limit Map
-const INITDATA_MAX_AGE_S = 24 * 3600;    // initData replay bound (lenient for long sessions)
-
-// Evict oldest sessions until under the ceiling. Map keys iterate in insertion
-// (≈ start-time) order, so the first key is the oldest — O(1) per eviction.
-function boundSessions() {
-  while (gameSessions.size >= MAX_SESSIONS) {
-    const oldest = gameSessions.keys().next().value;
-    if (oldest === undefined) break;
-    gameSessions.delete(oldest);
-  }
-}
-
-// Clean up expired sessions every minute
-setInterval(() => {
-  const cutoff = Date.now() - SESSION_TTL_MS;
-  for (const [id, sess] of gameSessions) {
-    if (sess.startedAt < cutoff) gameSessions.delete(id);
-  }
-}, 60 * 1000);
-
-function generateSessionId() {
-  return crypto.randomBytes(16).toString('hex');
-}
-
-function validateTelegramInitData(initData) {
-  if (!initData) return null;
-  try {
-    const params = new URLSearchParams(initData);
-    const hash = params.get('hash');
-    if (!hash) return null;
-    params.delete('hash');
-    const sorted = [...params.entries()].sort((a, b) => a[0].localeCompare(b[0]));
-    const dataCheckString = sorted.map(([k, v]) => `${k}=${v}`).join('\n');
-    const secretKey = crypto.createHmac('sha256', 'WebAppData').update(BOT_TOKEN).digest();
-    const computed = crypto.createHmac('sha256', secretKey).update(dataCheckString).digest('hex');
-    if (computed !== hash) return null;
-    // Freshness: reject initData older than INITDATA_MAX_AGE_S to bound replay of
-    // a captured initData string (Telegram always stamps auth_date).
-    const authDate = Number(params.get('auth_date'));
-    if (!authDate || (Date.now() / 1000 - authDate) > INITDATA_MAX_AGE_S) return null;
-    const user = params.get('user');
-    return user ? JSON.parse(user) : null;
-  } catch(e) { return null; }
-}
-
-// Require a cryptographically-verified Telegram identity. Returns the verified
-// user object (from the signed initData), or null AFTER sending a 403 — callers
-// MUST `return` when it returns null. Identity is derived ONLY from the signed
-// payload; body-supplied telegram_id/first_name/username are never trusted.
-function requireVerifiedUser(req, res) {
-  const initData = req.body && req.body.init_data;
-  const verified = initData ? validateTelegramInitData(initData) : null;
-  if (!verified || verified.id == null) {
-    res.status(403).json({ error: 'Telegram identity required' });
-    return null;
-  }
-  return verified; // { id, first_name, username, ... } — cryptographically attested
-}
-
-// Server-side score validation. Identity is enforced separately by
-// requireVerifiedUser; this checks only score/level/coins against
-// server-trusted state (all HARD rejects; body-supplied rate inflators are
-// ignored). Decision logic lives in ./lib/score-validation (scoreVerdict).
-function validateScore(session, body, board) {
-  const elapsedMs = session ? (Date.now() - session.startedAt) : 0;
-  // Single-use is tracked PER BOARD so one game can record to BOTH the weekly and
-  // the tournament leaderboard, while still blocking a replay to either board.
-  const usedFlag = board === 'tournament' ? 'usedTournament' : 'usedWeekly';
-  return scoreVerdict({
-    score: body.score,
-    level: body.level,
-    coins: body.coins_earned,
-    hasSession: !!session,
-    sessionUsed: !!(session && session[usedFlag]),
-    elapsedMs,
-  });
-}
-
-// Escape Telegram Markdown V1 special characters in user/operator-supplied strings.
-// V1 has 4 specials: _ * ` [
-// V1 has no backslash-escape mechanism, but Telegram tolerates a leading backslash
-// before V1 specials and renders them as the literal char (verified empirically).
-function escapeMarkdown(s) {
-  if (s == null) return '';
-  return String(s).replace(/([_*`\[])/g, '\\$1');
-}
-
-// When a request reaches /api/score or /api/tournament/:id/score without a
-// first_name (sessionless curl, mini-app pre-load, Telegram clients that strip
-// it), fall back to a stable per-id anonymous name. Avoids namespace collision
-// on "Player" — every fallback used to share that one name and they all
-// false-highlighted as "you" on each others' leaderboards.
-function anonName(telegramId) {
-  return 'Anon-' + String(telegramId).slice(-4);
-}
-
-if (!BOT_TOKEN) {
-  console.error('❌  BOT_TOKEN environment variable is required.');
-  console.error('   Get one from @BotFather on Telegram.');
-  process.exit(1);
-}
+// Chat id (or @channel) that gets the final card when a tournament closes.
+const ANNOUNCE_CHAT_ID = process.env.ANNOUNCE_CHAT_ID || '';
+// Telegram Game short name; empty disables /game and the game callback.
+const GAME_SHORT_NAME = process.env.GAME_SHORT_NAME || '';
+// Where inline-mode cards are uploaded to get a reusable file_id (a private
+// channel the bot can post in). Unset → no cards in inline mode: a player's DM
+// is no place to store them (403 for anyone who never started the bot).
+const CARD_CACHE_CHAT_ID = process.env.CARD_CACHE_CHAT_ID || '';
+if (!CARD_CACHE_CHAT_ID) console.warn('⚠️  CARD_CACHE_CHAT_ID not set — inline mode offers the challenge only, no cards');
+
+requireBotToken();
+// Webhook mode: the API process receives the updates and queues them in the
+// outbox (drained below), so this process only polls without WEBHOOK_URL.
+const WEBHOOK = loadWebhookConfig();
 
 // ── Initialise ──────────────────────────────────────────────────────
 db.init();
-const bot = new TelegramBot(BOT_TOKEN, { polling: true });
+initTournaments();
+const bot = telegramClient({ polling: !WEBHOOK.enabled });
 let botUsername = null;
 bot.getMe().then((me) => { botUsername = me.username || null; }).catch(() => {});
+// Queued sends (lib/send-queue): safeSend(outbound.sendMessage(…)) for messages
+// that must arrive — announcements and DMs nobody is waiting on.
+const outbound = outboundClient(db);
 
 // Polling errors (e.g. 409 conflict during a deploy overlap when two instances
 // poll at once) can arrive in a storm — throttle to at most one log per code per
@@ -182,95 +120,40 @@ bot.on('polling_error', (err) => {
     console.error(`⚠️  polling_error [${code}]: ${err && err.message ? err.message : err}`);
   }
 });
-const app = express();
-app.use(cors());
-app.set('trust proxy', 1);
-// Minimal security headers. Deliberately NO X-Frame-Options / restrictive
-// frame-ancestors — the game runs inside Telegram's in-app webview (framed).
-app.use((req, res, next) => {
-  res.set('X-Content-Type-Options', 'nosniff');
-  res.set('Referrer-Policy', 'no-referrer');
-  next();
-});
-// Body-size: tiny globally; only /api/share needs room for a base64 PNG upload
-// (a score-card PNG is well under 2mb — bounds the share relay).
-const smallJson = express.json({ limit: '64kb' });
-const largeJson = express.json({ limit: '2mb' });
-app.use((req, res, next) => (req.path === '/api/share' ? largeJson : smallJson)(req, res, next));
-
-// Simple rate limiter — per IP, 30 requests per minute
-const rateLimits = new Map();
-function rateLimit(limit = 30, windowMs = 60000) {
-  return (req, res, next) => {
-    const key = req.ip;
-    const now = Date.now();
-    // Bound the Map: evict the oldest key when at the ceiling (memory-DoS guard).
-    if (rateLimits.size >= MAX_RATE_KEYS && !rateLimits.has(key)) {
-      const oldest = rateLimits.keys().next().value;
-      if (oldest !== undefined) rateLimits.delete(oldest);
-    }
-    const entry = rateLimits.get(key) || { count: 0, resetAt: now + windowMs };
-    if (now > entry.resetAt) { entry.count = 0; entry.resetAt = now + windowMs; }
-    entry.count++;
-    rateLimits.set(key, entry);
-    if (entry.count > limit) return res.status(429).json({ error: 'Too many requests' });
-    next();
-  };
-}
-// Clean rate limit entries every 5 minutes
-setInterval(() => {
-  const now = Date.now();
-  for (const [key, entry] of rateLimits) {
-    if (now > entry.resetAt) rateLimits.delete(key);
-  }
-}, 5 * 60 * 1000);
 
-// Seed tournaments from config file (idempotent — INSERT OR IGNORE on id)
-const TOURNAMENTS_CONFIG_PATH = path.join(__dirname, 'tournaments.json');
-const seededTournaments = loadTournamentsFromFile(TOURNAMENTS_CONFIG_PATH);
-for (const t of seededTournaments) {
-  db.createTournament(t.id, t.name, t.sponsor, t.startTime, t.endTime);
-}
-console.log(`Loaded ${seededTournaments.length} tournament(s) from config`);
-
-// Config-by-id (incl. optional scoreResetAt/prizes) for the reset boundary + prize ladder.
-const tournamentConfigById = new Map(seededTournaments.map((t) => [t.id, t]));
-const tournamentSince = (id) => effectiveResetSince(tournamentConfigById.get(id)?.scoreResetAt, Date.now());
-const tournamentPrizes = (id) => tournamentConfigById.get(id)?.prizes || null;
-
-// One-time data cleanup: a prior deploy seeded a DUPLICATE April tournament
-// (`april-flapoff-2026`) alongside the canonical `april-fools-flapoff-2026` (the
-// one in tournaments.json, re-seeded above and KEPT), so "PAST TOURNAMENTS"
-// showed two April entries. Remove the orphan. Idempotent + self-healing: a
-// no-op once the row is gone, and it re-removes the orphan if a bad seed ever
-// recreates it. deleteTournament clears the orphan's child scores first (FK is ON).
-const _aprilDup = db.deleteTournament('april-flapoff-2026');
-if (_aprilDup.tournament > 0) {
-  console.log(`🧹  Removed duplicate tournament april-flapoff-2026 (+${_aprilDup.scores} orphan score row(s))`);
+
+// Bot-side equivalent: only a PRIVATE chat is "the player's own view" — a board
+// posted into a group must never reveal a shadow-banned member's scores.
+function privateViewer(msg) {
+  return msg && msg.chat && msg.chat.type === 'private' && msg.from ? msg.from.id : null;
 }
 
-console.log('🐕  Flappy Bert Bot starting…');
+// Recurring templates (lib/tournament-templates): occurrences that are live or
+// start within TEMPLATES.HORIZON_MS become ordinary tournament rows ahead of
+// time, so /api/tournaments/featured and /tournament see them with no deploy.
+// The file is optional: without it the bot materializes nothing (see FILES above).
+const TEMPLATES_CONFIG_PATH = path.join(__dirname, 'tournament-templates.json');
+const tournamentTemplates = loadTemplatesFromFile(TEMPLATES_CONFIG_PATH);
+if (tournamentTemplates.length) console.log(`Loaded ${tournamentTemplates.length} recurring tournament template(s)`);
 
-// ── Helper: time until next Monday 00:00 UTC ────────────────────────
-function getResetCountdown() {
-  const next = db.getNextMondayUTC();
-  const diff = next.getTime() - Date.now();
-  if (diff <= 0) return '0d 0h 0m';
-  const d = Math.floor(diff / 86400000);
-  const h = Math.floor((diff % 86400000) / 3600000);
-  const m = Math.floor((diff % 3600000) / 60000);
-  return `${d}d ${h}h ${m}m`;
+function materializeTemplates() {
+  try {
+    let created = 0;
+    for (const cfg of upcomingInstances(tournamentTemplates, Date.now())) {
+      if (db.insertTournament(tournamentToRow(cfg))) {
+        created++;
+        console.log(`🔁 Scheduled ${cfg.id} (${cfg.name}) ${cfg.startTime} → ${cfg.endTime}`);
+      }
+    }
+    if (created) reloadTournamentConfigs();
+  } catch (err) {
+    console.error('Template materialization error:', err.message);
+  }
 }
+materializeTemplates();
+setInterval(materializeTemplates, TEMPLATES.CHECK_MS);
 
-function getWeekLabel() {
-  const start = new Date(db.getWeekStart() + 'T00:00:00Z');
-  const end   = new Date(start);
-  end.setUTCDate(end.getUTCDate() + 6);
-  const fmt = (d) => d.toLocaleDateString('en-US', {
-    month: 'short', day: 'numeric', year: 'numeric', timeZone: 'UTC'
-  });
-  return `${fmt(start)} – ${fmt(end)}`;
-}
+console.log('🐕  Flappy Bert Bot starting…');
 
 // ── /start ──────────────────────────────────────────────────────────
 bot.onText(/\/start(?:\s+(\S+))?/, (msg, match) => {
@@ -278,6 +161,7 @@ bot.onText(/\/start(?:\s+(\S+))?/, (msg, match) => {
   const user   = msg.from;
 
   db.upsertPlayer(user.id, user.first_name, user.username);
+  db.setPlayerUnreachable(user.id, false);
 
   // Beat-My-Ghost: a "/start g_<id>_<score>" deep-link → personalized challenge.
   const challenge = match && match[1] ? parseGhost(match[1]) : null;
@@ -317,8 +201,20 @@ bot.onText(/\/start(?:\s+(\S+))?/, (msg, match) => {
   }), '/start welcome');
 });
 
+// Group boards (lib/group-board): /play, /leaderboard and /groupboard in a
+// group count the sender as one of its players.
+function trackGroup(msg) {
+  if (!isGroupChat(msg.chat) || !msg.from) return;
+  try {
+    db.trackGroupMember(msg.chat.id, msg.chat.title, msg.from.id);
+  } catch (err) {
+    console.error('Group tracking error:', err.message);
+  }
+}
+
 // ── /play ───────────────────────────────────────────────────────────
 bot.onText(/\/play/, (msg) => {
+  trackGroup(msg);
   safeSend(bot.sendMessage(msg.chat.id, '🎮 Tap below to play!', {
     reply_markup: {
       inline_keyboard: [[
@@ -328,12 +224,25 @@ bot.onText(/\/play/, (msg) => {
   }), '/play');
 });
 
+// ── /game — Telegram Game message ───────────────────────────────────
+// Unlike /play's web_app button, a game message works in any chat (and can be
+// forwarded) and keeps its own high-score table, fed from /api/score.
+bot.onText(/^\/game(?:@\w+)?$/, (msg) => {
+  trackGroup(msg);
+  if (!GAME_SHORT_NAME) {
+    safeSend(bot.sendMessage(msg.chat.id, '🎮 The game message isn\'t set up here yet — use /play.'), '/game unconfigured');
+    return;
+  }
+  safeSend(sendGameMessage(bot, msg.chat.id, GAME_SHORT_NAME), '/game');
+});
+
 // ── /leaderboard — sends an image card ──────────────────────────────
 bot.onText(/\/leaderboard/, async (msg) => {
   const chatId = msg.chat.id;
+  trackGroup(msg);
 
   try {
-    const entries = db.getWeeklyLeaderboard(50);
+    const entries = db.getWeeklyLeaderboard(50, privateViewer(msg));
     const pngBuffer = renderLeaderboardCard(entries, {
       highlightId: msg.from.id,
       resetIn:     getResetCountdown(),
@@ -359,6 +268,65 @@ bot.onText(/\/leaderboard/, async (msg) => {
   }
 });
 
+// ── /groupboard — this group's weekly board (image) ─────────────────
+bot.onText(/^\/groupboard(?:@\w+)?$/, async (msg) => {
+  const chatId = msg.chat.id;
+  if (!isGroupChat(msg.chat)) {
+    safeSend(bot.sendMessage(chatId, '👥 /groupboard works in group chats — add me to a group and use it there!'), '/groupboard private');
+    return;
+  }
+  trackGroup(msg);
+
+  try {
+    const entries = db.getGroupLeaderboard(chatId, 50);
+    if (entries.length === 0) {
+      safeSend(bot.sendMessage(chatId, [
+        '👥 Nobody in this group has a score this week yet.',
+        `${db.countGroupMembers(chatId)} player(s) tracked here — use /play to get on the board!`,
+      ].join('\n')), '/groupboard empty');
+      return;
+    }
+    const pngBuffer = renderLeaderboardCard(entries, {
+      highlightId: msg.from.id,
+      resetIn:     getResetCountdown(),
+      weekLabel:   getWeekLabel(),
+      subtitle:    groupBoardSubtitle(msg.chat.title),
+    });
+
+    await bot.sendPhoto(chatId, pngBuffer, {
+      caption: [
+        `👥 *${escapeMarkdown(msg.chat.title || 'Group')} — Weekly Leaderboard*`,
+        `📅 ${getWeekLabel()}`,
+        `⏱ Resets in ${getResetCountdown()}`,
+        '',
+        'Players who use /play or /leaderboard here show up on this board.',
+      ].join('\n'),
+      parse_mode: 'Markdown',
+    }, {
+      filename: 'groupboard.png',
+      contentType: 'image/png',
+    });
+  } catch (err) {
+    console.error('Group board error:', err);
+    safeSend(bot.sendMessage(chatId, '❌ Failed to generate the group board. Try again later.'), '/groupboard error');
+  }
+});
+
+// The bot was removed from a group: stop tracking it. In a DM, 'kicked' means
+// the player blocked the bot (queued sends skip them until they're back).
+bot.on('my_chat_member', (update) => {
+  const status = update.new_chat_member && update.new_chat_member.status;
+  if (update.chat && update.chat.type === 'private') {
+    db.setPlayerUnreachable(update.chat.id, status === 'kicked');
+    return;
+  }
+  if (!isGroupChat(update.chat)) return;
+  if (status === 'left' || status === 'kicked') {
+    db.forgetGroup(update.chat.id);
+    console.log(`👋 Removed from group ${update.chat.id} — group board dropped`);
+  }
+});
+
 // ── /mystats — personal stats image card ────────────────────────────
 bot.onText(/\/mystats/, async (msg) => {
   const chatId = msg.chat.id;
@@ -400,18 +368,150 @@ bot.onText(/\/mystats/, async (msg) => {
   }
 });
 
+// ── Inline mode — share cards and challenges in any chat ────────────
+// Each card is rendered and uploaded to CARD_CACHE_CHAT_ID once per content
+// fingerprint (lib/inline-share cardKey); the inline answer reuses the cached
+// file_id.
+const _cardUploads = new Map(); // cache key -> in-flight upload, so a burst of queries uploads once
+
+function inlineCardFileId(key, render) {
+  const hit = db.getCardFileId(key);
+  if (hit) return Promise.resolve(hit);
+  if (_cardUploads.has(key)) return _cardUploads.get(key);
+  const upload = Promise.resolve()
+    .then(() => bot.sendPhoto(CARD_CACHE_CHAT_ID, render(), { disable_notification: true }, {
+      filename: 'card.png',
+      contentType: 'image/png',
+    }))
+    .then((sent) => {
+      const fileId = sent.photo[sent.photo.length - 1].file_id;
+      db.saveCardFileId(key, fileId);
+      return fileId;
+    })
+    .catch((err) => {
+      console.error(`Inline card upload failed (${key}):`, err.message);
+      return null;
+    })
+    .finally(() => _cardUploads.delete(key));
+  _cardUploads.set(key, upload);
+  return upload;
+}
+
+function inlineStatsCard(player) {
+  const weekly  = db.getPlayerWeeklyBest(player.telegram_id);
+  const rank    = db.getPlayerRank(player.telegram_id);
+  const allTime = db.getAllTimeStats(player.telegram_id);
+  const statsData = {
+    best_score:    weekly?.best_score || 0,
+    games_played:  weekly?.games_played || 0,
+    max_level:     weekly?.max_level || 0,
+    all_time_best: allTime?.all_time_best || 0,
+  };
+  const shown = [player.first_name, player.username, player.coins, player.skin, player.badges, statsData, rank];
+  return {
+    id: 'stats',
+    key: cardKey('stats', player.telegram_id, shown),
+    render: () => renderPlayerCard(player, statsData, rank),
+    title: '📊 My stats',
+    description: `Weekly best ${statsData.best_score}${rank ? ` · rank #${rank}` : ''}`,
+    caption: `📊 ${player.first_name}'s Flappy Bert stats — can you beat them?`,
+  };
+}
+
+// Public view (no viewer): the card lands in someone else's chat.
+function inlineTopCard() {
+  const week = db.getWeekStart();
+  const entries = db.getWeeklyLeaderboard(INLINE_SHARE.TOP_N);
+  if (!entries.length) return null;
+  const weekLabel = getWeekLabel(week);
+  return {
+    id: 'top10',
+    key: cardKey('top10', week, entries),
+    render: () => renderLeaderboardCard(entries, { weekLabel }),
+    title: `🏆 This week's top ${INLINE_SHARE.TOP_N}`,
+    description: weekLabel,
+    caption: `🏆 Flappy Bert weekly top ${INLINE_SHARE.TOP_N} · ${weekLabel}`,
+  };
+}
+
+function inlineTournamentCard() {
+  const t = db.getActiveTournaments()[0];
+  if (!t) return null;
+  const rules = tournamentRules(t.id);
+  const entries = db.getTournamentLeaderboard(t.id, 50, tournamentSince(t.id), null, rules);
+  // No countdown on a shared card — it would change the fingerprint every minute.
+  const options = {
+    name: t.name,
+    sponsor: t.sponsor,
+    status: '🔴 LIVE',
+    stage: tournamentStageLabel(t.id),
+    prizes: tournamentPrizes(t.id),
+    rules: describeRules(rules),
+    scoreLabel: scoreLabel(rules),
+    branding: tournamentBranding(t.id),
+  };
+  return {
+    id: 'tournament',
+    key: cardKey('tournament', t.id, [entries, options]),
+    render: () => renderTournamentCard(entries, options),
+    title: `🏟 ${t.name}`,
+    description: `Live now · sponsored by ${t.sponsor}`,
+    caption: `🏟 ${t.name} — live now, sponsored by ${t.sponsor}`,
+  };
+}
+
+bot.on('inline_query', async (query) => {
+  try {
+    const from = query.from;
+    // Lookup only: anyone can type @FlappyBertBot, and a non-player gets the
+    // public cards without a players row being created for them.
+    const player = db.getPlayer(from.id);
+    // Like /api/share: a banned player can pass on the public cards only.
+    const own = player && !db.isBanned(from.id);
+
+    const cards = CARD_CACHE_CHAT_ID
+      ? [own ? inlineStatsCard(player) : null, inlineTopCard(), inlineTournamentCard()].filter(Boolean)
+      : [];
+    await Promise.all(cards.map(async (c) => { c.fileId = await inlineCardFileId(c.key, c.render); }));
+
+    let challenge = null;
+    if (own) {
+      const best = db.getPlayerWeeklyBest(from.id)?.best_score || db.getAllTimeStats(from.id)?.all_time_best || 0;
+      const link = challengeLink(botUsername, from.id, best);
+      if (link) challenge = { name: player.first_name || player.username, score: best, link };
+    }
+
+    await safeSend(bot.answerInlineQuery(query.id, buildInlineResults(cards, challenge), {
+      cache_time: INLINE_SHARE.CACHE_TIME_S,
+      is_personal: true,
+    }), 'inline_query');
+  } catch (err) {
+    console.error('Inline query error:', err);
+  }
+});
+
+// Drop file_ids no inline answer has used in a while.
+setInterval(() => {
+  try { db.pruneCardFileIds(INLINE_SHARE.FILE_ID_TTL_MS); } catch (err) { console.error('Card cache prune error:', err.message); }
+}, 60 * 60 * 1000);
+
 // ── /help ───────────────────────────────────────────────────────────
 bot.onText(/\/help/, (msg) => {
   safeSend(bot.sendMessage(msg.chat.id, [
     '🐕 *Flappy Bert Commands*',
     '',
     '🎮 /play — Launch the game',
+    '🕹 /game — Post a game message with its own high-score table',
     '🏆 /leaderboard — Weekly top 50 card',
+    '👥 /groupboard — This group\'s weekly board (in groups)',
     '📊 /mystats — Your personal stats card',
     '🏟 /tournament — Tournament leaderboard',
-    '📁 /history — Past weekly leaderboard CSVs',
+    '🥊 /bracket — Knockout tournament bracket',
+    '📁 /history — Past weekly + tournament CSVs (add weekly or tournament to filter)',
     '❓ /help — This message',
     '',
+    '💬 Type @' + escapeMarkdown(botUsername || 'FlappyBertBot') + ' in any chat to share your stats, the top 10 or a challenge',
+    '',
     '*How It Works:*',
     '• Tap to make Bert flap through pipes',
     '• Earn coins per pipe cleared + level bonuses',
@@ -421,35 +521,51 @@ bot.onText(/\/help/, (msg) => {
   ].join('\n'), { parse_mode: 'Markdown' }), '/help');
 });
 
-// ── Admin: /ban <telegram_id> — Remove cheater from all leaderboards ─
+// ── Admin: /ban, /shadowban <telegram_id> [duration] [reason] ───────
+// Bans HIDE a player's scores (db.HIDDEN_PLAYERS) instead of deleting them, so
+// temporary or mistaken bans are reversible; expiry is automatic. /shadowban keeps
+// accepting the player's scores and shows them only to the player, so a caught
+// cheater doesn't notice and rotate accounts. Args: lib/ban-command.js.
+// To delete scores for good, use POST /api/admin/remove-scores.
 const ADMIN_IDS = (process.env.ADMIN_IDS || '').split(',').map(Number).filter(Boolean);
 
-bot.onText(/\/ban(?:\s+(\d+))?/, (msg, match) => {
+bot.onText(/^\/(ban|shadowban)(?:\s+(.+))?$/, (msg, match) => {
   if (!ADMIN_IDS.includes(msg.from.id)) return;
-  
-  const targetId = match[1] ? parseInt(match[1]) : null;
-  if (!targetId) {
-    safeSend(bot.sendMessage(msg.chat.id, '⚠️ Usage: /ban <telegram_id>'), '/ban usage');
+  const shadow = match[1] === 'shadowban';
+  const cmd = '/' + match[1];
+
+  const args = parseBanArgs(match[2]);
+  if (!args.ok) {
+    const why = args.reason === 'bad_duration' ? 'Duration must be like 30m, 12h, 7d or 2w (max 5 years).\n' : '';
+    safeSend(bot.sendMessage(msg.chat.id, `⚠️ ${why}Usage: ${cmd} <telegram_id> [duration] [reason]`), `${cmd} usage`);
     return;
   }
 
   try {
-    // Permanently ban — blocks all future score submissions
-    db.banPlayer(targetId, 'banned by admin');
-
-    // Remove all existing scores + forged badges
-    db.removeAllPlayerScores(targetId);
-    db.updatePlayerBadges(targetId, []);
-    const tournaments = db.getAllTournaments();
-    tournaments.forEach(t => db.removeTournamentScores(targetId, t.id));
+    const { targetId, durationMs } = args;
+    const reason = args.reason || (shadow ? 'shadow-banned by admin' : 'banned by admin');
+    const expiresAt = durationMs == null ? null : Date.now() + durationMs;
+    db.banPlayer(targetId, reason, { expiresAt, mode: shadow ? 'shadow' : 'ban', bannedBy: msg.from.id });
+    const reviews = db.rejectPlayerReviews(targetId, msg.from.id);
 
     const player = db.getPlayer(targetId);
     const name = player ? player.first_name : 'Unknown';
+    const until = expiresAt == null ? 'permanently' : `for ${formatDuration(durationMs)} (until ${new Date(expiresAt).toISOString().slice(0, 16).replace('T', ' ')} UTC)`;
+    audit(tgActor(msg.from.id), shadow ? 'shadowban' : 'ban', targetId, 0,
+      { reason, duration: formatDuration(durationMs), expires_at: expiresAt == null ? null : new Date(expiresAt).toISOString(), reviews });
 
-    safeSend(bot.sendMessage(msg.chat.id, `🚫 Permanently banned *${escapeMarkdown(name)}* (${targetId})\n\nAll scores removed. Future submissions blocked.`, { parse_mode: 'Markdown' }), '/ban done');
-    console.log(`🚫 Admin ${msg.from.id} banned player ${targetId}`);
+    const effect = shadow
+      ? 'Their scores are still accepted but only they can see them.'
+      : 'Scores hidden from all boards. Future submissions blocked.';
+    safeSend(bot.sendMessage(msg.chat.id, [
+      `${shadow ? '👻 Shadow-banned' : '🚫 Banned'} *${escapeMarkdown(name)}* (${targetId}) ${until}`,
+      `Reason: ${escapeMarkdown(reason)}`,
+      '',
+      effect,
+    ].join('\n'), { parse_mode: 'Markdown' }), `${cmd} done`);
+    console.log(`${shadow ? '👻' : '🚫'} Admin ${msg.from.id} ${shadow ? 'shadow-banned' : 'banned'} player ${targetId} ${until}: ${reason}`);
   } catch(err) {
-    safeSend(bot.sendMessage(msg.chat.id, '❌ Error: ' + err.message), '/ban error');
+    safeSend(bot.sendMessage(msg.chat.id, '❌ Error: ' + err.message), `${cmd} error`);
   }
 });
 
@@ -463,15 +579,97 @@ bot.onText(/\/unban(?:\s+(\d+))?/, (msg, match) => {
   }
 
   try {
-    db.unbanPlayer(targetId);
+    const removed = db.unbanPlayer(targetId);
+    audit(tgActor(msg.from.id), 'unban', targetId, 0);
     const player = db.getPlayer(targetId);
     const name = player ? player.first_name : 'Unknown';
-    safeSend(bot.sendMessage(msg.chat.id, `✅ Unbanned *${escapeMarkdown(name)}* (${targetId})`, { parse_mode: 'Markdown' }), '/unban done');
+    safeSend(bot.sendMessage(msg.chat.id, removed
+      ? `✅ Unbanned *${escapeMarkdown(name)}* (${targetId}) — their scores are visible again.`
+      : `ℹ️ *${escapeMarkdown(name)}* (${targetId}) wasn't banned.`, { parse_mode: 'Markdown' }), '/unban done');
   } catch(err) {
     safeSend(bot.sendMessage(msg.chat.id, '❌ Error: ' + err.message), '/unban error');
   }
 });
 
+// ── Admin: /auditlog [target] — Recent destructive admin actions ─────
+// Optional target = player id / tournament id / week to answer "when were this
+// player's scores removed?" during a prize dispute.
+bot.onText(/^\/auditlog(?:@\w+)?(?:\s+(\S+))?$/, (msg, match) => {
+  if (!ADMIN_IDS.includes(msg.from.id)) return;
+
+  try {
+    const target = match[1] || null;
+    const rows = db.getAdminActions({ limit: 15, target });
+    if (rows.length === 0) {
+      safeSend(bot.sendMessage(msg.chat.id, target ? `📜 No admin actions recorded for ${target}.` : '📜 No admin actions recorded yet.'), '/auditlog empty');
+      return;
+    }
+    const lines = rows.map(a =>
+      `• ${a.created_at} — *${escapeMarkdown(a.action)}* ${escapeMarkdown(a.target || '')} ` +
+      `(${a.rows_affected} row${a.rows_affected === 1 ? '' : 's'}) by ${escapeMarkdown(a.actor)}`);
+    safeSend(bot.sendMessage(msg.chat.id, [
+      `📜 *Audit log*${target ? ` — ${escapeMarkdown(target)}` : ''} (newest first, UTC)`,
+      '',
+      ...lines,
+    ].join('\n'), { parse_mode: 'Markdown' }), '/auditlog');
+  } catch(err) {
+    safeSend(bot.sendMessage(msg.chat.id, '❌ Error: ' + err.message), '/auditlog error');
+  }
+});
+
+// ── Admin: /review — Suspicious-score queue (lib/suspicion) ──────────
+// One message per pending run with Approve/Reject buttons; the decision lands in
+// the callback_query handler below (review:approve:<id> / review:reject:<id>).
+const REVIEW_PAGE = 5;
+const REVIEW_REASON_TEXT = {
+  score_jump:    'sudden jump over their history',
+  near_pace_cap: 'pace near the points/sec ceiling',
+  cap_streak:    'repeated runs at the score cap',
+};
+
+function formatReview(r) {
+  const name = r.first_name || r.username || anonName(r.telegram_id);
+  const where = r.board === 'tournament' ? `tournament \`${escapeMarkdown(r.tournament_id)}\`` : `weekly ${r.week_start}`;
+  const reasons = r.reason.split(',').map(code => REVIEW_REASON_TEXT[code] || code).join('; ');
+  return [
+    `🔎 *Review #${r.id}* — ${where}`,
+    `👤 ${escapeMarkdown(name)} (${r.telegram_id})`,
+    `📊 Score: *${r.score}* · Level ${r.level}`,
+    `📈 Prior best: ${r.prior_best} over ${r.prior_games} game(s)`,
+    `⚠️ ${escapeMarkdown(reasons)}`,
+    `🕒 ${r.played_at} UTC`,
+  ].join('\n');
+}
+
+bot.onText(/^\/review(?:@\w+)?$/, async (msg) => {
+  if (!ADMIN_IDS.includes(msg.from.id)) return;
+
+  try {
+    const total = db.countPendingReviews();
+    if (total === 0) {
+      safeSend(bot.sendMessage(msg.chat.id, '✅ Review queue is empty.'), '/review empty');
+      return;
+    }
+    const pending = db.getPendingReviews(REVIEW_PAGE);
+    await safeSend(bot.sendMessage(msg.chat.id,
+      `🔎 ${total} score(s) awaiting review${total > pending.length ? ` — showing the oldest ${pending.length}` : ''}.`),
+      '/review header');
+    for (const r of pending) {
+      await safeSend(bot.sendMessage(msg.chat.id, formatReview(r), {
+        parse_mode: 'Markdown',
+        reply_markup: {
+          inline_keyboard: [[
+            { text: '✅ Approve', callback_data: `review:approve:${r.id}` },
+            { text: '❌ Reject', callback_data: `review:reject:${r.id}` },
+          ]]
+        }
+      }), '/review item');
+    }
+  } catch(err) {
+    safeSend(bot.sendMessage(msg.chat.id, '❌ Error: ' + err.message), '/review error');
+  }
+});
+
 // Guarded (FIX 3): `/resettournament <tournament_id> CONFIRM`. This hard-DELETEs a
 // tournament's scores, so — mid a LIVE cash-prize race — it will only fire when an
 // EXACT known id and the literal keyword CONFIRM are both present. Anything else
@@ -486,9 +684,9 @@ bot.onText(/^\/resettournament(?:\s+(.+))?$/, (msg, match) => {
     const decision = parseResetCommand(match && match[1], known);
 
     if (decision.action === 'reset') {
-      const before = db.countTournamentScores(decision.id);
-      db.resetTournamentScores(decision.id);
-      safeSend(bot.sendMessage(msg.chat.id, `🗑 Tournament scores wiped for \`${escapeMarkdown(decision.id)}\` — ${before} score row(s) deleted.`, { parse_mode: 'Markdown' }), '/resettournament done');
+      const before = db.resetTournamentScores(decision.id);
+      audit(tgActor(msg.from.id), 'reset_tournament', decision.id, before);
+      safeSend(bot.sendMessage(msg.chat.id, `🗑 Tournament scores wiped for \`${escapeMarkdown(decision.id)}\` — ${before} score row(s) deleted.${before ? ' The board was archived first — see /history tournament.' : ''}`, { parse_mode: 'Markdown' }), '/resettournament done');
       console.log(`🗑 Admin ${msg.from.id} reset tournament scores for ${decision.id} (${before} rows)`);
       return;
     }
@@ -517,21 +715,299 @@ bot.onText(/^\/resettournament(?:\s+(.+))?$/, (msg, match) => {
   }
 });
 
-// ── /history — Send past leaderboard CSVs ────────────────────────────
-bot.onText(/\/history/, async (msg) => {
-  const archives = db.getArchiveList();
-  
+// ── Admin: /broadcast ───────────────────────────────────────────────
+// Two steps, like /resettournament: the first command stores a draft and sends
+// the admin the message exactly as players will get it (which also proves the
+// Markdown parses), plus the audience size; `/broadcast CONFIRM <id>` queues it
+// on the send queue. The reporter below DMs delivered / blocked / failed counts
+// once every message has settled. Parsing: lib/broadcast.js.
+const BROADCAST_USAGE = [
+  '*Usage:*',
+  '`/broadcast <audience> [play]`',
+  '`<Markdown message on the following lines>`',
+  '',
+  '*Audiences:* `all` · `active <days>` · `tournament <id>` · `top <n>` (this week)',
+  '`play` adds a Play button. Then `/broadcast CONFIRM <draft id>` to send.',
+].join('\n');
+
+bot.onText(/^\/broadcast(?:\s+([\s\S]+))?$/, async (msg, match) => {
+  if (!ADMIN_IDS.includes(msg.from.id)) return;
+
+  try {
+    const decision = parseBroadcastCommand(match && match[1], db.getAllTournaments().map(t => t.id));
+
+    if (decision.action === 'draft') {
+      const recipients = db.getBroadcastAudience(decision.audience).length;
+      try {
+        await bot.sendMessage(msg.chat.id, decision.text, broadcastOptions(decision.play, WEBAPP_URL));
+      } catch (err) {
+        safeSend(bot.sendMessage(msg.chat.id, `⚠️ Telegram rejected the message (${err.message}). Nothing was saved — check the Markdown and try again.`), '/broadcast preview failed');
+        return;
+      }
+      const id = db.createBroadcastDraft({
+        createdBy: msg.from.id, chatId: msg.chat.id, audience: decision.audience, text: decision.text, play: decision.play,
+      });
+      safeSend(bot.sendMessage(msg.chat.id, [
+        `👆 *Broadcast #${id} preview* — ${escapeMarkdown(describeAudience(decision.audience))}, ${recipients} player(s) right now.`,
+        '',
+        `Send it with \`/broadcast CONFIRM ${id}\` within ${BROADCAST.DRAFT_TTL_MS / 60000} minutes. Nothing is sent until then.`,
+      ].join('\n'), { parse_mode: 'Markdown' }), '/broadcast preview');
+      return;
+    }
+
+    if (decision.action === 'confirm') {
+      const draft = db.getBroadcast(decision.id);
+      const refused = confirmRejection(draft, msg.from.id);
+      const recipients = refused ? [] : db.getBroadcastAudience(draft.audience);
+      if (!refused && recipients.length && db.startBroadcast(draft.id, broadcastJobs(draft, recipients, WEBAPP_URL))) {
+        audit(tgActor(msg.from.id), 'broadcast', draft.id, recipients.length, { audience: draft.audience, play: draft.play });
+        safeSend(bot.sendMessage(msg.chat.id, `📣 Broadcast #${draft.id} queued for ${recipients.length} player(s). You'll get the delivery counts when it's done.`), '/broadcast queued');
+        console.log(`📣 Admin ${msg.from.id} started broadcast #${draft.id} (${recipients.length} recipients)`);
+        return;
+      }
+      const why = {
+        unknown_draft: `There is no broadcast #${decision.id}.`,
+        not_yours:     `Broadcast #${decision.id} is another admin's draft.`,
+        already_sent:  `Broadcast #${decision.id} was already sent.`,
+        expired:       `Broadcast #${decision.id} has expired — send the command again for a new preview.`,
+        no_recipients: `Broadcast #${decision.id} has no recipients.`,
+      }[refused || (recipients.length ? 'already_sent' : 'no_recipients')];
+      safeSend(bot.sendMessage(msg.chat.id, `⚠️ ${why} Nothing was sent.`), '/broadcast refused');
+      return;
+    }
+
+    const why = {
+      missing_args:       'No audience given.',
+      unknown_audience:   `Unknown audience: \`${escapeMarkdown(String(decision.value))}\`.`,
+      bad_number:         `Expected a number of days (1–${BROADCAST.MAX_DAYS}) or players (1–${BROADCAST.MAX_TOP}).`,
+      unknown_tournament: `Unknown tournament id: \`${escapeMarkdown(String(decision.value))}\`.`,
+      extra_args:         `Unexpected \`${escapeMarkdown(String(decision.value))}\` — the message goes on the next line.`,
+      missing_text:       'No message — write it on the lines after the command.',
+      text_too_long:      `The message is ${decision.value} characters; the limit is ${BROADCAST.MAX_TEXT}.`,
+      bad_draft_id:       'Expected `/broadcast CONFIRM <draft id>`.',
+    }[decision.reason] || 'Invalid command.';
+
+    safeSend(bot.sendMessage(msg.chat.id, `⚠️ ${why} Nothing was sent.\n\n${BROADCAST_USAGE}`, { parse_mode: 'Markdown' }), '/broadcast usage');
+  } catch(err) {
+    safeSend(bot.sendMessage(msg.chat.id, '❌ Error: ' + err.message), '/broadcast error');
+  }
+});
+
+// Report each confirmed broadcast once none of its messages is pending.
+function reportBroadcasts() {
+  try {
+    for (const b of db.getUnreportedBroadcasts()) {
+      const counts = db.getBroadcastProgress(b.id);
+      if (counts.pending > 0 || !db.finishBroadcast(b.id, counts)) continue;
+      safeSend(outbound.sendMessage(b.chat_id, formatBroadcastReport(b.id, counts), { parse_mode: 'Markdown' }), 'broadcast report');
+      console.log(`📣 Broadcast #${b.id} done: ${counts.delivered} delivered, ${counts.blocked} blocked, ${counts.failed} failed`);
+    }
+  } catch (err) {
+    console.error('Broadcast report error:', err.message);
+  }
+}
+setInterval(reportBroadcasts, BROADCAST.REPORT_MS);
+
+// ── Admin: runtime tournament management ────────────────────────────
+// /tnew, /tedit, /tend, /tprizes write the tournaments table (validateTournament
+// rules via lib/tournament-admin.js) and rebuild tournamentConfigById — no
+// tournaments.json edit or redeploy needed. /tend needs CONFIRM like
+// /resettournament: it ends a live (possibly cash-prize) race on the spot.
+const TOURNAMENT_USAGE = {
+  tnew:    '/tnew <id> | <name> | <sponsor> | <start ISO> | <end ISO>',
+  tedit:   '/tedit <id> <name|sponsor|start|end|reset|samecourse|courseseed> <value>',
+  tend:    '/tend <id> CONFIRM',
+  tprizes: '/tprizes <id> <1st> <2nd> … | none',
+};
+
+function formatTournamentConfig(t) {
+  return [
+    `🏟 *${escapeMarkdown(t.name)}* (\`${escapeMarkdown(t.id)}\`)`,
+    `Sponsor: ${escapeMarkdown(t.sponsor)}`,
+    `Window: ${t.startTime} → ${t.endTime}`,
+    t.scoreResetAt ? `Score reset: ${t.scoreResetAt}` : null,
+    t.prizes ? `Prizes: ${t.prizes.map(p => '$' + p).join(' / ')}` : null,
+    t.sameCourse ? `Same course for everyone${t.courseSeed != null ? ` (seed ${t.courseSeed})` : ''}` : null,
+  ].filter(Boolean).join('\n');
+}
+
+bot.onText(/^\/(tnew|tedit|tend|tprizes)(?:\s+([\s\S]+))?$/, (msg, match) => {
+  if (!ADMIN_IDS.includes(msg.from.id)) return;
+  const cmd = match[1];
+
+  try {
+    const plan = planTournamentCommand(cmd, match[2], tournamentConfigById, new Date(), db.hasTournamentResults);
+    if (!plan.ok) {
+      const id = plan.id ? `\`${escapeMarkdown(plan.id)}\`` : '';
+      const why = {
+        usage:           'Missing arguments.',
+        bad_id:          `Invalid id ${id} — use lowercase letters, digits and dashes.`,
+        exists:          `Tournament ${id} already exists — use /tedit.`,
+        retired:         `Tournament ${id} was deleted after its results were recorded — pick a new id.`,
+        unknown_id:      `Unknown tournament id ${id}.`,
+        bad_date:        'Dates must be ISO, e.g. `2026-10-01T00:00:00Z`.',
+        bad_field:       'Unknown field.',
+        bad_value:       'Invalid value for that field.',
+        missing_confirm: 'Missing the `CONFIRM` keyword.',
+        not_live:        `Tournament ${id} isn't live — use /tedit to move its end.`,
+        invalid:         'That would make the tournament invalid (check the window, reset time and prizes).',
+      }[plan.reason] || 'Invalid command.';
+      safeSend(bot.sendMessage(msg.chat.id, `⚠️ ${why} Nothing was changed.\n\n*Usage:* \`${TOURNAMENT_USAGE[cmd]}\``, { parse_mode: 'Markdown' }), `/${cmd} usage`);
+      return;
+    }
+
+    // Results are final once recorded: only cosmetic edits after close-out.
+    const before = tournamentConfigById.get(plan.config.id);
+    if (before && db.getFinalStandings(plan.config.id) && changesResults(before, plan.config)) {
+      safeSend(bot.sendMessage(msg.chat.id, `⚠️ \`${escapeMarkdown(plan.config.id)}\` is closed and its results are recorded — only name and sponsor can change. Nothing was changed.`, { parse_mode: 'Markdown' }), `/${cmd} closed`);
+      return;
+    }
+
+    db.saveTournament(tournamentToRow(plan.config), msg.from.id);
+    reloadTournamentConfigs();
+    audit(tgActor(msg.from.id), cmd, plan.config.id, 0, { config: plan.config });
+
+    safeSend(bot.sendMessage(msg.chat.id, [
+      plan.created ? '✅ Tournament created' : (cmd === 'tend' ? '🏁 Tournament ended' : '✅ Tournament updated'),
+      '',
+      formatTournamentConfig(plan.config),
+    ].join('\n'), { parse_mode: 'Markdown' }), `/${cmd} done`);
+    console.log(`🏟 Admin ${msg.from.id} ran /${cmd} on ${plan.config.id}`);
+  } catch(err) {
+    safeSend(bot.sendMessage(msg.chat.id, '❌ Error: ' + err.message), `/${cmd} error`);
+  }
+});
+
+// ── Admin: recorded results + prize payouts ─────────────────────────
+// tournament_results is written once at close-out; /payout only moves a prize
+// row's payout status (pending → sent / void), and every change is audited.
+const PAYOUT_ICONS = { pending: '⏳', sent: '✅', void: '🚫' };
+
+bot.onText(/^\/results(?:\s+(\S+))?$/, async (msg, match) => {
+  if (!ADMIN_IDS.includes(msg.from.id)) return;
+  const tid = match[1];
+  if (!tid) {
+    safeSend(bot.sendMessage(msg.chat.id, 'Usage: `/results <tournament_id>`', { parse_mode: 'Markdown' }), '/results usage');
+    return;
+  }
+
+  const results = db.getTournamentResults(tid);
+  if (results.length === 0) {
+    safeSend(bot.sendMessage(msg.chat.id, `No recorded results for \`${escapeMarkdown(tid)}\` — it hasn't closed yet.`, { parse_mode: 'Markdown' }), '/results none');
+    return;
+  }
+
+  const prizeRows = results.filter(r => r.prize != null).map(r =>
+    `${PAYOUT_ICONS[r.payout_status] || '•'} #${r.rank} ${escapeMarkdown(r.first_name)} — ${r.score} — $${r.prize} (${r.payout_status})` +
+    (r.payout_note ? `\n      _${escapeMarkdown(r.payout_note)}_` : ''));
+  await safeSend(bot.sendMessage(msg.chat.id, [
+    `🏁 *Results: ${escapeMarkdown(tid)}* — ${results.length} player(s)`,
+    '',
+    ...(prizeRows.length ? prizeRows : ['No prize ladder.']),
+    '',
+    'Update with `/payout <id> <rank> <pending|sent|void> [note]`',
+  ].join('\n'), { parse_mode: 'Markdown' }), '/results summary');
+  await safeSend(bot.sendDocument(msg.chat.id, Buffer.from(resultsToCsv(results, csvCell), 'utf8'), {}, {
+    filename: `results-${tid}.csv`,
+    contentType: 'text/csv',
+  }), '/results document');
+});
+
+bot.onText(/^\/payout(?:\s+([\s\S]+))?$/, (msg, match) => {
+  if (!ADMIN_IDS.includes(msg.from.id)) return;
+  const args = parsePayoutArgs(match[1]);
+  if (!args.ok) {
+    safeSend(bot.sendMessage(msg.chat.id, 'Usage: `/payout <tournament_id> <rank> <pending|sent|void> [note]`', { parse_mode: 'Markdown' }), '/payout usage');
+    return;
+  }
+
+  try {
+    const actor = tgActor(msg.from.id);
+    const rows = db.setPayoutStatus(args.tournamentId, args.rank, args.status, args.note, actor);
+    if (!rows) {
+      safeSend(bot.sendMessage(msg.chat.id, `⚠️ No prize for #${args.rank} in \`${escapeMarkdown(args.tournamentId)}\`. Check /results.`, { parse_mode: 'Markdown' }), '/payout missing');
+      return;
+    }
+    audit(actor, 'payout', args.tournamentId, rows, { rank: args.rank, status: args.status, note: args.note });
+    safeSend(bot.sendMessage(msg.chat.id,
+      `${PAYOUT_ICONS[args.status]} Payout for #${args.rank} in \`${escapeMarkdown(args.tournamentId)}\` marked *${args.status}*.`,
+      { parse_mode: 'Markdown' }), '/payout done');
+  } catch(err) {
+    safeSend(bot.sendMessage(msg.chat.id, '❌ Error: ' + err.message), '/payout error');
+  }
+});
+
+// ── Admin: sponsor participation report ─────────────────────────────
+// core.tournamentReport → PNG card + CSV to the admin's chat.
+bot.onText(/^\/treport(?:\s+(\S+))?$/, async (msg, match) => {
+  if (!ADMIN_IDS.includes(msg.from.id)) return;
+  const tid = match[1];
+  if (!tid) {
+    safeSend(bot.sendMessage(msg.chat.id, 'Usage: `/treport <tournament_id>`', { parse_mode: 'Markdown' }), '/treport usage');
+    return;
+  }
+  const report = tournamentReport(tid);
+  if (!report) {
+    safeSend(bot.sendMessage(msg.chat.id, `❌ No tournament \`${escapeMarkdown(tid)}\`.`, { parse_mode: 'Markdown' }), '/treport missing');
+    return;
+  }
+
+  const caption = [
+    `📊 *${escapeMarkdown(report.tournament.name)}* — sponsor report`,
+    `👥 ${report.uniquePlayers} player(s) · 🎮 ${report.totalRuns} run(s) · 🆕 ${report.newPlayers} new player(s)`,
+  ].join('\n');
+  try {
+    const png = renderReportCard(report, { branding: tournamentBranding(tid) });
+    await safeSend(bot.sendPhoto(msg.chat.id, png, { caption, parse_mode: 'Markdown' }, {
+      filename: reportFilename(tid, 'png'), contentType: 'image/png',
+    }), '/treport card');
+  } catch (err) {
+    console.error(`Report card render failed (${tid}):`, err.message);
+    await safeSend(bot.sendMessage(msg.chat.id, caption, { parse_mode: 'Markdown' }), '/treport summary');
+  }
+  await safeSend(bot.sendDocument(msg.chat.id, Buffer.from(reportToCsv(report, csvCell), 'utf8'), {}, {
+    filename: reportFilename(tid, 'csv'), contentType: 'text/csv',
+  }), '/treport document');
+});
+
+// ── /history [weekly|tournament] — Send past leaderboard CSVs ───────
+const ARCHIVE_LABEL = (a) => a.type === 'weekly'
+  ? `📅 ${a.week}`
+  : `🏟 ${a.tournamentId}${a.snapshot ? ` (before ${a.snapshot === 'reset' ? 'reset' : 'deletion'})` : ''}`;
+
+bot.onText(/^\/history(?:\s+(\S+))?$/, async (msg, match) => {
+  const type = parseArchiveType(match && match[1]);
+  if (type === undefined) {
+    safeSend(bot.sendMessage(msg.chat.id, 'Usage: `/history [weekly|tournament]`', { parse_mode: 'Markdown' }), '/history usage');
+    return;
+  }
+  const archives = db.getArchiveList(type);
+
   if (archives.length === 0) {
-    safeSend(bot.sendMessage(msg.chat.id, '📁 No archived leaderboards yet. Archives are saved each Monday at reset.'), '/history empty');
+    const none = {
+      weekly: '📁 No archived weekly leaderboards yet. Archives are saved each Monday at reset.',
+      tournament: '📁 No archived tournaments yet. A tournament is archived when it closes.',
+    }[type] || '📁 No archived leaderboards yet. Archives are saved each Monday at reset and when a tournament closes.';
+    safeSend(bot.sendMessage(msg.chat.id, none), '/history empty');
     return;
   }
 
   // Send the most recent archive as a file
   const latest = archives[0];
-  const filepath = db.getArchivePath(latest.week);
+  const filepath = latest.type === 'weekly' ? db.getArchivePath(latest.week) : db.getTournamentArchivePath(latest.key);
 
   if (filepath) {
-    const caption = `📁 *Archived Leaderboards*\n\nSending most recent: \`${latest.week}\`\n\n${archives.length} total archive(s):\n${archives.map(a => `• ${a.week}`).join('\n')}`;
+    const shown = archives.slice(0, 30);
+    const caption = [
+      `📁 *Archived Leaderboards*${type ? ` (${type})` : ''}`,
+      '',
+      `Sending most recent: \`${escapeMarkdown(latest.type === 'weekly' ? latest.week : latest.key)}\``,
+      '',
+      `${archives.length} total archive(s):`,
+      ...shown.map(a => `• ${escapeMarkdown(ARCHIVE_LABEL(a))}`),
+      ...(archives.length > shown.length ? [`…and ${archives.length - shown.length} more`] : []),
+      ...(type ? [] : ['', 'Filter with `/history weekly` or `/history tournament`.']),
+    ].join('\n');
 
     await safeSend(bot.sendMessage(msg.chat.id, caption, { parse_mode: 'Markdown' }), '/history caption');
     await safeSend(bot.sendDocument(msg.chat.id, filepath, {}, {
@@ -604,22 +1080,47 @@ bot.onText(/^\/tournament(?:\s+(.+))?$/, async (msg, match) => {
   }
 
   try {
+    // A closed tournament shows the standings frozen (and announced) at close-out.
     const since = tournamentSince(chosen.id);
-    const entries = db.getTournamentLeaderboard(chosen.id, 50, since);
+    const frozen = db.getFinalStandings(chosen.id);
+    const rules = tournamentRules(chosen.id);
+    const entries = frozen ? frozen.slice(0, 50) : db.getTournamentLeaderboard(chosen.id, 50, since, privateViewer(msg), rules);
+    const stageText = frozen ? null : tournamentStageLabel(chosen.id);
     const pngBuffer = renderTournamentCard(entries, {
       name: chosen.name,
       sponsor: chosen.sponsor,
       status: statusText,
+      stage: stageText,
       highlightId: msg.from.id,
       prizes: tournamentPrizes(chosen.id),
+      rules: describeRules(rules),
+      scoreLabel: scoreLabel(rules),
+      branding: tournamentBranding(chosen.id),
     });
 
-    const rank = db.getTournamentPlayerRank(chosen.id, msg.from.id, since);
+    const rank = frozen
+      ? (frozen.find(e => e.telegram_id === msg.from.id) || {}).rank
+      : db.getTournamentPlayerRank(chosen.id, msg.from.id, since, rules);
     const rankText = rank ? `\n🏅 Your rank: #${rank}` : '';
+    const cfg = tournamentConfigById.get(chosen.id);
+    const joinOpen = cfg && !registrationClosedReason(cfg, Date.now());
+    const joined = db.isRegistered(chosen.id, msg.from.id);
+    const entryText = (cfg && chosen.status !== 'ended'
+      ? `\n🎟 ${describeRegistration(cfg, db.countEntries(chosen.id))}${joined ? " — you're in" : ''}`
+      : '') + (cfg && cfg.bracket ? '\n🥊 Knockout format — see /bracket' : '');
+    const branding = tournamentBranding(chosen.id);
+    const taglineText = branding?.tagline ? `\n_${escapeMarkdown(branding.tagline)}_` : '';
+    // Sponsor link (branding.url) sits next to JOIN.
+    const buttons = [];
+    if (joinOpen && (!joined || msg.chat.type !== 'private')) buttons.push({ text: '🎟 JOIN', callback_data: `tjoin:${chosen.id}` });
+    const cta = brandingCta(branding, chosen.sponsor);
+    if (cta) buttons.push({ text: cta.text, url: cta.url });
 
     await bot.sendPhoto(chatId, pngBuffer, {
-      caption: `🏟 *${escapeMarkdown(chosen.name)}*\nSponsored by ${escapeMarkdown(chosen.sponsor)}\n\n${statusText}${rankText}\n\nUse /play to compete!`,
+      caption: `🏟 *${escapeMarkdown(chosen.name)}*\nSponsored by ${escapeMarkdown(chosen.sponsor)}${taglineText}\n\n${statusText}${stageText ? `\n🪜 ${escapeMarkdown(stageText)}` : ''}${rules ? `\n📐 ${describeRules(rules)}` : ''}${entryText}${rankText}\n\n${joinOpen && !joined ? 'Tap JOIN to enter, then /play to compete!' : 'Use /play to compete!'}`,
       parse_mode: 'Markdown',
+      // In a group the JOIN button serves whoever taps it, so show it while joining is open.
+      ...(buttons.length ? { reply_markup: { inline_keyboard: [buttons] } } : {}),
     }, {
       filename: 'tournament.png',
       contentType: 'image/png',
@@ -630,6 +1131,46 @@ bot.onText(/^\/tournament(?:\s+(.+))?$/, async (msg, match) => {
   }
 });
 
+// ── /bracket [id] — Knockout bracket card ───────────────────────────
+// Defaults to the live knockout tournament, else the most recent one.
+bot.onText(/^\/bracket(?:\s+(\S+))?$/, async (msg, match) => {
+  const chatId = msg.chat.id;
+  const arg = (match && match[1] || '').trim().toLowerCase();
+  const now = Date.now();
+  const knockouts = [...tournamentConfigById.values()].filter(t => t.bracket)
+    .sort((a, b) => Date.parse(b.startTime) - Date.parse(a.startTime));
+  const cfg = arg
+    ? knockouts.find(t => t.id.toLowerCase() === arg)
+    : knockouts.find(t => Date.parse(t.startTime) <= now && now <= Date.parse(t.endTime)) || knockouts[0];
+  if (!cfg) {
+    safeSend(bot.sendMessage(chatId, arg ? `🥊 No knockout tournament "${arg}".` : '🥊 No knockout tournaments yet.'), '/bracket none');
+    return;
+  }
+
+  const matches = db.getBracket(cfg.id);
+  if (!matches.length) {
+    const when = new Date(cfg.startTime).toUTCString().replace(' GMT', ' UTC');
+    safeSend(bot.sendMessage(chatId, `🥊 *${escapeMarkdown(cfg.name)}* is seeded at the start (${when}).\n🎟 ${describeRegistration(cfg, db.countEntries(cfg.id))}`, { parse_mode: 'Markdown' }), '/bracket unseeded');
+    return;
+  }
+
+  try {
+    const status = playerBracketStatus(matches, msg.from.id);
+    const png = renderBracketCard(matches, {
+      name: cfg.name, sponsor: cfg.sponsor, highlightId: msg.from.id,
+      status: now > Date.parse(cfg.endTime) ? '🏁 Final bracket' : '🔴 LIVE',
+    });
+    const statusText = status === 'alive' ? "\n✅ You're still in!" : status === 'eliminated' ? '\n❌ You were knocked out.' : '';
+    await bot.sendPhoto(chatId, png, {
+      caption: `🥊 *${escapeMarkdown(cfg.name)}*\nSponsored by ${escapeMarkdown(cfg.sponsor)}${statusText}`,
+      parse_mode: 'Markdown',
+    }, { filename: 'bracket.png', contentType: 'image/png' });
+  } catch (err) {
+    console.error('Bracket card render failed:', err.message);
+    safeSend(bot.sendMessage(chatId, '❌ Failed to generate the bracket.'), '/bracket error');
+  }
+});
+
 // ── Handle WebApp data (sent when game ends) ────────────────────────
 bot.on('web_app_data', (msg) => {
   try {
@@ -668,10 +1209,69 @@ bot.on('web_app_data', (msg) => {
 
 // ── Callback query handler ──────────────────────────────────────────
 bot.on('callback_query', async (query) => {
+  // Telegram Game "Play" button: no data, just the game's short name.
+  if (query.game_short_name) {
+    const answer = answerGameLaunch(bot, query, { shortName: GAME_SHORT_NAME, webappUrl: WEBAPP_URL, secret: GAME_SECRET })
+      || bot.answerCallbackQuery(query.id, { text: 'Unknown game.' });
+    await safeSend(answer, 'callback game launch');
+    return;
+  }
+  const review = /^review:(approve|reject):(\d+)$/.exec(query.data || '');
+  if (review) {
+    if (!ADMIN_IDS.includes(query.from.id)) {
+      await safeSend(bot.answerCallbackQuery(query.id, { text: 'Admins only.' }), 'callback review denied');
+      return;
+    }
+    try {
+      const approve = review[1] === 'approve';
+      const r = db.resolveReview(Number(review[2]), approve, query.from.id);
+      if (!r) {
+        await safeSend(bot.answerCallbackQuery(query.id, { text: 'Already resolved.' }), 'callback review stale');
+        return;
+      }
+      if (r.refused) {
+        const why = {
+          tournament_closed: 'This tournament has closed and its results are final — reject the run instead.',
+          week_archived:     'That week has been archived and its results are final — reject the run instead.',
+        }[r.refused] || 'Cannot approve this run.';
+        await safeSend(bot.answerCallbackQuery(query.id, { text: why, show_alert: true }), 'callback review refused');
+        return;
+      }
+      audit(tgActor(query.from.id), approve ? 'review_approve' : 'review_reject', r.telegram_id, approve ? 1 : 0,
+        { review_id: r.id, board: r.board, tournament_id: r.tournament_id, score: r.score });
+      await safeSend(bot.answerCallbackQuery(query.id, { text: approve ? 'Approved' : 'Rejected' }), 'callback review answer');
+      const p = db.getPlayer(r.telegram_id) || {};
+      await safeSend(bot.editMessageText(
+        formatReview({ ...r, first_name: p.first_name, username: p.username }) + `\n\n${approve ? '✅ *Approved*' : '❌ *Rejected*'} by ${query.from.id}`,
+        { chat_id: query.message.chat.id, message_id: query.message.message_id, parse_mode: 'Markdown' }
+      ), 'callback review edit');
+      console.log(`🔎 Admin ${query.from.id} ${approve ? 'approved' : 'rejected'} review #${r.id} [${r.telegram_id}] score=${r.score}`);
+    } catch (err) {
+      console.error('Callback review error:', err);
+    }
+    return;
+  }
+
+  const join = /^tjoin:(.+)$/.exec(query.data || '');
+  if (join) {
+    try {
+      db.upsertPlayer(query.from.id, query.from.first_name || anonName(query.from.id), query.from.username || null);
+      const r = tryJoinTournament(join[1], query.from.id);
+      const name = tournamentConfigById.get(join[1])?.name || join[1];
+      const text = r.ok
+        ? `🎟 You're in ${name}!${r.feePaid ? ` ${r.feePaid} coins paid (${r.coins} left).` : ''} Use /play to compete.`
+        : (JOIN_ERRORS[r.reason] || 'Could not join this tournament.');
+      await safeSend(bot.answerCallbackQuery(query.id, { text, show_alert: true }), 'callback tjoin answer');
+    } catch (err) {
+      console.error('Callback join error:', err);
+    }
+    return;
+  }
+
   if (query.data === 'show_leaderboard') {
     await safeSend(bot.answerCallbackQuery(query.id), 'callback answer');
     try {
-      const entries = db.getWeeklyLeaderboard(50);
+      const entries = db.getWeeklyLeaderboard(50, privateViewer({ chat: query.message.chat, from: query.from }));
       const pngBuffer = renderLeaderboardCard(entries, {
         highlightId: query.from.id,
         resetIn:     getResetCountdown(),
@@ -689,442 +1289,21 @@ bot.on('callback_query', async (query) => {
   }
 });
 
-// ═══════════════════════════════════════════════════════════════════
-//  REST API — so the Mini App can submit scores directly via HTTP
-// ═══════════════════════════════════════════════════════════════════
-
-// Middleware: API secret check — fail-closed when API_SECRET is unset so
-// admin endpoints can never be hit by an unauthenticated caller.
-function authMiddleware(req, res, next) {
-  if (!API_SECRET) {
-    return res.status(503).json({ error: 'Admin endpoints disabled (API_SECRET not configured)' });
-  }
-  const provided = Buffer.from(String(req.headers['x-api-secret'] || ''));
-  const expected = Buffer.from(API_SECRET);
-  if (provided.length !== expected.length || !crypto.timingSafeEqual(provided, expected)) {
-    return res.status(401).json({ error: 'Unauthorized' });
-  }
-  next();
-}
-
-// POST /api/session — Start a game session (called when game starts)
-app.post('/api/session', rateLimit(10, 60000), (req, res) => {
-  const verified = requireVerifiedUser(req, res);
-  if (!verified) return;
-
-  boundSessions();
-  const sessionId = generateSessionId();
-  gameSessions.set(sessionId, {
-    id: sessionId,
-    telegramId: verified.id,
-    startedAt: Date.now(),
-    usedWeekly: false,
-    usedTournament: false,
-  });
-
-  res.json({ session_id: sessionId, server_time: Date.now() });
-});
-
-// POST /api/score
-// Body: { init_data (required), score, level, coins_earned, session_id, badges? }
-// Identity (telegram_id / first_name / username) is derived from the verified init_data.
-app.post('/api/score', rateLimit(10, 60000), (req, res) => {
-  try {
-    const verified = requireVerifiedUser(req, res);
-    if (!verified) return;
-    const telegram_id = verified.id;
-
-    const { score, level, coins_earned, session_id, badges } = req.body;
-    if (score == null) {
-      return res.status(400).json({ error: 'score is required' });
-    }
-
-    // Check if player is banned (by verified identity)
-    if (db.isBanned(telegram_id)) {
-      return res.status(403).json({ error: 'Player is banned' });
-    }
-
-    // Session must belong to this verified user
-    const session = gameSessions.get(session_id);
-    if (session && session.telegramId !== telegram_id) {
-      console.log(`⚠️  Session hijack attempt: session=${session_id} owner=${session.telegramId} submitter=${telegram_id}`);
-      return res.status(403).json({ error: 'Invalid session' });
-    }
-
-    const validation = validateScore(session, { score, level, coins_earned }, 'weekly');
-    if (!validation.valid) {
-      console.log(`🚫 Score REJECTED [${telegram_id}]: score=${score} reason=${validation.reason}`);
-      return res.status(403).json({ error: 'Score rejected', reason: validation.reason });
-    }
-
-    // Consume this session's WEEKLY slot. Per-board single-use, so the same game
-    // can still record to the tournament board (separate slot) — but a weekly
-    // replay on this session is rejected.
-    if (session) session.usedWeekly = true;
-
-    // Identity comes from the verified initData; db.upsertPlayer sanitizes the name.
-    db.upsertPlayer(telegram_id, verified.first_name || anonName(telegram_id), verified.username || null);
-    db.submitScore(telegram_id, Number(score), validation.level, validation.coins);
-
-    // Badges: allowlist + score-gate + union-with-existing (no forgery).
-    if (Array.isArray(badges)) {
-      let existing = [];
-      try { existing = JSON.parse(db.getPlayer(telegram_id)?.badges || '[]'); } catch (e) { existing = []; }
-      db.updatePlayerBadges(telegram_id, allowedBadges(badges, Number(score), existing));
+// ── Weekly group champions (lib/group-board) ────────────────────────
+// Posted when the weekly archive runs; db.claimGroupChampion makes each group's
+// post at-most-once per week across restarts.
+async function postGroupChampions(week) {
+  for (const group of db.getGroupChats()) {
+    try {
+      const text = formatChampionPost(group.title, db.getGroupLeaderboard(group.chat_id, 3, null, week), getWeekLabel(week), escapeMarkdown);
+      if (!text || !db.claimGroupChampion(group.chat_id, week)) continue;
+      await safeSend(outbound.sendMessage(group.chat_id, text, { parse_mode: 'Markdown' }), `group champion ${group.chat_id}`);
+    } catch (err) {
+      console.error(`Group champion error (${group.chat_id}):`, err.message);
     }
-
-    const rank = db.getPlayerRank(telegram_id);
-    res.json({ ok: true, rank, weekStart: db.getWeekStart(), flagged: false });
-  } catch (err) {
-    console.error('API score error:', err);
-    res.status(500).json({ error: 'Internal error' });
   }
-});
-
-// GET /api/leaderboard?limit=20
-app.get('/api/leaderboard', rateLimit(30, 60000), (req, res) => {
-  const limit = Math.min(parseInt(req.query.limit) || 20, 100);
-  const entries = db.getWeeklyLeaderboard(limit);
-  res.json({
-    week:     db.getWeekStart(),
-    resetIn:  getResetCountdown(),
-    entries,
-  });
-});
-
-// Bounded TTL cache for rendered PNGs — repeated requests hit memory, not the
-// synchronous canvas renderer, closing the render-flood DoS. With the per-IP
-// rate limit below, highlight-rotation can't force unbounded renders either.
-const renderCache = new Map(); // key -> { buf, exp }
-const RENDER_CACHE_TTL_MS = 60 * 1000;
-const RENDER_CACHE_MAX = 200;
-function cachedRender(key, produce) {
-  const now = Date.now();
-  const hit = renderCache.get(key);
-  if (hit && hit.exp > now) {
-    // LRU: re-insert so a hot entry isn't FIFO-evicted under key rotation.
-    renderCache.delete(key);
-    renderCache.set(key, hit);
-    return hit.buf;
-  }
-  const buf = produce();
-  renderCache.set(key, { buf, exp: now + RENDER_CACHE_TTL_MS });
-  while (renderCache.size > RENDER_CACHE_MAX) {
-    const oldest = renderCache.keys().next().value;
-    if (oldest === undefined) break;
-    renderCache.delete(oldest);
-  }
-  return buf;
 }
 
-// GET /api/leaderboard/image?highlight=TELEGRAM_ID
-app.get('/api/leaderboard/image', rateLimit(20, 60000), (req, res) => {
-  try {
-    const board = db.getWeeklyLeaderboard(50);
-    const reqHl = parseInt(req.query.highlight) || null;
-    // Only honor highlight if the id is actually on the board — collapses
-    // attacker-rotated fake ids to one cache key, neutralizing render-flood via
-    // ?highlight rotation (the expensive toBuffer render stays cached).
-    const highlightId = (reqHl && board.some((e) => e.telegram_id === reqHl)) ? reqHl : null;
-    const key = `lb:${db.getWeekStart()}:${highlightId || 0}`;
-    const pngBuffer = cachedRender(key, () => renderLeaderboardCard(board, {
-      highlightId,
-      resetIn:   getResetCountdown(),
-      weekLabel:  getWeekLabel(),
-    }));
-    res.set('Content-Type', 'image/png');
-    res.set('Cache-Control', 'public, max-age=60');
-    res.send(pngBuffer);
-  } catch (err) {
-    console.error('API image error:', err);
-    res.status(500).json({ error: 'Failed to render image' });
-  }
-});
-
-// GET /api/player/:id
-app.get('/api/player/:id', rateLimit(30, 60000), (req, res) => {
-  const id = parseInt(req.params.id);
-  const player  = db.getPlayer(id);
-  if (!player) return res.status(404).json({ error: 'Player not found' });
-  const weekly  = db.getPlayerWeeklyBest(id);
-  const rank    = db.getPlayerRank(id);
-  const allTime = db.getAllTimeStats(id);
-  res.json({ player, weekly, rank, allTime });
-});
-
-// GET /api/player/:id/card
-app.get('/api/player/:id/card', rateLimit(20, 60000), (req, res) => {
-  try {
-    const id = parseInt(req.params.id);
-    if (!Number.isInteger(id)) return res.status(400).json({ error: 'Invalid id' });
-    const player  = db.getPlayer(id);
-    if (!player) return res.status(404).json({ error: 'Player not found' });
-    const key = `card:${db.getWeekStart()}:${id}`;
-    const pngBuffer = cachedRender(key, () => {
-      const weekly  = db.getPlayerWeeklyBest(id);
-      const rank    = db.getPlayerRank(id);
-      const allTime = db.getAllTimeStats(id);
-      const statsData = {
-        best_score:    weekly?.best_score || 0,
-        games_played:  weekly?.games_played || 0,
-        max_level:     weekly?.max_level || 0,
-        all_time_best: allTime?.all_time_best || 0,
-      };
-      return renderPlayerCard(player, statsData, rank);
-    });
-    res.set('Content-Type', 'image/png');
-    res.set('Cache-Control', 'public, max-age=60');
-    res.send(pngBuffer);
-  } catch (err) {
-    console.error('API player card error:', err);
-    res.status(500).json({ error: 'Failed to render card' });
-  }
-});
-
-// POST /api/share — Send score card image to user's Telegram chat
-// Body: { init_data, image_base64, score }
-// Auth: chat_id derived from verified initData; body's telegram_id is ignored.
-app.post('/api/share', rateLimit(5, 60000), async (req, res) => {
-  try {
-    const { init_data, image_base64, score } = req.body;
-
-    // Auth: derive chat_id from verified Telegram identity, not the body.
-    const verified = init_data ? validateTelegramInitData(init_data) : null;
-    if (!verified || !verified.id) {
-      return res.status(403).json({ error: 'Invalid Telegram identity' });
-    }
-    const chatId = verified.id;
-
-    // Don't relay through the bot on behalf of a banned player.
-    if (db.isBanned(chatId)) {
-      return res.status(403).json({ error: 'Player is banned' });
-    }
-
-    if (!image_base64) {
-      return res.status(400).json({ error: 'image_base64 required' });
-    }
-
-    const base64Data = image_base64.replace(/^data:image\/\w+;base64,/, '');
-    const imageBuffer = Buffer.from(base64Data, 'base64');
-    // Validate it's actually a PNG (magic bytes) before relaying through the bot —
-    // don't let the bot forward arbitrary attacker-supplied bytes.
-    if (imageBuffer.length < 8 || imageBuffer[0] !== 0x89 || imageBuffer[1] !== 0x50 ||
-        imageBuffer[2] !== 0x4e || imageBuffer[3] !== 0x47) {
-      return res.status(400).json({ error: 'Invalid image' });
-    }
-
-    // Caption is server-supplied, not caller-supplied. No HTML parse mode.
-    const caption = `🐕 Flappy Bert Score: ${score || '?'}\n\n🎮 Can you beat me?\n🔗 Play now: ${WEBAPP_URL}`;
-
-    await bot.sendPhoto(chatId, imageBuffer, {
-      caption,
-    }, {
-      filename: 'flappy-bert-score.png',
-      contentType: 'image/png',
-    });
-
-    res.json({ ok: true });
-  } catch (err) {
-    console.error('API share error:', err.message);
-    res.status(500).json({ error: 'Failed to send image' });
-  }
-});
-
-// GET /api/archives — List all archived weeks
-app.get('/api/archives', (req, res) => {
-  res.json({ archives: db.getArchiveList() });
-});
-
-// ── Tournament API ───────────────────────────────────────────────────
-
-// GET /api/tournaments — List all tournaments with status
-app.get('/api/tournaments', (req, res) => {
-  const tournaments = db.getAllTournaments().map(t => {
-    const now = new Date();
-    const start = new Date(t.start_time);
-    const end = new Date(t.end_time);
-    let status = 'ended';
-    if (now < start) status = 'scheduled';
-    else if (now <= end) status = 'live';
-    return { ...t, status };
-  });
-  res.json({ tournaments });
-});
-
-// GET /api/tournaments/featured — Returns the single featured tournament
-// for the home-screen button, or null if none qualify.
-app.get('/api/tournaments/featured', (req, res) => {
-  const all = db.getAllTournaments().map(t => ({
-    id: t.id,
-    name: t.name,
-    sponsor: t.sponsor,
-    startTime: t.start_time,
-    endTime: t.end_time,
-  }));
-  const featured = getFeaturedTournament(all, new Date());
-  res.json({ tournament: featured });
-});
-
-// GET /api/tournament/:id — Tournament info + leaderboard
-app.get('/api/tournament/:id', rateLimit(30, 60000), (req, res) => {
-  const t = db.getTournament(req.params.id);
-  if (!t) return res.status(404).json({ error: 'Tournament not found' });
-  
-  const now = new Date();
-  const start = new Date(t.start_time);
-  const end = new Date(t.end_time);
-  let status = 'ended';
-  if (now < start) status = 'scheduled';
-  else if (now <= end) status = 'live';
-  
-  const since = tournamentSince(t.id);
-  const entries = db.getTournamentLeaderboard(t.id, 50, since);
-  res.json({
-    tournament: { ...t, status, scoreResetAt: tournamentConfigById.get(t.id)?.scoreResetAt || null },
-    entries,
-    prizes: tournamentPrizes(t.id),
-  });
-});
-
-// POST /api/tournament/:id/score — Submit score to tournament
-app.post('/api/tournament/:id/score', rateLimit(10, 60000), (req, res) => {
-  try {
-    const t = db.getTournament(req.params.id);
-    if (!t) return res.status(404).json({ error: 'Tournament not found' });
-
-    const now = new Date();
-    const start = new Date(t.start_time);
-    const end = new Date(t.end_time);
-    if (now < start || now > end) {
-      return res.status(400).json({ error: 'Tournament not active' });
-    }
-
-    const verified = requireVerifiedUser(req, res);
-    if (!verified) return;
-    const telegram_id = verified.id;
-
-    const { score, level, coins_earned, session_id } = req.body;
-    if (score == null) {
-      return res.status(400).json({ error: 'score required' });
-    }
-
-    if (db.isBanned(telegram_id)) {
-      return res.status(403).json({ error: 'Player is banned' });
-    }
-
-    // Session must belong to this verified user
-    const session = gameSessions.get(session_id);
-    if (session && session.telegramId !== telegram_id) {
-      console.log(`⚠️  Tournament session hijack attempt: session=${session_id} owner=${session.telegramId} submitter=${telegram_id}`);
-      return res.status(403).json({ error: 'Invalid session' });
-    }
-
-    // Full anti-cheat validation (numeric guard, hard cap, bounds, time-based, session reuse)
-    const validation = validateScore(session, { score, level, coins_earned }, 'tournament');
-    if (!validation.valid) {
-      console.log(`🚫 Tournament score REJECTED [${telegram_id}]: score=${score} reason=${validation.reason}`);
-      return res.status(403).json({ error: 'Score rejected', reason: validation.reason });
-    }
-
-    // Consume this session's TOURNAMENT slot (separate from the weekly slot).
-    if (session) session.usedTournament = true;
-
-    // Identity from verified initData; db.upsertPlayer sanitizes the name.
-    db.upsertPlayer(telegram_id, verified.first_name || anonName(telegram_id), verified.username || null);
-    db.submitTournamentScore(req.params.id, telegram_id, Number(score), validation.level, validation.coins);
-
-    const rank = db.getTournamentPlayerRank(req.params.id, telegram_id, tournamentSince(req.params.id));
-    res.json({ ok: true, rank, flagged: false });
-  } catch (err) {
-    console.error('API tournament score error:', err);
-    res.status(500).json({ error: 'Internal error' });
-  }
-});
-
-// GET /api/archives/:week — Download a specific week's CSV
-app.get('/api/archives/:week', (req, res) => {
-  if (!/^\d{4}-\d{2}-\d{2}$/.test(req.params.week)) {
-    return res.status(400).json({ error: 'Invalid week' });
-  }
-  const filepath = db.getArchivePath(req.params.week);
-  if (!filepath) return res.status(404).json({ error: 'Archive not found' });
-  res.download(filepath);
-});
-
-// POST /api/archive-now — Manually trigger archive for current week
-app.post('/api/archive-now', rateLimit(10, 60000), authMiddleware, (req, res) => {
-  const result = db.archiveWeek();
-  if (!result) return res.json({ ok: false, message: 'No scores to archive' });
-  res.json({ ok: true, ...result });
-});
-
-// POST /api/admin/remove-scores — Remove a player's scores (requires API_SECRET)
-app.post('/api/admin/remove-scores', rateLimit(10, 60000), authMiddleware, (req, res) => {
-  const { telegram_id, week_only } = req.body;
-  if (!telegram_id) return res.status(400).json({ error: 'telegram_id required' });
-  
-  try {
-    if (week_only) {
-      const week = db.getWeekStart();
-      db.removePlayerWeekScores(telegram_id, week);
-      console.log(`🗑  Removed weekly scores for ${telegram_id} (week: ${week})`);
-    } else {
-      db.removeAllPlayerScores(telegram_id);
-      console.log(`🗑  Removed ALL scores for ${telegram_id}`);
-    }
-    res.json({ ok: true });
-  } catch(err) {
-    res.status(500).json({ error: err.message });
-  }
-});
-
-// POST /api/admin/remove-tournament-scores — Remove from tournament
-app.post('/api/admin/remove-tournament-scores', rateLimit(10, 60000), authMiddleware, (req, res) => {
-  const { telegram_id, tournament_id } = req.body;
-  if (!telegram_id || !tournament_id) return res.status(400).json({ error: 'telegram_id and tournament_id required' });
-  
-  try {
-    db.removeTournamentScores(telegram_id, tournament_id);
-    console.log(`🗑  Removed tournament scores for ${telegram_id} from ${tournament_id}`);
-    res.json({ ok: true });
-  } catch(err) {
-    res.status(500).json({ error: err.message });
-  }
-});
-
-// Health check
-app.get('/health', (req, res) => res.json({ ok: true, uptime: process.uptime() }));
-
-// Read-only: lets the client build t.me/<bot>?start=… challenge links.
-app.get('/api/config', (req, res) => res.json({ botUsername }));
-
-// Serve the game HTML from the same directory
-app.get('/game', (req, res) => {
-  res.set('Cache-Control', 'no-cache, no-store, must-revalidate');
-  res.sendFile(path.join(__dirname, 'flappy_bert.html'));
-});
-
-// Terminal error handler — catches body-parser errors (malformed JSON, payload
-// too large) and any uncaught route error. Returns a generic message so stack
-// traces / filesystem paths / dependency versions never leak to clients.
-// eslint-disable-next-line no-unused-vars
-app.use((err, req, res, next) => {
-  if (res.headersSent) return next(err);
-  const status = (err && (err.status || err.statusCode)) || 500;
-  console.error('Unhandled error:', err && err.message);
-  res.status(status >= 400 && status < 600 ? status : 500).json({ error: 'Request failed' });
-});
-
-// ── Start server ────────────────────────────────────────────────────
-app.listen(PORT, () => {
-  console.log(`🌐  API server running on port ${PORT}`);
-  console.log(`🐕  Bot is polling for messages…`);
-  console.log(`📅  Current week: ${db.getWeekStart()}`);
-  console.log(`⏱   Reset in: ${getResetCountdown()}`);
-  console.log('');
-  console.log('Commands: /start /play /leaderboard /mystats /history /help');
-});
-
 // ── Auto-archive: check every 10 minutes, archive before Monday reset ──
 let lastArchivedWeek = null;
 
@@ -1140,6 +1319,7 @@ function checkAutoArchive() {
     if (result) {
       lastArchivedWeek = currentWeek;
       console.log(`✅  Auto-archived week ${currentWeek}`);
+      postGroupChampions(currentWeek);
     }
   }
 }
@@ -1158,6 +1338,8 @@ function recoverMissedArchives() {
     if (result && !result.alreadyExists) {
       console.log(`✅  Boot-time archive recovery: archived week ${pastWeek} (${result.playerCount} players)`);
     }
+    // Down across the reset: last week's champions are still owed (claimed, so once).
+    if (result && i === 1) postGroupChampions(pastWeek);
   }
 }
 
@@ -1167,3 +1349,318 @@ setInterval(checkAutoArchive, 10 * 60 * 1000);
 checkAutoArchive();
 // Recover any missed weeks (bot down across a Monday reset)
 recoverMissedArchives();
+
+// Podium lines in the stage and close-out announcements.
+const MEDALS = ['🥇', '🥈', '🥉'];
+
+// ── Knockout brackets (lib/tournament-bracket) ──────────────────────
+// Seeded from the entrants once the tournament starts (core.js ensureBracket —
+// here or on a player's first run in the API, whichever comes first). Each pass opens matches whose window has
+// begun and resolves those whose window has passed; the db claims make every
+// notification at-most-once, like close-out.
+function bracketName(m, side) {
+  return escapeMarkdown(m[`name_${side}`] || anonName(m[`player_${side}`]));
+}
+
+async function notifyMatchOpen(cfg, m, rounds) {
+  const closes = new Date(m.closes_at).toUTCString().replace(' GMT', ' UTC');
+  for (const [me, them] of [['a', 'b'], ['b', 'a']]) {
+    await safeSend(outbound.sendMessage(m[`player_${me}`], [
+      `🥊 *${escapeMarkdown(cfg.name)}* — your ${roundName(m.round, rounds)} is open!`,
+      `You vs *${bracketName(m, them)}* (seed #${m[`seed_${them}`]})`,
+      '',
+      `Your best run before ${closes} counts. Use /play!`,
+    ].join('\n'), { parse_mode: 'Markdown' }), `bracket open dm ${cfg.id}`);
+  }
+}
+
+async function notifyMatchResult(cfg, m, result, rounds) {
+  const stage = roundName(m.round, rounds);
+  const score = (side) => result[`score_${side}`] ?? 0;
+  for (const side of ['a', 'b']) {
+    const id = m[`player_${side}`];
+    if (id == null) continue;
+    const other = side === 'a' ? 'b' : 'a';
+    const line = m[`player_${other}`] == null
+      ? `✅ You have a bye in the ${stage} — see you in the next round!`
+      : id === result.winner
+        ? (m.round === rounds
+          ? `🏆 You won *${escapeMarkdown(cfg.name)}*! ${score(side)}–${score(other)} in the final.`
+          : `✅ You beat *${bracketName(m, other)}* ${score(side)}–${score(other)} — on to the ${roundName(m.round + 1, rounds)}!`)
+        : `❌ *${bracketName(m, other)}* won your ${stage} ${score(other)}–${score(side)}. Thanks for playing!`;
+    await safeSend(outbound.sendMessage(id, `🥊 *${escapeMarkdown(cfg.name)}*\n${line}`, { parse_mode: 'Markdown' }), `bracket result dm ${cfg.id}`);
+  }
+}
+
+async function advanceBracket(cfg) {
+  ensureBracket(cfg);
+  const matches = db.getBracket(cfg.id);
+  if (!matches.length) return;
+  const rounds = bracketRounds(matches);
+  // Round by round, re-reading after each resolution so a winner is already in
+  // place when the next round's match is checked.
+  for (let round = 1; round <= rounds; round++) {
+    for (const m of db.getBracket(cfg.id).filter(x => x.round === round && x.winner == null)) {
+      const now = Date.now();
+      if (isBye(m) || now >= Date.parse(m.closes_at)) {
+        if (m.player_a == null && m.player_b == null) continue;
+        if (!isBye(m) && (m.player_a == null || m.player_b == null)) continue; // feeder unresolved
+        const result = decideMatch(m,
+          m.player_a != null ? db.getMatchBest(cfg.id, m.player_a, m) : null,
+          m.player_b != null ? db.getMatchBest(cfg.id, m.player_b, m) : null);
+        // false while a run is pending review — retried on the next pass.
+        if (db.resolveMatch(cfg.id, m, result, nextMatch(m, rounds))) {
+          console.log(`🥊 ${cfg.id} R${m.round}#${m.slot}: ${result.winner} beat ${result.loser ?? 'bye'}`);
+          await notifyMatchResult(cfg, m, result, rounds);
+        }
+      } else if (now >= Date.parse(m.opens_at) && m.player_a != null && m.player_b != null
+        && db.markMatchOpened(cfg.id, m.round, m.slot)) {
+        await notifyMatchOpen(cfg, m, rounds);
+      }
+    }
+  }
+}
+
+async function advanceBrackets() {
+  for (const cfg of tournamentConfigById.values()) {
+    if (!cfg.bracket || Date.now() < Date.parse(cfg.startTime)) continue;
+    const t = db.getTournament(cfg.id);
+    if (!t || t.closed_at) continue;
+    try {
+      await advanceBracket(cfg);
+    } catch (err) {
+      console.error(`Bracket advance error (${cfg.id}):`, err.message);
+    }
+  }
+}
+
+// ── Stage close-out (lib/tournament-stages) ─────────────────────────
+// Each stage but the last is frozen once it ends (core.js closeDueStages) —
+// here, or by the API's score route when a run for the next stage needs the qualifier list first. The post and the
+// qualifier DMs are claimed separately, so a freeze from the score route still
+// gets announced on the next pass.
+async function announceStage(cfg, i) {
+  const st = cfg.stages[i];
+  const next = cfg.stages[i + 1];
+  const board = db.getStageResults(cfg.id, i) || [];
+  const qualifiers = board.filter(e => e.qualified);
+  const label = escapeMarkdown(stageLabel(cfg.stages, i));
+  const starts = new Date(next.startTime).toUTCString().replace(' GMT', ' UTC');
+
+  if (ANNOUNCE_CHAT_ID) {
+    const podium = board.slice(0, 3).map((e, k) => {
+      const prize = e.prize != null ? ` — $${e.prize}` : '';
+      return `${MEDALS[k]} ${escapeMarkdown(e.first_name)} — ${e.best_score}${prize}`;
+    });
+    const caption = [
+      `🪜 *${escapeMarkdown(cfg.name)}* — ${label} has ended!`,
+      '',
+      ...(podium.length ? podium : ['No scores were posted.']),
+      '',
+      st.advance
+        ? `The top ${st.advance} advance to ${escapeMarkdown(next.name)}, starting ${starts}.`
+        : `${escapeMarkdown(next.name)} starts ${starts}.`,
+    ].join('\n');
+    let png = null;
+    try {
+      png = renderTournamentCard(board.slice(0, 50), {
+        name: cfg.name, sponsor: cfg.sponsor, status: '🏁 Stage results', stage: stageLabel(cfg.stages, i),
+        prizes: st.prizes || null, rules: describeRules(tournamentRules(cfg.id)), scoreLabel: scoreLabel(tournamentRules(cfg.id)),
+        branding: cfg.branding || null,
+      });
+    } catch (err) {
+      console.error(`Stage card render failed (${cfg.id} stage ${i + 1}):`, err.message);
+    }
+    await safeSend(png
+      ? outbound.sendPhoto(ANNOUNCE_CHAT_ID, png, { caption, parse_mode: 'Markdown' }, { filename: 'stage-final.png', contentType: 'image/png' })
+      : outbound.sendMessage(ANNOUNCE_CHAT_ID, caption, { parse_mode: 'Markdown' }), `stage announce ${cfg.id}/${i + 1}`);
+  }
+
+  if (st.advance) {
+    for (const e of qualifiers) {
+      await safeSend(outbound.sendMessage(e.telegram_id, [
+        `✅ You qualified! #${e.rank} in ${label} of *${escapeMarkdown(cfg.name)}*.`,
+        `${escapeMarkdown(next.name)} starts ${starts}. Use /play then!`,
+      ].join('\n'), { parse_mode: 'Markdown' }), `stage qualifier dm ${cfg.id}`);
+    }
+  }
+}
+
+async function checkStageCloseouts() {
+  for (const cfg of tournamentConfigById.values()) {
+    // Same catch-up bound as close-out: long-finished tournaments stay quiet.
+    if (!cfg.stages || Date.now() - Date.parse(cfg.endTime) > CLOSEOUT.CATCHUP_MS) continue;
+    try {
+      closeDueStages(cfg);
+      for (const i of db.getClosedStages(cfg.id)) {
+        if (db.claimStageAnnouncement(cfg.id, i)) await announceStage(cfg, i);
+      }
+    } catch (err) {
+      console.error(`Stage close-out error (${cfg.id}):`, err.message);
+    }
+  }
+}
+
+// ── Tournament close-out: final card + winner DMs once end_time passes ──
+// db.closeTournament claims each tournament exactly once and records its results
+// (tournament_results) first, so a failed send is logged rather than re-announced. The same
+// check on boot is the catch-up for a process that was down at the end time
+// (bounded by CLOSEOUT.CATCHUP_MS — see lib/tournament-closeout.js).
+
+async function closeOutTournament(t) {
+  // Results are final once recorded: a run still pending review would be left
+  // out of them (and the payouts) for good, so close-out waits for the queue.
+  const held = db.countPendingReviews(t.id);
+  if (held > 0) {
+    // db.holdCloseout is true once, so admins are told once; it also keeps the
+    // tournament due past the catch-up window until the queue clears.
+    if (db.holdCloseout(t.id)) {
+      console.warn(`⏸  Close-out of ${t.id} held: ${held} run(s) pending review`);
+      for (const adminId of ADMIN_IDS) {
+        await safeSend(outbound.sendMessage(adminId,
+          `⏸ *${escapeMarkdown(t.name)}* has ended, but ${held} run(s) are still pending review. Results and prizes are recorded once /review is cleared.`,
+          { parse_mode: 'Markdown' }), `closeout held ${t.id}`);
+      }
+    }
+    return;
+  }
+  const prizes = tournamentPrizes(t.id);
+  const rules = tournamentRules(t.id);
+  const standings = db.closeTournament(t.id, tournamentSince(t.id), prizes, rules);
+  if (!standings) return; // closed by an overlapping run, or a run was flagged meanwhile
+
+  const winners = standings.filter(e => e.prize != null);
+  console.log(`🏁 Closed tournament ${t.id}: ${standings.length} player(s), ${winners.length} prize winner(s)`);
+  try {
+    db.archiveTournament(t.id);
+  } catch (err) {
+    console.error(`Tournament archive failed (${t.id}):`, err.message);
+  }
+
+  if (ANNOUNCE_CHAT_ID) {
+    const podium = (winners.length ? winners : standings.slice(0, 3)).map((e, i) => {
+      const prize = e.prize != null ? ` — $${e.prize}` : '';
+      return `${MEDALS[i] || `#${i + 1}`} ${escapeMarkdown(e.first_name)} — ${e.best_score}${prize}`;
+    });
+    const caption = [
+      `🏁 *${escapeMarkdown(t.name)}* has ended!`,
+      `Sponsored by ${escapeMarkdown(t.sponsor)}`,
+      '',
+      ...(podium.length ? podium : ['No scores were posted.']),
+      '',
+      `${standings.length} player(s) competed. Congratulations to the winners!`,
+    ].join('\n');
+
+    let png = null;
+    try {
+      const bracket = db.getBracket(t.id);
+      png = bracket.length
+        ? renderBracketCard(bracket, { name: t.name, sponsor: t.sponsor, status: '🏁 Final bracket' })
+        : renderTournamentCard(standings.slice(0, 50), {
+          name: t.name, sponsor: t.sponsor, status: '🏁 Final results', stage: tournamentStageLabel(t.id), prizes,
+          rules: describeRules(rules), scoreLabel: scoreLabel(rules), branding: tournamentBranding(t.id),
+        });
+    } catch (err) {
+      console.error(`Close-out card render failed (${t.id}):`, err.message);
+    }
+    await safeSend(png
+      ? outbound.sendPhoto(ANNOUNCE_CHAT_ID, png, { caption, parse_mode: 'Markdown' }, { filename: 'tournament-final.png', contentType: 'image/png' })
+      : outbound.sendMessage(ANNOUNCE_CHAT_ID, caption, { parse_mode: 'Markdown' }), `closeout announce ${t.id}`);
+  } else {
+    console.warn(`⚠️  ANNOUNCE_CHAT_ID not set — final card for ${t.id} not posted`);
+  }
+
+  for (const w of winners) {
+    await safeSend(outbound.sendMessage(w.telegram_id, [
+      `🏆 *Congratulations!* You finished #${w.rank} in *${escapeMarkdown(t.name)}* with ${w.best_score} points.`,
+      '',
+      `Your prize: *$${w.prize}*. The organisers will contact you about payout.`,
+    ].join('\n'), { parse_mode: 'Markdown' }), `closeout dm ${t.id} #${w.rank}`);
+  }
+}
+
+async function checkTournamentCloseouts() {
+  // Brackets and stages first, so a knockout's final is resolved before its
+  // close-out ranks it.
+  await advanceBrackets();
+  await checkStageCloseouts();
+  try {
+    for (const t of dueForCloseout(db.getUnclosedTournaments(), Date.now())) {
+      await closeOutTournament(t);
+    }
+  } catch (err) {
+    console.error('Tournament close-out error:', err.message);
+  }
+}
+
+setInterval(checkTournamentCloseouts, CLOSEOUT.CHECK_MS);
+// Catch up on boot (process down when a tournament ended)
+checkTournamentCloseouts();
+
+// ── Outbox (lib/outbox) ─────────────────────────────────────────────
+// Work the API process queued for the bot. Handlers throw on failure so
+// drainOutbox can retry or give up — no safeSend here.
+const OUTBOX_HANDLERS = {
+  telegram_update: (update) => bot.processUpdate(update),
+  game_score: (p) => mirrorGameScore(bot, p.launch, p.score),
+};
+
+// Outbound messages (lib/send-queue) drain in their own lane, so a long queue of
+// paced sends never delays the updates above. A 403 means the chat is gone for
+// good: the player blocked the bot, or the bot was removed from the group.
+const SEND_HANDLERS = {
+  [SEND_QUEUE.KIND]: sendHandler(bot, createPacer(), {
+    onBlocked: (chatId) => {
+      if (typeof chatId !== 'number') return;
+      if (chatId > 0) db.setPlayerUnreachable(chatId, true);
+      else db.forgetGroup(chatId);
+      console.log(`🚫 ${chatId} is unreachable (403) — marked`);
+    },
+    isUnreachable: (chatId) => typeof chatId === 'number' && chatId > 0 && db.isPlayerUnreachable(chatId),
+  }),
+};
+
+// One drain at a time per lane; the interval just skips while one is running.
+const _draining = new Set();
+let shuttingDown = false;
+function outboxPump(lane, handlers) {
+  return async () => {
+    if (_draining.has(lane) || shuttingDown) return;
+    _draining.add(lane);
+    try {
+      await drainOutbox(db, handlers, { lane });
+    } catch (err) {
+      console.error(`Outbox drain error (${lane}):`, err.message);
+    } finally {
+      _draining.delete(lane);
+    }
+  };
+}
+const outboxTimers = [
+  setInterval(outboxPump('default', OUTBOX_HANDLERS), OUTBOX.POLL_MS),
+  setInterval(outboxPump(SEND_QUEUE.LANE, SEND_HANDLERS), SEND_QUEUE.POLL_MS),
+];
+setInterval(() => {
+  try { db.pruneOutbox(OUTBOX.KEEP_MS); } catch (err) { console.error('Outbox prune error:', err.message); }
+}, 60 * 60 * 1000);
+
+console.log(WEBHOOK.enabled ? '🪝  Webhook mode — updates arrive via the outbox' : '🐕  Bot is polling for messages…');
+console.log(`📅  Current week: ${db.getWeekStart()}`);
+console.log(`⏱   Reset in: ${getResetCountdown()}`);
+
+// ── Shutdown ────────────────────────────────────────────────────────
+// Stop taking new work, let an in-flight drain finish (its leased rows would
+// otherwise wait out OUTBOX.LEASE_MS), then exit. The webhook belongs to the
+// API process and stays registered.
+async function shutdown(signal) {
+  if (shuttingDown) return;
+  shuttingDown = true;
+  console.log(`👋  Bot: ${signal} received — shutting down`);
+  setTimeout(() => process.exit(0), 5000).unref();
+  outboxTimers.forEach(clearInterval);
+  if (!WEBHOOK.enabled) await safeSend(bot.stopPolling(), 'stopPolling');
+  while (_draining.size) await new Promise((resolve) => setTimeout(resolve, 50));
+  process.exit(0);
+}
+process.on('SIGTERM', () => shutdown('SIGTERM'));
+process.on('SIGINT', () => shutdown('SIGINT'));
@@ -0,0 +1,257 @@
+// core.js — Flappy Bert state and helpers shared by both processes
+// ─────────────────────────────────────────────────────────────────────
+//
+// The service runs as two processes over one SQLite file (WAL mode):
+//   api.js  — Express score API + Mini App endpoints (and the webhook receiver)
+//   bot.js  — Telegram bot: commands, callbacks, schedulers, outbox consumer
+// start.js supervises both, restarting either one without touching the other.
+// Anything one process needs the other to do goes through the durable outbox
+// table (db.enqueueOutbox → lib/outbox drainOutbox in the bot).
+//
+// This module holds what both need: env config, Markdown/audit helpers, and the
+// tournament config map (rebuilt from the DB — the API re-reads it
+// periodically, since admin edits happen in the bot process).
+//
+// ENV VARS (both processes; each entrypoint lists its own):
+//   BOT_TOKEN       — Telegram bot token from @BotFather
+//   WEBAPP_URL      — Public URL where flappy_bert.html is hosted
+//   TELEGRAM_API_URL — Optional Bot API base URL (self-hosted server or a test fake)
+//   WEBHOOK_URL     — Public https origin; set → webhook mode, unset → polling
+//   WEBHOOK_SECRET  — Optional X-Telegram-Bot-Api-Secret-Token (default: derived)
+// ─────────────────────────────────────────────────────────────────────
+
+// Load .env file if available (local dev only — Render injects env vars natively)
+try { require('dotenv').config(); } catch(e) {}
+const TelegramBot = require('node-telegram-bot-api');
+const path        = require('path');
+const db          = require('./db');
+const {
+  loadTournamentsFromFile, validateTournament, tournamentFromRow, tournamentToRow,
+} = require('./tournaments-config');
+const { resolveRegistration, registrationClosedReason } = require('./lib/tournament-entry');
+const { effectiveResetSince, isoToSqliteUTC } = require('./lib/tournament-reset');
+const { activeStageIndex, stageWindowSql, stageLabel, dueStageCloseouts } = require('./lib/tournament-stages');
+const { buildBracket, bracketCap } = require('./lib/tournament-bracket');
+const { buildReport } = require('./lib/tournament-report');
+const { webhookConfig } = require('./lib/webhook');
+const { launchSecret } = require('./lib/telegram-games');
+
+// ── Crash safety (FIX 2) ────────────────────────────────────────────
+// node kills the process on an unhandled rejection; a single failed Telegram send
+// (429 burst / 403 bot-blocked / 400) must NOT take down the score API mid-tournament.
+// Log and keep serving. (Individual sends are additionally wrapped in safeSend.)
+function installCrashSafety() {
+  process.on('unhandledRejection', (reason, promise) => {
+    console.error('⚠️  Unhandled promise rejection (kept alive):', reason, promise);
+  });
+  // A truly uncaught exception may have left state inconsistent — exit 1 so the
+  // supervisor (start.js) restarts this process cleanly rather than serving from
+  // corrupted state.
+  process.on('uncaughtException', (err) => {
+    console.error('💥  Uncaught exception — exiting for a clean restart:', err && err.stack ? err.stack : err);
+    process.exit(1);
+  });
+}
+
+// ── Config ──────────────────────────────────────────────────────────
+const BOT_TOKEN  = process.env.BOT_TOKEN;
+const WEBAPP_URL = process.env.WEBAPP_URL || 'https://your-domain.com/flappy_bert.html';
+const TELEGRAM_API_URL = process.env.TELEGRAM_API_URL || '';
+// Signs (bot) and verifies (API) Telegram Game launch tokens (lib/telegram-games.js).
+const GAME_SECRET = launchSecret(BOT_TOKEN);
+
+function requireBotToken() {
+  if (!BOT_TOKEN) {
+    console.error('❌  BOT_TOKEN environment variable is required.');
+    console.error('   Get one from @BotFather on Telegram.');
+    process.exit(1);
+  }
+}
+
+// Webhook mode (lib/webhook) when WEBHOOK_URL is set; otherwise long polling.
+function loadWebhookConfig() {
+  try {
+    return webhookConfig(process.env, BOT_TOKEN);
+  } catch (err) {
+    console.error(`❌  ${err.message}`);
+    process.exit(1);
+  }
+}
+
+// A Bot API client. The bot process polls with it; the API only makes the odd
+// read (getMe, getGameHighScores) and the webhook registration.
+function telegramClient(options = {}) {
+  return new TelegramBot(BOT_TOKEN, { ...options, ...(TELEGRAM_API_URL ? { baseApiUrl: TELEGRAM_API_URL } : {}) });
+}
+
+// Escape Telegram Markdown V1 special characters in user/operator-supplied strings.
+// V1 has 4 specials: _ * ` [
+// V1 has no backslash-escape mechanism, but Telegram tolerates a leading backslash
+// before V1 specials and renders them as the literal char (verified empirically).
+function escapeMarkdown(s) {
+  if (s == null) return '';
+  return String(s).replace(/([_*`\[])/g, '\\$1');
+}
+
+// When a request reaches /api/score or /api/tournament/:id/score without a
+// first_name (sessionless curl, mini-app pre-load, Telegram clients that strip
+// it), fall back to a stable per-id anonymous name. Avoids namespace collision
+// on "Player" — every fallback used to share that one name and they all
+// false-highlighted as "you" on each others' leaderboards.
+function anonName(telegramId) {
+  return 'Anon-' + String(telegramId).slice(-4);
+}
+
+// Admin audit trail (db.admin_actions). Never throws: a failed audit write is
+// logged loudly but must not turn a completed admin action into an error reply.
+const tgActor  = (id) => `telegram:${id}`;
+const apiActor = (req) => `api:${req.ip}`;
+function audit(actor, action, target, rows, detail) {
+  try {
+    db.logAdminAction({ actor, action, target, rows, detail });
+  } catch (err) {
+    console.error(`❌ Audit write failed (${action} ${target}):`, err.message);
+  }
+}
+
+// ── Tournaments ─────────────────────────────────────────────────────
+
+// Config-by-id (incl. optional scoreResetAt/prizes/sameCourse) for the reset
+// boundary + prize ladder. Rebuilt from the DB at boot and after every admin edit
+// (and on a timer in the API process, which doesn't see the bot's edits).
+const tournamentConfigById = new Map();
+function reloadTournamentConfigs() {
+  tournamentConfigById.clear();
+  for (const row of db.getAllTournaments()) {
+    const cfg = tournamentFromRow(row);
+    if (validateTournament(cfg)) tournamentConfigById.set(cfg.id, cfg);
+    else console.warn(`[tournaments] skipping invalid DB row: ${row.id}`);
+  }
+}
+
+// Boot: seed from the config file, drop the known orphan, build the map. Run by
+// both processes (seeding is idempotent), after db.init().
+function initTournaments() {
+  // Seed tournaments from config file. The DB is the source of truth at runtime
+  // (/tnew, /tedit, /tend, /tprizes); seedTournament inserts new ids and keeps rows
+  // no admin has edited in step with the file, so file edits apply on deploy too.
+  const seededTournaments = loadTournamentsFromFile(path.join(__dirname, 'tournaments.json'));
+  for (const t of seededTournaments) {
+    db.seedTournament(tournamentToRow(t));
+  }
+  console.log(`Loaded ${seededTournaments.length} tournament(s) from config`);
+
+  // One-time data cleanup: a prior deploy seeded a DUPLICATE April tournament
+  // (`april-flapoff-2026`) alongside the canonical `april-fools-flapoff-2026` (the
+  // one in tournaments.json, re-seeded above and KEPT), so "PAST TOURNAMENTS"
+  // showed two April entries. Remove the orphan. Idempotent + self-healing: a
+  // no-op once the row is gone, and it re-removes the orphan if a bad seed ever
+  // recreates it. deleteTournament clears the orphan's child scores first (FK is ON).
+  const aprilDup = db.deleteTournament('april-flapoff-2026');
+  if (aprilDup.tournament > 0) {
+    console.log(`🧹  Removed duplicate tournament april-flapoff-2026 (+${aprilDup.scores} orphan score row(s))`);
+  }
+  reloadTournamentConfigs();
+}
+
+// Board boundary: the active stage's start for a multi-stage tournament
+// (lib/tournament-stages), else the scoreResetAt boundary (lib/tournament-reset).
+function tournamentSince(id) {
+  const cfg = tournamentConfigById.get(id);
+  if (cfg?.stages) return stageWindowSql(cfg.stages[activeStageIndex(cfg.stages, Date.now())]).since;
+  return effectiveResetSince(cfg?.scoreResetAt, Date.now());
+}
+// "Stage 2/3 · Finals" for the active stage, null for single-stage tournaments.
+const tournamentStageLabel = (id) => {
+  const stages = tournamentConfigById.get(id)?.stages;
+  return stages ? stageLabel(stages, activeStageIndex(stages, Date.now())) : null;
+};
+const tournamentPrizes = (id) => tournamentConfigById.get(id)?.prizes || null;
+const tournamentRules = (id) => tournamentConfigById.get(id)?.rules || null;
+const tournamentBranding = (id) => tournamentConfigById.get(id)?.branding || null;
+
+// Registration (lib/tournament-entry): timing here, cap + coin fee atomically in
+// db.joinTournament. Shared by the /tournament JOIN button and the Mini App.
+// → { ok: true, feePaid, coins } | { ok: false, reason }
+function tryJoinTournament(tournamentId, telegramId) {
+  const cfg = tournamentConfigById.get(tournamentId);
+  if (!cfg) return { ok: false, reason: 'unknown_tournament' };
+  const closed = registrationClosedReason(cfg, Date.now());
+  if (closed) return { ok: false, reason: closed };
+  const { fee, cap } = resolveRegistration(cfg);
+  const result = db.joinTournament(tournamentId, telegramId, { fee, cap });
+  if (result.ok) console.log(`🎟  ${telegramId} joined ${tournamentId} (fee ${result.feePaid})`);
+  return result;
+}
+
+// Knockout: seed the bracket from the entrants once the tournament has started.
+// Called by the bot's bracket pass and by the API on a player's first run;
+// db.seedBracket only ever seeds once.
+function ensureBracket(cfg) {
+  if (db.hasBracket(cfg.id) || Date.now() < Date.parse(cfg.startTime)) return;
+  const players = db.getEntrants(cfg.id).filter(p => !db.isBanned(p.telegram_id));
+  const plan = buildBracket(players, Date.parse(cfg.startTime), Date.parse(cfg.endTime), bracketCap(cfg.bracket));
+  if (plan && db.seedBracket(cfg.id, plan.matches)) {
+    console.log(`🥊 Seeded bracket ${cfg.id}: ${players.length} player(s), ${plan.rounds} round(s)`);
+  }
+}
+
+// Multi-stage: freeze every stage that has ended. Called by the bot's stage pass
+// and by the API before it checks a run against the qualifier list.
+function closeDueStages(cfg) {
+  for (const i of dueStageCloseouts(cfg.stages, db.getClosedStages(cfg.id), Date.now())) {
+    const st = cfg.stages[i];
+    if (db.closeStage(cfg.id, i, stageWindowSql(st), st.prizes || null, tournamentRules(cfg.id), st.advance || null)) {
+      console.log(`🪜 Closed ${cfg.id} stage ${i + 1} (${st.name})`);
+    }
+  }
+}
+
+// Sponsor participation report (/treport, /api/admin/tournament/:id/report).
+// Prize winners come from the recorded results once the tournament has closed,
+// else from the live board against the prize ladder.
+function tournamentReport(tid) {
+  const row = db.getTournament(tid);
+  if (!row) return null;
+  const cfg = tournamentConfigById.get(tid) || tournamentFromRow(row);
+  const data = db.getTournamentReportData(tid, isoToSqliteUTC(cfg.startTime), isoToSqliteUTC(cfg.endTime));
+  const frozen = db.getFinalStandings(tid);
+  const prizes = tournamentPrizes(tid) || [];
+  const winners = frozen
+    ? frozen.filter(e => e.prize != null)
+    : (prizes.length ? db.getTournamentLeaderboard(tid, prizes.length, tournamentSince(tid), null, tournamentRules(tid)) : [])
+      .map((e, i) => ({ ...e, rank: i + 1, score: e.best_score, prize: prizes[i] }));
+  return buildReport(cfg, data, winners, Date.now());
+}
+
+const reportFilename = (tid, ext) => `report-${tid.replace(/[^a-z0-9-]/gi, '')}.${ext}`;
+
+// ── Helper: time until next Monday 00:00 UTC ────────────────────────
+function getResetCountdown() {
+  const next = db.getNextMondayUTC();
+  const diff = next.getTime() - Date.now();
+  if (diff <= 0) return '0d 0h 0m';
+  const d = Math.floor(diff / 86400000);
+  const h = Math.floor((diff % 86400000) / 3600000);
+  const m = Math.floor((diff % 3600000) / 60000);
+  return `${d}d ${h}h ${m}m`;
+}
+
+function getWeekLabel(week = db.getWeekStart()) {
+  const start = new Date(week + 'T00:00:00Z');
+  const end   = new Date(start);
+  end.setUTCDate(end.getUTCDate() + 6);
+  const fmt = (d) => d.toLocaleDateString('en-US', {
+    month: 'short', day: 'numeric', year: 'numeric', timeZone: 'UTC'
+  });
+  return `${fmt(start)} – ${fmt(end)}`;
+}
+
+module.exports = {
+  installCrashSafety, requireBotToken, loadWebhookConfig, telegramClient,
+  BOT_TOKEN, WEBAPP_URL, GAME_SECRET,
+  escapeMarkdown, anonName, tgActor, apiActor, audit,
+  tournamentConfigById, reloadTournamentConfigs, initTournaments, tournamentSince, tournamentStageLabel,
+  tournamentPrizes, tournamentRules, tournamentBranding, tryJoinTournament, ensureBracket, closeDueStages,
+  tournamentReport, reportFilename, getResetCountdown, getWeekLabel,
+};
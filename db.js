@@ -4,6 +4,11 @@ const path = require('path');
 const fs = require('fs');
 const { csvCell } = require('./lib/csv-cell');
 const { sanitizeName } = require('./lib/sanitize-name');
+const { allowedBadges } = require('./lib/badge-allowlist');
+const { bracketStandings, matchWindowSql } = require('./lib/tournament-bracket');
+const {
+  weeklyFilename, tournamentArchiveKey, tournamentFilename, isTournamentKey, parseArchiveFilename,
+} = require('./lib/archive-files');
 
 // Use persistent disk if available (Render), otherwise local directory.
 // FLAPPY_DATA_DIR overrides both (used by tests to point at an isolated temp dir
@@ -78,11 +83,294 @@ function init() {
 
     CREATE INDEX IF NOT EXISTS idx_tscore_tournament
       ON tournament_scores(tournament_id, score DESC);
+
+    -- Anti-cheat game sessions (bot.js /api/session). Persisted so a restart or a
+    -- second process can still validate a run that started before it.
+    CREATE TABLE IF NOT EXISTS game_sessions (
+      id                    TEXT PRIMARY KEY,
+      telegram_id           INTEGER NOT NULL,
+      started_at            INTEGER NOT NULL,   -- epoch ms (server clock)
+      seed                  INTEGER,
+      course_tournament_id  TEXT,
+      used_weekly           INTEGER NOT NULL DEFAULT 0,
+      used_tournament       INTEGER NOT NULL DEFAULT 0
+    );
+
+    CREATE INDEX IF NOT EXISTS idx_sessions_started
+      ON game_sessions(started_at);
+
+    -- Suspicious-score review queue (lib/suspicion). Flagged runs wait here, off
+    -- the public boards, until an admin approves (copied into scores /
+    -- tournament_scores with the ORIGINAL played_at) or rejects them via /review.
+    CREATE TABLE IF NOT EXISTS score_reviews (
+      id              INTEGER PRIMARY KEY AUTOINCREMENT,
+      board           TEXT NOT NULL,              -- 'weekly' | 'tournament'
+      tournament_id   TEXT,
+      telegram_id     INTEGER NOT NULL,
+      score           INTEGER NOT NULL,
+      level           INTEGER DEFAULT 1,
+      coins_earned    INTEGER DEFAULT 0,
+      week_start      TEXT,
+      seed            INTEGER,
+      replay          TEXT,
+      reason          TEXT NOT NULL,              -- comma-separated suspicion codes
+      prior_best      INTEGER DEFAULT 0,
+      prior_games     INTEGER DEFAULT 0,
+      status          TEXT NOT NULL DEFAULT 'pending',  -- pending | approved | rejected
+      played_at       TEXT DEFAULT (datetime('now')),
+      reviewed_by     INTEGER,
+      reviewed_at     TEXT
+    );
+
+    CREATE INDEX IF NOT EXISTS idx_reviews_status
+      ON score_reviews(status, id);
+
+    -- Audit trail for destructive admin actions (console logs rotate away on
+    -- Render). Append-only: nothing in this module updates or deletes rows.
+    CREATE TABLE IF NOT EXISTS admin_actions (
+      id              INTEGER PRIMARY KEY AUTOINCREMENT,
+      actor           TEXT NOT NULL,              -- 'telegram:<admin id>' | 'api:<ip>'
+      action          TEXT NOT NULL,              -- ban, unban, reset_tournament, remove_scores, …
+      target          TEXT,                       -- player id / tournament id / week
+      rows_affected   INTEGER DEFAULT 0,
+      detail          TEXT,                       -- JSON, action-specific
+      created_at      TEXT DEFAULT (datetime('now'))
+    );
+
+    CREATE INDEX IF NOT EXISTS idx_admin_actions_target
+      ON admin_actions(target, id);
+
+    -- Final standings written ONCE at close-out (closeTournament). Immutable:
+    -- the triggers below reject deletes and edits to anything but the payout
+    -- columns, so later bans / score removals can't change who won.
+    CREATE TABLE IF NOT EXISTS tournament_results (
+      tournament_id     TEXT NOT NULL,
+      rank              INTEGER NOT NULL,
+      telegram_id       INTEGER NOT NULL,
+      first_name        TEXT,                     -- snapshot at close-out
+      username          TEXT,
+      skin              TEXT,
+      score             INTEGER NOT NULL,
+      games_played      INTEGER,
+      max_level         INTEGER,
+      best_at           TEXT,
+      prize             REAL,                     -- from prizes; NULL = out of the money
+      payout_status     TEXT CHECK (payout_status IN ('pending', 'sent', 'void')),
+      payout_note       TEXT,
+      payout_updated_at TEXT,
+      payout_updated_by TEXT,                     -- audit actor, e.g. telegram:<id>
+      recorded_at       TEXT DEFAULT (datetime('now')),
+      PRIMARY KEY (tournament_id, rank)
+    );
+
+    CREATE TRIGGER IF NOT EXISTS tournament_results_immutable
+      BEFORE UPDATE OF tournament_id, rank, telegram_id, first_name, username, skin, score,
+        games_played, max_level, best_at, prize, recorded_at ON tournament_results
+      BEGIN SELECT RAISE(ABORT, 'tournament_results rows are immutable'); END;
+
+    -- Tournament registration (lib/tournament-entry). Only entrants' runs count.
+    CREATE TABLE IF NOT EXISTS tournament_entries (
+      tournament_id   TEXT NOT NULL,
+      telegram_id     INTEGER NOT NULL,
+      fee_paid        INTEGER NOT NULL DEFAULT 0,   -- coins deducted on join
+      joined_at       TEXT DEFAULT (datetime('now')),
+      PRIMARY KEY (tournament_id, telegram_id)
+    );
+
+    -- Multi-stage tournaments (lib/tournament-stages). A stage other than the last
+    -- is frozen when it ends: the claim row first, then its board, like close-out.
+    CREATE TABLE IF NOT EXISTS tournament_stage_closes (
+      tournament_id   TEXT NOT NULL,
+      stage           INTEGER NOT NULL,             -- 0-based index into the config's stages
+      closed_at       TEXT DEFAULT (datetime('now')),
+      announced_at    TEXT,                         -- results posted / qualifiers DMed
+      PRIMARY KEY (tournament_id, stage)
+    );
+
+    CREATE TABLE IF NOT EXISTS tournament_stage_results (
+      tournament_id   TEXT NOT NULL,
+      stage           INTEGER NOT NULL,
+      rank            INTEGER NOT NULL,
+      telegram_id     INTEGER NOT NULL,
+      first_name      TEXT,
+      username        TEXT,
+      skin            TEXT,
+      score           INTEGER NOT NULL,
+      games_played    INTEGER,
+      max_level       INTEGER,
+      best_at         TEXT,
+      prize           REAL,                         -- from the stage's prizes
+      qualified       INTEGER NOT NULL DEFAULT 0,   -- within the stage's advance cut
+      recorded_at     TEXT DEFAULT (datetime('now')),
+      PRIMARY KEY (tournament_id, stage, rank)
+    );
+
+    CREATE TRIGGER IF NOT EXISTS tournament_stage_results_immutable
+      BEFORE UPDATE ON tournament_stage_results
+      BEGIN SELECT RAISE(ABORT, 'tournament_stage_results rows are immutable'); END;
+
+    CREATE TRIGGER IF NOT EXISTS tournament_stage_results_no_delete
+      BEFORE DELETE ON tournament_stage_results
+      BEGIN SELECT RAISE(ABORT, 'tournament_stage_results rows are immutable'); END;
+
+    -- Knockout brackets (lib/tournament-bracket). One row per match, seeded in full
+    -- at the tournament's start; winners are written into the next round's row.
+    CREATE TABLE IF NOT EXISTS tournament_matches (
+      tournament_id   TEXT NOT NULL,
+      round           INTEGER NOT NULL,             -- 1 = first round; the last is the final
+      slot            INTEGER NOT NULL,             -- 0-based position within the round
+      player_a        INTEGER,                      -- NULL = bye / not decided yet
+      player_b        INTEGER,
+      seed_a          INTEGER,
+      seed_b          INTEGER,
+      opens_at        TEXT NOT NULL,                -- ISO-8601 round window
+      closes_at       TEXT NOT NULL,
+      score_a         INTEGER,                      -- best run in the window, at resolution
+      score_b         INTEGER,
+      winner          INTEGER,
+      opened_at       TEXT,                         -- "match open" notifications sent
+      resolved_at     TEXT,
+      PRIMARY KEY (tournament_id, round, slot)
+    );
+
+    CREATE TRIGGER IF NOT EXISTS tournament_results_no_delete
+      BEFORE DELETE ON tournament_results
+      BEGIN SELECT RAISE(ABORT, 'tournament_results rows are immutable'); END;
+
+    -- A deleted tournament's results stay (above), so its id is retired: a new
+    -- tournaments row under it would inherit them. Skipped silently, like the
+    -- INSERT OR IGNOREs that create rows from the file and templates; /tnew
+    -- refuses such an id up front (hasTournamentResults).
+    CREATE TRIGGER IF NOT EXISTS tournaments_no_retired_id
+      BEFORE INSERT ON tournaments
+      WHEN EXISTS (SELECT 1 FROM tournament_results WHERE tournament_id = NEW.id)
+        AND NOT EXISTS (SELECT 1 FROM tournaments WHERE id = NEW.id)
+      BEGIN SELECT RAISE(IGNORE); END;
+
+    -- Group chats the bot is in, and who has used /play or /leaderboard there
+    -- (/groupboard). champion_week: the last week whose champion was posted.
+    CREATE TABLE IF NOT EXISTS group_chats (
+      chat_id         INTEGER PRIMARY KEY,
+      title           TEXT,
+      champion_week   TEXT,
+      first_seen      TEXT DEFAULT (datetime('now'))
+    );
+
+    CREATE TABLE IF NOT EXISTS group_members (
+      chat_id         INTEGER NOT NULL,
+      telegram_id     INTEGER NOT NULL,
+      last_seen       TEXT DEFAULT (datetime('now')),
+      PRIMARY KEY (chat_id, telegram_id)
+    );
+
+    -- Telegram file_ids of uploaded cards, for inline mode (lib/inline-share).
+    -- cache_key fingerprints the card's content; used_at drives pruning.
+    CREATE TABLE IF NOT EXISTS card_file_ids (
+      cache_key       TEXT PRIMARY KEY,
+      file_id         TEXT NOT NULL,
+      used_at         INTEGER NOT NULL
+    );
+
+    -- Durable hand-off to the bot process (lib/outbox): Telegram sends the API
+    -- process asks for, and the webhook updates it receives. A row is pending
+    -- until done_at (delivered) or failed_at (gave up); lease_until keeps two
+    -- consumers (e.g. a deploy overlap) off the same row. dedupe_key makes a
+    -- redelivered item (a retried webhook update) a no-op.
+    CREATE TABLE IF NOT EXISTS outbox (
+      id              INTEGER PRIMARY KEY AUTOINCREMENT,
+      kind            TEXT NOT NULL,
+      payload         TEXT NOT NULL,
+      data            BLOB,
+      dedupe_key      TEXT UNIQUE,
+      created_at      INTEGER NOT NULL,
+      next_at         INTEGER NOT NULL,
+      lease_until     INTEGER,
+      attempts        INTEGER NOT NULL DEFAULT 0,
+      last_error      TEXT,
+      done_at         INTEGER,
+      failed_at       INTEGER
+    );
+    CREATE INDEX IF NOT EXISTS idx_outbox_pending ON outbox(next_at) WHERE done_at IS NULL AND failed_at IS NULL;
+
+    -- /broadcast (lib/broadcast): a draft until confirmed_at, when its messages
+    -- are queued in the outbox; reported_at + the counts once all are settled.
+    CREATE TABLE IF NOT EXISTS broadcasts (
+      id              INTEGER PRIMARY KEY AUTOINCREMENT,
+      created_by      INTEGER NOT NULL,
+      chat_id         INTEGER NOT NULL,
+      audience        TEXT NOT NULL,
+      text            TEXT NOT NULL,
+      play            INTEGER NOT NULL DEFAULT 0,
+      created_at      INTEGER NOT NULL,
+      confirmed_at    INTEGER,
+      recipients      INTEGER,
+      reported_at     INTEGER,
+      delivered       INTEGER,
+      blocked         INTEGER,
+      failed          INTEGER
+    );
   `);
 
+  // Outbox lanes: 'send' (lib/send-queue — paced Telegram messages) drains apart
+  // from 'default', so a long broadcast never holds up webhook updates.
+  try { db.exec("ALTER TABLE outbox ADD COLUMN lane TEXT NOT NULL DEFAULT 'default'"); } catch(e) {}
+  db.exec('CREATE INDEX IF NOT EXISTS idx_outbox_lane ON outbox(lane, next_at) WHERE done_at IS NULL AND failed_at IS NULL');
+  // Within a lane, higher priority drains first: bulk sends (a /broadcast) sit
+  // below the default 0, so share photos and DMs never queue behind them.
+  try { db.exec('ALTER TABLE outbox ADD COLUMN priority INTEGER NOT NULL DEFAULT 0'); } catch(e) {}
+
+  // Set when a send to the player's DM came back 403 (bot blocked / account
+  // gone); cleared when they come back (my_chat_member, /start).
+  try { db.exec("ALTER TABLE players ADD COLUMN unreachable_at TEXT"); } catch(e) {}
+
   // Phase 1: badges column
   try { db.exec("ALTER TABLE players ADD COLUMN badges TEXT DEFAULT '[]'"); } catch(e) {}
 
+  // Runtime-managed tournaments (/tnew, /tedit, …): the DB is the source of truth.
+  // edited_at is set once an admin touches a row; until then the tournaments.json
+  // seed keeps it in sync (seedTournament), after that the admin's edits win.
+  try { db.exec("ALTER TABLE tournaments ADD COLUMN score_reset_at TEXT"); } catch(e) {}
+  try { db.exec("ALTER TABLE tournaments ADD COLUMN prizes TEXT"); } catch(e) {}
+  try { db.exec("ALTER TABLE tournaments ADD COLUMN options TEXT"); } catch(e) {}
+  try { db.exec("ALTER TABLE tournaments ADD COLUMN edited_at TEXT"); } catch(e) {}
+  try { db.exec("ALTER TABLE tournaments ADD COLUMN edited_by INTEGER"); } catch(e) {}
+
+  // Close-out (lib/tournament-closeout.js): closed_at marks the one-time
+  // announcement as done; the frozen board lives in tournament_results.
+  try { db.exec("ALTER TABLE tournaments ADD COLUMN closed_at TEXT"); } catch(e) {}
+  // Set the first time close-out waits on /review. A held tournament stays due
+  // past CLOSEOUT.CATCHUP_MS, so a long review queue can't strand it unclosed.
+  try { db.exec("ALTER TABLE tournaments ADD COLUMN closeout_held_at TEXT"); } catch(e) {}
+
+  // The live tournament a session was entered into + the gameplay modifiers it
+  // was issued under (lib/tournament-modifiers; JSON, NULL = default run).
+  try { db.exec("ALTER TABLE game_sessions ADD COLUMN tournament_id TEXT"); } catch(e) {}
+  try { db.exec("ALTER TABLE game_sessions ADD COLUMN modifiers TEXT"); } catch(e) {}
+
+  // Ban expiry + shadow-ban mode (NULL expires_at = permanent).
+  try { db.exec("ALTER TABLE banned_players ADD COLUMN expires_at TEXT"); } catch(e) {}
+  try { db.exec("ALTER TABLE banned_players ADD COLUMN mode TEXT NOT NULL DEFAULT 'ban'"); } catch(e) {}
+  try { db.exec("ALTER TABLE banned_players ADD COLUMN banned_by INTEGER"); } catch(e) {}
+
+  // Badges a flagged weekly run claimed (JSON, already allowlisted and
+  // score-gated by the API); an approval grants them like a clean submit would.
+  try { db.exec("ALTER TABLE score_reviews ADD COLUMN badges TEXT"); } catch(e) {}
+
+  // Run reproduction: the course seed /api/session issued + the client's input log
+  // (JSON), so a disputed score can be re-simulated exactly (tools/replay-score.cjs).
+  for (const table of ['scores', 'tournament_scores']) {
+    try { db.exec(`ALTER TABLE ${table} ADD COLUMN seed INTEGER`); } catch(e) {}
+    try { db.exec(`ALTER TABLE ${table} ADD COLUMN replay TEXT`); } catch(e) {}
+  }
+
+  // Registration arrived mid-season: anyone already on a tournament board counts
+  // as entered (free), so opt-in never drops an existing score. Idempotent, and
+  // a no-op for new scores since unregistered runs are rejected.
+  db.exec(`
+    INSERT OR IGNORE INTO tournament_entries (tournament_id, telegram_id, fee_paid, joined_at)
+    SELECT tournament_id, telegram_id, 0, MIN(played_at) FROM tournament_scores GROUP BY tournament_id, telegram_id
+  `);
+
   return db;
 }
 
@@ -144,12 +432,19 @@ function addCoins(telegramId, amount) {
 
 // ── Score submission ────────────────────────────────────────────────
 
-function submitScore(telegramId, score, level, coinsEarned) {
+// run: optional { seed, replay } — stored for dispute reproduction (getScoreRun).
+function runColumns(run) {
+  const seed = run && Number.isInteger(run.seed) ? run.seed : null;
+  const replay = run && run.replay && typeof run.replay === 'object' ? JSON.stringify(run.replay) : null;
+  return [seed, replay];
+}
+
+function submitScore(telegramId, score, level, coinsEarned, run = null) {
   const week = getWeekStart();
   db.prepare(`
-    INSERT INTO scores (telegram_id, score, level, coins_earned, week_start)
-    VALUES (?, ?, ?, ?, ?)
-  `).run(telegramId, score, level, coinsEarned, week);
+    INSERT INTO scores (telegram_id, score, level, coins_earned, week_start, seed, replay)
+    VALUES (?, ?, ?, ?, ?, ?, ?)
+  `).run(telegramId, score, level, coinsEarned, week, ...runColumns(run));
 
   if (coinsEarned > 0) {
     addCoins(telegramId, coinsEarned);
@@ -158,8 +453,23 @@ function submitScore(telegramId, score, level, coinsEarned) {
 
 // ── Leaderboard queries ─────────────────────────────────────────────
 
-function getWeeklyLeaderboard(limit = 20) {
-  const week = getWeekStart();
+// Players hidden from a board as seen by `viewer` (null = public/anonymous):
+// every active hard ban, plus every active shadow ban EXCEPT the viewer's own —
+// a shadow-banned player keeps seeing their scores so they don't notice.
+// One bind parameter: the viewer id (or null).
+const HIDDEN_PLAYERS = `
+  SELECT telegram_id FROM banned_players
+  WHERE (expires_at IS NULL OR expires_at > datetime('now'))
+    AND (mode = 'ban' OR telegram_id IS NOT ?)
+`;
+
+function getWeeklyLeaderboard(limit = 20, viewerId = null) {
+  return weeklyBoard(getWeekStart(), null, limit, viewerId);
+}
+
+// chatId: only that group's members (/groupboard), null for everyone.
+function weeklyBoard(week, chatId, limit, viewerId) {
+  const members = chatId == null ? '' : 'AND s.telegram_id IN (SELECT telegram_id FROM group_members WHERE chat_id = ?)';
   // Tiebreak: among equal best_score, whoever REACHED that score earliest wins —
   // best_at = MIN(played_at) over the player's rows equal to their best score (b.best).
   return db.prepare(`
@@ -177,11 +487,11 @@ function getWeeklyLeaderboard(limit = 20) {
     JOIN players p ON p.telegram_id = s.telegram_id
     JOIN (SELECT telegram_id, MAX(score) AS best FROM scores WHERE week_start = ? GROUP BY telegram_id) b
       ON b.telegram_id = s.telegram_id
-    WHERE s.week_start = ?
+    WHERE s.week_start = ? AND s.telegram_id NOT IN (${HIDDEN_PLAYERS}) ${members}
     GROUP BY s.telegram_id
     ORDER BY best_score DESC, best_at ASC
     LIMIT ?
-  `).all(week, week, limit);
+  `).all(week, week, viewerId, ...(chatId == null ? [] : [chatId]), limit);
 }
 
 function getPlayerWeeklyBest(telegramId) {
@@ -197,6 +507,7 @@ function getPlayerRank(telegramId) {
   const week = getWeekStart();
   // Same composite ordering as getWeeklyLeaderboard so the caption rank can never
   // disagree with the card's row order (best_score DESC, earliest-time-at-best ASC).
+  // Ranked as the player sees the board (their own shadow ban doesn't hide them).
   const row = db.prepare(`
     SELECT rank FROM (
       SELECT s.telegram_id AS telegram_id,
@@ -205,10 +516,10 @@ function getPlayerRank(telegramId) {
       FROM scores s
       JOIN (SELECT telegram_id, MAX(score) AS best FROM scores WHERE week_start = ? GROUP BY telegram_id) b
         ON b.telegram_id = s.telegram_id
-      WHERE s.week_start = ?
+      WHERE s.week_start = ? AND s.telegram_id NOT IN (${HIDDEN_PLAYERS})
       GROUP BY s.telegram_id
     ) WHERE telegram_id = ?
-  `).get(week, week, telegramId);
+  `).get(week, week, telegramId, telegramId);
   return row ? row.rank : null;
 }
 
@@ -233,6 +544,45 @@ function createTournament(id, name, sponsor, startTime, endTime) {
   `).run(id, name, sponsor, startTime, endTime);
 }
 
+// row: tournamentToRow(config) from tournaments-config.js.
+// seedTournament — boot-time sync from tournaments.json: inserts new ids and keeps
+// never-admin-edited rows in step with the file (so file edits now apply too).
+function seedTournament(row) {
+  db.prepare(`
+    INSERT INTO tournaments (id, name, sponsor, start_time, end_time, score_reset_at, prizes, options)
+    VALUES (@id, @name, @sponsor, @start_time, @end_time, @score_reset_at, @prizes, @options)
+    ON CONFLICT(id) DO UPDATE SET
+      name = excluded.name, sponsor = excluded.sponsor,
+      start_time = excluded.start_time, end_time = excluded.end_time,
+      score_reset_at = excluded.score_reset_at, prizes = excluded.prizes, options = excluded.options
+    WHERE tournaments.edited_at IS NULL
+  `).run(row);
+}
+
+// insertTournament — recurring-template instances (lib/tournament-templates):
+// insert-only, so an occurrence that exists (and may have been edited) is kept
+// as it is. Returns true when the row was created.
+function insertTournament(row) {
+  return db.prepare(`
+    INSERT OR IGNORE INTO tournaments (id, name, sponsor, start_time, end_time, score_reset_at, prizes, options)
+    VALUES (@id, @name, @sponsor, @start_time, @end_time, @score_reset_at, @prizes, @options)
+  `).run(row).changes > 0;
+}
+
+// saveTournament — admin create/update (/tnew, /tedit, /tend, /tprizes). Marks the
+// row edited so later boots never overwrite it from the file.
+function saveTournament(row, editedBy) {
+  db.prepare(`
+    INSERT INTO tournaments (id, name, sponsor, start_time, end_time, score_reset_at, prizes, options, edited_at, edited_by)
+    VALUES (@id, @name, @sponsor, @start_time, @end_time, @score_reset_at, @prizes, @options, datetime('now'), @edited_by)
+    ON CONFLICT(id) DO UPDATE SET
+      name = excluded.name, sponsor = excluded.sponsor,
+      start_time = excluded.start_time, end_time = excluded.end_time,
+      score_reset_at = excluded.score_reset_at, prizes = excluded.prizes, options = excluded.options,
+      edited_at = excluded.edited_at, edited_by = excluded.edited_by
+  `).run({ ...row, edited_by: editedBy ?? null });
+}
+
 function getTournament(id) {
   return db.prepare('SELECT * FROM tournaments WHERE id = ?').get(id);
 }
@@ -249,22 +599,342 @@ function getAllTournaments() {
   return db.prepare('SELECT * FROM tournaments ORDER BY start_time DESC').all();
 }
 
-function submitTournamentScore(tournamentId, telegramId, score, level, coinsEarned) {
+function getUnclosedTournaments() {
+  return db.prepare('SELECT * FROM tournaments WHERE closed_at IS NULL').all();
+}
+
+// Marks close-out as held on /review. True only the first time, so the admins
+// are told once (across restarts too).
+function holdCloseout(tournamentId) {
+  return db.prepare(`
+    UPDATE tournaments SET closeout_held_at = datetime('now') WHERE id = ? AND closeout_held_at IS NULL
+  `).run(tournamentId).changes > 0;
+}
+
+// closeTournament — write the final standings (same tiebreak ordering and
+// hidden-player filter as the public board) to tournament_results and claim the
+// close-out in one transaction. Prize slots come from `prizes` (1st first) and
+// start 'pending'. Returns the standings, or null if the tournament was already
+// closed, so two overlapping job runs can never announce twice — or if a run is
+// still pending review: results are final, so close-out waits for /review.
+function closeTournament(tournamentId, since = null, prizes = null, rules = null) {
+  return db.transaction(() => {
+    if (countPendingReviews(tournamentId) > 0) return null;
+    const claimed = db.prepare(`
+      UPDATE tournaments SET closed_at = datetime('now') WHERE id = ? AND closed_at IS NULL
+    `).run(tournamentId).changes;
+    if (!claimed) return null;
+
+    const insert = db.prepare(`
+      INSERT INTO tournament_results
+        (tournament_id, rank, telegram_id, first_name, username, skin, score,
+         games_played, max_level, best_at, prize, payout_status)
+      VALUES (@tournament_id, @rank, @telegram_id, @first_name, @username, @skin, @score,
+              @games_played, @max_level, @best_at, @prize, @payout_status)
+    `);
+    // A knockout tournament places by the bracket, not the best score.
+    const board = getTournamentLeaderboard(tournamentId, -1, since, null, rules);
+    const bracket = getBracket(tournamentId);
+    (bracket.length ? bracketStandings(bracket, board) : board).forEach((e, i) => {
+      const prize = Array.isArray(prizes) && i < prizes.length ? prizes[i] : null;
+      insert.run({
+        tournament_id: tournamentId, rank: i + 1, telegram_id: e.telegram_id,
+        first_name: e.first_name, username: e.username || null, skin: e.skin || null,
+        score: e.best_score, games_played: e.games_played, max_level: e.max_level,
+        best_at: e.best_at, prize, payout_status: prize == null ? null : 'pending',
+      });
+    });
+    return getFinalStandings(tournamentId);
+  })();
+}
+
+// Freeze a finished stage's board (lib/tournament-stages) once: the claim row,
+// then its standings with the stage's prizes and qualification cut. window:
+// stageWindowSql. Returns true for the call that recorded it.
+function closeStage(tournamentId, stage, window, prizes = null, rules = null, advance = null) {
+  return db.transaction(() => {
+    const claimed = db.prepare(`
+      INSERT OR IGNORE INTO tournament_stage_closes (tournament_id, stage) VALUES (?, ?)
+    `).run(tournamentId, stage).changes;
+    if (!claimed) return false;
+
+    const insert = db.prepare(`
+      INSERT INTO tournament_stage_results
+        (tournament_id, stage, rank, telegram_id, first_name, username, skin, score,
+         games_played, max_level, best_at, prize, qualified)
+      VALUES (@tournament_id, @stage, @rank, @telegram_id, @first_name, @username, @skin, @score,
+              @games_played, @max_level, @best_at, @prize, @qualified)
+    `);
+    getTournamentLeaderboard(tournamentId, -1, window.since, null, rules, window.until).forEach((e, i) => {
+      insert.run({
+        tournament_id: tournamentId, stage, rank: i + 1, telegram_id: e.telegram_id,
+        first_name: e.first_name, username: e.username || null, skin: e.skin || null,
+        score: e.best_score, games_played: e.games_played, max_level: e.max_level, best_at: e.best_at,
+        prize: Array.isArray(prizes) && i < prizes.length ? prizes[i] : null,
+        qualified: advance == null || i < advance ? 1 : 0,
+      });
+    });
+    return true;
+  })();
+}
+
+function getClosedStages(tournamentId) {
+  return db.prepare('SELECT stage FROM tournament_stage_closes WHERE tournament_id = ? ORDER BY stage')
+    .all(tournamentId).map(r => r.stage);
+}
+
+// A frozen stage board in leaderboard-entry shape (best_score), or null if the
+// stage hasn't been closed.
+function getStageResults(tournamentId, stage) {
+  if (!getClosedStages(tournamentId).includes(stage)) return null;
+  return db.prepare('SELECT * FROM tournament_stage_results WHERE tournament_id = ? AND stage = ? ORDER BY rank')
+    .all(tournamentId, stage).map(r => ({ ...r, best_score: r.score }));
+}
+
+function isQualified(tournamentId, stage, telegramId) {
+  return !!db.prepare(`
+    SELECT 1 FROM tournament_stage_results WHERE tournament_id = ? AND stage = ? AND telegram_id = ? AND qualified = 1
+  `).get(tournamentId, stage, telegramId);
+}
+
+// Claim a closed stage's announcement. Returns true for the one caller that posts it.
+function claimStageAnnouncement(tournamentId, stage) {
+  return db.prepare(`
+    UPDATE tournament_stage_closes SET announced_at = datetime('now')
+    WHERE tournament_id = ? AND stage = ? AND announced_at IS NULL
+  `).run(tournamentId, stage).changes > 0;
+}
+
+function hasTournamentResults(tournamentId) {
+  return !!db.prepare('SELECT 1 FROM tournament_results WHERE tournament_id = ? LIMIT 1').get(tournamentId);
+}
+
+function getTournamentResults(tournamentId) {
+  return db.prepare('SELECT * FROM tournament_results WHERE tournament_id = ? ORDER BY rank').all(tournamentId);
+}
+
+// The recorded results in leaderboard-entry shape (best_score) for the card,
+// or null if the tournament isn't closed yet.
+function getFinalStandings(tournamentId) {
+  const t = db.prepare('SELECT closed_at FROM tournaments WHERE id = ?').get(tournamentId);
+  if (!t || !t.closed_at) return null;
+  return getTournamentResults(tournamentId).map(r => ({ ...r, best_score: r.score }));
+}
+
+// Payout status for one prize row (pending → sent / void). Rows without a prize
+// have no payout to track. Returns rows changed (0 = no such prize row).
+function setPayoutStatus(tournamentId, rank, status, note, actor) {
+  return db.prepare(`
+    UPDATE tournament_results
+    SET payout_status = ?, payout_note = ?, payout_updated_at = datetime('now'), payout_updated_by = ?
+    WHERE tournament_id = ? AND rank = ? AND prize IS NOT NULL
+  `).run(status, note ?? null, actor, tournamentId, rank).changes;
+}
+
+// ── Tournament registration ─────────────────────────────────────────
+
+// Join a tournament, paying the coin fee, in one transaction so the cap and the
+// balance can't be raced. Open/closed timing is the caller's job
+// (lib/tournament-entry.registrationClosedReason).
+// → { ok: true, feePaid, coins } | { ok: false, reason: 'unknown_player' | 'already_joined' | 'full' | 'insufficient_coins' }
+function joinTournament(tournamentId, telegramId, { fee = 0, cap = null } = {}) {
+  return db.transaction(() => {
+    const player = db.prepare('SELECT coins FROM players WHERE telegram_id = ?').get(telegramId);
+    if (!player) return { ok: false, reason: 'unknown_player' };
+    if (isRegistered(tournamentId, telegramId)) return { ok: false, reason: 'already_joined' };
+    if (cap != null && countEntries(tournamentId) >= cap) return { ok: false, reason: 'full' };
+    if ((player.coins || 0) < fee) return { ok: false, reason: 'insufficient_coins' };
+    if (fee > 0) db.prepare('UPDATE players SET coins = coins - ? WHERE telegram_id = ?').run(fee, telegramId);
+    db.prepare('INSERT INTO tournament_entries (tournament_id, telegram_id, fee_paid) VALUES (?, ?, ?)')
+      .run(tournamentId, telegramId, fee);
+    return { ok: true, feePaid: fee, coins: (player.coins || 0) - fee };
+  })();
+}
+
+function isRegistered(tournamentId, telegramId) {
+  return !!db.prepare('SELECT 1 FROM tournament_entries WHERE tournament_id = ? AND telegram_id = ?').get(tournamentId, telegramId);
+}
+
+function countEntries(tournamentId) {
+  return db.prepare('SELECT COUNT(*) AS n FROM tournament_entries WHERE tournament_id = ?').get(tournamentId).n;
+}
+
+// Entrants in join order with their current weekly best (bracket seeding).
+function getEntrants(tournamentId) {
+  return db.prepare(`
+    SELECT e.telegram_id, e.joined_at,
+      (SELECT MAX(s.score) FROM scores s WHERE s.telegram_id = e.telegram_id AND s.week_start = ?) AS weekly_best
+    FROM tournament_entries e
+    WHERE e.tournament_id = ?
+    ORDER BY e.joined_at, e.telegram_id
+  `).all(getWeekStart(), tournamentId);
+}
+
+// ── Knockout brackets ───────────────────────────────────────────────
+
+// Insert a planned bracket (lib/tournament-bracket.buildBracket) unless one
+// exists already. Returns true when this call seeded it.
+function seedBracket(tournamentId, matches) {
+  return db.transaction(() => {
+    if (hasBracket(tournamentId)) return false;
+    const insert = db.prepare(`
+      INSERT INTO tournament_matches
+        (tournament_id, round, slot, player_a, player_b, seed_a, seed_b, opens_at, closes_at)
+      VALUES (@tournament_id, @round, @slot, @player_a, @player_b, @seed_a, @seed_b, @opens_at, @closes_at)
+    `);
+    for (const m of matches) insert.run({ tournament_id: tournamentId, ...m });
+    return true;
+  })();
+}
+
+function hasBracket(tournamentId) {
+  return !!db.prepare('SELECT 1 FROM tournament_matches WHERE tournament_id = ? LIMIT 1').get(tournamentId);
+}
+
+// All matches, round by round, with both players' names for cards and messages.
+function getBracket(tournamentId) {
+  return db.prepare(`
+    SELECT m.*,
+      pa.first_name AS name_a, pa.username AS username_a, pa.skin AS skin_a,
+      pb.first_name AS name_b, pb.username AS username_b, pb.skin AS skin_b
+    FROM tournament_matches m
+    LEFT JOIN players pa ON pa.telegram_id = m.player_a
+    LEFT JOIN players pb ON pb.telegram_id = m.player_b
+    WHERE m.tournament_id = ?
+    ORDER BY m.round, m.slot
+  `).all(tournamentId);
+}
+
+// A player's best run inside a match window → { score, best_at } | null.
+function getMatchBest(tournamentId, telegramId, match) {
+  const { from, to } = matchWindowSql(match);
+  return db.prepare(`
+    SELECT score, played_at AS best_at FROM tournament_scores
+    WHERE tournament_id = ? AND telegram_id = ? AND played_at >= ? AND played_at < ?
+    ORDER BY score DESC, played_at ASC
+    LIMIT 1
+  `).get(tournamentId, telegramId, from, to) || null;
+}
+
+// Claim a match's "now open" notification. Returns true for the one caller that sends it.
+function markMatchOpened(tournamentId, round, slot) {
+  return db.prepare(`
+    UPDATE tournament_matches SET opened_at = datetime('now')
+    WHERE tournament_id = ? AND round = ? AND slot = ? AND opened_at IS NULL
+  `).run(tournamentId, round, slot).changes > 0;
+}
+
+// Record a result and advance the winner in one transaction. The claim on
+// winner IS NULL makes it at-most-once. next: lib/tournament-bracket.nextMatch.
+// Like closeTournament, a played match waits while any of the tournament's runs
+// is pending review (false): an approval could still change its winner.
+function resolveMatch(tournamentId, match, result, next) {
+  return db.transaction(() => {
+    const played = match.player_a != null && match.player_b != null;
+    if (played && countPendingReviews(tournamentId) > 0) return false;
+    const claimed = db.prepare(`
+      UPDATE tournament_matches
+      SET winner = ?, score_a = ?, score_b = ?, resolved_at = datetime('now')
+      WHERE tournament_id = ? AND round = ? AND slot = ? AND winner IS NULL
+    `).run(result.winner, result.score_a, result.score_b, tournamentId, match.round, match.slot).changes;
+    if (!claimed) return false;
+    if (next) {
+      const seed = result.winner === match.player_a ? match.seed_a : match.seed_b;
+      const cols = next.side === 'a' ? 'player_a = ?, seed_a = ?' : 'player_b = ?, seed_b = ?';
+      db.prepare(`UPDATE tournament_matches SET ${cols} WHERE tournament_id = ? AND round = ? AND slot = ?`)
+        .run(result.winner, seed, tournamentId, next.round, next.slot);
+    }
+    return true;
+  })();
+}
+
+// Runs a player has used under an attempt limit: recorded scores plus runs still
+// waiting in the review queue (an approval lands them on the board later).
+function countTournamentAttempts(tournamentId, telegramId, since = null) {
+  const sinceSql = since ? 'AND played_at >= ?' : '';
+  const sinceParams = since ? [since] : [];
+  const recorded = db.prepare(`
+    SELECT COUNT(*) AS n FROM tournament_scores WHERE tournament_id = ? AND telegram_id = ? ${sinceSql}
+  `).get(tournamentId, telegramId, ...sinceParams).n;
+  const pending = db.prepare(`
+    SELECT COUNT(*) AS n FROM score_reviews
+    WHERE board = 'tournament' AND tournament_id = ? AND telegram_id = ? AND status = 'pending' ${sinceSql}
+  `).get(tournamentId, telegramId, ...sinceParams).n;
+  return recorded + pending;
+}
+
+function submitTournamentScore(tournamentId, telegramId, score, level, coinsEarned, run = null) {
   db.prepare(`
-    INSERT INTO tournament_scores (tournament_id, telegram_id, score, level, coins_earned)
-    VALUES (?, ?, ?, ?, ?)
-  `).run(tournamentId, telegramId, score, level, coinsEarned);
+    INSERT INTO tournament_scores (tournament_id, telegram_id, score, level, coins_earned, seed, replay)
+    VALUES (?, ?, ?, ?, ?, ?, ?)
+  `).run(tournamentId, telegramId, score, level, coinsEarned, ...runColumns(run));
 }
 
-function getTournamentLeaderboard(tournamentId, limit = 50, since = null) {
+// Rules-aware standings (lib/tournament-rules.js) as a CTE named `standings`:
+// telegram_id, sort_score, best_score, games_played, max_level, best_at.
+// attempt_no numbers a player's runs in play order (only the first `attempts`
+// count); score_no picks their top K of those. best_at is when the ranking
+// score was reached: the earliest run at the best score for 'best', the run
+// that completed the top-K set for 'sum' / 'average'. Same `since` / `until`
+// boundaries and hidden-player filter as the MAX(score) queries below.
+function rulesStandingsCte(tournamentId, since, viewerId, rules, until = null) {
+  const topK = rules.scoring === 'best' ? 1 : rules.topK;
+  const agg = {
+    best: 'MAX(c.score)',
+    sum: 'SUM(c.score)',
+    average: `SUM(c.score) * 1.0 / ${topK}`,
+  }[rules.scoring];
+  const bestAt = rules.scoring === 'best' ? 'MIN(c.played_at)' : 'MAX(c.played_at)';
+  const sql = `
+    WITH runs AS (
+      SELECT telegram_id, score, level, played_at,
+        ROW_NUMBER() OVER (PARTITION BY telegram_id ORDER BY played_at, id) AS attempt_no
+      FROM tournament_scores
+      WHERE tournament_id = ? ${since ? 'AND played_at >= ?' : ''} ${until ? 'AND played_at < ?' : ''}
+        AND telegram_id NOT IN (${HIDDEN_PLAYERS})
+    ),
+    counted AS (
+      SELECT *, ROW_NUMBER() OVER (PARTITION BY telegram_id ORDER BY score DESC, played_at ASC) AS score_no
+      FROM runs WHERE ? IS NULL OR attempt_no <= ?
+    ),
+    standings AS (
+      SELECT c.telegram_id,
+        ${agg} AS sort_score,
+        ${rules.scoring === 'average' ? `ROUND(${agg}, 1)` : agg} AS best_score,
+        (SELECT COUNT(*) FROM runs r WHERE r.telegram_id = c.telegram_id) AS games_played,
+        (SELECT MAX(level) FROM counted l WHERE l.telegram_id = c.telegram_id) AS max_level,
+        ${bestAt} AS best_at
+      FROM counted c
+      WHERE c.score_no <= ?
+      GROUP BY c.telegram_id
+    )`;
+  const attempts = rules.attempts || null;
+  const params = [tournamentId, ...(since ? [since] : []), ...(until ? [until] : []), viewerId, attempts, attempts, topK];
+  return { sql, params };
+}
+
+// `until` (exclusive) bounds a finished stage's board (lib/tournament-stages);
+// live boards never need it.
+function getTournamentLeaderboard(tournamentId, limit = 50, since = null, viewerId = null, rules = null, until = null) {
+  if (rules) {
+    const cte = rulesStandingsCte(tournamentId, since, viewerId, rules, until);
+    return db.prepare(`${cte.sql}
+      SELECT p.telegram_id, p.first_name, p.username, p.skin,
+        s.best_score, s.games_played, s.max_level, s.best_at
+      FROM standings s
+      JOIN players p ON p.telegram_id = s.telegram_id
+      ORDER BY s.sort_score DESC, s.best_at ASC
+      LIMIT ?
+    `).all(...cte.params, limit);
+  }
   // The `since` boundary (from lib/tournament-reset) must apply IDENTICALLY to the
   // tiebreak subquery and the outer filter, so a pre-boundary achievement can never
   // win a post-boundary tie. best_at = earliest played_at at the (post-boundary) best.
-  const subWhere = since ? 'WHERE tournament_id = ? AND played_at >= ?' : 'WHERE tournament_id = ?';
-  const where = since ? 'WHERE ts.tournament_id = ? AND ts.played_at >= ?' : 'WHERE ts.tournament_id = ?';
-  const params = since
-    ? [tournamentId, since, tournamentId, since, limit]
-    : [tournamentId, tournamentId, limit];
+  const bounds = (col) => `${since ? `AND ${col} >= ?` : ''} ${until ? `AND ${col} < ?` : ''}`;
+  const boundParams = [...(since ? [since] : []), ...(until ? [until] : [])];
+  const subWhere = `WHERE tournament_id = ? ${bounds('played_at')}`;
+  const where = `WHERE ts.tournament_id = ? ${bounds('ts.played_at')}`;
+  const params = [tournamentId, ...boundParams, tournamentId, ...boundParams, viewerId, limit];
   return db.prepare(`
     SELECT
       p.telegram_id, p.first_name, p.username, p.skin,
@@ -276,21 +946,30 @@ function getTournamentLeaderboard(tournamentId, limit = 50, since = null) {
     JOIN players p ON p.telegram_id = ts.telegram_id
     JOIN (SELECT telegram_id, MAX(score) AS best FROM tournament_scores ${subWhere} GROUP BY telegram_id) b
       ON b.telegram_id = ts.telegram_id
-    ${where}
+    ${where} AND ts.telegram_id NOT IN (${HIDDEN_PLAYERS})
     GROUP BY ts.telegram_id
     ORDER BY best_score DESC, best_at ASC
     LIMIT ?
   `).all(...params);
 }
 
-function getTournamentPlayerRank(tournamentId, telegramId, since = null) {
+function getTournamentPlayerRank(tournamentId, telegramId, since = null, rules = null) {
   // Composite ordering identical to getTournamentLeaderboard (incl. the `since`
   // boundary on the tiebreak) so the rank caption matches the card row order.
+  if (rules) {
+    const cte = rulesStandingsCte(tournamentId, since, telegramId, rules);
+    const row = db.prepare(`${cte.sql}
+      SELECT rank FROM (
+        SELECT telegram_id, RANK() OVER (ORDER BY sort_score DESC, best_at ASC) AS rank FROM standings
+      ) WHERE telegram_id = ?
+    `).get(...cte.params, telegramId);
+    return row ? row.rank : null;
+  }
   const subWhere = since ? 'WHERE tournament_id = ? AND played_at >= ?' : 'WHERE tournament_id = ?';
   const where = since ? 'WHERE ts.tournament_id = ? AND ts.played_at >= ?' : 'WHERE ts.tournament_id = ?';
   const params = since
-    ? [tournamentId, since, tournamentId, since, telegramId]
-    : [tournamentId, tournamentId, telegramId];
+    ? [tournamentId, since, tournamentId, since, telegramId, telegramId]
+    : [tournamentId, tournamentId, telegramId, telegramId];
   const row = db.prepare(`
     SELECT rank FROM (
       SELECT ts.telegram_id AS telegram_id,
@@ -299,31 +978,516 @@ function getTournamentPlayerRank(tournamentId, telegramId, since = null) {
       FROM tournament_scores ts
       JOIN (SELECT telegram_id, MAX(score) AS best FROM tournament_scores ${subWhere} GROUP BY telegram_id) b
         ON b.telegram_id = ts.telegram_id
-      ${where}
+      ${where} AND ts.telegram_id NOT IN (${HIDDEN_PLAYERS})
       GROUP BY ts.telegram_id
     ) WHERE telegram_id = ?
   `).get(...params);
   return row ? row.rank : null;
 }
 
+// ── Group boards ────────────────────────────────────────────────────
+
+// A player used /play or /leaderboard in a group: remember both.
+function trackGroupMember(chatId, title, telegramId) {
+  db.transaction(() => {
+    db.prepare(`
+      INSERT INTO group_chats (chat_id, title) VALUES (?, ?)
+      ON CONFLICT(chat_id) DO UPDATE SET title = excluded.title
+    `).run(chatId, title || null);
+    db.prepare(`
+      INSERT INTO group_members (chat_id, telegram_id) VALUES (?, ?)
+      ON CONFLICT(chat_id, telegram_id) DO UPDATE SET last_seen = datetime('now')
+    `).run(chatId, telegramId);
+  })();
+}
+
+// The weekly board restricted to the group's tracked members (week defaults to
+// the current one).
+function getGroupLeaderboard(chatId, limit = 50, viewerId = null, week = null) {
+  return weeklyBoard(week || getWeekStart(), chatId, limit, viewerId);
+}
+
+function countGroupMembers(chatId) {
+  return db.prepare('SELECT COUNT(*) AS n FROM group_members WHERE chat_id = ?').get(chatId).n;
+}
+
+function getGroupChats() {
+  return db.prepare('SELECT * FROM group_chats ORDER BY chat_id').all();
+}
+
+// At-most-once claim for a group's champion post of `week`.
+function claimGroupChampion(chatId, week) {
+  return db.prepare(`
+    UPDATE group_chats SET champion_week = ?
+    WHERE chat_id = ? AND (champion_week IS NULL OR champion_week < ?)
+  `).run(week, chatId, week).changes > 0;
+}
+
+// The bot left or was removed: drop the group and its members.
+function forgetGroup(chatId) {
+  return db.transaction(() => {
+    db.prepare('DELETE FROM group_members WHERE chat_id = ?').run(chatId);
+    return db.prepare('DELETE FROM group_chats WHERE chat_id = ?').run(chatId).changes;
+  })();
+}
+
+// ── Inline-mode card cache ──────────────────────────────────────────
+
+// file_id of an already-uploaded card, or null. A hit refreshes used_at.
+function getCardFileId(key, now = Date.now()) {
+  const row = db.prepare('SELECT file_id FROM card_file_ids WHERE cache_key = ?').get(key);
+  if (!row) return null;
+  db.prepare('UPDATE card_file_ids SET used_at = ? WHERE cache_key = ?').run(now, key);
+  return row.file_id;
+}
+
+function saveCardFileId(key, fileId, now = Date.now()) {
+  db.prepare(`
+    INSERT INTO card_file_ids (cache_key, file_id, used_at) VALUES (?, ?, ?)
+    ON CONFLICT(cache_key) DO UPDATE SET file_id = excluded.file_id, used_at = excluded.used_at
+  `).run(key, fileId, now);
+}
+
+function pruneCardFileIds(ttlMs, now = Date.now()) {
+  return db.prepare('DELETE FROM card_file_ids WHERE used_at < ?').run(now - ttlMs).changes;
+}
+
+// ── Outbox (API process → bot process) ──────────────────────────────
+
+// Queue work for the bot. payload: JSON-able; data: optional Buffer (a PNG).
+// Returns the row id, or null when dedupeKey was already queued.
+function enqueueOutbox(kind, payload, { data = null, dedupeKey = null, lane = 'default', priority = 0, now = Date.now() } = {}) {
+  const r = db.prepare(`
+    INSERT OR IGNORE INTO outbox (kind, payload, data, dedupe_key, lane, priority, created_at, next_at)
+    VALUES (?, ?, ?, ?, ?, ?, ?, ?)
+  `).run(kind, JSON.stringify(payload), data, dedupeKey, lane, priority, now, now);
+  return r.changes ? Number(r.lastInsertRowid) : null;
+}
+
+// Lease up to `limit` due rows of `lane`, highest priority then oldest first,
+// counting the attempt.
+// IMMEDIATE takes the write lock up front, so two consumers can never lease the
+// same row.
+function claimOutbox(limit, leaseMs, now = Date.now(), lane = 'default') {
+  return db.transaction(() => {
+    const rows = db.prepare(`
+      SELECT * FROM outbox
+      WHERE lane = ? AND done_at IS NULL AND failed_at IS NULL AND next_at <= ?
+        AND (lease_until IS NULL OR lease_until <= ?)
+      ORDER BY priority DESC, next_at, id LIMIT ?
+    `).all(lane, now, now, limit);
+    const lease = db.prepare('UPDATE outbox SET lease_until = ?, attempts = attempts + 1 WHERE id = ?');
+    return rows.map((row) => {
+      lease.run(now + leaseMs, row.id);
+      return { ...row, payload: JSON.parse(row.payload), attempts: row.attempts + 1 };
+    });
+  }).immediate();
+}
+
+function completeOutbox(id, now = Date.now()) {
+  db.prepare('UPDATE outbox SET done_at = ?, lease_until = NULL, data = NULL WHERE id = ?').run(now, id);
+}
+
+// retryAt: when to try again, or null to give up on the row.
+function failOutbox(id, error, retryAt, now = Date.now()) {
+  if (retryAt == null) {
+    db.prepare('UPDATE outbox SET failed_at = ?, lease_until = NULL, last_error = ?, data = NULL WHERE id = ?')
+      .run(now, String(error).slice(0, 500), id);
+  } else {
+    db.prepare('UPDATE outbox SET next_at = ?, lease_until = NULL, last_error = ? WHERE id = ?')
+      .run(retryAt, String(error).slice(0, 500), id);
+  }
+}
+
+// Put a leased row back until nextAt without counting the try (a 429's
+// retry_after, or the send pacer saying "not yet").
+function deferOutbox(id, nextAt, error = null) {
+  db.prepare(`
+    UPDATE outbox SET next_at = ?, lease_until = NULL, attempts = MAX(0, attempts - 1),
+      last_error = COALESCE(?, last_error)
+    WHERE id = ?
+  `).run(nextAt, error == null ? null : String(error).slice(0, 500), id);
+}
+
+// Finished rows (delivered or given up) older than keepMs.
+function pruneOutbox(keepMs, now = Date.now()) {
+  return db.prepare(`
+    DELETE FROM outbox WHERE COALESCE(done_at, failed_at) IS NOT NULL AND COALESCE(done_at, failed_at) < ?
+  `).run(now - keepMs).changes;
+}
+
+function getOutboxStats(lane = null) {
+  return db.prepare(`
+    SELECT
+      COALESCE(SUM(done_at IS NULL AND failed_at IS NULL), 0) AS pending,
+      COALESCE(SUM(failed_at IS NOT NULL), 0) AS failed,
+      MIN(CASE WHEN done_at IS NULL AND failed_at IS NULL THEN created_at END) AS oldest_pending
+    FROM outbox WHERE ? IS NULL OR lane = ?
+  `).get(lane, lane);
+}
+
+// ── Player reachability (lib/send-queue) ────────────────────────────
+
+function setPlayerUnreachable(telegramId, unreachable) {
+  return db.prepare(`UPDATE players SET unreachable_at = ${unreachable ? "datetime('now')" : 'NULL'} WHERE telegram_id = ?`)
+    .run(telegramId).changes;
+}
+
+function isPlayerUnreachable(telegramId) {
+  const row = db.prepare('SELECT unreachable_at FROM players WHERE telegram_id = ?').get(telegramId);
+  return !!(row && row.unreachable_at);
+}
+
+// ── Broadcasts (lib/broadcast) ──────────────────────────────────────
+
+function createBroadcastDraft({ createdBy, chatId, audience, text, play }, now = Date.now()) {
+  return Number(db.prepare(`
+    INSERT INTO broadcasts (created_by, chat_id, audience, text, play, created_at)
+    VALUES (?, ?, ?, ?, ?, ?)
+  `).run(createdBy, chatId, JSON.stringify(audience), text, play ? 1 : 0, now).lastInsertRowid);
+}
+
+function getBroadcast(id) {
+  const row = db.prepare('SELECT * FROM broadcasts WHERE id = ?').get(id);
+  return row ? { ...row, audience: JSON.parse(row.audience), play: !!row.play } : null;
+}
+
+// Telegram ids an audience resolves to right now. Hard-banned players are left
+// out; shadow-banned ones still get it (they mustn't notice), except from the
+// top-N board, which is the public one.
+function getBroadcastAudience(audience) {
+  const notBanned = `telegram_id NOT IN (
+    SELECT telegram_id FROM banned_players
+    WHERE mode = 'ban' AND (expires_at IS NULL OR expires_at > datetime('now'))
+  )`;
+  let rows;
+  switch (audience.type) {
+    case 'all':
+      rows = db.prepare(`SELECT telegram_id FROM players WHERE ${notBanned} ORDER BY telegram_id`).all();
+      break;
+    case 'active':
+      rows = db.prepare(`
+        SELECT DISTINCT telegram_id FROM scores
+        WHERE played_at >= datetime('now', ?) AND ${notBanned} ORDER BY telegram_id
+      `).all(`-${audience.days} days`);
+      break;
+    case 'tournament':
+      rows = db.prepare(`
+        SELECT telegram_id FROM tournament_entries
+        WHERE tournament_id = ? AND ${notBanned} ORDER BY joined_at, telegram_id
+      `).all(audience.id);
+      break;
+    case 'top':
+      rows = getWeeklyLeaderboard(audience.n);
+      break;
+    default:
+      throw new Error(`unknown broadcast audience "${audience.type}"`);
+  }
+  return rows.map(r => r.telegram_id);
+}
+
+// Confirm a draft and queue its jobs (lib/broadcast.broadcastJobs) in one
+// transaction, so a double CONFIRM can never send twice. Returns false when the
+// draft was already confirmed.
+function startBroadcast(id, jobs, now = Date.now()) {
+  return db.transaction(() => {
+    const claimed = db.prepare('UPDATE broadcasts SET confirmed_at = ?, recipients = ? WHERE id = ? AND confirmed_at IS NULL')
+      .run(now, jobs.length, id).changes;
+    if (!claimed) return false;
+    for (const job of jobs) {
+      enqueueOutbox(job.kind, job.payload, { dedupeKey: job.dedupeKey, lane: job.lane, priority: job.priority, now });
+    }
+    return true;
+  }).immediate();
+}
+
+// Outcome of a broadcast's queued messages. A failed send counts as blocked
+// when it left the player marked unreachable (a 403, or one already known).
+function getBroadcastProgress(id) {
+  return db.prepare(`
+    SELECT
+      COALESCE(SUM(o.done_at IS NOT NULL), 0) AS delivered,
+      COALESCE(SUM(o.failed_at IS NOT NULL AND p.unreachable_at IS NOT NULL), 0) AS blocked,
+      COALESCE(SUM(o.failed_at IS NOT NULL AND p.unreachable_at IS NULL), 0) AS failed,
+      COALESCE(SUM(o.done_at IS NULL AND o.failed_at IS NULL), 0) AS pending
+    FROM outbox o
+    LEFT JOIN players p ON p.telegram_id = json_extract(o.payload, '$.chatId')
+    WHERE o.dedupe_key LIKE ?
+  `).get(`broadcast:${id}:%`);
+}
+
+function getUnreportedBroadcasts() {
+  return db.prepare('SELECT * FROM broadcasts WHERE confirmed_at IS NOT NULL AND reported_at IS NULL ORDER BY id').all();
+}
+
+// Store the final counts. Returns true for the one caller that recorded them.
+function finishBroadcast(id, counts, now = Date.now()) {
+  return db.prepare(`
+    UPDATE broadcasts SET reported_at = ?, delivered = ?, blocked = ?, failed = ?
+    WHERE id = ? AND reported_at IS NULL
+  `).run(now, counts.delivered, counts.blocked, counts.failed, id).changes > 0;
+}
+
+// ── Sponsor reports ─────────────────────────────────────────────────
+
+// Raw participation numbers for lib/tournament-report.buildReport. Public view:
+// banned and shadow-banned players are left out, as on the boards. since /
+// until (SQLite UTC, inclusive) bound which new players count as acquired
+// during the tournament.
+function getTournamentReportData(tournamentId, since, until) {
+  const runs = `FROM tournament_scores WHERE tournament_id = ? AND telegram_id NOT IN (${HIDDEN_PLAYERS})`;
+  const totals = db.prepare(`SELECT COUNT(DISTINCT telegram_id) AS players, COUNT(*) AS runs ${runs}`)
+    .get(tournamentId, null);
+  const perDay = db.prepare(`
+    SELECT substr(played_at, 1, 10) AS day, COUNT(*) AS runs, COUNT(DISTINCT telegram_id) AS players
+    ${runs} GROUP BY day ORDER BY day
+  `).all(tournamentId, null);
+  const scores = db.prepare(`SELECT score ${runs}`).pluck().all(tournamentId, null);
+  const newPlayers = db.prepare(`
+    SELECT COUNT(*) AS total,
+      COALESCE(SUM(EXISTS (SELECT 1 FROM tournament_scores ts WHERE ts.tournament_id = ? AND ts.telegram_id = p.telegram_id)), 0) AS played
+    FROM players p
+    WHERE p.created_at >= ? AND p.created_at <= ? AND p.telegram_id NOT IN (${HIDDEN_PLAYERS})
+  `).get(tournamentId, since, until, null);
+  return { totals, perDay, scores, newPlayers };
+}
+
+// ── Run reproduction (disputes) ─────────────────────────────────────
+
+const RUN_TABLES = { weekly: 'scores', tournament: 'tournament_scores' };
+
+function parseRun(row) {
+  if (!row) return null;
+  let replay = null;
+  try { replay = row.replay ? JSON.parse(row.replay) : null; } catch (e) { replay = null; }
+  return { ...row, replay };
+}
+
+// board: 'weekly' | 'tournament'. → { id, telegram_id, score, level, seed, replay, played_at, ... } | null
+function getScoreRun(board, scoreId) {
+  const table = RUN_TABLES[board];
+  if (!table) return null;
+  return parseRun(db.prepare(`SELECT * FROM ${table} WHERE id = ?`).get(scoreId));
+}
+
+// A player's best runs on a board (highest first) — for finding the disputed score id.
+function getPlayerRuns(board, telegramId, limit = 10) {
+  const table = RUN_TABLES[board];
+  if (!table) return [];
+  return db.prepare(`
+    SELECT id, score, level, seed, played_at, replay IS NOT NULL AS has_replay
+    FROM ${table} WHERE telegram_id = ?
+    ORDER BY score DESC, played_at ASC LIMIT ?
+  `).all(telegramId, limit);
+}
+
+// ── Suspicious-score review queue ───────────────────────────────────
+
+// epoch ms → SQLite datetime('now') text, so it compares with played_at.
+function sqlTime(ms) {
+  return new Date(ms).toISOString().replace('T', ' ').slice(0, 19);
+}
+
+// History that lib/suspicion compares a run against. Only scores recorded BEFORE
+// `beforeMs` (the session start) count, so the weekly and tournament submissions
+// of one run see the same history whichever lands first.
+function getPlayerScoreHistory(telegramId, beforeMs, capScore, windowDays) {
+  const before = sqlTime(beforeMs);
+  const row = db.prepare(`
+    SELECT MAX(score) AS best, COUNT(*) AS games
+    FROM scores WHERE telegram_id = ? AND played_at < ?
+  `).get(telegramId, before);
+  const since = sqlTime(beforeMs - windowDays * 24 * 60 * 60 * 1000);
+  // Approved reviews already live in `scores`; count the rest of the queue too.
+  const cap = db.prepare(`
+    SELECT
+      (SELECT COUNT(*) FROM scores
+        WHERE telegram_id = ? AND score >= ? AND played_at >= ? AND played_at < ?) +
+      (SELECT COUNT(*) FROM score_reviews
+        WHERE board = 'weekly' AND status != 'approved'
+          AND telegram_id = ? AND score >= ? AND played_at >= ? AND played_at < ?) AS n
+  `).get(telegramId, capScore, since, before, telegramId, capScore, since, before);
+  return { best: row.best || 0, games: row.games || 0, recentCapHits: cap.n };
+}
+
+// review: { board, tournamentId?, telegramId, score, level, coinsEarned, run?, badges?,
+//           reasons, history } → queue id
+function flagScore(review) {
+  const [seed, replay] = runColumns(review.run);
+  const badges = Array.isArray(review.badges) && review.badges.length ? JSON.stringify(review.badges) : null;
+  return db.prepare(`
+    INSERT INTO score_reviews
+      (board, tournament_id, telegram_id, score, level, coins_earned, week_start,
+       seed, replay, badges, reason, prior_best, prior_games)
+    VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+  `).run(
+    review.board, review.tournamentId || null, review.telegramId, review.score, review.level,
+    review.coinsEarned || 0, review.board === 'weekly' ? getWeekStart() : null,
+    seed, replay, badges, review.reasons.join(','),
+    review.history ? review.history.best : 0, review.history ? review.history.games : 0,
+  ).lastInsertRowid;
+}
+
+function getPendingReviews(limit = 5) {
+  return db.prepare(`
+    SELECT r.*, p.first_name, p.username
+    FROM score_reviews r
+    LEFT JOIN players p ON p.telegram_id = r.telegram_id
+    WHERE r.status = 'pending'
+    ORDER BY r.id ASC LIMIT ?
+  `).all(limit);
+}
+
+// tournamentId: only that tournament's runs (close-out waits for them).
+function countPendingReviews(tournamentId = null) {
+  return db.prepare(`
+    SELECT COUNT(*) AS n FROM score_reviews WHERE status = 'pending' AND (? IS NULL OR tournament_id = ?)
+  `).get(tournamentId, tournamentId).n;
+}
+
+function getReview(id) {
+  return db.prepare('SELECT * FROM score_reviews WHERE id = ?').get(id);
+}
+
+// Approve or reject a pending review. Approval copies the run onto its board with
+// the ORIGINAL played_at (tiebreaks stay fair), credits the held coins and
+// grants the badges the run claimed.
+// Returns the updated review, or null if it was unknown or already resolved
+// (two admins tapping at once — only the first decision applies). Approving a
+// run whose tournament has closed, or whose week is already archived, is refused
+// — those results are final — and returns the still-pending review with
+// refused: 'tournament_closed' | 'week_archived'.
+function resolveReview(id, approve, adminId) {
+  return db.transaction(() => {
+    const pending = db.prepare("SELECT * FROM score_reviews WHERE id = ? AND status = 'pending'").get(id);
+    if (!pending) return null;
+    if (approve && pending.board === 'tournament') {
+      const t = getTournament(pending.tournament_id);
+      if (t && t.closed_at) return { ...pending, refused: 'tournament_closed' };
+    }
+    if (approve && pending.board === 'weekly' && isWeekArchived(pending.week_start)) {
+      return { ...pending, refused: 'week_archived' };
+    }
+    const changed = db.prepare(`
+      UPDATE score_reviews SET status = ?, reviewed_by = ?, reviewed_at = datetime('now')
+      WHERE id = ? AND status = 'pending'
+    `).run(approve ? 'approved' : 'rejected', adminId, id).changes;
+    if (!changed) return null;
+    const r = getReview(id);
+    if (approve && r.board === 'weekly') {
+      db.prepare(`
+        INSERT INTO scores (telegram_id, score, level, coins_earned, week_start, played_at, seed, replay)
+        VALUES (?, ?, ?, ?, ?, ?, ?, ?)
+      `).run(r.telegram_id, r.score, r.level, r.coins_earned, r.week_start, r.played_at, r.seed, r.replay);
+      if (r.coins_earned > 0) addCoins(r.telegram_id, r.coins_earned);
+      if (r.badges) {
+        let claimed = [];
+        let existing = [];
+        try { claimed = JSON.parse(r.badges); } catch (e) { claimed = []; }
+        try { existing = JSON.parse(getPlayer(r.telegram_id)?.badges || '[]'); } catch (e) { existing = []; }
+        updatePlayerBadges(r.telegram_id, allowedBadges(claimed, r.score, existing));
+      }
+    } else if (approve) {
+      db.prepare(`
+        INSERT INTO tournament_scores (tournament_id, telegram_id, score, level, coins_earned, played_at, seed, replay)
+        VALUES (?, ?, ?, ?, ?, ?, ?, ?)
+      `).run(r.tournament_id, r.telegram_id, r.score, r.level, r.coins_earned, r.played_at, r.seed, r.replay);
+    }
+    return r;
+  })();
+}
+
+// Reject everything a player has waiting (used by /ban). Returns rows changed.
+function rejectPlayerReviews(telegramId, adminId) {
+  return db.prepare(`
+    UPDATE score_reviews SET status = 'rejected', reviewed_by = ?, reviewed_at = datetime('now')
+    WHERE telegram_id = ? AND status = 'pending'
+  `).run(adminId, telegramId).changes;
+}
+
+// ── Game sessions ───────────────────────────────────────────────────
+
+function rowToSession(row) {
+  if (!row) return null;
+  let modifiers = null;
+  try { modifiers = row.modifiers ? JSON.parse(row.modifiers) : null; } catch (e) { modifiers = null; }
+  return {
+    id: row.id,
+    telegramId: row.telegram_id,
+    startedAt: row.started_at,
+    seed: row.seed,
+    courseTournamentId: row.course_tournament_id,
+    tournamentId: row.tournament_id || null,
+    modifiers,
+    usedWeekly: !!row.used_weekly,
+    usedTournament: !!row.used_tournament,
+  };
+}
+
+// Insert a session, first evicting the oldest so the table never exceeds maxSessions.
+function createSession(sess, maxSessions) {
+  db.transaction(() => {
+    const { n } = db.prepare('SELECT COUNT(*) AS n FROM game_sessions').get();
+    if (n >= maxSessions) {
+      db.prepare(`
+        DELETE FROM game_sessions WHERE id IN (
+          SELECT id FROM game_sessions ORDER BY started_at ASC LIMIT ?
+        )
+      `).run(n - maxSessions + 1);
+    }
+    db.prepare(`
+      INSERT INTO game_sessions (id, telegram_id, started_at, seed, course_tournament_id, tournament_id, modifiers)
+      VALUES (?, ?, ?, ?, ?, ?, ?)
+    `).run(sess.id, sess.telegramId, sess.startedAt, sess.seed ?? null, sess.courseTournamentId ?? null,
+      sess.tournamentId ?? null, sess.modifiers ? JSON.stringify(sess.modifiers) : null);
+  })();
+}
+
+// → session object, or null if unknown or older than ttlMs.
+function getSession(id, ttlMs, now = Date.now()) {
+  if (typeof id !== 'string') return null;
+  return rowToSession(db.prepare(
+    'SELECT * FROM game_sessions WHERE id = ? AND started_at >= ?'
+  ).get(id, now - ttlMs));
+}
+
+// Atomically claim a session's single-use slot for a board ('weekly' | 'tournament').
+// Returns false if it was already used — the loser of a concurrent double-submit
+// (or a second process) can't record the same run twice.
+function consumeSession(id, board) {
+  const col = board === 'tournament' ? 'used_tournament' : 'used_weekly';
+  return db.prepare(`UPDATE game_sessions SET ${col} = 1 WHERE id = ? AND ${col} = 0`).run(id).changes === 1;
+}
+
+function pruneSessions(ttlMs, now = Date.now()) {
+  return db.prepare('DELETE FROM game_sessions WHERE started_at < ?').run(now - ttlMs).changes;
+}
+
+function countSessions() {
+  return db.prepare('SELECT COUNT(*) AS n FROM game_sessions').get().n;
+}
+
 // ── Admin: score removal ─────────────────────────────────────────────
 
+// Score-removal helpers return the number of rows deleted (for the audit log).
 function removePlayerWeekScores(telegramId, weekStart) {
-  db.prepare('DELETE FROM scores WHERE telegram_id = ? AND week_start = ?')
-    .run(telegramId, weekStart);
+  return db.prepare('DELETE FROM scores WHERE telegram_id = ? AND week_start = ?')
+    .run(telegramId, weekStart).changes;
 }
 
 function removeAllPlayerScores(telegramId) {
-  db.prepare('DELETE FROM scores WHERE telegram_id = ?').run(telegramId);
+  return db.prepare('DELETE FROM scores WHERE telegram_id = ?').run(telegramId).changes;
 }
 
 function removeTournamentScores(telegramId, tournamentId) {
-  db.prepare('DELETE FROM tournament_scores WHERE telegram_id = ? AND tournament_id = ?')
-    .run(telegramId, tournamentId);
+  return db.prepare('DELETE FROM tournament_scores WHERE telegram_id = ? AND tournament_id = ?')
+    .run(telegramId, tournamentId).changes;
 }
 
+// Archived first (archiveTournament), so a reset never loses the board for good.
 function resetTournamentScores(tournamentId) {
-  db.prepare('DELETE FROM tournament_scores WHERE tournament_id = ?').run(tournamentId);
+  archiveTournament(tournamentId, { snapshot: 'reset' });
+  return db.prepare('DELETE FROM tournament_scores WHERE tournament_id = ?').run(tournamentId).changes;
 }
 
 // Count of score rows for a tournament — used by the /resettournament guard to
@@ -336,27 +1500,50 @@ function countTournamentScores(tournamentId) {
 // Remove a tournament row entirely (used for ops cleanup of duplicate/orphan
 // tournaments). foreign_keys is ON with no ON DELETE CASCADE, so the child
 // score rows MUST be deleted first — wrapped in a transaction so it's atomic.
-// Returns { scores, tournament } = rows deleted from each table.
+// Returns { scores, tournament } = rows deleted from each table. The board is
+// archived first (archiveTournament).
 function deleteTournament(id) {
+  archiveTournament(id, { snapshot: 'deleted' });
   const tx = db.transaction((tid) => {
     const scores = db.prepare('DELETE FROM tournament_scores WHERE tournament_id = ?').run(tid).changes;
+    db.prepare('DELETE FROM score_reviews WHERE tournament_id = ?').run(tid);
+    db.prepare('DELETE FROM tournament_entries WHERE tournament_id = ?').run(tid);
+    db.prepare('DELETE FROM tournament_matches WHERE tournament_id = ?').run(tid);
     const tournament = db.prepare('DELETE FROM tournaments WHERE id = ?').run(tid).changes;
     return { scores, tournament };
   });
   return tx(id);
 }
 
-function banPlayer(telegramId, reason) {
-  db.prepare('INSERT OR REPLACE INTO banned_players (telegram_id, reason) VALUES (?, ?)')
-    .run(telegramId, reason || 'cheating');
+// Bans hide a player's scores from the boards instead of deleting them, so a
+// temporary ban (or a mistaken one) is fully reversible.
+//   mode 'ban'    — submissions rejected; hidden from every board.
+//   mode 'shadow' — submissions ACCEPTED; hidden from everyone but the player.
+// opts: { expiresAt (epoch ms, null = permanent), mode, bannedBy }
+function banPlayer(telegramId, reason, opts = {}) {
+  const expiresAt = opts.expiresAt == null ? null : sqlTime(opts.expiresAt);
+  db.prepare(`
+    INSERT OR REPLACE INTO banned_players (telegram_id, reason, expires_at, mode, banned_by, banned_at)
+    VALUES (?, ?, ?, ?, ?, datetime('now'))
+  `).run(telegramId, reason || 'cheating', expiresAt, opts.mode === 'shadow' ? 'shadow' : 'ban', opts.bannedBy ?? null);
 }
 
 function unbanPlayer(telegramId) {
-  db.prepare('DELETE FROM banned_players WHERE telegram_id = ?').run(telegramId);
+  return db.prepare('DELETE FROM banned_players WHERE telegram_id = ?').run(telegramId).changes;
 }
 
+// → the player's ACTIVE ban row { telegram_id, reason, mode, expires_at, … } or null.
+function getBan(telegramId) {
+  return db.prepare(`
+    SELECT * FROM banned_players
+    WHERE telegram_id = ? AND (expires_at IS NULL OR expires_at > datetime('now'))
+  `).get(telegramId) || null;
+}
+
+// Hard bans only — a shadow-banned player's submissions keep being accepted.
 function isBanned(telegramId) {
-  return !!db.prepare('SELECT 1 FROM banned_players WHERE telegram_id = ?').get(telegramId);
+  const ban = getBan(telegramId);
+  return !!ban && ban.mode === 'ban';
 }
 
 function updatePlayerBadges(telegramId, badges) {
@@ -370,11 +1557,48 @@ function updatePlayerBadges(telegramId, badges) {
     .run(JSON.stringify(clean), telegramId);
 }
 
+// ── Admin audit log ─────────────────────────────────────────────────
+
+// entry: { actor, action, target?, rows?, detail? } → audit id
+function logAdminAction(entry) {
+  return db.prepare(`
+    INSERT INTO admin_actions (actor, action, target, rows_affected, detail)
+    VALUES (?, ?, ?, ?, ?)
+  `).run(
+    entry.actor, entry.action,
+    entry.target == null ? null : String(entry.target),
+    Number.isInteger(entry.rows) ? entry.rows : 0,
+    entry.detail == null ? null : JSON.stringify(entry.detail),
+  ).lastInsertRowid;
+}
+
+// Newest first. Optional exact-match filters on target / action.
+function getAdminActions({ limit = 50, target = null, action = null } = {}) {
+  const where = [];
+  const params = [];
+  if (target != null) { where.push('target = ?'); params.push(String(target)); }
+  if (action != null) { where.push('action = ?'); params.push(action); }
+  return db.prepare(`
+    SELECT * FROM admin_actions
+    ${where.length ? 'WHERE ' + where.join(' AND ') : ''}
+    ORDER BY id DESC LIMIT ?
+  `).all(...params, limit).map(row => {
+    let detail = null;
+    try { detail = row.detail ? JSON.parse(row.detail) : null; } catch (e) { detail = null; }
+    return { ...row, detail };
+  });
+}
+
 // ── Weekly CSV Archive ────────────────────────────────────────────────
 
+// True once archiveWeek has written the week's CSV (the weekly reset).
+function isWeekArchived(weekStart) {
+  return fs.existsSync(path.join(ARCHIVE_DIR, weeklyFilename(weekStart)));
+}
+
 function archiveWeek(weekStart) {
   const week = weekStart || getWeekStart();
-  const filename = `leaderboard-${week}.csv`;
+  const filename = weeklyFilename(week);
   const filepath = path.join(ARCHIVE_DIR, filename);
 
   // Don't overwrite if already archived
@@ -395,10 +1619,10 @@ function archiveWeek(weekStart) {
     JOIN players p ON p.telegram_id = s.telegram_id
     JOIN (SELECT telegram_id, MAX(score) AS best FROM scores WHERE week_start = ? GROUP BY telegram_id) b
       ON b.telegram_id = s.telegram_id
-    WHERE s.week_start = ?
+    WHERE s.week_start = ? AND s.telegram_id NOT IN (${HIDDEN_PLAYERS})
     GROUP BY s.telegram_id
     ORDER BY best_score DESC, best_at ASC
-  `).all(week, week);
+  `).all(week, week, null);
 
   if (entries.length === 0) return null;
 
@@ -416,21 +1640,71 @@ function archiveWeek(weekStart) {
   return { filepath, filename, playerCount: entries.length };
 }
 
-function getArchiveList() {
+// Tournament board → CSV in DATA_DIR/archives (lib/archive-files), with the same
+// csvCell escaping and tiebreak order as the weekly archive. Without `snapshot`
+// it is the close-out archive: the recorded results (with prizes) once closed,
+// written once. With snapshot 'reset' / 'deleted' it is the full board about to
+// be wiped, stamped so every reset keeps its own file.
+// opts: { since, rules (default: the row's options.rules), snapshot }
+function archiveTournament(tournamentId, opts = {}) {
+  const t = getTournament(tournamentId);
+  if (!t) return null;
+  const key = tournamentArchiveKey(tournamentId, opts.snapshot || null);
+  const filename = tournamentFilename(key);
+  const filepath = path.join(ARCHIVE_DIR, filename);
+  if (fs.existsSync(filepath)) return { filepath, filename, alreadyExists: true };
+
+  let entries = opts.snapshot ? null : getFinalStandings(tournamentId);
+  if (!entries) {
+    let rules = opts.rules;
+    if (rules === undefined) {
+      try { rules = JSON.parse(t.options || '{}').rules || null; } catch(e) { rules = null; }
+    }
+    const board = getTournamentLeaderboard(tournamentId, -1, opts.since || null, null, rules);
+    const bracket = getBracket(tournamentId);
+    entries = bracket.length ? bracketStandings(bracket, board) : board;
+  }
+  if (entries.length === 0) return null;
+
+  const header = 'rank,telegram_id,player_name,username,best_score,games_played,max_level,best_at,prize,skin';
+  const rows = entries.map((e, i) => [
+    e.rank || i + 1, e.telegram_id, e.first_name, e.username || '',
+    e.best_score, e.games_played, e.max_level, e.best_at || '', e.prize ?? '', e.skin || 'default',
+  ].map(csvCell).join(','));
+
+  fs.writeFileSync(filepath, [header, ...rows].join('\n'), 'utf8');
+  console.log(`📄 Archived tournament ${tournamentId}: ${entries.length} players → ${filename}`);
+
+  return { filepath, filename, playerCount: entries.length };
+}
+
+// Newest first — a week by when it ended (a boot-time recovery can write an old
+// week late), a tournament archive by when it was written.
+// type: 'weekly' | 'tournament' | null (both).
+function getArchiveList(type = null) {
   if (!fs.existsSync(ARCHIVE_DIR)) return [];
   return fs.readdirSync(ARCHIVE_DIR)
-    .filter(f => f.endsWith('.csv'))
-    .sort()
-    .reverse()
-    .map(f => {
-      const week = f.replace('leaderboard-', '').replace('.csv', '');
-      const stats = fs.statSync(path.join(ARCHIVE_DIR, f));
-      return { filename: f, week, size: stats.size, created: stats.mtime };
-    });
+    .map(f => ({ filename: f, parsed: parseArchiveFilename(f) }))
+    .filter(({ parsed }) => parsed && (!type || parsed.type === type))
+    .map(({ filename, parsed }) => {
+      const stats = fs.statSync(path.join(ARCHIVE_DIR, filename));
+      return { filename, ...parsed, size: stats.size, created: stats.mtime };
+    })
+    .sort((a, b) => archiveSortTime(b) - archiveSortTime(a) || b.filename.localeCompare(a.filename));
+}
+
+function archiveSortTime(a) {
+  return a.type === 'weekly' ? Date.parse(`${a.week}T00:00:00Z`) + 7 * 24 * 60 * 60 * 1000 : a.created.getTime();
 }
 
 function getArchivePath(week) {
-  const filepath = path.join(ARCHIVE_DIR, `leaderboard-${week}.csv`);
+  const filepath = path.join(ARCHIVE_DIR, weeklyFilename(week));
+  return fs.existsSync(filepath) ? filepath : null;
+}
+
+function getTournamentArchivePath(key) {
+  if (!isTournamentKey(key)) return null;
+  const filepath = path.join(ARCHIVE_DIR, tournamentFilename(key));
   return fs.existsSync(filepath) ? filepath : null;
 }
 
@@ -443,16 +1717,82 @@ module.exports = {
   addCoins,
   submitScore,
   getWeeklyLeaderboard,
+  trackGroupMember,
+  getGroupLeaderboard,
+  countGroupMembers,
+  getGroupChats,
+  claimGroupChampion,
+  forgetGroup,
+  getCardFileId,
+  saveCardFileId,
+  pruneCardFileIds,
+  enqueueOutbox,
+  claimOutbox,
+  completeOutbox,
+  failOutbox,
+  deferOutbox,
+  pruneOutbox,
+  getOutboxStats,
+  setPlayerUnreachable,
+  isPlayerUnreachable,
+  createBroadcastDraft,
+  getBroadcast,
+  getBroadcastAudience,
+  startBroadcast,
+  getBroadcastProgress,
+  getUnreportedBroadcasts,
+  finishBroadcast,
   getPlayerWeeklyBest,
   getPlayerRank,
   getAllTimeStats,
   createTournament,
+  seedTournament,
+  insertTournament,
+  saveTournament,
   getTournament,
   getActiveTournaments,
   getAllTournaments,
+  getUnclosedTournaments,
+  holdCloseout,
+  closeTournament,
+  hasTournamentResults,
+  getTournamentResults,
+  getFinalStandings,
+  setPayoutStatus,
   submitTournamentScore,
   getTournamentLeaderboard,
   getTournamentPlayerRank,
+  countTournamentAttempts,
+  joinTournament,
+  isRegistered,
+  countEntries,
+  getEntrants,
+  closeStage,
+  getClosedStages,
+  getStageResults,
+  isQualified,
+  claimStageAnnouncement,
+  getTournamentReportData,
+  seedBracket,
+  hasBracket,
+  getBracket,
+  getMatchBest,
+  markMatchOpened,
+  resolveMatch,
+  getScoreRun,
+  getPlayerRuns,
+  getPlayerScoreHistory,
+  flagScore,
+  getPendingReviews,
+  countPendingReviews,
+  getReview,
+  resolveReview,
+  rejectPlayerReviews,
+  createSession,
+  getSession,
+  consumeSession,
+  pruneSessions,
+  countSessions,
   removePlayerWeekScores,
   removeAllPlayerScores,
   removeTournamentScores,
@@ -462,9 +1802,14 @@ module.exports = {
   banPlayer,
   unbanPlayer,
   isBanned,
+  getBan,
   updatePlayerBadges,
+  logAdminAction,
+  getAdminActions,
   archiveWeek,
+  archiveTournament,
   getArchiveList,
   getArchivePath,
+  getTournamentArchivePath,
   ARCHIVE_DIR,
 };
@@ -1,6 +1,11 @@
 // leaderboard-card.js — Renders a leaderboard PNG using node-canvas
-const { createCanvas, registerFont } = require('canvas');
+const { createCanvas, registerFont, Image } = require('canvas');
+const fs = require('fs');
 const path = require('path');
+const { bracketRounds, roundName } = require('./lib/tournament-bracket');
+const { resolvePalette, withAlpha } = require('./lib/tournament-branding');
+
+const ASSETS_DIR = path.join(__dirname, 'assets');
 
 // ── Colour palette (matches the game UI) ────────────────────────────
 const C = {
@@ -90,6 +95,7 @@ const MAX_ENTRIES   = 50;
  * @param {number} options.highlightId  — telegram_id to highlight as "YOU"
  * @param {string} options.resetIn      — human-readable time until next reset
  * @param {string} options.weekLabel    — e.g. "Feb 9 – Feb 15, 2026"
+ * @param {string} options.subtitle     — header line (default "WEEKLY LEADERBOARD")
  * @returns {Buffer} PNG image buffer
  */
 function renderLeaderboardCard(entries, options = {}) {
@@ -131,7 +137,7 @@ function renderLeaderboardCard(entries, options = {}) {
   // Subtitle
   ctx.fillStyle = C.accent2;
   ctx.font = 'bold 16px sans-serif';
-  ctx.fillText('WEEKLY LEADERBOARD', WIDTH / 2, trophyY + 72);
+  ctx.fillText((options.subtitle || 'WEEKLY LEADERBOARD').substring(0, 48), WIDTH / 2, trophyY + 72);
 
   // Week info
   if (options.weekLabel) {
@@ -343,10 +349,10 @@ function roundRect(ctx, x, y, w, h, r) {
 }
 
 // ── Helper: decorative corner brackets ──────────────────────────────
-function drawCornerAccents(ctx, w, h) {
+function drawCornerAccents(ctx, w, h, colour = 'rgba(255,184,0,0.25)') {
   const len = 20;
   const off = 8;
-  ctx.strokeStyle = 'rgba(255,184,0,0.25)';
+  ctx.strokeStyle = colour;
   ctx.lineWidth = 2;
 
   // Top-left
@@ -601,11 +607,19 @@ function drawClockIcon(ctx, cx, cy, r, colour) {
 
 /**
  * Render a tournament leaderboard card.
+ * options: name, sponsor, status, highlightId, prizes, rules (label from
+ * describeRules), scoreLabel (column header, default 'SCORE'), stage (label
+ * from lib/tournament-stages.stageLabel), branding (lib/tournament-branding:
+ * palette overrides, logo drawn in the header, tagline under the sponsor).
  */
 function renderTournamentCard(entries, options = {}) {
   const nPrize = Array.isArray(options.prizes) ? options.prizes.length : 0;
   const count  = Math.min(Math.max(entries.length, nPrize), MAX_ENTRIES);
-  const height = HEADER_H + 20 + count * (ROW_H + ROW_GAP) + FOOTER_H + PAD * 2;
+  const branding = options.branding || {};
+  const P = resolvePalette(C, branding);
+  const theme = (a) => withAlpha(P.gold, a);
+  const headerH = HEADER_H + (branding.tagline ? 18 : 0);
+  const height = headerH + 20 + count * (ROW_H + ROW_GAP) + FOOTER_H + PAD * 2;
 
   const canvas = createCanvas(WIDTH, height);
   const ctx    = canvas.getContext('2d');
@@ -613,70 +627,86 @@ function renderTournamentCard(entries, options = {}) {
   // Background — slightly different gradient for tournament feel
   const bgGrad = ctx.createLinearGradient(0, 0, 0, height);
   bgGrad.addColorStop(0, '#0d0520');
-  bgGrad.addColorStop(0.3, '#0a0e1a');
+  bgGrad.addColorStop(0.3, P.bgDark);
   bgGrad.addColorStop(1, '#06080f');
   ctx.fillStyle = bgGrad;
   roundRect(ctx, 0, 0, WIDTH, height, CORNER_R);
   ctx.fill();
 
   // Border — gold for tournament
-  ctx.strokeStyle = 'rgba(255,215,0,0.45)';
+  ctx.strokeStyle = theme(0.45);
   ctx.lineWidth = 2;
   roundRect(ctx, 1, 1, WIDTH - 2, height - 2, CORNER_R);
   ctx.stroke();
 
-  drawCornerAccents(ctx, WIDTH, height);
+  drawCornerAccents(ctx, WIDTH, height, withAlpha(P.accent2, 0.25));
 
   // Header
   const trophyY = 30;
-  drawTrophy(ctx, WIDTH / 2, trophyY + 2, 28, C.gold);
+  drawTrophy(ctx, WIDTH / 2, trophyY + 2, 28, P.gold);
+
+  // Sponsor logo, top-left of the header. A missing or unreadable file just
+  // leaves the card unbranded there.
+  if (branding.logo) {
+    try {
+      const logo = new Image();
+      logo.src = fs.readFileSync(path.join(ASSETS_DIR, branding.logo));
+      const scale = Math.min(72 / logo.width, 72 / logo.height);
+      ctx.drawImage(logo, PAD, 24, logo.width * scale, logo.height * scale);
+    } catch (e) {}
+  }
 
   // Tournament name
-  ctx.fillStyle = C.gold;
+  ctx.fillStyle = P.gold;
   ctx.font = 'bold 24px sans-serif';
   ctx.textAlign = 'center';
   ctx.fillText(options.name || 'TOURNAMENT', WIDTH / 2, trophyY + 48);
 
   // Sponsor
   if (options.sponsor) {
-    ctx.fillStyle = C.accent3;
+    ctx.fillStyle = P.accent3;
     ctx.font = 'bold 13px sans-serif';
     ctx.fillText(`Sponsored by ${options.sponsor}`, WIDTH / 2, trophyY + 70);
   }
+  if (branding.tagline) {
+    ctx.fillStyle = P.textDim;
+    ctx.font = 'italic 12px sans-serif';
+    ctx.fillText(branding.tagline, WIDTH / 2, trophyY + 88);
+  }
 
-  // Status badge
-  if (options.status) {
-    const isLive = options.status.includes('LIVE');
-    ctx.fillStyle = isLive ? C.success : C.textDim;
+  // Status badge (+ stage and rule set, e.g. "Stage 2/3 · Finals", "Sum of your top 5 runs")
+  if (options.status || options.stage || options.rules) {
+    const isLive = !!options.status && options.status.includes('LIVE');
+    ctx.fillStyle = isLive ? C.success : P.textDim;
     ctx.font = 'bold 11px sans-serif';
-    ctx.fillText(options.status, WIDTH / 2, trophyY + 92);
+    ctx.fillText([options.status, options.stage, options.rules].filter(Boolean).join('  \u00b7  '), WIDTH / 2, trophyY + 92 + headerH - HEADER_H);
   }
 
   // Decorative line under header
-  const lineY = HEADER_H + 12;
+  const lineY = headerH + 12;
   const lineGrad = ctx.createLinearGradient(PAD, lineY, WIDTH - PAD, lineY);
-  lineGrad.addColorStop(0, 'rgba(255,215,0,0)');
-  lineGrad.addColorStop(0.2, 'rgba(255,215,0,0.6)');
-  lineGrad.addColorStop(0.5, 'rgba(255,215,0,0.8)');
-  lineGrad.addColorStop(0.8, 'rgba(255,215,0,0.6)');
-  lineGrad.addColorStop(1, 'rgba(255,215,0,0)');
+  lineGrad.addColorStop(0, theme(0));
+  lineGrad.addColorStop(0.2, theme(0.6));
+  lineGrad.addColorStop(0.5, theme(0.8));
+  lineGrad.addColorStop(0.8, theme(0.6));
+  lineGrad.addColorStop(1, theme(0));
   ctx.fillStyle = lineGrad;
   ctx.fillRect(PAD, lineY, WIDTH - PAD * 2, 2);
 
   // Column headers
-  const colY = HEADER_H + 24;
+  const colY = headerH + 24;
   ctx.font = 'bold 9px sans-serif';
-  ctx.fillStyle = C.textDim;
+  ctx.fillStyle = P.textDim;
   ctx.textAlign = 'left';
   ctx.fillText('RANK', PAD + 14, colY);
   ctx.fillText('PLAYER', PAD + 80, colY);
   ctx.textAlign = 'right';
-  ctx.fillText('SCORE', WIDTH - PAD - 120, colY);
+  ctx.fillText(options.scoreLabel || 'SCORE', WIDTH - PAD - 120, colY);
   ctx.fillText('LEVEL', WIDTH - PAD - 50, colY);
   ctx.fillText('GAMES', WIDTH - PAD - 4, colY);
 
   // Rows
-  const startY = HEADER_H + 32;
+  const startY = headerH + 32;
   for (let i = 0; i < count; i++) {
     const entry = entries[i];
     const prize = i < nPrize ? options.prizes[i] : null;
@@ -686,18 +716,18 @@ function renderTournamentCard(entries, options = {}) {
     // Row background
     const isHighlighted = options.highlightId && entry && entry.telegram_id === options.highlightId;
     if (isHighlighted) {
-      ctx.fillStyle = 'rgba(255,215,0,0.12)';
+      ctx.fillStyle = theme(0.12);
     } else if (rank <= 3) {
       ctx.fillStyle = rank === 1 ? 'rgba(255,215,0,0.08)' : (rank === 2 ? 'rgba(192,192,192,0.06)' : 'rgba(205,127,50,0.06)');
     } else {
-      ctx.fillStyle = i % 2 === 0 ? C.bgRow : C.bgRowAlt;
+      ctx.fillStyle = i % 2 === 0 ? P.bgRow : P.bgRowAlt;
     }
     roundRect(ctx, PAD, y, WIDTH - PAD * 2, ROW_H, 8);
     ctx.fill();
 
     if (isHighlighted) {
       ctx.save();
-      ctx.strokeStyle = 'rgba(255,215,0,0.5)';
+      ctx.strokeStyle = theme(0.5);
       ctx.lineWidth = 1.5;
       roundRect(ctx, PAD, y, WIDTH - PAD * 2, ROW_H, 8);
       ctx.stroke();
@@ -713,7 +743,7 @@ function renderTournamentCard(entries, options = {}) {
       drawMedal(ctx, PAD + 32, rowCenterY, 12, rank === 1 ? C.gold : (rank === 2 ? C.silver : C.bronze), String(rank));
     } else {
       ctx.font = 'bold 14px sans-serif';
-      ctx.fillStyle = C.textDim;
+      ctx.fillStyle = P.textDim;
       ctx.fillText(`#${rank}`, PAD + 32, rowCenterY);
     }
 
@@ -733,12 +763,12 @@ function renderTournamentCard(entries, options = {}) {
     if (entry) {
       const prefix = isHighlighted ? '\u25B6 ' : '';
       ctx.font = isHighlighted ? 'bold 13px sans-serif' : '13px sans-serif';
-      ctx.fillStyle = isHighlighted ? C.gold : C.text;
+      ctx.fillStyle = isHighlighted ? P.gold : P.text;
       const name = prefix + (entry.first_name || entry.username || 'Player');
       ctx.fillText(name.substring(0, prize != null ? 14 : 18), PAD + 86, rowCenterY);
     } else {
       ctx.font = 'italic 13px sans-serif';
-      ctx.fillStyle = C.textDim;
+      ctx.fillStyle = P.textDim;
       ctx.fillText('\u2014 up for grabs \u2014', PAD + 86, rowCenterY);
     }
 
@@ -748,7 +778,7 @@ function renderTournamentCard(entries, options = {}) {
       ctx.textAlign = 'right';
       ctx.textBaseline = 'middle';
       ctx.font = 'bold 13px sans-serif';
-      ctx.fillStyle = C.gold;
+      ctx.fillStyle = P.gold;
       ctx.fillText('$' + prize, WIDTH - PAD - 175, rowCenterY);
       ctx.restore();
     }
@@ -758,7 +788,7 @@ function renderTournamentCard(entries, options = {}) {
       // Score
       ctx.textAlign = 'right';
       ctx.font = 'bold 16px sans-serif';
-      ctx.fillStyle = rank <= 3 ? C.gold : C.accent2;
+      ctx.fillStyle = rank <= 3 ? P.gold : P.accent2;
       ctx.fillText(String(entry.best_score), WIDTH - PAD - 120, rowCenterY);
 
       // Level
@@ -767,7 +797,7 @@ function renderTournamentCard(entries, options = {}) {
       ctx.fillText(String(entry.max_level || 1), WIDTH - PAD - 54, rowCenterY);
 
       // Games
-      ctx.fillStyle = C.accent3;
+      ctx.fillStyle = P.accent3;
       ctx.fillText(String(entry.games_played || 0), WIDTH - PAD - 8, rowCenterY);
     }
   }
@@ -775,6 +805,157 @@ function renderTournamentCard(entries, options = {}) {
   // Footer
   const footerY = height - FOOTER_H;
 
+  const fLineGrad = ctx.createLinearGradient(PAD, footerY, WIDTH - PAD, footerY);
+  fLineGrad.addColorStop(0, theme(0));
+  fLineGrad.addColorStop(0.5, theme(0.4));
+  fLineGrad.addColorStop(1, theme(0));
+  ctx.fillStyle = fLineGrad;
+  ctx.fillRect(PAD, footerY + 4, WIDTH - PAD * 2, 1);
+
+  ctx.textAlign = 'center';
+  ctx.textBaseline = 'middle';
+  ctx.font = 'bold 10px sans-serif';
+  ctx.fillStyle = theme(0.4);
+  ctx.fillText('FLAPPY BERT  •  TOURNAMENT MODE', WIDTH / 2, footerY + 24);
+  ctx.font = '8px sans-serif';
+  ctx.fillStyle = withAlpha(P.accent3, 0.3);
+  ctx.fillText('DR. INKER LABS', WIDTH / 2, footerY + 38);
+
+  return canvas.toBuffer('image/png');
+}
+
+/**
+ * Render a knockout bracket card (lib/tournament-bracket): one column per round,
+ * each match a two-line box joined to the match its winner plays next.
+ * matches: db.getBracket rows. options: name, sponsor, status, highlightId.
+ */
+function renderBracketCard(matches, options = {}) {
+  const rounds  = bracketRounds(matches);
+  const firstN  = matches.filter(m => m.round === 1).length;
+  const LINE_H  = 22;
+  const UNIT    = LINE_H * 2 + 10;           // one first-round match + gap
+  const top     = HEADER_H + 44;
+  const height  = top + firstN * UNIT + FOOTER_H + PAD;
+  const colW    = (WIDTH - PAD * 2) / Math.max(rounds, 1);
+  const boxW    = colW - 22;
+
+  const canvas = createCanvas(WIDTH, height);
+  const ctx    = canvas.getContext('2d');
+
+  const bgGrad = ctx.createLinearGradient(0, 0, 0, height);
+  bgGrad.addColorStop(0, '#0d0520');
+  bgGrad.addColorStop(0.3, '#0a0e1a');
+  bgGrad.addColorStop(1, '#06080f');
+  ctx.fillStyle = bgGrad;
+  roundRect(ctx, 0, 0, WIDTH, height, CORNER_R);
+  ctx.fill();
+
+  ctx.strokeStyle = 'rgba(255,215,0,0.45)';
+  ctx.lineWidth = 2;
+  roundRect(ctx, 1, 1, WIDTH - 2, height - 2, CORNER_R);
+  ctx.stroke();
+
+  drawCornerAccents(ctx, WIDTH, height);
+
+  // Header
+  const trophyY = 30;
+  drawTrophy(ctx, WIDTH / 2, trophyY + 2, 28, C.gold);
+  ctx.fillStyle = C.gold;
+  ctx.font = 'bold 24px sans-serif';
+  ctx.textAlign = 'center';
+  ctx.fillText(options.name || 'TOURNAMENT', WIDTH / 2, trophyY + 48);
+  if (options.sponsor) {
+    ctx.fillStyle = C.accent3;
+    ctx.font = 'bold 13px sans-serif';
+    ctx.fillText(`Sponsored by ${options.sponsor}`, WIDTH / 2, trophyY + 70);
+  }
+  ctx.fillStyle = options.status && options.status.includes('LIVE') ? C.success : C.textDim;
+  ctx.font = 'bold 11px sans-serif';
+  ctx.fillText([options.status, 'Knockout'].filter(Boolean).join('  ·  '), WIDTH / 2, trophyY + 92);
+
+  // Round labels
+  ctx.font = 'bold 10px sans-serif';
+  ctx.fillStyle = C.textDim;
+  for (let r = 1; r <= rounds; r++) {
+    ctx.fillText(roundName(r, rounds).toUpperCase(), PAD + (r - 1) * colW + boxW / 2, HEADER_H + 24);
+  }
+
+  const boxX = (m) => PAD + (m.round - 1) * colW;
+  const midY = (m) => top + (m.slot + 0.5) * UNIT * 2 ** (m.round - 1) - 5;
+
+  // Connectors first, so boxes sit on top
+  ctx.strokeStyle = 'rgba(255,215,0,0.25)';
+  ctx.lineWidth = 1.5;
+  for (const m of matches) {
+    if (m.round >= rounds) continue;
+    const x = boxX(m) + boxW, y = midY(m);
+    const nextY = top + ((m.slot >> 1) + 0.5) * UNIT * 2 ** m.round - 5;
+    const elbow = x + (colW - boxW) / 2;
+    ctx.beginPath();
+    ctx.moveTo(x, y);
+    ctx.lineTo(elbow, y);
+    ctx.lineTo(elbow, nextY);
+    ctx.lineTo(x + colW - boxW, nextY);
+    ctx.stroke();
+  }
+
+  const maxChars = Math.max(6, Math.floor((boxW - 60) / 7));
+  for (const m of matches) {
+    const x = boxX(m), y = midY(m) - LINE_H;
+    ctx.fillStyle = C.bgRow;
+    roundRect(ctx, x, y, boxW, LINE_H * 2, 6);
+    ctx.fill();
+
+    for (const [i, side] of [[0, 'a'], [1, 'b']]) {
+      const id = m[`player_${side}`];
+      const ly = y + LINE_H * i + LINE_H / 2;
+      const isWinner = m.winner != null && m.winner === id;
+      const isLoser = m.winner != null && id != null && m.winner !== id;
+      const isHighlighted = options.highlightId && id === options.highlightId;
+
+      if (isHighlighted) {
+        ctx.save();
+        ctx.strokeStyle = 'rgba(255,215,0,0.6)';
+        ctx.lineWidth = 1.5;
+        roundRect(ctx, x + 1, y + LINE_H * i + 1, boxW - 2, LINE_H - 2, 5);
+        ctx.stroke();
+        ctx.restore();
+      }
+
+      ctx.textBaseline = 'middle';
+      ctx.textAlign = 'left';
+      if (id == null) {
+        ctx.font = 'italic 11px sans-serif';
+        ctx.fillStyle = C.textDim;
+        ctx.fillText(m.round === 1 ? 'bye' : '—', x + 8, ly);
+        continue;
+      }
+      const seed = m[`seed_${side}`];
+      ctx.font = '9px sans-serif';
+      ctx.fillStyle = C.textDim;
+      ctx.fillText(seed != null ? String(seed) : '', x + 6, ly);
+
+      const name = m[`name_${side}`] || m[`username_${side}`] || 'Player';
+      ctx.font = isWinner ? 'bold 11px sans-serif' : '11px sans-serif';
+      ctx.fillStyle = isWinner ? C.gold : (isLoser ? C.textDim : C.text);
+      ctx.fillText(name.substring(0, maxChars), x + 24, ly);
+
+      const score = m[`score_${side}`];
+      if (m.winner != null) {
+        ctx.textAlign = 'right';
+        ctx.font = 'bold 11px sans-serif';
+        ctx.fillStyle = isWinner ? C.accent2 : C.textDim;
+        ctx.fillText(score != null ? String(score) : '—', x + boxW - 8, ly);
+      }
+    }
+
+    // Divider between the two players
+    ctx.fillStyle = 'rgba(255,255,255,0.06)';
+    ctx.fillRect(x + 4, y + LINE_H, boxW - 8, 1);
+  }
+
+  // Footer
+  const footerY = height - FOOTER_H;
   const fLineGrad = ctx.createLinearGradient(PAD, footerY, WIDTH - PAD, footerY);
   fLineGrad.addColorStop(0, 'rgba(255,215,0,0)');
   fLineGrad.addColorStop(0.5, 'rgba(255,215,0,0.4)');
@@ -786,7 +967,7 @@ function renderTournamentCard(entries, options = {}) {
   ctx.textBaseline = 'middle';
   ctx.font = 'bold 10px sans-serif';
   ctx.fillStyle = 'rgba(255,215,0,0.4)';
-  ctx.fillText('FLAPPY BERT  •  TOURNAMENT MODE', WIDTH / 2, footerY + 24);
+  ctx.fillText('FLAPPY BERT  •  KNOCKOUT MODE', WIDTH / 2, footerY + 24);
   ctx.font = '8px sans-serif';
   ctx.fillStyle = 'rgba(0,229,255,0.3)';
   ctx.fillText('DR. INKER LABS', WIDTH / 2, footerY + 38);
@@ -794,4 +975,175 @@ function renderTournamentCard(entries, options = {}) {
   return canvas.toBuffer('image/png');
 }
 
-module.exports = { renderLeaderboardCard, renderPlayerCard, renderTournamentCard };
+/**
+ * Render a sponsor participation report (lib/tournament-report.buildReport):
+ * headline numbers, runs per day, the score distribution and prize winners.
+ * options: branding (same palette overrides as the tournament card).
+ */
+function renderReportCard(report, options = {}) {
+  const P = resolvePalette(C, options.branding);
+  const theme = (a) => withAlpha(P.gold, a);
+  const TILE_H = 70, CHART_H = 150, WIN_H = 28;
+  const winners = report.winners.slice(0, 10);
+  const tilesY = HEADER_H + 24;
+  const daysY = tilesY + TILE_H + 40;
+  const distY = daysY + CHART_H + 56;
+  const winY = distY + CHART_H + 56;
+  const height = winY + 20 + Math.max(winners.length, 1) * WIN_H + FOOTER_H + PAD;
+
+  const canvas = createCanvas(WIDTH, height);
+  const ctx    = canvas.getContext('2d');
+
+  const bgGrad = ctx.createLinearGradient(0, 0, 0, height);
+  bgGrad.addColorStop(0, '#0d0520');
+  bgGrad.addColorStop(0.3, P.bgDark);
+  bgGrad.addColorStop(1, '#06080f');
+  ctx.fillStyle = bgGrad;
+  roundRect(ctx, 0, 0, WIDTH, height, CORNER_R);
+  ctx.fill();
+
+  ctx.strokeStyle = theme(0.45);
+  ctx.lineWidth = 2;
+  roundRect(ctx, 1, 1, WIDTH - 2, height - 2, CORNER_R);
+  ctx.stroke();
+
+  drawCornerAccents(ctx, WIDTH, height, withAlpha(P.accent2, 0.25));
+
+  // Header
+  const t = report.tournament;
+  const trophyY = 30;
+  drawTrophy(ctx, WIDTH / 2, trophyY + 2, 28, P.gold);
+  ctx.fillStyle = P.gold;
+  ctx.font = 'bold 24px sans-serif';
+  ctx.textAlign = 'center';
+  ctx.fillText(t.name || 'TOURNAMENT', WIDTH / 2, trophyY + 48);
+  if (t.sponsor) {
+    ctx.fillStyle = P.accent3;
+    ctx.font = 'bold 13px sans-serif';
+    ctx.fillText(`Participation report for ${t.sponsor}`, WIDTH / 2, trophyY + 70);
+  }
+  ctx.fillStyle = P.textDim;
+  ctx.font = 'bold 11px sans-serif';
+  ctx.fillText(`${t.startTime.slice(0, 10)}  →  ${t.endTime.slice(0, 10)}`, WIDTH / 2, trophyY + 92);
+
+  // Headline tiles
+  const tiles = [
+    ['PLAYERS', report.uniquePlayers],
+    ['RUNS', report.totalRuns],
+    ['RUNS / PLAYER', report.runsPerPlayer],
+    ['NEW PLAYERS', report.newPlayers],
+  ];
+  const tileW = (WIDTH - PAD * 2 - 12 * (tiles.length - 1)) / tiles.length;
+  tiles.forEach(([label, value], i) => {
+    const x = PAD + i * (tileW + 12);
+    ctx.fillStyle = P.bgRow;
+    roundRect(ctx, x, tilesY, tileW, TILE_H, 10);
+    ctx.fill();
+    ctx.textAlign = 'center';
+    ctx.textBaseline = 'middle';
+    ctx.font = 'bold 26px sans-serif';
+    ctx.fillStyle = P.gold;
+    ctx.fillText(String(value), x + tileW / 2, tilesY + 30);
+    ctx.font = 'bold 9px sans-serif';
+    ctx.fillStyle = P.textDim;
+    ctx.fillText(label, x + tileW / 2, tilesY + 54);
+  });
+
+  // Bar chart: one bar per item, value label above, x label below.
+  const drawBars = (title, items, y, colour, labelEvery) => {
+    ctx.textAlign = 'left';
+    ctx.textBaseline = 'alphabetic';
+    ctx.font = 'bold 11px sans-serif';
+    ctx.fillStyle = P.text;
+    ctx.fillText(title, PAD, y - 14);
+    ctx.fillStyle = P.bgRowAlt;
+    roundRect(ctx, PAD, y, WIDTH - PAD * 2, CHART_H, 8);
+    ctx.fill();
+    if (!items.length) return;
+    const max = Math.max(1, ...items.map(it => it.value));
+    const slot = (WIDTH - PAD * 2 - 20) / items.length;
+    const barW = Math.max(2, slot * 0.7);
+    const baseY = y + CHART_H - 10;
+    const plotH = CHART_H - 36;
+    items.forEach((it, i) => {
+      const x = PAD + 10 + i * slot + (slot - barW) / 2;
+      const h = (it.value / max) * plotH;
+      ctx.fillStyle = colour;
+      ctx.fillRect(x, baseY - h, barW, h);
+      ctx.textAlign = 'center';
+      if (slot >= 22 && it.value > 0) {
+        ctx.font = 'bold 9px sans-serif';
+        ctx.fillStyle = P.text;
+        ctx.fillText(String(it.value), x + barW / 2, baseY - h - 4);
+      }
+      if (i % labelEvery === 0 || i === items.length - 1) {
+        ctx.font = '9px sans-serif';
+        ctx.fillStyle = P.textDim;
+        ctx.fillText(it.label, x + barW / 2, y + CHART_H + 14);
+      }
+    });
+  };
+  const days = report.runsPerDay.map(d => ({ label: d.day.slice(5), value: d.runs }));
+  drawBars('RUNS PER DAY', days, daysY, P.accent3, Math.max(1, Math.ceil(days.length / 10)));
+  drawBars('SCORE DISTRIBUTION (RUNS)', report.scoreDistribution.map(b => ({ label: b.label, value: b.runs })), distY, P.accent2, 1);
+
+  // Prize winners
+  ctx.textAlign = 'left';
+  ctx.textBaseline = 'alphabetic';
+  ctx.font = 'bold 11px sans-serif';
+  ctx.fillStyle = P.text;
+  ctx.fillText('PRIZE WINNERS', PAD, winY - 14);
+  if (!winners.length) {
+    ctx.font = 'italic 12px sans-serif';
+    ctx.fillStyle = P.textDim;
+    ctx.fillText('No prize winners', PAD + 14, winY + WIN_H / 2 + 4);
+  }
+  winners.forEach((w, i) => {
+    const y = winY + i * WIN_H;
+    ctx.fillStyle = i % 2 === 0 ? P.bgRow : P.bgRowAlt;
+    roundRect(ctx, PAD, y, WIDTH - PAD * 2, WIN_H - 4, 6);
+    ctx.fill();
+    const cy = y + (WIN_H - 4) / 2;
+    ctx.textBaseline = 'middle';
+    if (w.rank <= 3) {
+      drawMedal(ctx, PAD + 20, cy, 9, w.rank === 1 ? C.gold : (w.rank === 2 ? C.silver : C.bronze), String(w.rank));
+    } else {
+      ctx.textAlign = 'center';
+      ctx.font = 'bold 11px sans-serif';
+      ctx.fillStyle = P.textDim;
+      ctx.fillText(`#${w.rank}`, PAD + 20, cy);
+    }
+    ctx.textAlign = 'left';
+    ctx.font = '12px sans-serif';
+    ctx.fillStyle = P.text;
+    ctx.fillText(String(w.name || w.username || 'Player').substring(0, 24), PAD + 42, cy);
+    ctx.textAlign = 'right';
+    ctx.fillStyle = P.accent2;
+    ctx.fillText(String(w.score), WIDTH - PAD - 90, cy);
+    ctx.font = 'bold 12px sans-serif';
+    ctx.fillStyle = P.gold;
+    ctx.fillText('$' + w.prize, WIDTH - PAD - 12, cy);
+  });
+
+  // Footer
+  const footerY = height - FOOTER_H;
+  const fLineGrad = ctx.createLinearGradient(PAD, footerY, WIDTH - PAD, footerY);
+  fLineGrad.addColorStop(0, theme(0));
+  fLineGrad.addColorStop(0.5, theme(0.4));
+  fLineGrad.addColorStop(1, theme(0));
+  ctx.fillStyle = fLineGrad;
+  ctx.fillRect(PAD, footerY + 4, WIDTH - PAD * 2, 1);
+
+  ctx.textAlign = 'center';
+  ctx.textBaseline = 'middle';
+  ctx.font = 'bold 10px sans-serif';
+  ctx.fillStyle = theme(0.4);
+  ctx.fillText('FLAPPY BERT  •  SPONSOR REPORT', WIDTH / 2, footerY + 24);
+  ctx.font = '8px sans-serif';
+  ctx.fillStyle = withAlpha(P.accent3, 0.3);
+  ctx.fillText(`GENERATED ${report.generatedAt.slice(0, 16).replace('T', ' ')} UTC`, WIDTH / 2, footerY + 38);
+
+  return canvas.toBuffer('image/png');
+}
+
+module.exports = { renderLeaderboardCard, renderPlayerCard, renderTournamentCard, renderBracketCard, renderReportCard };
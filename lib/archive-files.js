@@ -0,0 +1,60 @@
+// Archive file names — pure helpers shared by db.js (archiveWeek,
+// archiveTournament, getArchiveList) bot.js (/history) and api.js (/api/archives).
+// Everything lives flat in DATA_DIR/archives:
+//
+//   leaderboard-2026-10-12.csv                           weekly board (week start)
+//   tournament-summer-session-2026.csv                   final board, written at close-out
+//   tournament-summer-session-2026__reset-20261019T101500Z.csv
+//                                                        snapshot before /resettournament
+//   tournament-april-flapoff-2026__deleted-20261019T101500Z.csv
+//                                                        snapshot before deleteTournament
+//
+// Tournament ids are [a-z0-9-] (lib/tournament-admin), so "__" can't be part of one.
+// An archive's key is its file name without the prefix and ".csv".
+
+const ARCHIVE_TYPES = ['weekly', 'tournament'];
+const SNAPSHOTS = ['reset', 'deleted'];
+const WEEK_RE = /^\d{4}-\d{2}-\d{2}$/;
+const TOURNAMENT_KEY_RE = /^([a-z0-9][a-z0-9-]{0,63})(?:__(reset|deleted)-(\d{8}T\d{6}Z))?$/;
+
+function weeklyFilename(week) {
+  return `leaderboard-${week}.csv`;
+}
+
+// snapshot: null for the close-out archive, else 'reset' / 'deleted' stamped at ms.
+function tournamentArchiveKey(tournamentId, snapshot = null, ms = Date.now()) {
+  if (!snapshot) return tournamentId;
+  const stamp = new Date(ms).toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+  return `${tournamentId}__${snapshot}-${stamp}`;
+}
+
+function tournamentFilename(key) {
+  return `tournament-${key}.csv`;
+}
+
+function isTournamentKey(key) {
+  return typeof key === 'string' && TOURNAMENT_KEY_RE.test(key);
+}
+
+// File name → { type, week } | { type, key, tournamentId, snapshot }, or null
+// for anything that isn't an archive.
+function parseArchiveFilename(filename) {
+  let m = /^leaderboard-(.+)\.csv$/.exec(filename);
+  if (m && WEEK_RE.test(m[1])) return { type: 'weekly', week: m[1] };
+  m = /^tournament-(.+)\.csv$/.exec(filename);
+  const t = m && TOURNAMENT_KEY_RE.exec(m[1]);
+  if (t) return { type: 'tournament', key: m[1], tournamentId: t[1], snapshot: t[2] || null };
+  return null;
+}
+
+// ?type= / "/history <type>" → 'weekly' | 'tournament' | null (all), or undefined when invalid.
+function parseArchiveType(value) {
+  if (value == null || value === '' || value === 'all') return null;
+  const v = String(value).toLowerCase().replace(/s$/, '');
+  return ARCHIVE_TYPES.includes(v) ? v : undefined;
+}
+
+module.exports = {
+  ARCHIVE_TYPES, SNAPSHOTS, weeklyFilename, tournamentArchiveKey, tournamentFilename, isTournamentKey,
+  parseArchiveFilename, parseArchiveType,
+};
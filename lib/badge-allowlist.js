@@ -1,4 +1,4 @@
-// Server-side badge gating — shared module required by bot.js and the tests.
+// Server-side badge gating — shared module required by api.js and the tests.
 // Badges are decorative (boards rank by score, not badges) but render on the
 // shared/public leaderboard cards, so a submitter must not be able to forge
 // arbitrary or unearned badges onto their (or, pre-initData-fix, a victim's) row.
@@ -0,0 +1,53 @@
+// Pure argument parsing for the /ban and /shadowban admin commands.
+//
+//   /ban <telegram_id> [duration] [reason…]
+//   /shadowban <telegram_id> [duration] [reason…]
+//
+// duration: <n>m | <n>h | <n>d | <n>w, or perm/permanent. Optional — when the
+// second token isn't a duration it's the start of the reason, and the ban is
+// permanent. Durations are capped so an "until" timestamp always stays sane.
+//
+// parseBanArgs(argString) →
+//   { ok: true, targetId, durationMs (null = permanent), reason (null if none) }
+//   { ok: false, reason: 'missing_id' | 'bad_duration' }
+const UNIT_MS = { m: 60 * 1000, h: 60 * 60 * 1000, d: 24 * 60 * 60 * 1000, w: 7 * 24 * 60 * 60 * 1000 };
+const MAX_BAN_MS = 5 * 365 * UNIT_MS.d;
+const MAX_REASON_LEN = 200;
+
+// → ms, null (explicit permanent), or undefined (token isn't a duration at all).
+function parseDuration(token) {
+  if (/^perm(anent)?$/i.test(token)) return null;
+  const m = /^(\d+)([mhdw])$/i.exec(token);
+  if (!m) return undefined;
+  return Number(m[1]) * UNIT_MS[m[2].toLowerCase()];
+}
+
+function parseBanArgs(argString) {
+  const tokens = String(argString == null ? '' : argString).trim().split(/\s+/).filter(Boolean);
+  const targetId = tokens.length && /^\d+$/.test(tokens[0]) ? Number(tokens[0]) : null;
+  if (!targetId) return { ok: false, reason: 'missing_id' };
+
+  let rest = tokens.slice(1);
+  let durationMs = null;
+  if (rest.length) {
+    const d = parseDuration(rest[0]);
+    if (d !== undefined) {
+      if (d !== null && (d <= 0 || d > MAX_BAN_MS)) return { ok: false, reason: 'bad_duration' };
+      durationMs = d;
+      rest = rest.slice(1);
+    }
+  }
+  const reason = rest.join(' ').slice(0, MAX_REASON_LEN) || null;
+  return { ok: true, targetId, durationMs, reason };
+}
+
+// Compact human form for replies/audit ("7d", "12h", "permanent").
+function formatDuration(ms) {
+  if (ms == null) return 'permanent';
+  for (const unit of ['w', 'd', 'h', 'm']) {
+    if (ms % UNIT_MS[unit] === 0) return `${ms / UNIT_MS[unit]}${unit}`;
+  }
+  return `${Math.round(ms / UNIT_MS.m)}m`;
+}
+
+module.exports = { parseBanArgs, parseDuration, formatDuration, MAX_BAN_MS };
@@ -0,0 +1,134 @@
+// Pure logic for the /broadcast admin command — shared by bot.js and the tests.
+//
+// A broadcast is a Markdown message DMed to an audience of players. Like
+// /resettournament it needs an explicit CONFIRM: the first command only stores a
+// draft and shows the admin a preview, and nothing is sent until they confirm it.
+//
+//   /broadcast <audience> [play]       — draft; the message is every line after
+//   <Markdown message…>                  the first. `play` adds a Play button.
+//   /broadcast CONFIRM <draft_id>      — queue it
+//
+// audience: all | active <days> | tournament <id> | top <n> (this week's board)
+//
+// The messages go through the paced send queue (lib/send-queue) at its bulk
+// priority, one job per recipient keyed broadcastKey(id, player), so
+// interactive sends still go first and the bot can count outcomes per
+// broadcast (db.getBroadcastProgress) and report delivered / blocked / failed
+// to the admin once nothing is pending.
+
+const { SEND_QUEUE } = require('./send-queue');
+
+const BROADCAST = {
+  MAX_TEXT: 4096,                // Telegram's message limit
+  MAX_DAYS: 365,
+  MAX_TOP: 500,
+  DRAFT_TTL_MS: 60 * 60 * 1000,  // an unconfirmed draft can't be sent after this
+  REPORT_MS: 30 * 1000,          // how often the bot checks for finished broadcasts
+};
+
+// parseBroadcastCommand(argString, knownTournamentIds) →
+//   { action: 'draft', audience, play, text }
+//   { action: 'confirm', id }
+//   { action: 'reject', reason[, value] }
+// reasons: 'missing_args' | 'unknown_audience' | 'bad_number' | 'unknown_tournament'
+//          | 'extra_args' | 'missing_text' | 'text_too_long' | 'bad_draft_id'
+function parseBroadcastCommand(argString, knownIds) {
+  const ids = Array.isArray(knownIds) ? knownIds : [];
+  const raw = String(argString == null ? '' : argString);
+  const nl = raw.indexOf('\n');
+  const tokens = (nl < 0 ? raw : raw.slice(0, nl)).trim().split(/\s+/).filter(Boolean);
+  const text = nl < 0 ? '' : raw.slice(nl + 1).trim();
+
+  if (tokens.length === 0) return { action: 'reject', reason: 'missing_args' };
+
+  if (tokens[0] === 'CONFIRM') {
+    if (tokens.length !== 2 || !/^\d+$/.test(tokens[1])) return { action: 'reject', reason: 'bad_draft_id' };
+    return { action: 'confirm', id: Number(tokens[1]) };
+  }
+
+  const type = tokens[0].toLowerCase();
+  let audience;
+  let rest;
+  if (type === 'all') {
+    audience = { type };
+    rest = tokens.slice(1);
+  } else if (type === 'active' || type === 'top') {
+    const max = type === 'active' ? BROADCAST.MAX_DAYS : BROADCAST.MAX_TOP;
+    const n = /^\d+$/.test(tokens[1] || '') ? Number(tokens[1]) : 0;
+    if (n < 1 || n > max) return { action: 'reject', reason: 'bad_number', value: tokens[1] || null };
+    audience = type === 'active' ? { type, days: n } : { type, n };
+    rest = tokens.slice(2);
+  } else if (type === 'tournament') {
+    if (!ids.includes(tokens[1])) return { action: 'reject', reason: 'unknown_tournament', value: tokens[1] || null };
+    audience = { type, id: tokens[1] };
+    rest = tokens.slice(2);
+  } else {
+    return { action: 'reject', reason: 'unknown_audience', value: tokens[0] };
+  }
+
+  const play = rest.length === 1 && rest[0].toLowerCase() === 'play';
+  if (rest.length > (play ? 1 : 0)) return { action: 'reject', reason: 'extra_args', value: rest.join(' ') };
+  if (!text) return { action: 'reject', reason: 'missing_text' };
+  if (text.length > BROADCAST.MAX_TEXT) return { action: 'reject', reason: 'text_too_long', value: text.length };
+
+  return { action: 'draft', audience, play, text };
+}
+
+// Why a stored draft can't be confirmed by adminId right now, or null if it can.
+function confirmRejection(draft, adminId, now = Date.now()) {
+  if (!draft) return 'unknown_draft';
+  if (draft.created_by !== adminId) return 'not_yours';
+  if (draft.confirmed_at != null) return 'already_sent';
+  if (now - draft.created_at > BROADCAST.DRAFT_TTL_MS) return 'expired';
+  return null;
+}
+
+function describeAudience(audience) {
+  switch (audience && audience.type) {
+    case 'all':        return 'all players';
+    case 'active':     return `players active in the last ${audience.days} day(s)`;
+    case 'tournament': return `players registered for ${audience.id}`;
+    case 'top':        return `this week's top ${audience.n}`;
+    default:           return 'unknown audience';
+  }
+}
+
+// sendMessage options for the broadcast itself (also used for the preview).
+function broadcastOptions(play, webappUrl) {
+  const opts = { parse_mode: 'Markdown' };
+  if (play) opts.reply_markup = { inline_keyboard: [[{ text: '🎮 Play Flappy Bert', web_app: { url: webappUrl } }]] };
+  return opts;
+}
+
+// Outbox dedupe key of one recipient's job; the prefix (id + ':') selects a
+// whole broadcast.
+function broadcastKey(id, telegramId) {
+  return `broadcast:${id}:${telegramId == null ? '' : telegramId}`;
+}
+
+// Send-lane jobs (the same payload outboundClient queues) for db.startBroadcast.
+function broadcastJobs(draft, recipients, webappUrl) {
+  const opts = broadcastOptions(!!draft.play, webappUrl);
+  return recipients.map(chatId => ({
+    kind: SEND_QUEUE.KIND,
+    lane: SEND_QUEUE.LANE,
+    priority: SEND_QUEUE.BULK_PRIORITY,
+    dedupeKey: broadcastKey(draft.id, chatId),
+    payload: { method: 'sendMessage', chatId, args: [draft.text, opts] },
+  }));
+}
+
+function formatBroadcastReport(id, counts) {
+  const total = counts.delivered + counts.blocked + counts.failed;
+  return [
+    `📣 *Broadcast #${id} finished* — ${total} recipient(s)`,
+    `✅ Delivered: ${counts.delivered}`,
+    `🚫 Blocked: ${counts.blocked}`,
+    `❌ Failed: ${counts.failed}`,
+  ].join('\n');
+}
+
+module.exports = {
+  BROADCAST, parseBroadcastCommand, confirmRejection, describeAudience,
+  broadcastOptions, broadcastKey, broadcastJobs, formatBroadcastReport,
+};
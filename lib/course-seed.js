@@ -0,0 +1,22 @@
+// Course seeds — shared module required by api.js (/api/session + the tournament
+// score route) and the tests. Pure: no DB, no sessions.
+//
+// Every run's layout comes from one uint32 seed (lib/flappy-sim.js createRng).
+// Normally /api/session issues a fresh random seed per run; a tournament with
+// `sameCourse: true` instead hands EVERY entrant the same seed, so they all fly
+// an identical pipe/enemy/pickup layout. `courseSeed` pins it explicitly;
+// otherwise it's derived from the tournament id (stable across restarts/deploys).
+const crypto = require('crypto');
+
+function isCourseSeed(n) {
+  return Number.isInteger(n) && n >= 0 && n <= 0xFFFFFFFF;
+}
+
+// → uint32 seed for a same-course tournament config, or null (per-run seeds).
+function tournamentCourseSeed(t) {
+  if (!t || t.sameCourse !== true) return null;
+  if (isCourseSeed(t.courseSeed)) return t.courseSeed;
+  return crypto.createHash('sha256').update('course:' + t.id).digest().readUInt32BE(0);
+}
+
+module.exports = { isCourseSeed, tournamentCourseSeed };
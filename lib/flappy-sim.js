@@ -0,0 +1,552 @@
+// Deterministic gameplay simulation — the ONE copy of the physics step, pipe
+// spawning and JEET spawning. Loaded by flappy_bert.html as a plain <script>
+// (exposes window.FlappySim; its update() drives play through these functions)
+// and required by api.js (via lib/replay-verify) to re-simulate a submitted run.
+//
+// Only gameplay state lives here. Cosmetics (particles, audio, DOM, coins, shake)
+// stay in the HTML and are reached through the optional `hooks` object, so the
+// server runs the identical step with no hooks at all. Gameplay randomness comes
+// ONLY from the seeded `rng` argument — never Math.random — so a session seed +
+// the recorded input log reproduce a run exactly.
+(function (root, factory) {
+  if (typeof module === 'object' && module.exports) module.exports = factory();
+  else root.FlappySim = factory();
+})(typeof self !== 'undefined' ? self : this, function () {
+  'use strict';
+
+  // MUST match the anti-tamper EXPECTED block in flappy_bert.html (source-sync
+  // test in tests/flappy-sim.test.js).
+  const PHYSICS = { gravity: 0.25, flapForce: -4.8, baseSpeed: 2.5, basePipeGap: 190, pipeWidth: 52 };
+  const MAGNET_DURATION_FRAMES = 60 * 5;  // 5 seconds at 60fps
+  const FRENZY_DURATION_FRAMES = 60 * 8;  // 2x-score FRENZY window: 8 seconds at 60fps
+  const VALID_MULTS = [1, 1.5, 2];        // mirror tests/lib/frenzy-timer.js VALID_MULTS
+  // Pickups a tournament can allowlist (lib/tournament-modifiers.js).
+  const POWERUPS = ['shield', 'magnet', 'frenzy'];
+
+  // Input-log event kinds, recorded per fixed 60Hz step as [step, kind, ...args].
+  const INPUT = { FLAP_END: 0, FLAP_START: 1, PAUSE: 2, RESUME: 3, RESIZE: 4 };
+
+  function call(hooks, name, a, b, c, d) {
+    if (hooks && typeof hooks[name] === 'function') hooks[name](a, b, c, d);
+  }
+
+  // mulberry32 — tiny, fast, and identical on every JS engine (integer math only).
+  function createRng(seed) {
+    let a = seed >>> 0;
+    return function rng() {
+      a = (a + 0x6D2B79F5) >>> 0;
+      let t = a;
+      t = Math.imul(t ^ (t >>> 15), t | 1);
+      t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+      return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+  }
+
+  // Play-area dimensions derived from the (already clamped) canvas size.
+  function applyViewport(S, w, h) {
+    S.width = w;
+    S.height = h;
+    S.bertSize = Math.min(40, w * 0.1);
+    S.groundHeight = Math.max(50, Math.min(70, h * 0.1));
+    // Clamp Bert position after resize to prevent instant death
+    if (S.bert && (S.state === 'playing' || S.state === 'ready')) {
+      const maxY = S.height - S.groundHeight - S.bertSize * 0.4;
+      const minY = S.bertSize * 0.4;
+      S.bert.y = Math.max(minY, Math.min(maxY, S.bert.y));
+    }
+  }
+
+  // S.allowedPowerups: null = every pickup spawns (the default), else an allowlist.
+  function powerupAllowed(S, name) {
+    return !S.allowedPowerups || S.allowedPowerups.includes(name);
+  }
+
+  // Returns the previous level so the caller can fire level-up juice.
+  // S.startLevel (tournament modifier, default 1) shifts the whole curve.
+  function updateDifficulty(S) {
+    const prevLevel = S.level || 1;
+    S.level = Math.floor(S.score / 10) + (S.startLevel || 1);
+    const lvl = S.level;
+    // Speed increases gradually — 0.25/level since 2026-07-10 (cap unchanged at
+    // +3 = top speed 5.5 @ level 12). MUST match expectedSpeed() in the
+    // anti-tamper block and tests/lib/difficulty-curve.js.
+    S.gameSpeed = S.baseSpeed + Math.min(lvl * 0.25, 3);
+    // Gap decreases
+    S.pipeGap = Math.max(S.basePipeGap - lvl * 4, 110);
+    return prevLevel;
+  }
+
+  function activateMagnet(S) {
+    S.powerups.magnet.active = true;
+    S.powerups.magnet.expiresAt = S.frameCount + MAGNET_DURATION_FRAMES;
+  }
+
+  function activateFrenzy(S) {
+    // Save the multiplier to restore only on a FRESH activation; a refresh
+    // pickup extends the window without clobbering the saved value.
+    if (!S.powerups.frenzy.active) S._frenzyPrevMult = S.scoreMultiplier;
+    S.scoreMultiplier = 2;  // anti-tamper setter accepts {1, 1.5, 2}
+    S.powerups.frenzy.active = true;
+    S.powerups.frenzy.expiresAt = S.frameCount + FRENZY_DURATION_FRAMES;
+  }
+
+  function addPipe(S, rng, hooks) {
+    const minY = 80;
+    const maxY = S.height - S.groundHeight - S.pipeGap - 80;
+    const gapY = minY + rng() * (maxY - minY);
+
+    // Moving pipes at higher levels
+    const moving = S.level >= 8 ? (rng() < 0.3) : false;
+    const moveSpeed = moving ? (rng() * 1.5 + 0.5) * (rng() < 0.5 ? 1 : -1) : 0;
+
+    S.pipes.push({
+      x: S.width + S.pipeWidth,
+      gapY: gapY,
+      gapH: S.pipeGap,
+      scored: false,
+      moving: moving,
+      moveSpeed: moveSpeed,
+      moveRange: 40,
+      moveOffset: 0,
+      hasCoin: false,
+      hasShield: false,
+      hasMagnet: false,
+      hasFrenzy: false,
+      coinCollected: false,
+      shieldCollected: false,
+      magnetCollected: false,
+      frenzyCollected: false,
+    });
+
+    const pipe = S.pipes[S.pipes.length - 1];
+    // One roll per pipe whatever the allowlist, so a disallowed pickup leaves its
+    // band empty but never shifts the rest of the seeded course.
+    const roll = rng();
+    if (S.level >= 2 && roll < 0.03) {
+      pipe.hasMagnet = powerupAllowed(S, 'magnet');  // ~3% magnet from level 2+ (band 0–0.03); mutex
+    } else if (S.level >= 3 && roll < 0.055) {
+      pipe.hasFrenzy = powerupAllowed(S, 'frenzy');  // ~2.5% 2x-score FRENZY from level 3+ (band 0.03–0.055)
+    } else if (roll < 0.3) {
+      pipe.hasCoin = true;  // ~24.5% coin (band 0.055–0.3)
+    } else if (roll < 0.3 + 0.7 * 0.08 && !S.hasShield && !S.shieldSpawnedThisGame && powerupAllowed(S, 'shield')) {
+      pipe.hasShield = true;  // ~5.6% effective chance shield
+      S.shieldSpawnedThisGame = true;
+    }
+
+    // JEETS spawn: cooldown prevents clustering, drought ramps chance back up
+    if (S._jeetCooldown > 0) S._jeetCooldown--;
+    const jeetChance = S._jeetCooldown > 0 ? 0 : Math.min(0.15, 0.05 + S._jeetDrought * 0.02);
+    if (S.level >= 2 && rng() < jeetChance) {
+      S._jeetCooldown = 3;  // min 3 pipes between JEETS
+      S._jeetDrought = 0;
+      const playH = S.height - S.groundHeight;
+      const speed = S.gameSpeed;
+      const types = ['bat', 'ghost', 'spark'];
+      let type = types[Math.floor(rng() * types.length)];
+      const baseSpeed = speed * (0.6 + rng() * 0.8);
+      const y = 60 + rng() * (playH - 140);
+      // Random size: 60% normal, 25% big (2x), 15% huge (3x)
+      const sizeRoll = rng();
+      let scale = sizeRoll < 0.60 ? 1 : sizeRoll < 0.85 ? 2 : 3;
+      // HUNTER variant: from level 4, ~30% of JEETS lazily track Bert's altitude.
+      // Never the 3x huge (unfair while homing) and slower in x so the tracking,
+      // not raw speed, is the threat.
+      const homing = S.level >= 4 && rng() < 0.30;
+      if (homing) { type = 'hunter'; if (scale === 3) scale = 2; }
+      const enemy = {
+        type,
+        homing,
+        x: S.width + 20,
+        y,
+        vx: -baseSpeed * (homing ? 0.7 : (scale === 3 ? 0.7 : scale === 2 ? 0.85 : 1)), // bigger/hunter = slower
+        baseY: y,
+        age: 0,
+        size: 14 * scale,
+        scale,
+        amplitude: homing ? 6 : ((type === 'ghost' ? 30 + rng() * 20 : 15 + rng() * 10) * (0.8 + scale * 0.3)),
+        freq: homing ? 0.05 : (type === 'ghost' ? 0.015 : 0.04 + rng() * 0.02),
+        // Unpredictable movement: secondary wobble + random direction changes
+        freq2: 0.007 + rng() * 0.015,       // slow secondary wave
+        amp2: homing ? 0 : 10 + rng() * 25,  // secondary amplitude (none for hunter)
+        vyDrift: (rng() - 0.5) * 0.4,        // slight vertical drift (unused by hunter)
+        nextDirChange: 60 + Math.floor(rng() * 120), // frames until direction shift
+      };
+      S.enemies.push(enemy);
+      call(hooks, 'jeetSpawn', enemy);
+    } else if (S.level >= 2) {
+      S._jeetDrought++;  // no spawn — increase chance for next pipe
+    }
+  }
+
+  function checkCollision(S) {
+    const b = S.bert;
+    const hitR = S.bertSize * 0.35;
+
+    // Ground/ceiling
+    if (b.y + hitR > S.height - S.groundHeight || b.y - hitR < 0) {
+      return true;
+    }
+
+    // Pipes
+    for (const p of S.pipes) {
+      if (b.x + hitR > p.x && b.x - hitR < p.x + S.pipeWidth) {
+        const gapTop = p.gapY + p.moveOffset;
+        const gapBot = gapTop + p.gapH;
+        if (b.y - hitR < gapTop || b.y + hitR > gapBot) {
+          return true;
+        }
+      }
+    }
+    return false;
+  }
+
+  function flapStart(S) {
+    S.flapHeld = true;
+    S.flapHoldFrames = 0;
+    S.bert.vy = S.flapForce * 0.65;
+  }
+
+  function flapEnd(S) {
+    S.flapHeld = false;
+    S.flapHoldFrames = 0;
+  }
+
+  function die(S, hooks) {
+    S.state = 'dying';
+    S.flapHeld = false;
+    S.flapHoldFrames = 0;
+    call(hooks, 'gameOver');
+  }
+
+  // Per-step bookkeeping that runs in EVERY state (the HTML's update() did this
+  // before its state branches, so paused steps still tick power-up timers).
+  function tick(S, hooks) {
+    S.frameCount++;
+
+    if (S.powerups.magnet.active && S.frameCount >= S.powerups.magnet.expiresAt) {
+      S.powerups.magnet.active = false;
+      call(hooks, 'magnetExpire');
+    }
+
+    if (S.powerups.frenzy.active && S.frameCount >= S.powerups.frenzy.expiresAt) {
+      S.powerups.frenzy.active = false;
+      const prev = S._frenzyPrevMult;
+      S.scoreMultiplier = VALID_MULTS.includes(prev) ? prev : 1;
+      call(hooks, 'frenzyExpire');
+    }
+
+    // Magnet auto-collect: force-collect on-screen coins
+    if (S.powerups.magnet.active) {
+      for (const p of S.pipes) {
+        if (p.hasCoin && !p.coinCollected && p.x >= 0 && p.x <= S.width) {
+          p.coinCollected = true;
+          call(hooks, 'magnetCollect', p);
+        }
+      }
+    }
+  }
+
+  // One fixed 60Hz physics step while S.state === 'playing'.
+  function stepPlaying(S, rng, hooks) {
+    if (S.state !== 'playing') return;
+
+    const speed = S.gameSpeed;
+
+    S.bert.vy += S.gravity;
+
+    // Hold-to-flap: continuous lift while pressing, ramps up over time
+    if (S.flapHeld) {
+      S.flapHoldFrames++;
+      const holdPower = Math.min(S.flapHoldFrames / 18, 1);
+      const liftForce = -0.15 - holdPower * 0.25;
+      S.bert.vy += liftForce;
+      if (S.bert.vy < S.flapForce * 1.15) S.bert.vy = S.flapForce * 1.15;
+      if (S.flapHoldFrames % 4 === 0) call(hooks, 'flapHold');
+    }
+
+    if (S.bert.vy > 6) S.bert.vy = 6;
+    S.bert.y += S.bert.vy;
+    if (S.bert.y < S.bertSize * 0.5) { S.bert.y = S.bertSize * 0.5; S.bert.vy = 0; }
+    S.bert.rotation = Math.min(Math.max(S.bert.vy * 3, -30), 70);
+
+    // Pipes
+    S.pipeTimer++;
+    const pipeInterval = Math.max(110 - S.level * 3, 65);
+    if (S.pipeTimer >= pipeInterval) {
+      addPipe(S, rng, hooks);
+      S.pipeTimer = 0;
+    }
+
+    for (let i = S.pipes.length - 1; i >= 0; i--) {
+      const p = S.pipes[i];
+      p.x -= speed;
+
+      // Moving pipes
+      if (p.moving) {
+        p.moveOffset += p.moveSpeed;
+        if (Math.abs(p.moveOffset) > p.moveRange) {
+          p.moveSpeed *= -1;
+        }
+      }
+
+      // Score
+      if (!p.scored && p.x + S.pipeWidth < S.bert.x) {
+        p.scored = true;
+        S._scoreAccum = (S._scoreAccum || 0) + S.scoreMultiplier;
+        const scoreGain = Math.floor(S._scoreAccum);
+        S._scoreAccum -= scoreGain;
+        S.score += scoreGain;
+        S.combo++;
+        if (S.combo > S.bestCombo) S.bestCombo = S.combo;
+        const prevLevel = updateDifficulty(S);
+
+        // Near-miss detection — check how close Bert was to pipe edges
+        const gapTop = p.gapY + p.moveOffset;
+        const gapBot = gapTop + p.gapH;
+        const nearMissThreshold = 18;
+        const distToTop = Math.abs(S.bert.y - S.bertSize * 0.3 - gapTop);
+        const distToBot = Math.abs(S.bert.y + S.bertSize * 0.3 - gapBot);
+        const isNearMiss = distToTop < nearMissThreshold || distToBot < nearMissThreshold;
+
+        call(hooks, 'pipeScored', p, scoreGain, isNearMiss, prevLevel);
+      }
+
+      // Bonus coin collection
+      if (p.hasCoin && !p.coinCollected) {
+        const coinX = p.x + S.pipeWidth / 2;
+        const coinY = p.gapY + p.moveOffset + p.gapH / 2;
+        if (Math.hypot(S.bert.x - coinX, S.bert.y - coinY) < 25) {
+          p.coinCollected = true;
+          call(hooks, 'coinPickup', coinX, coinY);
+        }
+      }
+
+      // Shield pickup
+      if (p.hasShield && !p.shieldCollected) {
+        const shieldX = p.x + S.pipeWidth / 2;
+        const shieldY = p.gapY + p.moveOffset + p.gapH / 2;
+        if (Math.hypot(S.bert.x - shieldX, S.bert.y - shieldY) < 25) {
+          p.shieldCollected = true;
+          S.hasShield = true;
+          call(hooks, 'shieldPickup', shieldX, shieldY);
+        }
+      }
+
+      // Magnet pickup
+      if (p.hasMagnet && !p.magnetCollected) {
+        const mx = p.x + S.pipeWidth / 2;
+        const my = p.gapY + p.moveOffset + p.gapH / 2;
+        if (Math.hypot(S.bert.x - mx, S.bert.y - my) < 25) {
+          p.magnetCollected = true;
+          activateMagnet(S);
+          call(hooks, 'magnetPickup', mx, my);
+        }
+      }
+
+      // Frenzy (2x-score) pickup
+      if (p.hasFrenzy && !p.frenzyCollected) {
+        const fcx = p.x + S.pipeWidth / 2;
+        const fcy = p.gapY + p.moveOffset + p.gapH / 2;
+        if (Math.hypot(S.bert.x - fcx, S.bert.y - fcy) < 25) {
+          p.frenzyCollected = true;
+          activateFrenzy(S);
+          call(hooks, 'frenzyPickup', fcx, fcy);
+        }
+      }
+
+      // Remove off-screen
+      if (p.x < -S.pipeWidth - 10) {
+        S.pipes.splice(i, 1);
+      }
+    }
+
+    // Enemies — update only (spawning is triggered from addPipe)
+    for (let i = S.enemies.length - 1; i >= 0; i--) {
+      const e = S.enemies[i];
+      e.x += e.vx;
+      e.age++;
+      // Primary wave + secondary wobble for unpredictable paths
+      const playH = S.height - S.groundHeight;
+      if (e.homing) {
+        // HUNTER: lazily ease baseY toward Bert's altitude by a clamped step, so it
+        // tracks but stays dodgeable with a late altitude change (mirror of
+        // tests/lib/homing-enemy.js — keep TRACK_GAIN/MAX_TRACK in sync).
+        const TRACK_GAIN = 0.03, MAX_TRACK = 1.6;
+        let step = (S.bert.y - e.baseY) * TRACK_GAIN;
+        if (step > MAX_TRACK) step = MAX_TRACK;
+        if (step < -MAX_TRACK) step = -MAX_TRACK;
+        e.baseY += step;
+      } else {
+        e.baseY += e.vyDrift || 0;
+        // Random direction changes
+        if (e.nextDirChange !== undefined && e.age >= e.nextDirChange) {
+          e.vyDrift = (rng() - 0.5) * 0.6;
+          e.nextDirChange = e.age + 60 + Math.floor(rng() * 120);
+        }
+      }
+      // Clamp baseY to playable area
+      if (e.baseY < 60) { e.baseY = 60; e.vyDrift = Math.abs(e.vyDrift || 0.2); }
+      if (e.baseY > playH - 60) { e.baseY = playH - 60; e.vyDrift = -Math.abs(e.vyDrift || 0.2); }
+      e.y = e.baseY + Math.sin(e.age * e.freq) * e.amplitude
+           + Math.sin(e.age * (e.freq2 || 0.01)) * (e.amp2 || 0);
+
+      // Remove off-screen — JEET passed Bert without collision = dodge!
+      if (e.x < -30 * (e.scale || 1)) {
+        S.enemies.splice(i, 1);
+        call(hooks, 'jeetDodge', e.x, e.y);
+        continue;
+      }
+
+      // Collision with Bert (only if not invincible)
+      if (S.invincibleFrames <= 0) {
+        const dist = Math.hypot(S.bert.x - e.x, S.bert.y - e.y);
+        if (dist < S.bertSize * 0.35 + e.size) {
+          // Shield absorbs enemy hit too
+          if (S.hasShield) {
+            S.hasShield = false;
+            S.shieldUsedThisGame = true;
+            S.invincibleFrames = 20;
+            S.combo = 0;
+            // Destroy the enemy
+            S.enemies.splice(i, 1);
+            call(hooks, 'shieldBlock', e.x, e.y);
+          } else {
+            die(S, hooks);
+            return;
+          }
+        }
+      }
+    }
+
+    // Collision
+    if (S.invincibleFrames > 0) {
+      S.invincibleFrames--;
+    } else if (checkCollision(S)) {
+      // Check if shield saves us (not ceiling hits)
+      const isCeiling = S.bert.y - S.bertSize * 0.35 < 0;
+      if (S.hasShield && !isCeiling) {
+        // Shield absorbs hit
+        S.hasShield = false;
+        S.shieldUsedThisGame = true;
+        S.invincibleFrames = 30;
+        S.combo = 0; // Combo reset as penalty
+
+        // Bounce to center of nearest pipe gap
+        let bestGapY = (S.height - S.groundHeight) / 2;
+        let bestDist = Infinity;
+        for (const p of S.pipes) {
+          const gapCenter = p.gapY + p.moveOffset + p.gapH / 2;
+          const d = Math.abs(p.x - S.bert.x);
+          if (d < bestDist) {
+            bestDist = d;
+            bestGapY = gapCenter;
+          }
+        }
+        S.bert.y = bestGapY;
+        S.bert.vy = 0;
+        call(hooks, 'shieldSave', S.bert.x, S.bert.y);
+      } else {
+        die(S, hooks);
+      }
+    }
+  }
+
+  // Fresh run state at the ready → playing transition, from a replay header
+  // { w, h, x0, y0, mult[, startLevel, powerups] } — the same values
+  // startGame()/onFlapStart() leave on G (the last two only under tournament
+  // modifiers).
+  function createRunState(header) {
+    const S = {
+      state: 'init',
+      gravity: PHYSICS.gravity,
+      flapForce: PHYSICS.flapForce,
+      baseSpeed: PHYSICS.baseSpeed,
+      basePipeGap: PHYSICS.basePipeGap,
+      pipeWidth: PHYSICS.pipeWidth,
+      bert: { x: header.x0, y: header.y0, vy: 0, rotation: 0 },
+      pipes: [],
+      enemies: [],
+      score: 0,
+      level: 1,
+      frameCount: 0,
+      pipeTimer: -50,
+      gameSpeed: PHYSICS.baseSpeed,
+      pipeGap: PHYSICS.basePipeGap,
+      scoreMultiplier: header.mult,
+      _scoreAccum: 0,
+      flapHeld: false,
+      flapHoldFrames: 0,
+      combo: 0,
+      bestCombo: 0,
+      hasShield: false,
+      shieldUsedThisGame: false,
+      shieldSpawnedThisGame: false,
+      invincibleFrames: 0,
+      _jeetCooldown: 0,
+      _jeetDrought: 0,
+      powerups: { magnet: { active: false, expiresAt: 0 }, frenzy: { active: false, expiresAt: 0 } },
+      _frenzyPrevMult: 1,
+      startLevel: header.startLevel || 1,
+      allowedPowerups: header.powerups || null,
+    };
+    // A raised start level applies from the first frame (startGame does the same).
+    if (S.startLevel > 1) updateDifficulty(S);
+    applyViewport(S, header.w, header.h);
+    S.state = 'playing';
+    return S;
+  }
+
+  function applyInput(S, ev) {
+    switch (ev[1]) {
+      case INPUT.FLAP_START: if (S.state === 'playing') flapStart(S); break;
+      case INPUT.FLAP_END: flapEnd(S); break;
+      case INPUT.PAUSE: if (S.state === 'playing') S.state = 'paused'; break;
+      case INPUT.RESUME: if (S.state === 'paused') S.state = 'playing'; break;
+      case INPUT.RESIZE: applyViewport(S, ev[2], ev[3]); break;
+      default: break;
+    }
+  }
+
+  // Re-run a recorded run: apply each step's inputs, then tick + physics, until
+  // the run dies or the recorded step count is exhausted. Assumes a shape-checked
+  // log (lib/replay-verify.js does that before calling in).
+  function replayRun(log, seed) {
+    const S = createRunState(log);
+    const rng = createRng(seed);
+    const events = log.inputs;
+    let k = 0;
+    let steps = 0;
+    while (steps < log.steps) {
+      while (k < events.length && events[k][0] === steps) applyInput(S, events[k++]);
+      tick(S);
+      stepPlaying(S, rng);
+      steps++;
+      if (S.state === 'dying') break;
+    }
+    return { score: S.score, level: S.level, steps, died: S.state === 'dying' };
+  }
+
+  return {
+    PHYSICS,
+    MAGNET_DURATION_FRAMES,
+    FRENZY_DURATION_FRAMES,
+    VALID_MULTS,
+    POWERUPS,
+    INPUT,
+    createRng,
+    applyViewport,
+    updateDifficulty,
+    powerupAllowed,
+    activateMagnet,
+    activateFrenzy,
+    addPipe,
+    checkCollision,
+    flapStart,
+    flapEnd,
+    tick,
+    stepPlaying,
+    createRunState,
+    applyInput,
+    replayRun,
+  };
+});
@@ -0,0 +1,38 @@
+// Group-chat boards — pure helpers shared by bot.js (/groupboard, the weekly
+// group-champion post) and the tests.
+//
+// A group's board is the global weekly board restricted to the players seen in
+// that chat: whoever used /play, /leaderboard or /groupboard there is tracked
+// in group_members (db.trackGroupMember). When the weekly archive runs, every
+// known group with at least one scorer gets its champion announced, once per
+// week (db.claimGroupChampion).
+
+const GROUP_CHAT_TYPES = ['group', 'supergroup'];
+const CHAMPION_MEDALS = ['👑', '🥈', '🥉'];
+
+function isGroupChat(chat) {
+  return !!chat && GROUP_CHAT_TYPES.includes(chat.type);
+}
+
+// Card subtitle, e.g. "FLAPPY FRIENDS · WEEKLY" (the card caps its length).
+function groupBoardSubtitle(title) {
+  const name = String(title || 'This group').trim().toUpperCase();
+  return `${name.length > 32 ? name.slice(0, 31) + '…' : name} · WEEKLY`;
+}
+
+// Champion post for one group: the top three of the finished week, or null
+// when nobody in the group played. escape: bot.js escapeMarkdown.
+function formatChampionPost(title, entries, weekLabel, escape) {
+  if (!entries.length) return null;
+  const [champ] = entries;
+  return [
+    `👑 *Group champion of the week: ${escape(champ.first_name)}!*`,
+    `${escape(title || 'This group')} · ${weekLabel}`,
+    '',
+    ...entries.slice(0, 3).map((e, i) => `${CHAMPION_MEDALS[i]} ${escape(e.first_name)} — ${e.best_score}`),
+    '',
+    'New week, new race — follow it with /groupboard!',
+  ].join('\n');
+}
+
+module.exports = { GROUP_CHAT_TYPES, isGroupChat, groupBoardSubtitle, formatChampionPost };
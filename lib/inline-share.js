@@ -0,0 +1,63 @@
+// Inline mode — pure helpers shared by bot.js (the inline_query handler) and
+// the tests. Enable it for the bot with @BotFather /setinline.
+//
+// Typing "@FlappyBertBot" in any chat offers up to four results:
+//   • the player's stats card        (renderPlayerCard)
+//   • this week's top 10 card        (renderLeaderboardCard)
+//   • the live tournament card       (renderTournamentCard)
+//   • a "beat my score" challenge    — its button deep-links into
+//     /start g_<id>_<score> (lib/ghost-challenge buildStartParam)
+//
+// Cards go out as cached photos. Each PNG is uploaded once and its file_id is
+// kept in card_file_ids under cardKey(): the card kind, its scope and a
+// fingerprint of exactly what the card shows. An unchanged card is never
+// re-rendered or re-uploaded; a changed one simply gets a new key.
+
+const crypto = require('crypto');
+const { parseGhost, buildStartParam, formatChallengeMessage } = require('./ghost-challenge');
+
+const INLINE_SHARE = {
+  CACHE_TIME_S: 30,                       // Telegram-side cache of one user's results
+  FILE_ID_TTL_MS: 30 * 24 * 3600 * 1000,  // unused file_ids are pruned after this
+  TOP_N: 10,                              // entries on the shared weekly card
+};
+
+// e.g. cardKey('stats', 42, { … }) → "stats:42:3f9c0a…" (≤ 64 chars)
+function cardKey(kind, scope, data) {
+  const digest = crypto.createHash('sha1').update(JSON.stringify(data)).digest('hex').slice(0, 16);
+  return `${kind}:${scope}:${digest}`;
+}
+
+// Deep link that opens the bot on the Beat-My-Ghost challenge, or null when
+// /start wouldn't accept it (no score yet, or one parseGhost rejects).
+function challengeLink(botUsername, telegramId, score) {
+  const param = buildStartParam(telegramId, score);
+  if (!botUsername || !(score > 0) || !parseGhost(param)) return null;
+  return `https://t.me/${botUsername}?start=${param}`;
+}
+
+// cards: [{ id, fileId, title, description, caption }] (missing fileId → left
+// out); challenge: { name, score, link } or null.
+function buildInlineResults(cards, challenge) {
+  const results = cards.filter(c => c.fileId).map(c => ({
+    type: 'photo',
+    id: c.id,
+    photo_file_id: c.fileId,
+    title: c.title,
+    description: c.description,
+    caption: c.caption,
+  }));
+  if (challenge) {
+    results.push({
+      type: 'article',
+      id: 'challenge',
+      title: `🎯 Beat my score: ${challenge.score}`,
+      description: 'Dare this chat to beat your best run',
+      input_message_content: { message_text: formatChallengeMessage(challenge.name, challenge.score) },
+      reply_markup: { inline_keyboard: [[{ text: '▶ Beat it!', url: challenge.link }]] },
+    });
+  }
+  return results;
+}
+
+module.exports = { INLINE_SHARE, cardKey, challengeLink, buildInlineResults };
@@ -0,0 +1,91 @@
+// Outbox consumer — shared by bot.js and the tests.
+//
+// The API process never talks to the bot process directly: it queues work in
+// the outbox table (db.enqueueOutbox) and the bot drains it (drainOutbox, every
+// OUTBOX.POLL_MS). Because the table is durable, a job queued while the bot is
+// restarting is simply picked up when it's back, and the API never waits on
+// Telegram. Kinds (handlers live in bot.js):
+//
+//   telegram_update — a webhook update the API received → bot.processUpdate
+//   game_score      — /api/score: mirror a run into a Telegram Game message
+//   send            — an outbound message, in its own paced 'send' lane
+//                     (lib/send-queue; /api/share and the announcements)
+//
+// A failed job is retried with exponential backoff up to MAX_ATTEMPTS; a
+// failure retrying can't fix (a 4xx other than 429, or an unknown kind) gives
+// up at once. A 429 waits out its retry_after instead, and a handler can ask
+// for the same by throwing deferral(ms) — neither counts as an attempt.
+
+const OUTBOX = {
+  POLL_MS: 250,                  // drain interval (also the webhook → handler latency)
+  BATCH: 25,                     // rows leased per drain
+  LEASE_MS: 2 * 60 * 1000,       // a crashed consumer's rows come back after this
+  MAX_ATTEMPTS: 5,
+  BASE_RETRY_MS: 5 * 1000,
+  MAX_RETRY_MS: 10 * 60 * 1000,
+  KEEP_MS: 24 * 60 * 60 * 1000,  // finished rows are pruned after this
+};
+
+// 5s, 10s, 20s, … capped at MAX_RETRY_MS (attempts counts the failed try).
+function retryDelayMs(attempts) {
+  return Math.min(OUTBOX.MAX_RETRY_MS, OUTBOX.BASE_RETRY_MS * 2 ** Math.max(0, attempts - 1));
+}
+
+// ms Telegram asked us to wait (a 429's parameters.retry_after), else null.
+function retryAfterMs(err) {
+  const secs = err && err.response && err.response.body && err.response.body.parameters
+    && err.response.body.parameters.retry_after;
+  return Number.isFinite(secs) && secs >= 0 ? secs * 1000 : null;
+}
+
+// "Not yet" from a handler: drainOutbox puts the job back for ms.
+function deferral(ms, reason = 'deferred') {
+  return Object.assign(new Error(reason), { deferMs: ms });
+}
+
+// Telegram rejected the request itself (bad request, bot blocked, chat gone):
+// sending it again won't help. 429 and network errors are worth a retry.
+function isPermanentFailure(err) {
+  if (!err || err.code !== 'ETELEGRAM') return false;
+  const status = (err.response && err.response.body && err.response.body.error_code)
+    || (err.response && err.response.statusCode);
+  return status >= 400 && status < 500 && status !== 429;
+}
+
+// Lease due jobs of `lane` and run each through handlers[kind](payload, data).
+// store: the db module (claimOutbox / completeOutbox / failOutbox / deferOutbox).
+// clock is read per job, since a batch of sends can take a while.
+// → { claimed, done, retried, deferred, failed }
+async function drainOutbox(store, handlers, { lane = 'default', clock = Date.now, logger = console.error } = {}) {
+  const jobs = store.claimOutbox(OUTBOX.BATCH, OUTBOX.LEASE_MS, clock(), lane);
+  const result = { claimed: jobs.length, done: 0, retried: 0, deferred: 0, failed: 0 };
+  for (const job of jobs) {
+    const handler = handlers[job.kind];
+    try {
+      if (!handler) throw Object.assign(new Error(`no handler for "${job.kind}"`), { permanent: true });
+      await handler(job.payload, job.data);
+      store.completeOutbox(job.id, clock());
+      result.done++;
+    } catch (err) {
+      const now = clock();
+      const message = err && err.message ? err.message : String(err);
+      const waitMs = err && Number.isFinite(err.deferMs) ? err.deferMs : retryAfterMs(err);
+      if (waitMs != null) {
+        store.deferOutbox(job.id, now + waitMs, err.deferMs != null ? null : message);
+        result.deferred++;
+        continue;
+      }
+      const giveUp = (err && err.permanent) || isPermanentFailure(err) || job.attempts >= OUTBOX.MAX_ATTEMPTS;
+      store.failOutbox(job.id, message, giveUp ? null : now + retryDelayMs(job.attempts), now);
+      if (giveUp) {
+        result.failed++;
+        logger(`❌ Outbox #${job.id} (${job.kind}) failed after ${job.attempts} attempt(s): ${message}`);
+      } else {
+        result.retried++;
+      }
+    }
+  }
+  return result;
+}
+
+module.exports = { OUTBOX, retryDelayMs, retryAfterMs, deferral, isPermanentFailure, drainOutbox };
@@ -0,0 +1,88 @@
+// Server-side replay verification — shared module required by api.js
+// (validateScore) and the tests. Pure decision function: the caller supplies the
+// session seed and server-measured elapsed time, no Date.now()/sessions in here.
+//
+// The client records its flap/pause/resize inputs per fixed 60Hz step (see the
+// recorder in flappy_bert.html); we re-run that log through lib/flappy-sim.js —
+// the exact code the browser played — with the seed /api/session issued, and the
+// claimed score must be what the simulation produces. A scripted client that
+// paces a fabricated score under MAX_SCORE_PER_SECOND no longer gets through:
+// it has to produce inputs that actually fly Bert through the seeded course.
+//
+// replay shape: { v: 1, w, h, x0, y0, mult, steps, inputs: [[step, kind, ...]] }
+// plus, under tournament modifiers (lib/tournament-modifiers.js), startLevel and
+// powerups — which must match the modifiers the session was issued under.
+const { replayRun, VALID_MULTS, INPUT } = require('./flappy-sim');
+const { LIMITS } = require('./score-validation');
+const { isPowerupList, isStartLevel, replayModifierError } = require('./tournament-modifiers');
+
+const REPLAY_VERSION = 1;
+const STEP_MS = 1000 / 60;
+const REPLAY_LIMITS = {
+  MAX_STEPS: 15 * 60 * 60,  // SESSION_TTL_MS (15m) of 60Hz steps — a run can't outlive its session
+  MAX_INPUTS: 6000,         // ~4 taps/s for 12 min; keeps the body under the 64kb JSON cap
+  STEP_SLACK_MS: 2000,      // rAF/clock jitter between the session stamp and the first step
+  // Canvas clamp from resizeCanvas(): portrait, phone-sized play area.
+  MIN_W: 280, MAX_W: 480, MIN_H: 500, MAX_H: 920, MAX_ASPECT: 0.6,
+};
+
+function isInt(n) { return Number.isInteger(n); }
+function isNum(n) { return typeof n === 'number' && Number.isFinite(n); }
+
+function viewportOk(w, h, L) {
+  return isInt(w) && isInt(h) &&
+    w >= L.MIN_W && w <= L.MAX_W && h >= L.MIN_H && h <= L.MAX_H &&
+    w <= h * L.MAX_ASPECT;
+}
+
+// Structural checks only — everything replayRun() relies on. Returns a reason or null.
+function replayShapeError(r, L) {
+  if (!r || typeof r !== 'object') return 'no_replay';
+  if (r.v !== REPLAY_VERSION) return 'replay_version';
+  if (!viewportOk(r.w, r.h, L)) return 'replay_viewport';
+  if (!isNum(r.x0) || !isNum(r.y0) || r.x0 < 0 || r.x0 > r.w || r.y0 < 0 || r.y0 > r.h) return 'replay_start';
+  if (!VALID_MULTS.includes(r.mult)) return 'replay_mult';
+  if (r.startLevel !== undefined && !isStartLevel(r.startLevel)) return 'replay_modifiers';
+  if (r.powerups !== undefined && !isPowerupList(r.powerups)) return 'replay_modifiers';
+  if (!isInt(r.steps) || r.steps < 1 || r.steps > L.MAX_STEPS) return 'replay_steps';
+  if (!Array.isArray(r.inputs) || r.inputs.length > L.MAX_INPUTS) return 'replay_inputs';
+  let last = 0;
+  for (const ev of r.inputs) {
+    if (!Array.isArray(ev) || !isInt(ev[0]) || ev[0] < last || ev[0] > r.steps) return 'replay_inputs';
+    last = ev[0];
+    const kind = ev[1];
+    if (kind === INPUT.RESIZE) {
+      if (ev.length !== 4 || !viewportOk(ev[2], ev[3], L)) return 'replay_inputs';
+    } else if (![INPUT.FLAP_END, INPUT.FLAP_START, INPUT.PAUSE, INPUT.RESUME].includes(kind) || ev.length !== 2) {
+      return 'replay_inputs';
+    }
+  }
+  return null;
+}
+
+// inputs: { replay, seed, score, elapsedMs, modifiers? } (modifiers: the session's, null = default run)
+// → { valid: true, score, level } | { valid: false, reason }
+function replayVerdict(input, L = REPLAY_LIMITS) {
+  const r = input.replay;
+  const shape = replayShapeError(r, L);
+  if (shape) return { valid: false, reason: shape };
+  if (!isInt(input.seed)) return { valid: false, reason: 'no_seed' };
+  const mods = replayModifierError(r, input.modifiers || null);
+  if (mods) return { valid: false, reason: mods };
+
+  // Steps only advance on real rAF frames (catch-up capped), so the recorded
+  // game time can never exceed the wall-clock time since the session started.
+  const elapsedMs = Number(input.elapsedMs) || 0;
+  if (r.steps * STEP_MS > elapsedMs + L.STEP_SLACK_MS) return { valid: false, reason: 'replay_too_long' };
+
+  const out = replayRun(r, input.seed);
+  // The client only submits after the death animation, so a genuine log always
+  // ends in a death; one that doesn't was truncated or fabricated.
+  if (!out.died) return { valid: false, reason: 'replay_incomplete' };
+  if (out.score !== Number(input.score) || out.score > LIMITS.MAX_ABSOLUTE_SCORE) {
+    return { valid: false, reason: 'replay_mismatch' };
+  }
+  return { valid: true, score: out.score, level: out.level };
+}
+
+module.exports = { replayVerdict, replayShapeError, REPLAY_LIMITS, REPLAY_VERSION };
@@ -4,6 +4,8 @@
 // failed Telegram send (429 burst, 403 bot-blocked, 400) would take down the whole
 // score API mid-tournament. safeSend wraps a fire-and-forget send so any rejection
 // (or synchronous throw) is LOGGED and swallowed — the returned promise NEVER rejects.
+// A send that must arrive (announcements, DMs) goes through lib/send-queue
+// instead — safeSend(outbound.sendMessage(…)) — and is retried until delivered.
 
 // Distinct sentinel so callers can tell "send failed" from a legit falsy result.
 const SAFE_SEND_FAILED = Symbol('safeSendFailed');
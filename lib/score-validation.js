@@ -1,4 +1,4 @@
-// Hardened score-validation logic — shared module required by bot.js
+// Hardened score-validation logic — shared module required by api.js
 // (validateScore) and the test suite. Single source of truth (no drift).
 // Pure decision function so it can be unit-tested without Date.now()/sessions.
 //
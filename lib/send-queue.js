@@ -0,0 +1,116 @@
+// Outbound message queue — shared by bot.js, api.js and the tests (which run
+// the handler against a fake bot, like lib/telegram-games).
+//
+// safeSend (lib/safe-send) logs and drops a failed send, which is fine for a
+// reply the player is looking at but loses announcements and DMs to a 429
+// burst. Call sites that need delivery opt in by sending through an outbound
+// client instead of the bot:
+//
+//   safeSend(bot.sendMessage(chatId, text, opts), label)        — direct, best effort
+//   safeSend(outbound.sendMessage(chatId, text, opts), label)   — queued, delivered
+//
+// outbound.* resolves to { queued: <outbox id> } once the message is stored in
+// the outbox table's 'send' lane (lib/outbox). The bot drains that lane with
+// sendHandler, which paces sends to Telegram's limits:
+//   • globally — at most GLOBAL_PER_SEC messages a second
+//   • per chat — one message per CHAT_GAP_MS to a DM, per GROUP_GAP_MS to a group
+// A 429 pauses the whole queue for its retry_after and puts the message back;
+// other transient errors retry with backoff (lib/outbox). A 403 — the player
+// blocked the bot or deleted their account, or the bot left a group — is final
+// and reported through onBlocked so the caller can mark the chat unreachable;
+// isUnreachable then lets later jobs for that chat fail without a request.
+// Bulk jobs (lib/broadcast) are queued at BULK_PRIORITY, below everything sent
+// through outbound.*, so a long broadcast never delays a share or a prize DM.
+
+const { deferral, retryAfterMs } = require('./outbox');
+
+const SEND_QUEUE = {
+  LANE: 'send',
+  KIND: 'send',
+  GLOBAL_PER_SEC: 25,            // Telegram allows ~30/s across all chats
+  CHAT_GAP_MS: 1000,             // ~1 message a second to one chat
+  GROUP_GAP_MS: 3000,            // ~20 messages a minute to one group
+  INLINE_WAIT_MS: 250,           // shorter waits sleep in place; longer ones put the job back
+  POLL_MS: 250,
+  BULK_PRIORITY: -1,             // broadcasts: sent only when nothing else is due
+};
+
+// Methods a queued job may call; the first argument is always the chat id.
+const SEND_METHODS = new Set(['sendMessage', 'sendPhoto', 'sendDocument']);
+
+// Group and channel ids are negative (or '@channel'); DMs are positive.
+function chatGapMs(chatId) {
+  return typeof chatId === 'number' && chatId > 0 ? SEND_QUEUE.CHAT_GAP_MS : SEND_QUEUE.GROUP_GAP_MS;
+}
+
+// Rate pacer for one consumer. waitMs → how long until chatId may be sent to;
+// sent records a send; pause holds everything (a 429's retry_after).
+function createPacer() {
+  const nextByChat = new Map();
+  let nextGlobal = 0;
+  let pausedUntil = 0;
+  return {
+    waitMs(chatId, now) {
+      return Math.max(0, nextGlobal - now, pausedUntil - now, (nextByChat.get(String(chatId)) || 0) - now);
+    },
+    sent(chatId, now) {
+      nextGlobal = now + Math.ceil(1000 / SEND_QUEUE.GLOBAL_PER_SEC);
+      nextByChat.set(String(chatId), now + chatGapMs(chatId));
+      if (nextByChat.size > 10000) {
+        for (const [key, at] of nextByChat) if (at <= now) nextByChat.delete(key);
+      }
+    },
+    pause(untilMs) {
+      pausedUntil = Math.max(pausedUntil, untilMs);
+    },
+  };
+}
+
+function isBlocked(err) {
+  return !!err && err.code === 'ETELEGRAM' && err.response && err.response.body && err.response.body.error_code === 403;
+}
+
+// A client with the bot's send methods that queue instead of sending. A Buffer
+// argument (a rendered card, a CSV) travels in the row's data column.
+// store: the db module (enqueueOutbox).
+function outboundClient(store) {
+  const queue = (method) => async (chatId, ...args) => {
+    let data = null;
+    const i = args.findIndex(a => Buffer.isBuffer(a));
+    if (i >= 0) {
+      data = args[i];
+      args = args.map((a, j) => (j === i ? { buffer: true } : a));
+    }
+    const id = store.enqueueOutbox(SEND_QUEUE.KIND, { method, chatId, args }, { lane: SEND_QUEUE.LANE, data });
+    return { queued: id };
+  };
+  const client = {};
+  for (const method of SEND_METHODS) client[method] = queue(method);
+  return client;
+}
+
+// drainOutbox handler for the 'send' lane. sleep/clock are injectable for tests.
+function sendHandler(bot, pacer, {
+  onBlocked = () => {}, isUnreachable = () => false, clock = Date.now, sleep = (ms) => new Promise(r => setTimeout(r, ms)),
+} = {}) {
+  return async ({ method, chatId, args }, data) => {
+    if (!SEND_METHODS.has(method)) throw Object.assign(new Error(`unsupported method "${method}"`), { permanent: true });
+    if (isUnreachable(chatId)) throw Object.assign(new Error('chat is unreachable (blocked)'), { permanent: true });
+    const wait = pacer.waitMs(chatId, clock());
+    if (wait > SEND_QUEUE.INLINE_WAIT_MS) throw deferral(wait, 'paced');
+    if (wait > 0) await sleep(wait);
+    const callArgs = args.map(a => (a && a.buffer === true ? data : a));
+    try {
+      await bot[method](chatId, ...callArgs);
+      pacer.sent(chatId, clock());
+    } catch (err) {
+      const retryAfter = retryAfterMs(err);
+      if (retryAfter != null) pacer.pause(clock() + retryAfter);
+      else pacer.sent(chatId, clock());
+      if (isBlocked(err)) onBlocked(chatId, err);
+      throw err;
+    }
+  };
+}
+
+module.exports = { SEND_QUEUE, SEND_METHODS, chatGapMs, createPacer, isBlocked, outboundClient, sendHandler };
@@ -0,0 +1,49 @@
+// Suspicious-score heuristics — shared module required by api.js (score routes)
+// and the test suite. Pure decision function: the caller supplies the player's
+// history and the server-measured elapsed time.
+//
+// This is the MIDDLE tier between scoreVerdict's hard rejects and a clean accept:
+// a score that passes validation but looks statistically odd is stored in the
+// review queue (db.flagScore) with these reasons and kept off the public boards
+// until an admin approves it via /review. Thresholds are deliberately loose — a
+// false flag costs an admin tap, a missed one can cost a cash prize.
+const { LIMITS } = require('./score-validation');
+
+const SUSPICION = {
+  JUMP_MIN_GAMES: 3,        // need some history before a "jump" means anything
+  JUMP_FACTOR: 2.5,         // new score ≥ 2.5× the previous all-time best …
+  JUMP_MIN_DELTA: 60,       // … and at least 60 points above it
+  PACE_FRACTION: 0.8,       // ≥ 80% of MAX_SCORE_PER_SECOND …
+  PACE_MIN_SCORE: 30,       // … on a run long enough for pace to be meaningful
+  CAP_HITS_WINDOW_DAYS: 7,
+  CAP_HITS_MAX: 2,          // a 3rd run at the hard cap inside the window is flagged
+};
+
+// inputs: { score, elapsedMs, history: { best, games, recentCapHits } }
+//   history.best / games — the player's prior scores (all time);
+//   history.recentCapHits — prior runs at MAX_ABSOLUTE_SCORE in the last window.
+// → array of reason codes; empty = clean.
+function suspicionReasons(input, S = SUSPICION, L = LIMITS) {
+  const n = Number(input.score);
+  const h = input.history || {};
+  const reasons = [];
+
+  const best = Number(h.best) || 0;
+  if ((Number(h.games) || 0) >= S.JUMP_MIN_GAMES &&
+      n >= best * S.JUMP_FACTOR && n - best >= S.JUMP_MIN_DELTA) {
+    reasons.push('score_jump');
+  }
+
+  const secs = (Number(input.elapsedMs) || 0) / 1000;
+  if (n >= S.PACE_MIN_SCORE && secs > 0 && n / secs >= L.MAX_SCORE_PER_SECOND * S.PACE_FRACTION) {
+    reasons.push('near_pace_cap');
+  }
+
+  if (n >= L.MAX_ABSOLUTE_SCORE && (Number(h.recentCapHits) || 0) >= S.CAP_HITS_MAX) {
+    reasons.push('cap_streak');
+  }
+
+  return reasons;
+}
+
+module.exports = { suspicionReasons, SUSPICION };
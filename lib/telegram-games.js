@@ -0,0 +1,115 @@
+// Telegram Games platform — shared by bot.js, api.js and the tests (which run it
+// against a local fake Bot API via TELEGRAM_API_URL / baseApiUrl).
+//
+// Besides the web_app launch, the bot is registered as a Telegram Game
+// (GAME_SHORT_NAME, created with @BotFather /newgame), so /game posts a native
+// game message that can go into any chat. The flow:
+//
+//   1. sendGame posts the message; its "Play" button is a callback_query that
+//      carries game_short_name instead of data.
+//   2. answerGameLaunch answers it with the game URL plus a signed launch token
+//      (?tgGame=…): who is playing, and the message (chat_id + message_id, or
+//      inline_message_id) the game was launched from.
+//   3. A game opened this way has no Mini App initData, so /api/session and
+//      /api/score accept the token as the player's identity (verifyLaunchToken).
+//   4. Once /api/score has validated a run, mirrorGameScore writes it to that
+//      message's high-score table (setGameScore); getGameHighScores reads it.
+
+const crypto = require('crypto');
+
+const GAME_LAUNCH = {
+  TTL_MS: 24 * 60 * 60 * 1000,   // same replay bound as Mini App initData
+  PARAM: 'tgGame',                // query parameter the game page reads
+};
+
+const b64url = (buf) => Buffer.from(buf).toString('base64url');
+
+// HMAC key for launch tokens, derived from the bot token (never the token itself).
+function launchSecret(botToken) {
+  return crypto.createHmac('sha256', 'FlappyGameLaunch').update(String(botToken || '')).digest();
+}
+
+// { u: user id, n: first name, un: username, c: chat id, m: message id,
+//   i: inline message id, exp: epoch ms } → "<payload>.<signature>"
+function signLaunchToken(payload, secret) {
+  const body = b64url(JSON.stringify(payload));
+  return `${body}.${b64url(crypto.createHmac('sha256', secret).update(body).digest())}`;
+}
+
+function verifyLaunchToken(token, secret, nowMs = Date.now()) {
+  if (typeof token !== 'string' || token.length > 1024) return null;
+  const [body, sig] = token.split('.');
+  if (!body || !sig) return null;
+  const expected = crypto.createHmac('sha256', secret).update(body).digest();
+  let given;
+  try { given = Buffer.from(sig, 'base64url'); } catch (e) { return null; }
+  if (given.length !== expected.length || !crypto.timingSafeEqual(given, expected)) return null;
+  try {
+    const p = JSON.parse(Buffer.from(body, 'base64url').toString('utf8'));
+    if (!Number.isInteger(p.u) || !(p.exp > nowMs)) return null;
+    if (!(p.i || (p.c != null && p.m != null))) return null;
+    return p;
+  } catch (e) {
+    return null;
+  }
+}
+
+// Launch payload → the user object /api/score works with (like verified initData).
+function launchUser(p) {
+  return { id: p.u, first_name: p.n || undefined, username: p.un || undefined };
+}
+
+// setGameScore / getGameHighScores target for the launching message.
+function scoreTarget(p) {
+  return p.i ? { inline_message_id: p.i } : { chat_id: p.c, message_id: p.m };
+}
+
+function gameUrl(webappUrl, token) {
+  const url = new URL(webappUrl);
+  url.searchParams.set(GAME_LAUNCH.PARAM, token);
+  return url.toString();
+}
+
+function sendGameMessage(bot, chatId, shortName) {
+  return bot.sendGame(chatId, shortName, {
+    reply_markup: { inline_keyboard: [[{ text: '🎮 Play Flappy Bert', callback_game: {} }]] },
+  });
+}
+
+// Answer a game callback_query with the URL the client opens. Returns the
+// answerCallbackQuery promise, or null when it's another bot's game.
+function answerGameLaunch(bot, query, { shortName, webappUrl, secret, nowMs = Date.now() }) {
+  if (query.game_short_name !== shortName) return null;
+  const payload = {
+    u: query.from.id,
+    n: query.from.first_name || null,
+    un: query.from.username || null,
+    ...(query.inline_message_id
+      ? { i: query.inline_message_id }
+      : { c: query.message.chat.id, m: query.message.message_id }),
+    exp: nowMs + GAME_LAUNCH.TTL_MS,
+  };
+  return bot.answerCallbackQuery(query.id, { url: gameUrl(webappUrl, signLaunchToken(payload, secret)) });
+}
+
+// Telegram keeps the best score per user and refuses a lower one
+// (BOT_SCORE_NOT_MODIFIED) — that isn't an error for us.
+function isScoreNotModified(err) {
+  return /SCORE_NOT_MODIFIED/.test(String(err && err.message));
+}
+
+function mirrorGameScore(bot, launch, score) {
+  return bot.setGameScore(launch.u, score, scoreTarget(launch)).catch((err) => {
+    if (isScoreNotModified(err)) return false;
+    throw err;
+  });
+}
+
+function fetchGameHighScores(bot, launch) {
+  return bot.getGameHighScores(launch.u, scoreTarget(launch));
+}
+
+module.exports = {
+  GAME_LAUNCH, launchSecret, signLaunchToken, verifyLaunchToken, launchUser, scoreTarget, gameUrl,
+  sendGameMessage, answerGameLaunch, isScoreNotModified, mirrorGameScore, fetchGameHighScores,
+};
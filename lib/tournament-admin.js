@@ -0,0 +1,125 @@
+// Pure decision logic for the runtime tournament admin commands:
+//
+//   /tnew <id> | <name> | <sponsor> | <start ISO> | <end ISO>
+//   /tedit <id> <field> <value…>     fields: name, sponsor, start, end,
+//                                    reset (ISO | none), samecourse (on | off),
+//                                    courseseed (uint32 | none)
+//   /tend <id> CONFIRM               end a LIVE tournament now
+//   /tprizes <id> <$ $ $…> | none    prize ladder, 1st place first
+//
+// planTournamentCommand(cmd, argString, existingById, now, isRetired) →
+//   { ok: true, config, created }   config is the FULL new tournament config
+//                                   (tournaments.json shape), already passed
+//                                   through validateTournament
+//   { ok: false, reason[, id] }     caller replies with usage for the command
+// isRetired(id): true for an id a deleted tournament left recorded results under
+// (db.hasTournamentResults) — results are immutable, so the id can't be reused.
+// reasons: 'usage' | 'bad_id' | 'exists' | 'retired' | 'unknown_id' | 'bad_date' |
+//          'bad_field' | 'bad_value' | 'missing_confirm' | 'not_live' | 'invalid'
+const { validateTournament } = require('../tournaments-config');
+const { isCourseSeed } = require('./course-seed');
+
+const ID_RE = /^[a-z0-9][a-z0-9-]{1,63}$/;
+
+// Normalised ISO (second precision, Z) or null. Requires an explicit date so a
+// typo like "june" can't silently parse to something surprising.
+function toIso(value) {
+  if (!/^\d{4}-\d{2}-\d{2}/.test(String(value || ''))) return null;
+  const ms = Date.parse(value);
+  return Number.isNaN(ms) ? null : new Date(ms).toISOString().replace('.000Z', 'Z');
+}
+
+function checked(config, created) {
+  return validateTournament(config) ? { ok: true, config, created } : { ok: false, reason: 'invalid', id: config.id };
+}
+
+function planNew(argString, existingById, isRetired) {
+  const parts = String(argString || '').split('|').map((p) => p.trim());
+  if (parts.length !== 5 || parts.some((p) => !p)) return { ok: false, reason: 'usage' };
+  const [id, name, sponsor, start, end] = parts;
+  if (!ID_RE.test(id)) return { ok: false, reason: 'bad_id', id };
+  if (existingById.has(id)) return { ok: false, reason: 'exists', id };
+  if (isRetired(id)) return { ok: false, reason: 'retired', id };
+  const startTime = toIso(start);
+  const endTime = toIso(end);
+  if (!startTime || !endTime) return { ok: false, reason: 'bad_date', id };
+  return checked({ id, name, sponsor, startTime, endTime }, true);
+}
+
+function planEdit(tokens, existing) {
+  const field = (tokens[1] || '').toLowerCase();
+  const value = tokens.slice(2).join(' ').trim();
+  if (!field || !value) return { ok: false, reason: 'usage' };
+  const next = { ...existing };
+  const none = value.toLowerCase() === 'none';
+  switch (field) {
+    case 'name':    next.name = value; break;
+    case 'sponsor': next.sponsor = value; break;
+    case 'start':
+    case 'end': {
+      const iso = toIso(value);
+      if (!iso) return { ok: false, reason: 'bad_date', id: existing.id };
+      next[field === 'start' ? 'startTime' : 'endTime'] = iso;
+      break;
+    }
+    case 'reset': {
+      if (none) { delete next.scoreResetAt; break; }
+      const iso = toIso(value);
+      if (!iso) return { ok: false, reason: 'bad_date', id: existing.id };
+      next.scoreResetAt = iso;
+      break;
+    }
+    case 'samecourse':
+      if (!['on', 'off'].includes(value.toLowerCase())) return { ok: false, reason: 'bad_value', id: existing.id };
+      next.sameCourse = value.toLowerCase() === 'on';
+      break;
+    case 'courseseed':
+      if (none) { delete next.courseSeed; break; }
+      if (!/^\d+$/.test(value) || !isCourseSeed(Number(value))) return { ok: false, reason: 'bad_value', id: existing.id };
+      next.courseSeed = Number(value);
+      break;
+    default:
+      return { ok: false, reason: 'bad_field', id: existing.id };
+  }
+  return checked(next, false);
+}
+
+function planEnd(tokens, existing, now) {
+  if (tokens[1] !== 'CONFIRM' || tokens.length > 2) return { ok: false, reason: 'missing_confirm', id: existing.id };
+  const nowMs = now instanceof Date ? now.getTime() : Number(now);
+  if (nowMs < Date.parse(existing.startTime) || nowMs > Date.parse(existing.endTime)) {
+    return { ok: false, reason: 'not_live', id: existing.id };
+  }
+  return checked({ ...existing, endTime: new Date(nowMs).toISOString().replace(/\.\d{3}Z$/, 'Z') }, false);
+}
+
+function planPrizes(tokens, existing) {
+  const values = tokens.slice(1);
+  if (values.length === 0) return { ok: false, reason: 'usage' };
+  const next = { ...existing };
+  if (values.length === 1 && values[0].toLowerCase() === 'none') {
+    delete next.prizes;
+    return checked(next, false);
+  }
+  const prizes = values.map((v) => (/^\$?\d+(\.\d+)?$/.test(v) ? Number(v.replace('$', '')) : NaN));
+  if (prizes.some((p) => Number.isNaN(p))) return { ok: false, reason: 'bad_value', id: existing.id };
+  next.prizes = prizes;
+  return checked(next, false);
+}
+
+function planTournamentCommand(cmd, argString, existingById, now = new Date(), isRetired = () => false) {
+  const byId = existingById instanceof Map ? existingById : new Map();
+  if (cmd === 'tnew') return planNew(argString, byId, isRetired);
+
+  const tokens = String(argString == null ? '' : argString).trim().split(/\s+/).filter(Boolean);
+  if (tokens.length === 0) return { ok: false, reason: 'usage' };
+  const existing = byId.get(tokens[0]);
+  if (!existing) return { ok: false, reason: 'unknown_id', id: tokens[0] };
+
+  if (cmd === 'tedit') return planEdit(tokens, existing);
+  if (cmd === 'tend') return planEnd(tokens, existing, now);
+  if (cmd === 'tprizes') return planPrizes(tokens, existing);
+  return { ok: false, reason: 'usage' };
+}
+
+module.exports = { planTournamentCommand, toIso };
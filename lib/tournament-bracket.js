@@ -0,0 +1,175 @@
+// Knockout bracket format — pure helpers shared by tournaments-config.js
+// (validation), db.js (close-out placement), bot.js, leaderboard-card.js and the
+// tests. No DB, no clock, no Telegram here.
+//
+// A tournament with `bracket` in tournaments.json is single elimination instead
+// of an open leaderboard:
+//
+//   bracket: { maxPlayers: 16 }   // power of two, 2–64 (default 64); also the entry cap
+//
+// At startTime the joined players (tournament_entries) are seeded by weekly best
+// and paired 1-vs-N, top seeds taking any byes. The tournament window is split
+// into equal rounds; a match is decided by each player's best run inside its
+// round window (tiebreak: earlier best, then the higher seed) and the winner
+// advances into the next round's match. Registration closes at startTime.
+const { isoToSqliteUTC } = require('./tournament-reset');
+
+const MAX_BRACKET = 64;
+
+function isPowerOfTwo(n) {
+  return Number.isInteger(n) && n >= 2 && (n & (n - 1)) === 0;
+}
+
+function validateBracket(b) {
+  if (!b || typeof b !== 'object' || Array.isArray(b)) return false;
+  if (Object.keys(b).some((k) => k !== 'maxPlayers')) return false;
+  if (b.maxPlayers !== undefined && !(isPowerOfTwo(b.maxPlayers) && b.maxPlayers <= MAX_BRACKET)) return false;
+  return true;
+}
+
+function bracketCap(b) {
+  return (b && b.maxPlayers) || MAX_BRACKET;
+}
+
+// Smallest power of two holding n players (0 when there is no match to play).
+function bracketSize(n) {
+  if (n < 2) return 0;
+  let size = 2;
+  while (size < n) size *= 2;
+  return size;
+}
+
+// Seed number at each first-round position: [1, 4, 2, 3] for 4, so seeds 1 and
+// 2 can only meet in the final and byes (seeds > n) fall against the top seeds.
+function seedPositions(size) {
+  let order = [1];
+  while (order.length < size) {
+    const n = order.length * 2;
+    order = order.flatMap((s) => [s, n + 1 - s]);
+  }
+  return order;
+}
+
+function roundName(round, rounds) {
+  const fromEnd = rounds - round;
+  if (fromEnd === 0) return 'Final';
+  if (fromEnd === 1) return 'Semi-final';
+  if (fromEnd === 2) return 'Quarter-final';
+  return `Round ${round}`;
+}
+
+// players: [{ telegram_id, weekly_best }] in join order → the full match list
+// ({ round, slot, player_a/b, seed_a/b, opens_at, closes_at } — ISO windows),
+// or null with fewer than two players. Equal weekly bests keep join order.
+function buildBracket(players, startMs, endMs, maxPlayers = MAX_BRACKET) {
+  const seeded = players
+    .map((p, i) => ({ telegram_id: p.telegram_id, best: p.weekly_best || 0, i }))
+    .sort((a, b) => b.best - a.best || a.i - b.i)
+    .slice(0, maxPlayers);
+  const size = bracketSize(seeded.length);
+  if (!size) return null;
+
+  const rounds = Math.log2(size);
+  const roundMs = (endMs - startMs) / rounds;
+  const window = (r) => ({
+    opens_at: new Date(startMs + (r - 1) * roundMs).toISOString(),
+    closes_at: new Date(r === rounds ? endMs : startMs + r * roundMs).toISOString(),
+  });
+
+  const positions = seedPositions(size);
+  const matches = [];
+  for (let slot = 0; slot < size / 2; slot++) {
+    const sa = positions[slot * 2], sb = positions[slot * 2 + 1];
+    matches.push({
+      round: 1, slot, ...window(1),
+      player_a: seeded[sa - 1] ? seeded[sa - 1].telegram_id : null, seed_a: seeded[sa - 1] ? sa : null,
+      player_b: seeded[sb - 1] ? seeded[sb - 1].telegram_id : null, seed_b: seeded[sb - 1] ? sb : null,
+    });
+  }
+  for (let round = 2; round <= rounds; round++) {
+    for (let slot = 0; slot < size >> round; slot++) {
+      matches.push({ round, slot, ...window(round), player_a: null, seed_a: null, player_b: null, seed_b: null });
+    }
+  }
+  return { rounds, matches };
+}
+
+function bracketRounds(matches) {
+  return matches.reduce((max, m) => Math.max(max, m.round), 0);
+}
+
+// Where a match's winner plays next (null after the final).
+function nextMatch(match, rounds) {
+  if (match.round >= rounds) return null;
+  return { round: match.round + 1, slot: match.slot >> 1, side: match.slot & 1 ? 'b' : 'a' };
+}
+
+// A round-1 match with one empty side is a bye: it resolves at once.
+function isBye(match) {
+  return match.round === 1 && (match.player_a == null) !== (match.player_b == null);
+}
+
+// bestA / bestB: { score, best_at } for the player's best run in the window, or
+// null if they didn't post one. → { winner, loser, score_a, score_b }
+function decideMatch(match, bestA, bestB) {
+  const a = { id: match.player_a, seed: match.seed_a, best: bestA };
+  const b = { id: match.player_b, seed: match.seed_b, best: bestB };
+  let first;
+  if (a.id == null || b.id == null) first = a.id == null ? b : a;
+  else if (!a.best || !b.best) first = a.best ? a : b.best ? b : (a.seed <= b.seed ? a : b);
+  else if (a.best.score !== b.best.score) first = a.best.score > b.best.score ? a : b;
+  else if (a.best.best_at !== b.best.best_at) first = a.best.best_at < b.best.best_at ? a : b;
+  else first = a.seed <= b.seed ? a : b;
+  const second = first === a ? b : a;
+  return {
+    winner: first.id, loser: second.id,
+    score_a: bestA ? bestA.score : null, score_b: bestB ? bestB.score : null,
+  };
+}
+
+// Match window as SQLite bounds for tournament_scores.played_at.
+function matchWindowSql(match) {
+  return { from: isoToSqliteUTC(match.opens_at), to: isoToSqliteUTC(match.closes_at) };
+}
+
+// 'alive' | 'eliminated' for a player in the bracket, null for anyone else.
+function playerBracketStatus(matches, telegramId) {
+  const mine = matches.filter((m) => m.player_a === telegramId || m.player_b === telegramId);
+  if (!mine.length) return null;
+  return mine.some((m) => m.winner != null && m.winner !== telegramId) ? 'eliminated' : 'alive';
+}
+
+// Final placement for close-out: champion, finalist, then by the round each
+// player went out in (latest first), higher seed first within a round.
+// entries: the tournament leaderboard (for scores); bracket players who never
+// posted a run are included with a score of 0, from the match's name columns.
+function bracketStandings(matches, entries) {
+  const byId = new Map(entries.map((e) => [e.telegram_id, e]));
+  const players = new Map();
+  const rounds = bracketRounds(matches);
+  for (const m of matches) {
+    for (const side of ['a', 'b']) {
+      const id = m[`player_${side}`];
+      if (id == null) continue;
+      const reached = m.round === rounds && m.winner === id ? rounds + 1 : m.round;
+      const p = players.get(id);
+      if (!p || reached > p.reached) {
+        players.set(id, {
+          reached, seed: m[`seed_${side}`],
+          fallback: {
+            telegram_id: id, first_name: m[`name_${side}`] || null, username: m[`username_${side}`] || null,
+            skin: m[`skin_${side}`] || null, best_score: 0, games_played: 0, max_level: null, best_at: null,
+          },
+        });
+      }
+    }
+  }
+  return [...players.entries()]
+    .sort(([, p], [, q]) => q.reached - p.reached || p.seed - q.seed)
+    .map(([id, p]) => byId.get(id) || p.fallback);
+}
+
+module.exports = {
+  MAX_BRACKET, validateBracket, bracketCap, bracketSize, seedPositions, roundName, buildBracket,
+  bracketRounds, nextMatch, isBye, decideMatch, matchWindowSql, playerBracketStatus, bracketStandings,
+};
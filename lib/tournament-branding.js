@@ -0,0 +1,74 @@
+// Sponsor branding — pure helpers shared by tournaments-config.js (validation),
+// leaderboard-card.js, bot.js and the tests. Optional in tournaments.json:
+//
+//   branding: {
+//     logo: 'sponsors/inker.png',          // file under assets/ (served at /assets/sponsors/…)
+//     colors: { gold: '#ff2d95', accent3: '#7cf9ff' },   // overrides for the card palette C
+//     tagline: 'Ink that never fades',
+//     url: 'https://drinker.example',      // CTA link (https only)
+//     ctaText: 'Visit Dr. Inker',          // CTA label (default "Visit <sponsor>")
+//   }
+//
+// `gold` is the tournament theme colour (border, name, trophy, highlights);
+// medal colours for ranks 1–3 are never overridden.
+
+const BRANDABLE_COLORS = ['gold', 'accent2', 'accent3', 'text', 'textDim', 'bgDark', 'bgRow', 'bgRowAlt'];
+const BRANDING_FIELDS = ['logo', 'colors', 'tagline', 'url', 'ctaText'];
+const LOGO_RE = /^sponsors\/[a-z0-9][a-z0-9_-]{0,63}\.(png|jpe?g)$/;
+const HEX_RE = /^#[0-9a-f]{6}$/i;
+const LIMITS = { TAGLINE: 80, CTA: 24, URL: 200 };
+
+function isHttpsUrl(u) {
+  if (typeof u !== 'string' || u.length > LIMITS.URL) return false;
+  try { return new URL(u).protocol === 'https:'; } catch (e) { return false; }
+}
+
+function validateBranding(b) {
+  if (!b || typeof b !== 'object' || Array.isArray(b)) return false;
+  const keys = Object.keys(b);
+  if (!keys.length || keys.some((k) => !BRANDING_FIELDS.includes(k))) return false;
+  if (b.logo !== undefined && !(typeof b.logo === 'string' && LOGO_RE.test(b.logo))) return false;
+  if (b.colors !== undefined) {
+    if (!b.colors || typeof b.colors !== 'object' || Array.isArray(b.colors)) return false;
+    for (const [k, v] of Object.entries(b.colors)) {
+      if (!BRANDABLE_COLORS.includes(k) || typeof v !== 'string' || !HEX_RE.test(v)) return false;
+    }
+  }
+  if (b.tagline !== undefined && !(typeof b.tagline === 'string' && b.tagline.trim() && b.tagline.length <= LIMITS.TAGLINE)) return false;
+  if (b.url !== undefined && !isHttpsUrl(b.url)) return false;
+  if (b.ctaText !== undefined && !(typeof b.ctaText === 'string' && b.ctaText.trim() && b.ctaText.length <= LIMITS.CTA)) return false;
+  if (b.ctaText !== undefined && b.url === undefined) return false;
+  return true;
+}
+
+// Base palette with the sponsor's overrides applied.
+function resolvePalette(base, branding) {
+  return { ...base, ...((branding && branding.colors) || {}) };
+}
+
+// '#rrggbb' + alpha → 'rgba(r,g,b,a)', for the translucent theme strokes and fills.
+function withAlpha(hex, a) {
+  const n = parseInt(hex.slice(1), 16);
+  return `rgba(${(n >> 16) & 255},${(n >> 8) & 255},${n & 255},${a})`;
+}
+
+// CTA button label + link, or null when the sponsor has no link.
+function brandingCta(branding, sponsor) {
+  if (!branding || !branding.url) return null;
+  return { text: branding.ctaText || `Visit ${sponsor}`, url: branding.url };
+}
+
+// What the Mini App gets: the logo as a URL path instead of a file name.
+function brandingForClient(branding, sponsor) {
+  if (!branding) return null;
+  return {
+    logoUrl: branding.logo ? `/assets/${branding.logo}` : null,
+    colors: branding.colors || {},
+    tagline: branding.tagline || null,
+    cta: brandingCta(branding, sponsor),
+  };
+}
+
+module.exports = {
+  BRANDABLE_COLORS, validateBranding, resolvePalette, withAlpha, brandingCta, brandingForClient,
+};
@@ -0,0 +1,31 @@
+// Pure helpers for the scheduled tournament close-out (checkTournamentCloseouts
+// in bot.js). Shared by bot.js and the tests — no DB, no clock, no Telegram here.
+//
+// Close-out happens once per tournament. db.closeTournament atomically claims the
+// row (closed_at) and records the final standings in tournament_results (see
+// lib/tournament-results.js). The job then posts the card to ANNOUNCE_CHAT_ID
+// and DMs each prize winner.
+
+const CLOSEOUT = {
+  CHECK_MS: 5 * 60 * 1000,                  // job cadence; also runs once on boot
+  // Boot catch-up window. A tournament that ended longer ago than this predates
+  // the job (or is long settled), so it is never announced out of the blue.
+  CATCHUP_MS: 14 * 24 * 60 * 60 * 1000,
+};
+
+// Un-closed tournament rows whose end_time has passed within the catch-up window,
+// oldest end first. Compared as parsed instants, not strings, so an end_time with
+// a UTC offset still closes on time. A row whose close-out was already held on
+// /review (closeout_held_at) stays due however long the queue takes.
+function dueForCloseout(rows, nowMs, catchupMs = CLOSEOUT.CATCHUP_MS) {
+  return rows
+    .filter((t) => {
+      if (t.closed_at) return false;
+      const end = Date.parse(t.end_time);
+      if (!Number.isFinite(end) || end > nowMs) return false;
+      return end >= nowMs - catchupMs || !!t.closeout_held_at;
+    })
+    .sort((a, b) => Date.parse(a.end_time) - Date.parse(b.end_time));
+}
+
+module.exports = { CLOSEOUT, dueForCloseout };
@@ -0,0 +1,75 @@
+// Tournament registration — pure helpers shared by tournaments-config.js
+// (validation), bot.js and the tests.
+//
+// A run only counts for a tournament the player has JOINed (tournament_entries,
+// via the Mini App button, the /tournament button or POST /api/tournament/:id/join).
+// Optional `registration` in tournaments.json:
+//
+//   registration: {
+//     fee: 50,                          // coins deducted from players.coins on join (default 0)
+//     cap: 100,                         // max entrants (default unlimited)
+//     closesAt: '2026-10-05T00:00:00Z', // last moment to join (default the tournament's end)
+//   }
+//
+// Joining is possible while the tournament is scheduled or live, until closesAt.
+// A knockout tournament (lib/tournament-bracket) seeds its field at startTime, so
+// there closesAt defaults to — and can't pass — the start, and cap to the bracket.
+const { bracketCap } = require('./tournament-bracket');
+
+const MAX_ENTRY_FEE = 100000;
+
+function validateRegistration(reg, endTime) {
+  if (!reg || typeof reg !== 'object' || Array.isArray(reg)) return false;
+  if (Object.keys(reg).some((k) => !['fee', 'cap', 'closesAt'].includes(k))) return false;
+  if (reg.fee !== undefined && !(Number.isInteger(reg.fee) && reg.fee >= 0 && reg.fee <= MAX_ENTRY_FEE)) return false;
+  if (reg.cap !== undefined && !(Number.isInteger(reg.cap) && reg.cap >= 1)) return false;
+  if (reg.closesAt !== undefined) {
+    if (typeof reg.closesAt !== 'string' || Number.isNaN(Date.parse(reg.closesAt))) return false;
+    if (endTime && Date.parse(reg.closesAt) > Date.parse(endTime)) return false;
+  }
+  return true;
+}
+
+// Config → { fee, cap, closesAt } with defaults filled in (cap null = unlimited).
+function resolveRegistration(cfg) {
+  const reg = (cfg && cfg.registration) || {};
+  const bracket = cfg && cfg.bracket;
+  return {
+    fee: reg.fee || 0,
+    cap: reg.cap || (bracket ? bracketCap(bracket) : null),
+    closesAt: reg.closesAt || (cfg && (bracket ? cfg.startTime : cfg.endTime)) || null,
+  };
+}
+
+// null when joining is open at nowMs, else 'ended' | 'closed'. Caps and coin
+// balances are checked inside db.joinTournament's transaction.
+function registrationClosedReason(cfg, nowMs) {
+  if (nowMs > Date.parse(cfg.endTime)) return 'ended';
+  const { closesAt } = resolveRegistration(cfg);
+  if (closesAt && nowMs > Date.parse(closesAt)) return 'closed';
+  return null;
+}
+
+// Player-facing text for a failed join.
+const JOIN_ERRORS = {
+  ended: 'This tournament has ended.',
+  closed: 'Registration for this tournament is closed.',
+  full: 'This tournament is full.',
+  already_joined: "You're already in!",
+  insufficient_coins: "You don't have enough coins for the entry fee.",
+  unknown_player: 'Play a game first, then join.',
+};
+
+// One-line summary for captions and the Mini App, e.g. "Entry 50 coins · 12/100 joined".
+function describeRegistration(cfg, entries) {
+  const { fee, cap } = resolveRegistration(cfg);
+  return [
+    fee ? `Entry ${fee} coins` : 'Free entry',
+    cap ? `${entries}/${cap} joined` : `${entries} joined`,
+  ].join(' · ');
+}
+
+module.exports = {
+  MAX_ENTRY_FEE, JOIN_ERRORS, validateRegistration, resolveRegistration,
+  registrationClosedReason, describeRegistration,
+};
@@ -0,0 +1,70 @@
+// Per-tournament gameplay modifiers — optional `modifiers` in tournaments.json.
+// Pure helpers shared by tournaments-config.js (validation), lib/replay-verify.js,
+// api.js and the tests.
+//
+//   modifiers: {
+//     allowShopMultiplier: false,        // shop 1.5X / 2X boosts not applied (default true)
+//     powerups: ['shield', 'frenzy'],    // pickup allowlist (default: all of POWERUPS)
+//     startLevel: 5,                     // runs begin at this difficulty level (default 1)
+//   }
+//
+// /api/session stamps the live tournament's resolved modifiers onto the session;
+// the tournament score route rejects a session started under different ones, and
+// the replay header must show the run was actually flown under them (the sim
+// applies startLevel / powerups, so a forged header fails the re-simulation).
+const { POWERUPS } = require('./flappy-sim');
+
+const MAX_START_LEVEL = 20;
+const DEFAULT_MODIFIERS = Object.freeze({ allowShopMultiplier: true, powerups: POWERUPS, startLevel: 1 });
+
+function isPowerupList(list) {
+  return Array.isArray(list) && list.every((p) => POWERUPS.includes(p)) && new Set(list).size === list.length;
+}
+
+function isStartLevel(n) {
+  return Number.isInteger(n) && n >= 1 && n <= MAX_START_LEVEL;
+}
+
+function validateModifiers(m) {
+  if (!m || typeof m !== 'object' || Array.isArray(m)) return false;
+  if (Object.keys(m).some((k) => !['allowShopMultiplier', 'powerups', 'startLevel'].includes(k))) return false;
+  if (m.allowShopMultiplier !== undefined && typeof m.allowShopMultiplier !== 'boolean') return false;
+  if (m.powerups !== undefined && !isPowerupList(m.powerups)) return false;
+  if (m.startLevel !== undefined && !isStartLevel(m.startLevel)) return false;
+  return true;
+}
+
+// Config modifiers → every field filled in, powerups in POWERUPS order.
+function resolveModifiers(m) {
+  const r = { ...DEFAULT_MODIFIERS, ...(m || {}) };
+  return { ...r, powerups: POWERUPS.filter((p) => r.powerups.includes(p)) };
+}
+
+// What a session stores: the resolved modifiers, or null when they change nothing.
+function sessionModifiers(m) {
+  const r = resolveModifiers(m);
+  return sameModifiers(r, DEFAULT_MODIFIERS) ? null : r;
+}
+
+function sameModifiers(a, b) {
+  return JSON.stringify(resolveModifiers(a)) === JSON.stringify(resolveModifiers(b));
+}
+
+// Replay header vs the modifiers the session was issued under → reason or null.
+// A header without startLevel / powerups is a default run.
+function replayModifierError(replay, modifiers) {
+  const want = resolveModifiers(modifiers);
+  const got = resolveModifiers({
+    startLevel: replay.startLevel === undefined ? 1 : replay.startLevel,
+    powerups: replay.powerups === undefined ? POWERUPS : replay.powerups,
+  });
+  if (got.startLevel !== want.startLevel) return 'modifiers_mismatch';
+  if (got.powerups.join() !== want.powerups.join()) return 'modifiers_mismatch';
+  if (!want.allowShopMultiplier && replay.mult !== 1) return 'modifiers_mismatch';
+  return null;
+}
+
+module.exports = {
+  MAX_START_LEVEL, DEFAULT_MODIFIERS, isPowerupList, isStartLevel, validateModifiers,
+  resolveModifiers, sessionModifiers, sameModifiers, replayModifierError,
+};
@@ -0,0 +1,86 @@
+// Sponsor participation report — pure helpers shared by bot.js (/treport and
+// GET /api/admin/tournament/:id/report), leaderboard-card.js (renderReportCard)
+// and the tests. db.getTournamentReportData supplies the raw numbers:
+//
+//   { totals: { players, runs }, perDay: [{ day, runs, players }],
+//     scores: [run score, …], newPlayers: { total, played } }
+//
+// buildReport fills the gaps (days without runs, empty score buckets) and adds
+// the prize winners; reportToCsv flattens it into one sectioned CSV.
+
+// Lower bound of each score bucket; the last one is open-ended.
+const SCORE_BUCKETS = [0, 5, 10, 25, 50, 100, 250, 500];
+const DAY_MS = 24 * 60 * 60 * 1000;
+const CSV_COLUMNS = ['section', 'key', 'value', 'detail'];
+
+function bucketLabel(i) {
+  const lo = SCORE_BUCKETS[i];
+  return i === SCORE_BUCKETS.length - 1 ? `${lo}+` : `${lo}-${SCORE_BUCKETS[i + 1] - 1}`;
+}
+
+// Run scores → [{ label, min, runs }], one row per bucket (empty ones included).
+function scoreDistribution(scores) {
+  const counts = SCORE_BUCKETS.map(() => 0);
+  for (const s of scores) {
+    let i = SCORE_BUCKETS.length - 1;
+    while (i > 0 && s < SCORE_BUCKETS[i]) i--;
+    counts[i]++;
+  }
+  return SCORE_BUCKETS.map((min, i) => ({ label: bucketLabel(i), min, runs: counts[i] }));
+}
+
+// Every UTC day from the start up to the end (or today, while live), with zeros
+// for days nobody played.
+function fillDays(perDay, startIso, endIso, nowMs) {
+  const byDay = new Map(perDay.map((d) => [d.day, d]));
+  const last = Math.min(Date.parse(endIso), nowMs);
+  const days = [];
+  for (let t = Date.parse(startIso.slice(0, 10)); t <= last; t += DAY_MS) {
+    const day = new Date(t).toISOString().slice(0, 10);
+    const d = byDay.get(day);
+    days.push({ day, runs: d ? d.runs : 0, players: d ? d.players : 0 });
+  }
+  return days;
+}
+
+// tournament: config shape (id, name, sponsor, startTime, endTime).
+// winners: prize rows as [{ rank, first_name, username, score, prize }].
+function buildReport(tournament, data, winners, nowMs) {
+  return {
+    tournament: {
+      id: tournament.id, name: tournament.name, sponsor: tournament.sponsor,
+      startTime: tournament.startTime, endTime: tournament.endTime,
+    },
+    generatedAt: new Date(nowMs).toISOString(),
+    uniquePlayers: data.totals.players,
+    totalRuns: data.totals.runs,
+    runsPerPlayer: data.totals.players ? Math.round((data.totals.runs / data.totals.players) * 10) / 10 : 0,
+    newPlayers: data.newPlayers.total,
+    newPlayersPlayed: data.newPlayers.played,
+    runsPerDay: fillDays(data.perDay, tournament.startTime, tournament.endTime, nowMs),
+    scoreDistribution: scoreDistribution(data.scores),
+    winners: winners.map((w) => ({
+      rank: w.rank, name: w.first_name, username: w.username || null, score: w.score, prize: w.prize,
+    })),
+  };
+}
+
+// csvCell-encoded (lib/csv-cell): winner names are player-controlled.
+function reportToCsv(report, csvCell) {
+  const t = report.tournament;
+  const rows = [
+    ['summary', 'tournament', t.id, t.name],
+    ['summary', 'sponsor', t.sponsor, ''],
+    ['summary', 'window', t.startTime, t.endTime],
+    ['summary', 'unique_players', report.uniquePlayers, ''],
+    ['summary', 'total_runs', report.totalRuns, ''],
+    ['summary', 'runs_per_player', report.runsPerPlayer, ''],
+    ['summary', 'new_players', report.newPlayers, `${report.newPlayersPlayed} played`],
+    ...report.runsPerDay.map((d) => ['runs_per_day', d.day, d.runs, `${d.players} players`]),
+    ...report.scoreDistribution.map((b) => ['score_distribution', b.label, b.runs, '']),
+    ...report.winners.map((w) => ['winner', `#${w.rank}`, w.prize, `${w.name} (${w.score})`]),
+  ];
+  return [CSV_COLUMNS.join(','), ...rows.map((r) => r.map(csvCell).join(','))].join('\n');
+}
+
+module.exports = { SCORE_BUCKETS, scoreDistribution, fillDays, buildReport, reportToCsv };
@@ -0,0 +1,50 @@
+// Tournament results ledger — pure helpers shared by bot.js and the tests.
+//
+// tournament_results (db.js) is written ONCE at close-out and is immutable
+// afterwards (SQLite triggers), so a later /ban or remove-tournament-scores can no
+// longer reshuffle who won a tournament that already paid out. Only the payout
+// columns change: every prize row starts 'pending', and an admin moves it to
+// 'sent' or 'void' with /payout (audited).
+
+const PAYOUT_STATUSES = ['pending', 'sent', 'void'];
+
+// Export column order (CSV header + JSON keys).
+const RESULT_COLUMNS = [
+  'tournament_id', 'rank', 'telegram_id', 'first_name', 'username', 'score',
+  'games_played', 'max_level', 'best_at', 'prize', 'payout_status',
+  'payout_note', 'payout_updated_at', 'payout_updated_by', 'recorded_at',
+];
+
+function resultsToJson(rows) {
+  return rows.map((r) => Object.fromEntries(RESULT_COLUMNS.map((c) => [c, r[c] ?? null])));
+}
+
+// csvCell-encoded, so player-controlled names can't inject formulas or rows.
+function resultsToCsv(rows, csvCell) {
+  return [
+    RESULT_COLUMNS.join(','),
+    ...rows.map((r) => RESULT_COLUMNS.map((c) => csvCell(r[c])).join(',')),
+  ].join('\n');
+}
+
+// "/payout <tournament_id> <rank> <pending|sent|void> [note…]" args →
+// { ok: true, tournamentId, rank, status, note } | { ok: false }
+function parsePayoutArgs(argString) {
+  const m = String(argString || '').trim().match(/^(\S+)\s+#?(\d+)\s+(\S+)(?:\s+([\s\S]+))?$/);
+  if (!m) return { ok: false };
+  const rank = Number(m[2]);
+  const status = m[3].toLowerCase();
+  if (rank < 1 || !PAYOUT_STATUSES.includes(status)) return { ok: false };
+  const note = m[4] ? m[4].trim().slice(0, 200) : null;
+  return { ok: true, tournamentId: m[1], rank, status, note };
+}
+
+// Fields whose change would contradict results already recorded at close-out.
+// Name and sponsor are cosmetic; the window, reset boundary, prizes, rule set
+// and stages are not.
+function changesResults(before, after) {
+  const fields = ['startTime', 'endTime', 'scoreResetAt', 'prizes', 'rules', 'stages'];
+  return fields.some((f) => JSON.stringify(before[f] ?? null) !== JSON.stringify(after[f] ?? null));
+}
+
+module.exports = { PAYOUT_STATUSES, RESULT_COLUMNS, resultsToJson, resultsToCsv, parsePayoutArgs, changesResults };
@@ -0,0 +1,58 @@
+// Tournament rule sets — optional `rules` in tournaments.json. Pure helpers shared
+// by tournaments-config.js (validation), db.js (ranking SQL), bot.js and the tests.
+//
+//   rules: { scoring: 'best' | 'sum' | 'average', topK?, attempts? }
+//
+//   scoring 'best'     rank by the single best run (the default without rules)
+//   scoring 'sum'      rank by the sum of the player's top `topK` runs
+//   scoring 'average'  rank by the average of the top `topK` runs; missing runs
+//                      count as 0, so one lucky run can't top the board
+//   attempts           only the player's first N runs (in play order) count, and
+//                      the score route rejects run N+1 — "best of 3" is
+//                      { scoring: 'best', attempts: 3 }
+const SCORINGS = ['best', 'sum', 'average'];
+const RULE_LIMITS = { MAX_TOP_K: 100, MAX_ATTEMPTS: 1000 };
+
+function isCount(n, max) {
+  return Number.isInteger(n) && n >= 1 && n <= max;
+}
+
+function validateRules(rules) {
+  if (!rules || typeof rules !== 'object' || Array.isArray(rules)) return false;
+  if (Object.keys(rules).some((k) => !['scoring', 'topK', 'attempts'].includes(k))) return false;
+  if (!SCORINGS.includes(rules.scoring)) return false;
+  if (rules.scoring === 'best') {
+    if (rules.topK !== undefined) return false;
+  } else if (!isCount(rules.topK, RULE_LIMITS.MAX_TOP_K)) {
+    return false;
+  }
+  if (rules.attempts !== undefined) {
+    if (!isCount(rules.attempts, RULE_LIMITS.MAX_ATTEMPTS)) return false;
+    if (rules.topK !== undefined && rules.topK > rules.attempts) return false;
+  }
+  return true;
+}
+
+// Short human label for the card, captions and the Mini App.
+function describeRules(rules) {
+  if (!rules) return null;
+  const limit = rules.attempts ? `${rules.attempts} attempt${rules.attempts === 1 ? '' : 's'}` : null;
+  if (rules.scoring === 'best') return limit ? `Best of ${limit}` : 'Best run counts';
+  const what = rules.scoring === 'sum' ? 'Sum' : 'Average';
+  const text = `${what} of your top ${rules.topK} run${rules.topK === 1 ? '' : 's'}`;
+  return limit ? `${text} · ${limit}` : text;
+}
+
+// Score column header for the ranking value.
+function scoreLabel(rules) {
+  if (!rules) return 'SCORE';
+  return { best: 'SCORE', sum: 'TOTAL', average: 'AVG' }[rules.scoring] || 'SCORE';
+}
+
+// Runs left under an attempt limit (null = unlimited).
+function attemptsLeft(rules, used) {
+  if (!rules || !rules.attempts) return null;
+  return Math.max(0, rules.attempts - used);
+}
+
+module.exports = { SCORINGS, RULE_LIMITS, validateRules, describeRules, scoreLabel, attemptsLeft };
@@ -0,0 +1,82 @@
+// Multi-stage tournaments — pure helpers shared by tournaments-config.js
+// (validation), bot.js and the tests. Generalises the single scoreResetAt
+// boundary (lib/tournament-reset) to an ordered list of stages:
+//
+//   stages: [
+//     { name: 'Qualifiers', startTime: '…', endTime: '…', prizes: [20, 10], advance: 32 },
+//     { name: 'Finals',     startTime: '…', endTime: '…' },
+//   ]
+//
+// Each stage has its own window inside the tournament's, in order and without
+// overlap; runs only count while a stage is live. Boards show the active stage
+// (the latest one started). When a stage other than the last ends it is frozen
+// into tournament_stage_results with its optional prize ladder, and `advance: N`
+// lets only its top N play the next stage. The last stage is the tournament's
+// own close-out and pays the tournament's `prizes`.
+const { isoToSqliteUTC } = require('./tournament-reset');
+
+const MAX_STAGES = 10;
+const STAGE_FIELDS = ['name', 'startTime', 'endTime', 'prizes', 'advance'];
+
+function isPrizeLadder(p) {
+  return Array.isArray(p) && p.every((v) => typeof v === 'number' && Number.isFinite(v) && v >= 0);
+}
+
+function validateStages(stages, startTime, endTime) {
+  if (!Array.isArray(stages) || stages.length < 1 || stages.length > MAX_STAGES) return false;
+  let prevEnd = Date.parse(startTime);
+  for (const [i, st] of stages.entries()) {
+    if (!st || typeof st !== 'object' || Array.isArray(st)) return false;
+    if (Object.keys(st).some((k) => !STAGE_FIELDS.includes(k))) return false;
+    if (typeof st.name !== 'string' || !st.name.trim() || st.name.length > 40) return false;
+    if (typeof st.startTime !== 'string' || typeof st.endTime !== 'string') return false;
+    const start = Date.parse(st.startTime), end = Date.parse(st.endTime);
+    if (Number.isNaN(start) || Number.isNaN(end) || start < prevEnd || end <= start) return false;
+    prevEnd = end;
+    const last = i === stages.length - 1;
+    if (st.prizes !== undefined && (last || !isPrizeLadder(st.prizes))) return false;
+    if (st.advance !== undefined && (last || !(Number.isInteger(st.advance) && st.advance >= 1))) return false;
+  }
+  return prevEnd <= Date.parse(endTime);
+}
+
+// Index of the stage the boards show: the latest one started (the first before any has).
+function activeStageIndex(stages, nowMs) {
+  let active = 0;
+  stages.forEach((st, i) => { if (Date.parse(st.startTime) <= nowMs) active = i; });
+  return active;
+}
+
+// Index of the stage taking runs at nowMs, or -1 between / outside stages.
+function liveStageIndex(stages, nowMs) {
+  return stages.findIndex((st) => Date.parse(st.startTime) <= nowMs && nowMs <= Date.parse(st.endTime));
+}
+
+// SQLite played_at bounds for one stage's board: since inclusive, until exclusive.
+function stageWindowSql(stage) {
+  return { since: isoToSqliteUTC(stage.startTime), until: isoToSqliteUTC(stage.endTime) };
+}
+
+function stageLabel(stages, index) {
+  return `Stage ${index + 1}/${stages.length} · ${stages[index].name}`;
+}
+
+// Stages that have ended but aren't frozen yet (never the last — that is the
+// tournament's close-out), in order. closed: indices already recorded.
+function dueStageCloseouts(stages, closed, nowMs) {
+  const done = new Set(closed);
+  return stages
+    .map((st, i) => i)
+    .filter((i) => i < stages.length - 1 && !done.has(i) && Date.parse(stages[i].endTime) <= nowMs);
+}
+
+// `?stage=` (1-based, as shown to players) → stage index, or -1 when invalid.
+function stageFromParam(value, stages) {
+  const n = Number(value);
+  return Number.isInteger(n) && n >= 1 && n <= stages.length ? n - 1 : -1;
+}
+
+module.exports = {
+  MAX_STAGES, validateStages, activeStageIndex, liveStageIndex, stageWindowSql, stageLabel,
+  dueStageCloseouts, stageFromParam,
+};
@@ -0,0 +1,134 @@
+// Recurring tournament templates — pure helpers shared by tournaments-config.js
+// (loading + validation), bot.js (materialization) and the tests. No DB, no
+// clock, no fs here.
+//
+// tournament-templates.json holds templates instead of a hand-written entry per
+// month. The bot materializes every occurrence that is live or starts within
+// TEMPLATES.HORIZON_MS into the tournaments table, ahead of time, so the
+// featured/upcoming logic picks it up like any other tournament:
+//
+//   {
+//     "id": "weekend-flap",              // instance id: weekend-flap-2026-10-24 (start date)
+//     "name": "Weekend Flap {date}",     // {date} 2026-10-24, {month} October, {year} 2026
+//     "sponsor": "Dr. Inker LABS",
+//     "every": "week",                   // 'week' | 'month'
+//     "start": "sat 00:00",              // week: sun…sat; month: 1–28 or last — then HH:MM[:SS] UTC
+//     "end": "sun 23:59:59",             // the first such moment after the start
+//     "prizes": [50, 30, 20],            // default prize ladder (optional)
+//     "rules": { … }                     // any tournament option that has no fixed date
+//   }
+//
+// Instances are only ever inserted: an admin edit (/tedit, /tprizes) or a
+// template change never rewrites an occurrence that already exists.
+
+const TEMPLATES = {
+  HORIZON_MS: 14 * 24 * 60 * 60 * 1000,   // ahead of the 7-day "upcoming" featured window
+  CHECK_MS: 6 * 60 * 60 * 1000,           // materialization cadence; also runs on boot
+};
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const WEEKDAYS = ['sun', 'mon', 'tue', 'wed', 'thu', 'fri', 'sat'];
+const MONTHS = ['January', 'February', 'March', 'April', 'May', 'June', 'July',
+  'August', 'September', 'October', 'November', 'December'];
+const ID_RE = /^[a-z0-9][a-z0-9-]{1,51}$/;   // + "-YYYY-MM-DD" stays within the admin id limit
+const TEMPLATE_FIELDS = ['id', 'name', 'sponsor', 'every', 'start', 'end', 'prizes'];
+// Tournament options a template may carry: none of them name a date.
+const TEMPLATE_OPTIONS = ['sameCourse', 'courseSeed', 'rules', 'modifiers', 'registration', 'bracket', 'branding'];
+
+// "sat 00:00" / "last 23:59:59" → { day, h, m, s } (day: weekday 0–6, or 1–28 / 'last'), or null.
+function parseMoment(every, spec) {
+  const m = /^(\w+) (\d{2}):(\d{2})(?::(\d{2}))?$/.exec(String(spec || '').trim().toLowerCase());
+  if (!m) return null;
+  const [h, min, s] = [Number(m[2]), Number(m[3]), Number(m[4] || 0)];
+  if (h > 23 || min > 59 || s > 59) return null;
+  let day;
+  if (every === 'week') {
+    day = WEEKDAYS.indexOf(m[1]);
+    if (day < 0) return null;
+  } else if (every === 'month') {
+    day = m[1] === 'last' ? 'last' : Number(m[1]);
+    if (day !== 'last' && !(Number.isInteger(day) && day >= 1 && day <= 28)) return null;
+  } else {
+    return null;
+  }
+  return { day, h, m: min, s };
+}
+
+// The first instant at or after fromMs (strictly after when `strict`) matching the moment.
+function nextMoment(every, mo, fromMs, strict = false) {
+  const d = new Date(fromMs);
+  const y = d.getUTCFullYear(), month = d.getUTCMonth();
+  const ok = (t) => (strict ? t > fromMs : t >= fromMs);
+  if (every === 'week') {
+    const diff = (mo.day - d.getUTCDay() + 7) % 7;
+    const t = Date.UTC(y, month, d.getUTCDate() + diff, mo.h, mo.m, mo.s);
+    return ok(t) ? t : t + 7 * DAY_MS;
+  }
+  const at = (yy, mm) => {
+    const day = mo.day === 'last' ? new Date(Date.UTC(yy, mm + 1, 0)).getUTCDate() : mo.day;
+    return Date.UTC(yy, mm, day, mo.h, mo.m, mo.s);
+  };
+  const t = at(y, month);
+  return ok(t) ? t : at(y, month + 1);
+}
+
+function isoSeconds(ms) {
+  return new Date(ms).toISOString().replace('.000Z', 'Z');
+}
+
+// Structural checks; the instance itself is checked by validateTournament
+// (tournaments-config.js) since the options need the tournament validators.
+function validateTemplate(t) {
+  if (!t || typeof t !== 'object' || Array.isArray(t)) return false;
+  if (Object.keys(t).some((k) => !TEMPLATE_FIELDS.includes(k) && !TEMPLATE_OPTIONS.includes(k))) return false;
+  if (typeof t.id !== 'string' || !ID_RE.test(t.id)) return false;
+  if (typeof t.name !== 'string' || !t.name.trim() || typeof t.sponsor !== 'string' || !t.sponsor.trim()) return false;
+  if (!parseMoment(t.every, t.start) || !parseMoment(t.every, t.end)) return false;
+  if (t.registration && t.registration.closesAt !== undefined) return false;
+  return true;
+}
+
+// Occurrences of a template that are live at or start after fromMs, up to toMs
+// → [{ startMs, endMs }] in order.
+function occurrences(t, fromMs, toMs) {
+  const start = parseMoment(t.every, t.start), end = parseMoment(t.every, t.end);
+  const out = [];
+  // Step back one period so an occurrence already under way is included.
+  let cursor = fromMs - (t.every === 'week' ? 7 : 31) * DAY_MS;
+  for (;;) {
+    const s = nextMoment(t.every, start, cursor);
+    if (s > toMs) break;
+    const e = nextMoment(t.every, end, s, true);
+    if (e >= fromMs) out.push({ startMs: s, endMs: e });
+    cursor = s + 1000;
+  }
+  return out;
+}
+
+// Template + one occurrence → a tournament config (tournaments.json shape).
+function instanceConfig(t, { startMs, endMs }) {
+  const date = isoSeconds(startMs).slice(0, 10);
+  const d = new Date(startMs);
+  const cfg = {
+    id: `${t.id}-${date}`,
+    name: t.name
+      .replace(/\{date\}/g, date)
+      .replace(/\{month\}/g, MONTHS[d.getUTCMonth()])
+      .replace(/\{year\}/g, String(d.getUTCFullYear())),
+    sponsor: t.sponsor,
+    startTime: isoSeconds(startMs),
+    endTime: isoSeconds(endMs),
+  };
+  if (t.prizes !== undefined) cfg.prizes = t.prizes;
+  for (const k of TEMPLATE_OPTIONS) if (t[k] !== undefined) cfg[k] = t[k];
+  return cfg;
+}
+
+// Every instance due to exist at nowMs: live now or starting within horizonMs.
+function upcomingInstances(templates, nowMs, horizonMs = TEMPLATES.HORIZON_MS) {
+  return templates.flatMap((t) => occurrences(t, nowMs, nowMs + horizonMs).map((o) => instanceConfig(t, o)));
+}
+
+module.exports = {
+  TEMPLATES, parseMoment, nextMoment, validateTemplate, occurrences, instanceConfig, upcomingInstances,
+};
@@ -0,0 +1,94 @@
+// Webhook mode — shared by api.js, core.js and the tests (which run it against a local
+// fake Bot API, like lib/telegram-games).
+//
+// With WEBHOOK_URL set (the service's public https origin), Telegram pushes
+// updates to Express instead of the bot long-polling getUpdates, so two
+// instances overlapping during a deploy no longer fight over getUpdates (the
+// 409 conflict storms polling_error used to throttle). Without it, the bot
+// polls as before — the local-dev fallback.
+//
+//   • Updates arrive at the API process on a secret path,
+//     /telegram/webhook/<pathKey>/<instance>, and every request must carry
+//     X-Telegram-Bot-Api-Secret-Token (WEBHOOK_SECRET, or one derived from the
+//     bot token). Accepted updates are queued for the bot process (outbox).
+//   • At startup each API instance registers its own URL (setWebhook). The
+//     <instance> segment tells instances apart, so at shutdown one only
+//     deletes the webhook while it is still its own — during a deploy overlap
+//     the new instance has already taken it over, and stays registered.
+
+const crypto = require('crypto');
+
+const WEBHOOK_PREFIX = '/telegram/webhook';
+const SECRET_TOKEN_RE = /^[A-Za-z0-9_-]{1,256}$/;   // Bot API secret_token charset
+
+// env → { enabled:false } or { enabled, baseUrl, secretToken, pathKey }.
+// Throws on an unusable WEBHOOK_URL / WEBHOOK_SECRET so a misconfigured
+// deploy fails loudly at boot instead of silently receiving nothing.
+function webhookConfig(env, botToken) {
+  const baseUrl = (env.WEBHOOK_URL || '').trim().replace(/\/+$/, '');
+  if (!baseUrl) return { enabled: false };
+  if (!/^https:\/\/[^/\s]+(\/[^\s]*)?$/.test(baseUrl)) throw new Error('WEBHOOK_URL must be an https:// URL');
+  const secretToken = env.WEBHOOK_SECRET
+    || crypto.createHmac('sha256', 'FlappyWebhook').update(String(botToken || '')).digest('hex');
+  if (!SECRET_TOKEN_RE.test(secretToken)) throw new Error('WEBHOOK_SECRET may only use A-Z, a-z, 0-9, _ and - (max 256)');
+  // The path key is derived from (not equal to) the secret, so access logs never show it.
+  const pathKey = crypto.createHash('sha256').update(secretToken).digest('hex').slice(0, 32);
+  return { enabled: true, baseUrl, secretToken, pathKey };
+}
+
+// Express route for incoming updates (any instance segment).
+function webhookRoute(cfg) {
+  return `${WEBHOOK_PREFIX}/${cfg.pathKey}/:instance`;
+}
+
+function webhookUrl(cfg, instanceId) {
+  return `${cfg.baseUrl}${WEBHOOK_PREFIX}/${cfg.pathKey}/${instanceId}`;
+}
+
+function newInstanceId() {
+  return crypto.randomBytes(6).toString('hex');
+}
+
+function isTelegramRequest(header, secretToken) {
+  if (typeof header !== 'string') return false;
+  const a = Buffer.from(header);
+  const b = Buffer.from(secretToken);
+  return a.length === b.length && crypto.timingSafeEqual(a, b);
+}
+
+// Express handler: verify the secret-token header, hand the update over
+// (sink.processUpdate — the API process queues it for the bot), then ack. A
+// failed hand-off answers 500 so Telegram redelivers the update later.
+function webhookHandler(sink, secretToken, logger = console.error) {
+  return (req, res) => {
+    if (!isTelegramRequest(req.get('x-telegram-bot-api-secret-token'), secretToken)) {
+      return res.status(401).json({ error: 'Unauthorized' });
+    }
+    if (!req.body || !Number.isInteger(req.body.update_id)) return res.status(400).json({ error: 'Bad update' });
+    try {
+      sink.processUpdate(req.body);
+    } catch (err) {
+      logger('Webhook update error:', err && err.message ? err.message : err);
+      return res.sendStatus(500);
+    }
+    res.sendStatus(200);
+  };
+}
+
+function registerWebhook(bot, url, secretToken) {
+  return bot.setWebHook(url, { secret_token: secretToken });
+}
+
+// Delete the webhook only while it still points at this process. Resolves
+// true if deleted, false if another instance owns it.
+async function releaseWebhook(bot, url) {
+  const info = await bot.getWebHookInfo();
+  if (!info || info.url !== url) return false;
+  await bot.deleteWebHook();
+  return true;
+}
+
+module.exports = {
+  WEBHOOK_PREFIX, webhookConfig, webhookRoute, webhookUrl, newInstanceId, isTelegramRequest,
+  webhookHandler, registerWebhook, releaseWebhook,
+};
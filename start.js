@@ -0,0 +1,62 @@
+// start.js — runs the two Flappy Bert processes side by side
+// ─────────────────────────────────────────────────────────────────────
+//
+// api.js (HTTP API) and bot.js (Telegram bot) share the SQLite file in
+// DATA_DIR (WAL mode) and talk only through the outbox table, so each can
+// crash or be restarted on its own: this supervisor restarts a child that
+// exits without touching the other one. Restarts back off from 1s to 30s
+// while a child keeps dying, and reset once it has stayed up for a minute.
+//
+//   node start.js           — production (npm start, Dockerfile)
+//   node start.js --watch   — dev: each child restarts on its own file edits
+//
+// Heap caps are per child: together they stay inside the 512MB instance, and
+// an OOM stays a clean fast restart of that one process.
+// ─────────────────────────────────────────────────────────────────────
+
+const { fork } = require('child_process');
+const path     = require('path');
+
+const CHILDREN = [
+  { name: 'api', script: 'api.js', heapMb: 224 },
+  { name: 'bot', script: 'bot.js', heapMb: 160 },
+];
+const RESTART = { MIN_MS: 1000, MAX_MS: 30 * 1000, STABLE_MS: 60 * 1000 };
+const STOP_GRACE_MS = 8000;   // children give themselves 5s (shutdown())
+const watch = process.argv.includes('--watch');
+
+let stopping = false;
+
+function spawn(child) {
+  const execArgv = [`--max-old-space-size=${child.heapMb}`, ...(watch ? ['--watch'] : [])];
+  child.startedAt = Date.now();
+  child.proc = fork(path.join(__dirname, child.script), [], { execArgv });
+  child.proc.on('exit', (code, signal) => {
+    child.proc = null;
+    if (stopping) return;
+    if (Date.now() - child.startedAt >= RESTART.STABLE_MS) child.delay = RESTART.MIN_MS;
+    console.error(`🔁  ${child.name} exited (${signal || code}) — restarting in ${child.delay / 1000}s`);
+    child.timer = setTimeout(() => spawn(child), child.delay);
+    child.delay = Math.min(RESTART.MAX_MS, child.delay * 2);
+  });
+}
+
+function stop(signal) {
+  if (stopping) return;
+  stopping = true;
+  for (const child of CHILDREN) {
+    clearTimeout(child.timer);
+    if (child.proc) child.proc.kill(signal);
+  }
+  const done = () => CHILDREN.every(c => !c.proc) && process.exit(0);
+  for (const child of CHILDREN) if (child.proc) child.proc.on('exit', done);
+  done();
+  setTimeout(() => process.exit(0), STOP_GRACE_MS).unref();
+}
+process.on('SIGTERM', () => stop('SIGTERM'));
+process.on('SIGINT', () => stop('SIGINT'));
+
+for (const child of CHILDREN) {
+  child.delay = RESTART.MIN_MS;
+  spawn(child);
+}
@@ -0,0 +1,54 @@
+// Admin audit trail: destructive helpers report the rows they removed, and
+// admin_actions records who/what/when/target/rows for prize disputes.
+// Drives the REAL db.js against an ISOLATED temp DB (FLAPPY_DATA_DIR).
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const TMP = fs.mkdtempSync(path.join(os.tmpdir(), 'flappy-audit-'));
+process.env.FLAPPY_DATA_DIR = TMP;
+
+const db = require('../db');
+db.init();
+
+db.upsertPlayer(7, 'Target', null);
+db.createTournament('t', 'T', 'S', '2026-01-01T00:00:00Z', '2099-01-01T00:00:00Z');
+
+test('removal helpers return the number of rows deleted', () => {
+  db.submitScore(7, 10, 1, 0);
+  db.submitScore(7, 20, 2, 0);
+  db.submitTournamentScore('t', 7, 30, 3, 0);
+  db.submitTournamentScore('t', 7, 40, 4, 0);
+  db.submitTournamentScore('t', 7, 50, 5, 0);
+  assert.equal(db.removePlayerWeekScores(7, db.getWeekStart()), 2);
+  assert.equal(db.removeAllPlayerScores(7), 0);
+  assert.equal(db.removeTournamentScores(7, 't'), 3);
+  db.submitTournamentScore('t', 7, 60, 6, 0);
+  assert.equal(db.resetTournamentScores('t'), 1);
+});
+
+test('actions are recorded with actor, target, rows and detail', () => {
+  db.logAdminAction({ actor: 'telegram:1', action: 'ban', target: 7, rows: 5, detail: { weekly: 2, tournament: 3 } });
+  const [a] = db.getAdminActions({ limit: 1 });
+  assert.equal(a.actor, 'telegram:1');
+  assert.equal(a.action, 'ban');
+  assert.equal(a.target, '7');
+  assert.equal(a.rows_affected, 5);
+  assert.deepEqual(a.detail, { weekly: 2, tournament: 3 });
+  assert.match(a.created_at, /^\d{4}-\d{2}-\d{2} \d{2}:\d{2}:\d{2}$/);
+});
+
+test('newest first, filterable by target and action', () => {
+  db.logAdminAction({ actor: 'api:127.0.0.1', action: 'remove_scores', target: 8, rows: 1 });
+  db.logAdminAction({ actor: 'telegram:1', action: 'unban', target: 7 });
+  db.logAdminAction({ actor: 'telegram:1', action: 'reset_tournament', target: 't', rows: 9 });
+  assert.deepEqual(db.getAdminActions().map(a => a.action), ['reset_tournament', 'unban', 'remove_scores', 'ban']);
+  assert.deepEqual(db.getAdminActions({ target: 7 }).map(a => a.action), ['unban', 'ban']);
+  assert.deepEqual(db.getAdminActions({ action: 'remove_scores' }).map(a => a.target), ['8']);
+  assert.equal(db.getAdminActions({ limit: 2 }).length, 2);
+  assert.equal(db.getAdminActions({ target: 7 })[0].rows_affected, 0, 'rows default to 0');
+  assert.equal(db.getAdminActions({ target: 7 })[0].detail, null);
+});
@@ -0,0 +1,44 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { parseBanArgs, parseDuration, formatDuration, MAX_BAN_MS } = require('../lib/ban-command');
+
+const H = 60 * 60 * 1000;
+
+test('id only → permanent, no reason', () => {
+  assert.deepEqual(parseBanArgs('12345'), { ok: true, targetId: 12345, durationMs: null, reason: null });
+});
+
+test('duration + reason', () => {
+  assert.deepEqual(parseBanArgs('12345 7d score editing'),
+    { ok: true, targetId: 12345, durationMs: 7 * 24 * H, reason: 'score editing' });
+  assert.equal(parseBanArgs('1 12h').durationMs, 12 * H);
+  assert.equal(parseBanArgs('1 30m').durationMs, 30 * 60 * 1000);
+  assert.equal(parseBanArgs('1 2W').durationMs, 14 * 24 * H);
+});
+
+test('a non-duration second token is the start of the reason (permanent ban)', () => {
+  assert.deepEqual(parseBanArgs('1 botting again'), { ok: true, targetId: 1, durationMs: null, reason: 'botting again' });
+  assert.deepEqual(parseBanArgs('1 perm alt account'), { ok: true, targetId: 1, durationMs: null, reason: 'alt account' });
+});
+
+test('rejects a missing/invalid id and absurd durations', () => {
+  assert.deepEqual(parseBanArgs(''), { ok: false, reason: 'missing_id' });
+  assert.deepEqual(parseBanArgs(undefined), { ok: false, reason: 'missing_id' });
+  assert.deepEqual(parseBanArgs('@someone 7d'), { ok: false, reason: 'missing_id' });
+  assert.deepEqual(parseBanArgs('1 0d'), { ok: false, reason: 'bad_duration' });
+  assert.deepEqual(parseBanArgs('1 9999w'), { ok: false, reason: 'bad_duration' });
+});
+
+test('reason is clamped', () => {
+  assert.equal(parseBanArgs('1 ' + 'x'.repeat(500)).reason.length, 200);
+});
+
+test('parseDuration / formatDuration round-trip', () => {
+  assert.equal(parseDuration('perm'), null);
+  assert.equal(parseDuration('soon'), undefined);
+  assert.equal(formatDuration(null), 'permanent');
+  assert.equal(formatDuration(parseDuration('7d')), '1w');
+  assert.equal(formatDuration(parseDuration('36h')), '36h');
+  assert.equal(formatDuration(parseDuration('90m')), '90m');
+  assert.ok(MAX_BAN_MS > parseDuration('52w'));
+});
@@ -0,0 +1,81 @@
+// Bans hide instead of delete: hard bans vanish from every board, shadow bans
+// from everyone but the player, both expire on their own, and unban restores.
+// Drives the REAL db.js against an ISOLATED temp DB (FLAPPY_DATA_DIR).
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const TMP = fs.mkdtempSync(path.join(os.tmpdir(), 'flappy-bans-'));
+process.env.FLAPPY_DATA_DIR = TMP;
+
+const db = require('../db');
+db.init();
+
+for (const [id, name] of [[1, 'Clean'], [2, 'Cheater'], [3, 'Shadow']]) db.upsertPlayer(id, name, null);
+db.createTournament('t', 'T', 'S', '2026-01-01T00:00:00Z', '2099-01-01T00:00:00Z');
+db.submitScore(1, 50, 5, 0);
+db.submitScore(2, 300, 30, 0);
+db.submitScore(3, 200, 20, 0);
+db.submitTournamentScore('t', 1, 50, 5, 0);
+db.submitTournamentScore('t', 2, 300, 30, 0);
+db.submitTournamentScore('t', 3, 200, 20, 0);
+
+const weekly = (viewer) => db.getWeeklyLeaderboard(10, viewer).map(r => r.telegram_id);
+const tourney = (viewer) => db.getTournamentLeaderboard('t', 10, null, viewer).map(r => r.telegram_id);
+
+test('no bans: everyone is on the board', () => {
+  assert.deepEqual(weekly(null), [2, 3, 1]);
+  assert.deepEqual(tourney(null), [2, 3, 1]);
+});
+
+test('a hard ban hides the player everywhere, blocks submissions, keeps the rows', () => {
+  db.banPlayer(2, 'score editing', { bannedBy: 99 });
+  assert.equal(db.isBanned(2), true);
+  assert.deepEqual(weekly(null), [3, 1]);
+  assert.deepEqual(weekly(2), [3, 1], 'not even the banned player sees them');
+  assert.deepEqual(tourney(null), [3, 1]);
+  assert.equal(db.getPlayerRank(1), 2);
+  assert.equal(db.getPlayerWeeklyBest(2).best_score, 300, 'scores are hidden, not deleted');
+  assert.equal(db.getBan(2).reason, 'score editing');
+  assert.equal(db.getBan(2).banned_by, 99);
+});
+
+test('a shadow ban hides the player from others only and still accepts scores', () => {
+  db.banPlayer(3, 'suspected bot', { mode: 'shadow' });
+  assert.equal(db.isBanned(3), false, 'submissions still accepted');
+  assert.equal(db.getBan(3).mode, 'shadow');
+  assert.deepEqual(weekly(null), [1]);
+  assert.deepEqual(weekly(1), [1]);
+  assert.deepEqual(weekly(3), [3, 1], 'the player still sees themselves');
+  assert.deepEqual(tourney(1), [1]);
+  assert.deepEqual(tourney(3), [3, 1]);
+  assert.equal(db.getPlayerRank(3), 1, 'own rank as they see the board');
+  assert.equal(db.getTournamentPlayerRank('t', 3), 1);
+  assert.equal(db.getPlayerRank(1), 1);
+});
+
+test('unban restores the scores', () => {
+  assert.equal(db.unbanPlayer(2), 1);
+  assert.equal(db.unbanPlayer(2), 0);
+  assert.deepEqual(weekly(null), [2, 1]);
+});
+
+test('temporary bans expire on their own', () => {
+  db.banPlayer(2, 'cool off', { expiresAt: Date.now() + 60 * 60 * 1000 });
+  assert.equal(db.isBanned(2), true);
+  assert.deepEqual(weekly(null), [1]);
+  db.banPlayer(2, 'cool off', { expiresAt: Date.now() - 1000 });
+  assert.equal(db.isBanned(2), false);
+  assert.equal(db.getBan(2), null);
+  assert.deepEqual(weekly(null), [2, 1]);
+});
+
+test('the weekly archive CSV leaves banned players out', () => {
+  const out = db.archiveWeek();
+  const csv = fs.readFileSync(out.filepath, 'utf8');
+  assert.ok(csv.includes('Cheater'));
+  assert.ok(!csv.includes('Shadow'), 'shadow-banned player is not in the public archive');
+});
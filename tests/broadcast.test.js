@@ -0,0 +1,126 @@
+// /broadcast: parsing the draft / CONFIRM commands, the confirm guard, audience
+// resolution, the bulk priority, and counting a broadcast's delivered / blocked /
+// failed messages through the send lane — against an ISOLATED temp DB
+// (FLAPPY_DATA_DIR) and a fake bot.
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const TMP = fs.mkdtempSync(path.join(os.tmpdir(), 'flappy-broadcast-'));
+process.env.FLAPPY_DATA_DIR = TMP;
+
+const db = require('../db');
+const dbh = db.init();
+const { OUTBOX, drainOutbox } = require('../lib/outbox');
+const { SEND_QUEUE, createPacer, outboundClient, sendHandler } = require('../lib/send-queue');
+const {
+  BROADCAST, parseBroadcastCommand, confirmRejection, describeAudience, broadcastJobs, formatBroadcastReport,
+} = require('../lib/broadcast');
+
+const KNOWN = ['spring-cup'];
+const URL = 'https://example.com/game';
+
+test('parse: audiences, the play flag and the message lines', () => {
+  assert.deepEqual(parseBroadcastCommand('all\nHello *world*', KNOWN),
+    { action: 'draft', audience: { type: 'all' }, play: false, text: 'Hello *world*' });
+  assert.deepEqual(parseBroadcastCommand('active 7 play\nCome back!\nNew skins.', KNOWN),
+    { action: 'draft', audience: { type: 'active', days: 7 }, play: true, text: 'Come back!\nNew skins.' });
+  assert.deepEqual(parseBroadcastCommand('tournament spring-cup\nStarts soon', KNOWN).audience, { type: 'tournament', id: 'spring-cup' });
+  assert.deepEqual(parseBroadcastCommand('TOP 10 PLAY\nGG', KNOWN).audience, { type: 'top', n: 10 });
+  assert.deepEqual(parseBroadcastCommand('CONFIRM 12', KNOWN), { action: 'confirm', id: 12 });
+});
+
+test('parse: anything off is rejected with a reason', () => {
+  const reason = (s) => parseBroadcastCommand(s, KNOWN).reason;
+  assert.equal(reason(undefined), 'missing_args');
+  assert.equal(reason('everyone\nhi'), 'unknown_audience');
+  assert.equal(reason('active\nhi'), 'bad_number');
+  assert.equal(reason(`active ${BROADCAST.MAX_DAYS + 1}\nhi`), 'bad_number');
+  assert.equal(reason('top 0\nhi'), 'bad_number');
+  assert.equal(reason('tournament summer-typo\nhi'), 'unknown_tournament');
+  assert.equal(reason('all hello there\nhi'), 'extra_args');
+  assert.equal(reason('all play'), 'missing_text');
+  assert.equal(reason('all\n' + 'x'.repeat(BROADCAST.MAX_TEXT + 1)), 'text_too_long');
+  assert.equal(reason('CONFIRM'), 'bad_draft_id');
+  assert.equal(reason('confirm 3'), 'unknown_audience');          // CONFIRM is exact, as in /resettournament
+});
+
+test('confirm guard: only the author, only once, only within the TTL', () => {
+  const T = Date.parse('2026-10-19T12:00:00Z');
+  const draft = { id: 1, created_by: 5, confirmed_at: null, created_at: T };
+  assert.equal(confirmRejection(draft, 5, T + 1000), null);
+  assert.equal(confirmRejection(null, 5, T), 'unknown_draft');
+  assert.equal(confirmRejection(draft, 6, T), 'not_yours');
+  assert.equal(confirmRejection({ ...draft, confirmed_at: T }, 5, T), 'already_sent');
+  assert.equal(confirmRejection(draft, 5, T + BROADCAST.DRAFT_TTL_MS + 1), 'expired');
+  assert.equal(describeAudience({ type: 'active', days: 3 }), 'players active in the last 3 day(s)');
+});
+
+test('audiences resolve from players, recent scores, entries and the weekly board', () => {
+  for (const id of [101, 102, 103, 104]) db.upsertPlayer(id, 'P' + id, null);
+  const insert = (id, score, playedAt) => dbh
+    .prepare('INSERT INTO scores (telegram_id, score, level, week_start, played_at) VALUES (?, ?, 1, ?, ?)')
+    .run(id, score, db.getWeekStart(), playedAt);
+  insert(101, 50, new Date().toISOString().slice(0, 19).replace('T', ' '));
+  insert(102, 40, '2000-01-01 00:00:00');
+  db.banPlayer(103, 'test');
+  db.banPlayer(104, 'test', { mode: 'shadow' });                  // still gets broadcasts
+  for (const id of [104, 102, 103]) dbh.prepare('INSERT INTO tournament_entries (tournament_id, telegram_id) VALUES (?, ?)').run('spring-cup', id);
+
+  assert.deepEqual(db.getBroadcastAudience({ type: 'all' }), [101, 102, 104]);
+  assert.deepEqual(db.getBroadcastAudience({ type: 'active', days: 7 }), [101]);
+  assert.deepEqual(db.getBroadcastAudience({ type: 'top', n: 1 }), [101]);
+  assert.deepEqual(db.getBroadcastAudience({ type: 'tournament', id: 'spring-cup' }), [102, 104]);
+  assert.deepEqual(db.getBroadcastAudience({ type: 'tournament', id: 'nope' }), []);
+});
+
+test('a confirmed broadcast queues once and reports delivered / blocked / failed', async () => {
+  const T0 = Date.now() + 60 * 1000;
+  const id = db.createBroadcastDraft({ createdBy: 5, chatId: 5, audience: { type: 'all' }, text: 'Hi *all*', play: true });
+  const draft = db.getBroadcast(id);
+  assert.equal(draft.play, true);
+  const jobs = broadcastJobs(draft, [101, 102, 104], URL);
+  assert.deepEqual(jobs[0].payload.args[1].reply_markup.inline_keyboard[0][0].web_app, { url: URL });
+
+  assert.equal(db.startBroadcast(id, jobs, T0), true);
+  assert.equal(db.startBroadcast(id, jobs, T0), false);            // a second CONFIRM queues nothing
+  assert.deepEqual(db.getUnreportedBroadcasts().map(b => b.id), [id]);
+  assert.equal(db.getBroadcastProgress(id).pending, 3);
+
+  const tgError = (status) => Object.assign(new Error(`ETELEGRAM: ${status}`), {
+    code: 'ETELEGRAM', response: { statusCode: status, body: { ok: false, error_code: status } },
+  });
+  const bot = {
+    sendMessage: async (chatId) => {
+      if (chatId === 102) throw tgError(403);
+      if (chatId === 104) throw tgError(400);
+      return {};
+    },
+  };
+  const handlers = {
+    [SEND_QUEUE.KIND]: sendHandler(bot, createPacer(), {
+      clock: () => T0, sleep: async () => {}, onBlocked: (chatId) => db.setPlayerUnreachable(chatId, true),
+    }),
+  };
+  await drainOutbox(db, handlers, { lane: SEND_QUEUE.LANE, clock: () => T0, logger: () => {} });
+
+  const counts = db.getBroadcastProgress(id);
+  assert.deepEqual(counts, { delivered: 1, blocked: 1, failed: 1, pending: 0 });
+  assert.equal(db.finishBroadcast(id, counts), true);
+  assert.equal(db.finishBroadcast(id, counts), false);
+  assert.deepEqual(db.getUnreportedBroadcasts(), []);
+  assert.match(formatBroadcastReport(id, counts), /Delivered: 1[\s\S]*Blocked: 1[\s\S]*Failed: 1/);
+});
+
+test('broadcast jobs yield to interactive sends queued after them', async () => {
+  const id = db.createBroadcastDraft({ createdBy: 5, chatId: 5, audience: { type: 'all' }, text: 'Bulk', play: false });
+  const T0 = Date.now();
+  db.startBroadcast(id, broadcastJobs(db.getBroadcast(id), [201, 202, 203], URL), T0 - 1000);
+  await outboundClient(db).sendMessage(300, 'your share');
+
+  const order = db.claimOutbox(10, OUTBOX.LEASE_MS, Date.now() + 1000, SEND_QUEUE.LANE).map(j => j.payload.chatId);
+  assert.deepEqual(order, [300, 201, 202, 203]);
+});
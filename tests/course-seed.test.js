@@ -0,0 +1,23 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { isCourseSeed, tournamentCourseSeed } = require('../lib/course-seed');
+
+const base = { id: 'summer-session-2026', name: 'T', sponsor: 'S' };
+
+test('per-run seeds unless the tournament opts into sameCourse', () => {
+  assert.equal(tournamentCourseSeed(null), null);
+  assert.equal(tournamentCourseSeed(base), null);
+  assert.equal(tournamentCourseSeed({ ...base, sameCourse: false, courseSeed: 7 }), null);
+});
+
+test('sameCourse derives a stable uint32 seed from the tournament id', () => {
+  const a = tournamentCourseSeed({ ...base, sameCourse: true });
+  assert.ok(isCourseSeed(a));
+  assert.equal(tournamentCourseSeed({ ...base, sameCourse: true }), a);
+  assert.notEqual(tournamentCourseSeed({ ...base, id: 'other', sameCourse: true }), a);
+});
+
+test('an explicit courseSeed pins the course', () => {
+  assert.equal(tournamentCourseSeed({ ...base, sameCourse: true, courseSeed: 0 }), 0);
+  assert.equal(tournamentCourseSeed({ ...base, sameCourse: true, courseSeed: 4294967295 }), 4294967295);
+});
@@ -47,19 +47,23 @@ test('speed never decreases and gap never increases across levels 1..60', () =>
   }
 });
 
-// --- Source-sync: the two in-HTML formula sites must both carry the new curve.
-// updateDifficulty() writes G.gameSpeed; the anti-tamper expectedSpeed() gates
-// that write (rejects values above expected+0.5). If they drift, mid-game
-// speed-ups are silently discarded — so we grep the shipped HTML itself.
+// --- Source-sync: both formula sites must carry the new curve.
+// FlappySim.updateDifficulty() (lib/flappy-sim.js) writes G.gameSpeed; the
+// anti-tamper expectedSpeed() in the HTML gates that write (rejects values above
+// expected+0.5). If they drift, mid-game speed-ups are silently discarded — so we
+// grep the shipped sources themselves.
 const fs = require('node:fs');
 const path = require('node:path');
 const html = fs.readFileSync(path.join(__dirname, '..', 'flappy_bert.html'), 'utf8');
+const sim = fs.readFileSync(path.join(__dirname, '..', 'lib', 'flappy-sim.js'), 'utf8');
 
-test('flappy_bert.html carries the new formula at BOTH sites (updateDifficulty + expectedSpeed)', () => {
-  const hits = html.match(/Math\.min\(lvl \* 0\.25, 3\)/g) || [];
-  assert.equal(hits.length, 2, `expected exactly 2 sites, found ${hits.length}`);
+test('the new formula is at BOTH sites (FlappySim.updateDifficulty + expectedSpeed)', () => {
+  const count = (src) => (src.match(/Math\.min\(lvl \* 0\.25, 3\)/g) || []).length;
+  assert.equal(count(html), 1, `expected exactly 1 site in flappy_bert.html, found ${count(html)}`);
+  assert.equal(count(sim), 1, `expected exactly 1 site in lib/flappy-sim.js, found ${count(sim)}`);
 });
 
-test('no stale 0.15/level speed formula remains in flappy_bert.html', () => {
-  assert.ok(!/lvl \* 0\.15/.test(html), 'found leftover "lvl * 0.15"');
+test('no stale 0.15/level speed formula remains', () => {
+  assert.ok(!/lvl \* 0\.15/.test(html), 'found leftover "lvl * 0.15" in flappy_bert.html');
+  assert.ok(!/lvl \* 0\.15/.test(sim), 'found leftover "lvl * 0.15" in lib/flappy-sim.js');
 });
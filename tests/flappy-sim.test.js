@@ -0,0 +1,68 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('node:fs');
+const path = require('node:path');
+const { PHYSICS, createRng, createRunState, addPipe, replayRun, INPUT } = require('../lib/flappy-sim');
+const { flyRun } = require('./lib/autopilot');
+
+test('createRng is deterministic per seed and stays in [0, 1)', () => {
+  const a = createRng(42), b = createRng(42), c = createRng(43);
+  const sa = Array.from({ length: 50 }, a);
+  assert.deepEqual(sa, Array.from({ length: 50 }, b));
+  assert.notDeepEqual(sa, Array.from({ length: 50 }, c));
+  assert.ok(sa.every(x => x >= 0 && x < 1));
+});
+
+test('same seed lays out the same course; a different seed a different one', () => {
+  const course = (seed) => {
+    const S = createRunState({ w: 400, h: 800, x0: 100, y0: 320, mult: 1 });
+    const rng = createRng(seed);
+    for (let i = 0; i < 8; i++) { addPipe(S, rng); S.pipes[S.pipes.length - 1].x += i * 200; }
+    return S.pipes.map(p => [p.gapY, p.gapH, p.moving, p.hasCoin]);
+  };
+  assert.deepEqual(course(7), course(7));
+  assert.notDeepEqual(course(7), course(8));
+});
+
+test('a recorded run replays to exactly the score it earned', () => {
+  for (const seed of [1, 2, 3, 42]) {
+    const run = flyRun(seed);
+    assert.ok(run.score > 0, `seed ${seed} should score`);
+    const out = replayRun(run.replay, seed);
+    assert.equal(out.died, true);
+    assert.equal(out.score, run.score);
+    assert.equal(out.level, run.level);
+  }
+});
+
+test('pause/resume and resize inputs are accepted by the replayer', () => {
+  const run = flyRun(1);
+  const extra = [[5, INPUT.PAUSE], [5, INPUT.RESUME], [6, INPUT.RESIZE, 400, 800]];
+  const inputs = [...extra, ...run.replay.inputs].sort((x, y) => x[0] - y[0]);
+  assert.equal(replayRun({ ...run.replay, inputs }, 1).score, run.score);
+});
+
+// --- Source-sync: the browser must run THIS module, not a private copy.
+const html = fs.readFileSync(path.join(__dirname, '..', 'flappy_bert.html'), 'utf8');
+const sim = fs.readFileSync(path.join(__dirname, '..', 'lib', 'flappy-sim.js'), 'utf8');
+
+test('flappy_bert.html loads lib/flappy-sim.js and has no private physics copy', () => {
+  assert.ok(html.includes('<script src="lib/flappy-sim.js"></script>'));
+  assert.ok(!/function addPipe\(/.test(html), 'HTML still defines its own addPipe()');
+  assert.ok(!/function checkCollision\(/.test(html), 'HTML still defines its own checkCollision()');
+});
+
+test('gameplay randomness never comes from Math.random', () => {
+  const code = sim.replace(/\/\/.*$/gm, '');
+  assert.ok(!/Math\.random/.test(code), 'lib/flappy-sim.js must only use the seeded rng');
+});
+
+test('PHYSICS matches the anti-tamper EXPECTED block in flappy_bert.html', () => {
+  const block = html.match(/const EXPECTED = \{([\s\S]*?)\};/);
+  assert.ok(block, 'EXPECTED block not found');
+  for (const [k, v] of Object.entries(PHYSICS)) {
+    const m = block[1].match(new RegExp(`${k}:\\s*(-?[\\d.]+)`));
+    assert.ok(m, `EXPECTED.${k} missing`);
+    assert.equal(Number(m[1]), v, `EXPECTED.${k}`);
+  }
+});
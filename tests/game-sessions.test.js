@@ -0,0 +1,68 @@
+// Persisted anti-cheat sessions: a run started before a restart must still
+// validate after it, within the same SESSION_TTL_MS / MAX_SESSIONS bounds the
+// in-memory Map had. Drives the REAL db.js against an ISOLATED temp DB.
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const TMP = fs.mkdtempSync(path.join(os.tmpdir(), 'flappy-sessions-'));
+process.env.FLAPPY_DATA_DIR = TMP;
+
+const db = require('../db');
+let dbh = db.init();
+
+const TTL = 15 * 60 * 1000;
+const T0 = Date.parse('2026-07-06T12:00:00Z');
+const sess = (id, startedAt, extra = {}) => ({ id, telegramId: 1, startedAt, seed: 42, ...extra });
+
+test('a session survives a restart (re-opened DB) with its seed and flags', () => {
+  const modifiers = { allowShopMultiplier: false, powerups: ['shield'], startLevel: 3 };
+  db.createSession(sess('a', T0, { courseTournamentId: 't1', tournamentId: 't1', modifiers }), 100);
+  dbh.close();
+  dbh = db.init();
+  const s = db.getSession('a', TTL, T0 + 60000);
+  assert.deepEqual(s, {
+    id: 'a', telegramId: 1, startedAt: T0, seed: 42, courseTournamentId: 't1',
+    tournamentId: 't1', modifiers,
+    usedWeekly: false, usedTournament: false,
+  });
+});
+
+test('sessions older than the TTL are invisible and pruned', () => {
+  db.createSession(sess('old', T0 - TTL - 1), 100);
+  assert.equal(db.getSession('old', TTL, T0), null);
+  assert.ok(db.getSession('a', TTL, T0));
+  assert.equal(db.pruneSessions(TTL, T0), 1);
+  assert.equal(db.getSession('old', TTL, T0 - TTL), null, 'row is gone, not just filtered');
+});
+
+test('unknown or non-string ids return null', () => {
+  assert.equal(db.getSession('nope', TTL, T0), null);
+  assert.equal(db.getSession(undefined, TTL, T0), null);
+  assert.equal(db.getSession({ id: 'a' }, TTL, T0), null);
+});
+
+test('single-use is per board and atomic', () => {
+  db.createSession(sess('b', T0), 100);
+  assert.equal(db.consumeSession('b', 'weekly'), true);
+  assert.equal(db.consumeSession('b', 'weekly'), false, 'second weekly claim loses');
+  assert.equal(db.consumeSession('b', 'tournament'), true, 'tournament slot is separate');
+  assert.equal(db.consumeSession('b', 'tournament'), false);
+  const s = db.getSession('b', TTL, T0);
+  assert.equal(s.usedWeekly, true);
+  assert.equal(s.usedTournament, true);
+  assert.equal(db.consumeSession('missing', 'weekly'), false);
+});
+
+test('MAX_SESSIONS evicts the oldest sessions first', () => {
+  dbh.exec('DELETE FROM game_sessions');
+  for (let i = 0; i < 5; i++) db.createSession(sess('s' + i, T0 + i), 5);
+  assert.equal(db.countSessions(), 5);
+  db.createSession(sess('s5', T0 + 5), 5);
+  assert.equal(db.countSessions(), 5);
+  assert.equal(db.getSession('s0', TTL, T0), null, 'oldest evicted');
+  assert.ok(db.getSession('s5', TTL, T0));
+});
@@ -0,0 +1,70 @@
+// Group-chat boards: membership tracking, the weekly board restricted to a
+// group's players (same tiebreak and ban filter as the global board), the
+// once-per-week champion claim, and the champion post text — against an
+// ISOLATED temp DB (FLAPPY_DATA_DIR).
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const TMP = fs.mkdtempSync(path.join(os.tmpdir(), 'flappy-groups-'));
+process.env.FLAPPY_DATA_DIR = TMP;
+
+const db = require('../db');
+db.init();
+const { isGroupChat, groupBoardSubtitle, formatChampionPost } = require('../lib/group-board');
+
+const GROUP = -1001234567890;
+const OTHER = -1009876543210;
+const esc = (s) => String(s).replace(/([_*`\[])/g, '\\$1');
+
+test('isGroupChat / subtitle', () => {
+  assert.ok(isGroupChat({ type: 'supergroup' }));
+  assert.ok(isGroupChat({ type: 'group' }));
+  assert.equal(isGroupChat({ type: 'private' }), false);
+  assert.equal(isGroupChat(undefined), false);
+  assert.equal(groupBoardSubtitle('Flappy Friends'), 'FLAPPY FRIENDS · WEEKLY');
+  assert.equal(groupBoardSubtitle('x'.repeat(40)).length, 32 + ' · WEEKLY'.length);
+});
+
+test('the group board only ranks tracked members, in the global order', () => {
+  for (const [id, name] of [[1, 'Ann'], [2, 'Bob'], [3, 'Cat'], [4, 'Dan']]) db.upsertPlayer(id, name, null);
+  db.submitScore(1, 30, 1, 0);
+  db.submitScore(2, 50, 1, 0);
+  db.submitScore(3, 90, 1, 0);   // not in the group
+  db.submitScore(4, 70, 1, 0);   // in the group, banned below
+
+  db.trackGroupMember(GROUP, 'Flappy Friends', 1);
+  db.trackGroupMember(GROUP, 'Flappy Friends', 2);
+  db.trackGroupMember(GROUP, 'Flappy Friends', 2);   // idempotent
+  db.trackGroupMember(GROUP, 'Flappy Friends', 4);
+  db.trackGroupMember(OTHER, 'Elsewhere', 3);
+  db.banPlayer(4, 'cheating');
+
+  assert.deepEqual(db.getGroupLeaderboard(GROUP).map(e => e.telegram_id), [2, 1]);
+  assert.deepEqual(db.getGroupLeaderboard(OTHER).map(e => e.telegram_id), [3]);
+  assert.deepEqual(db.getWeeklyLeaderboard(50).map(e => e.telegram_id), [3, 2, 1]);
+  assert.equal(db.countGroupMembers(GROUP), 3);
+  assert.deepEqual(db.getGroupChats().map(g => [g.chat_id, g.title]), [[OTHER, 'Elsewhere'], [GROUP, 'Flappy Friends']]);
+});
+
+test('champion post is claimed once per week', () => {
+  const week = db.getWeekStart();
+  assert.ok(db.claimGroupChampion(GROUP, week));
+  assert.equal(db.claimGroupChampion(GROUP, week), false);
+  assert.equal(db.claimGroupChampion(GROUP, '2020-01-06'), false);   // never an older week
+
+  const text = formatChampionPost('Flappy_Friends', db.getGroupLeaderboard(GROUP, 3), 'Oct 19 – Oct 25, 2026', esc);
+  assert.equal(text.split('\n')[0], '👑 *Group champion of the week: Bob!*');
+  assert.ok(text.includes('Flappy\\_Friends · Oct 19 – Oct 25, 2026'));
+  assert.ok(text.includes('🥈 Ann — 30'));
+  assert.equal(formatChampionPost('Empty', [], 'x', esc), null);
+});
+
+test('forgetGroup drops the chat and its members', () => {
+  assert.equal(db.forgetGroup(OTHER), 1);
+  assert.deepEqual(db.getGroupLeaderboard(OTHER), []);
+  assert.equal(db.countGroupMembers(OTHER), 0);
+});
@@ -0,0 +1,61 @@
+// Inline mode: content-fingerprinted card keys, the challenge deep link (only
+// for scores /start accepts), the inline results, and the file_id cache —
+// against an ISOLATED temp DB (FLAPPY_DATA_DIR).
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const TMP = fs.mkdtempSync(path.join(os.tmpdir(), 'flappy-inline-'));
+process.env.FLAPPY_DATA_DIR = TMP;
+
+const db = require('../db');
+db.init();
+const { INLINE_SHARE, cardKey, challengeLink, buildInlineResults } = require('../lib/inline-share');
+const { parseGhost } = require('../lib/ghost-challenge');
+
+test('card keys change exactly when the card content does', () => {
+  const a = cardKey('top10', '2026-10-19', [{ telegram_id: 1, best_score: 30 }]);
+  assert.equal(a, cardKey('top10', '2026-10-19', [{ telegram_id: 1, best_score: 30 }]));
+  assert.notEqual(a, cardKey('top10', '2026-10-19', [{ telegram_id: 1, best_score: 31 }]));
+  assert.notEqual(a, cardKey('top10', '2026-10-26', [{ telegram_id: 1, best_score: 30 }]));
+  assert.match(a, /^top10:2026-10-19:[0-9a-f]{16}$/);
+  assert.ok(cardKey('tournament', 'x'.repeat(32), {}).length <= 64);   // fits an inline result id budget
+});
+
+test('challenge link deep-links into /start only for scores it accepts', () => {
+  const link = challengeLink('FlappyBertBot', 42, 77);
+  assert.equal(link, 'https://t.me/FlappyBertBot?start=g_42_77');
+  assert.deepEqual(parseGhost(new URL(link).searchParams.get('start')), { id: 42, score: 77 });
+  assert.equal(challengeLink('FlappyBertBot', 42, 0), null);
+  assert.equal(challengeLink('FlappyBertBot', 42, 501), null);
+  assert.equal(challengeLink(null, 42, 77), null);
+});
+
+test('inline results: uploaded cards as cached photos, plus the challenge', () => {
+  const results = buildInlineResults([
+    { id: 'stats', fileId: 'F1', title: 'My stats', description: 'd', caption: 'c' },
+    { id: 'top10', fileId: null, title: 'Top', description: 'd', caption: 'c' },   // upload failed → left out
+  ], { name: 'Ann', score: 77, link: 'https://t.me/FlappyBertBot?start=g_42_77' });
+  assert.deepEqual(results.map(r => [r.type, r.id]), [['photo', 'stats'], ['article', 'challenge']]);
+  assert.equal(results[0].photo_file_id, 'F1');
+  assert.equal(results[1].input_message_content.message_text, '🎯 Ann dares you to beat 77 in Flappy Bert! Tap below to flap.');
+  assert.equal(results[1].reply_markup.inline_keyboard[0][0].url, 'https://t.me/FlappyBertBot?start=g_42_77');
+  assert.deepEqual(buildInlineResults([], null), []);
+});
+
+test('file_id cache: hit, overwrite, prune what nothing has used', () => {
+  const t0 = Date.parse('2026-10-01T00:00:00Z');
+  assert.equal(db.getCardFileId('stats:1:a'), null);
+  db.saveCardFileId('stats:1:a', 'FILE_A', t0);
+  db.saveCardFileId('top10:w:b', 'FILE_B', t0);
+  assert.equal(db.getCardFileId('stats:1:a', t0 + INLINE_SHARE.FILE_ID_TTL_MS), 'FILE_A');   // refreshes used_at
+  db.saveCardFileId('top10:w:b', 'FILE_B2', t0);
+  assert.equal(db.getCardFileId('top10:w:b', t0), 'FILE_B2');
+
+  assert.equal(db.pruneCardFileIds(INLINE_SHARE.FILE_ID_TTL_MS, t0 + INLINE_SHARE.FILE_ID_TTL_MS + 1), 1);
+  assert.equal(db.getCardFileId('top10:w:b'), null);
+  assert.equal(db.getCardFileId('stats:1:a'), 'FILE_A');
+});
@@ -0,0 +1,29 @@
+// Scripted pilot for lib/flappy-sim.js — flies a seeded course the way the
+// browser recorder would log it, so tests get genuine { replay, score } pairs
+// without hand-writing input logs.
+const { createRng, createRunState, tick, stepPlaying, flapStart, flapEnd, INPUT } = require('../../lib/flappy-sim');
+
+// startLevel / powerups: tournament modifiers, recorded in the header like the client does.
+function flyRun(seed, { w = 400, h = 800, mult = 1, maxSteps = 40000, startLevel, powerups } = {}) {
+  const header = { v: 1, w, h, x0: w * 0.25, y0: h * 0.4, mult };
+  if (startLevel !== undefined) header.startLevel = startLevel;
+  if (powerups !== undefined) header.powerups = powerups;
+  const S = createRunState(header);
+  const rng = createRng(seed);
+  const inputs = [[0, INPUT.FLAP_START]];
+  flapStart(S);
+  let steps = 0;
+  while (steps < maxSteps && S.state !== 'dying') {
+    tick(S);
+    stepPlaying(S, rng);
+    steps++;
+    if (S.flapHeld) { flapEnd(S); inputs.push([steps, INPUT.FLAP_END]); continue; }
+    // Aim for the lower part of the next gap; flap once falling below it.
+    const next = S.pipes.find(p => p.x + S.pipeWidth + 10 > S.bert.x);
+    const target = next ? next.gapY + next.moveOffset + next.gapH * 0.65 : S.height * 0.5;
+    if (S.bert.y > target && S.bert.vy > 0) { flapStart(S); inputs.push([steps, INPUT.FLAP_START]); }
+  }
+  return { replay: { ...header, steps, inputs }, score: S.score, level: S.level, pipes: S.pipes };
+}
+
+module.exports = { flyRun };
@@ -0,0 +1,162 @@
+// Outbox (api.js → bot.js): enqueue with dedupe, exclusive leases that come
+// back after a crash, lanes, and drainOutbox's retry / defer / give-up
+// decisions — against an ISOLATED temp DB (FLAPPY_DATA_DIR) with fake handlers.
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const TMP = fs.mkdtempSync(path.join(os.tmpdir(), 'flappy-outbox-'));
+process.env.FLAPPY_DATA_DIR = TMP;
+
+const db = require('../db');
+db.init();
+const { OUTBOX, retryDelayMs, retryAfterMs, deferral, isPermanentFailure, drainOutbox } = require('../lib/outbox');
+
+const T0 = Date.parse('2026-10-19T12:00:00Z');
+const quiet = () => {};
+const tgError = (status) => Object.assign(new Error(`ETELEGRAM: ${status}`), {
+  code: 'ETELEGRAM', response: { statusCode: status, body: { ok: false, error_code: status } },
+});
+// Drain everything currently due, so each test starts from an empty queue.
+const flush = () => ['default', 'send'].forEach(lane =>
+  db.claimOutbox(1000, OUTBOX.LEASE_MS, Number.MAX_SAFE_INTEGER, lane).forEach(j => db.completeOutbox(j.id)));
+
+test('enqueue round-trips payload + binary data; a dedupe key queues once', () => {
+  flush();
+  const png = Buffer.from([0x89, 0x50, 0x4e, 0x47]);
+  const id = db.enqueueOutbox('game_score', { chatId: 42, caption: 'hi' }, { data: png, now: T0 });
+  assert.ok(id > 0);
+  assert.equal(db.enqueueOutbox('telegram_update', { update_id: 9 }, { dedupeKey: 'update:9', now: T0 }) > 0, true);
+  assert.equal(db.enqueueOutbox('telegram_update', { update_id: 9 }, { dedupeKey: 'update:9', now: T0 }), null);
+
+  const jobs = db.claimOutbox(10, OUTBOX.LEASE_MS, T0);
+  assert.deepEqual(jobs.map(j => j.kind), ['game_score', 'telegram_update']);
+  assert.deepEqual(jobs[0].payload, { chatId: 42, caption: 'hi' });
+  assert.ok(Buffer.isBuffer(jobs[0].data) && jobs[0].data.equals(png));
+  assert.equal(jobs[0].attempts, 1);
+  jobs.forEach(j => db.completeOutbox(j.id, T0));
+});
+
+test('a leased row is not handed out again until its lease runs out', () => {
+  flush();
+  db.enqueueOutbox('game_score', { chatId: 1 }, { now: T0 });
+  assert.equal(db.claimOutbox(10, 1000, T0).length, 1);
+  assert.equal(db.claimOutbox(10, 1000, T0 + 999).length, 0);   // another consumer (or a drain) sees nothing
+  const again = db.claimOutbox(10, 1000, T0 + 1000);             // the first consumer crashed mid-send
+  assert.equal(again.length, 1);
+  assert.equal(again[0].attempts, 2);
+  db.completeOutbox(again[0].id, T0 + 1000);
+  assert.equal(db.claimOutbox(10, 1000, T0 + 5000).length, 0);
+});
+
+test('retry delay doubles from BASE_RETRY_MS up to MAX_RETRY_MS', () => {
+  assert.equal(retryDelayMs(1), OUTBOX.BASE_RETRY_MS);
+  assert.equal(retryDelayMs(2), OUTBOX.BASE_RETRY_MS * 2);
+  assert.equal(retryDelayMs(3), OUTBOX.BASE_RETRY_MS * 4);
+  assert.equal(retryDelayMs(30), OUTBOX.MAX_RETRY_MS);
+});
+
+test('only a Telegram 4xx other than 429 is permanent', () => {
+  assert.equal(isPermanentFailure(tgError(400)), true);
+  assert.equal(isPermanentFailure(tgError(403)), true);
+  assert.equal(isPermanentFailure(tgError(429)), false);
+  assert.equal(isPermanentFailure(tgError(502)), false);
+  assert.equal(isPermanentFailure(Object.assign(new Error('socket hang up'), { code: 'EFATAL' })), false);
+});
+
+test('drain: delivered rows complete; handlers get payload + data', async () => {
+  flush();
+  db.enqueueOutbox('game_score', { chatId: 7 }, { data: Buffer.from('png'), now: T0 });
+  const seen = [];
+  const r = await drainOutbox(db, { game_score: async (p, data) => seen.push([p.chatId, data.toString()]) }, { clock: () => T0, logger: quiet });
+  assert.deepEqual(r, { claimed: 1, done: 1, retried: 0, deferred: 0, failed: 0 });
+  assert.deepEqual(seen, [[7, 'png']]);
+  assert.equal(db.getOutboxStats().pending, 0);
+});
+
+test('drain: a transient failure retries with backoff, then gives up after MAX_ATTEMPTS', async () => {
+  flush();
+  const failedBefore = db.getOutboxStats().failed;
+  db.enqueueOutbox('game_score', { score: 5 }, { now: T0 });
+  let calls = 0;
+  const handlers = { game_score: async () => { calls++; throw tgError(502); } };
+
+  let now = T0;
+  let r = await drainOutbox(db, handlers, { clock: () => now, logger: quiet });
+  assert.deepEqual(r, { claimed: 1, done: 0, retried: 1, deferred: 0, failed: 0 });
+  r = await drainOutbox(db, handlers, { clock: () => now + retryDelayMs(1) - 1, logger: quiet });
+  assert.equal(r.claimed, 0);                                    // not due yet
+
+  for (let attempt = 2; attempt <= OUTBOX.MAX_ATTEMPTS; attempt++) {
+    now += retryDelayMs(attempt - 1);
+    r = await drainOutbox(db, handlers, { clock: () => now, logger: quiet });
+    assert.equal(r.claimed, 1);
+  }
+  assert.equal(r.failed, 1);
+  assert.equal(calls, OUTBOX.MAX_ATTEMPTS);
+  assert.equal(db.getOutboxStats().failed, failedBefore + 1);
+  assert.equal((await drainOutbox(db, handlers, { clock: () => now + OUTBOX.MAX_RETRY_MS, logger: quiet })).claimed, 0);
+});
+
+test('drain: a permanent failure or an unknown kind gives up at once', async () => {
+  flush();
+  db.enqueueOutbox('game_score', { chatId: 1 }, { now: T0 });
+  db.enqueueOutbox('mystery', {}, { now: T0 });
+  const logged = [];
+  const r = await drainOutbox(db, { game_score: async () => { throw tgError(403); } }, { clock: () => T0, logger: (m) => logged.push(m) });
+  assert.deepEqual(r, { claimed: 2, done: 0, retried: 0, deferred: 0, failed: 2 });
+  assert.equal(logged.length, 2);
+  assert.match(logged[1], /no handler for "mystery"/);
+  assert.equal(db.getOutboxStats().pending, 0);
+});
+
+test('drain: a 429 waits out retry_after, and a deferral, without using up an attempt', async () => {
+  flush();
+  const tooMany = tgError(429);
+  tooMany.response.body.parameters = { retry_after: 7 };
+  assert.equal(retryAfterMs(tooMany), 7000);
+  assert.equal(retryAfterMs(tgError(500)), null);
+
+  const id = db.enqueueOutbox('game_score', {}, { now: T0 });
+  const errors = [tooMany, deferral(300)];
+  const handlers = { game_score: async () => { if (errors.length) throw errors.shift(); } };
+  let r = await drainOutbox(db, handlers, { clock: () => T0, logger: quiet });
+  assert.equal(r.deferred, 1);
+  assert.equal((await drainOutbox(db, handlers, { clock: () => T0 + 6999, logger: quiet })).claimed, 0);
+  r = await drainOutbox(db, handlers, { clock: () => T0 + 7000, logger: quiet });
+  assert.equal(r.deferred, 1);
+  assert.equal((await drainOutbox(db, handlers, { clock: () => T0 + 7299, logger: quiet })).claimed, 0);
+  const last = db.claimOutbox(10, OUTBOX.LEASE_MS, T0 + 7300);
+  assert.equal(last.length, 1);
+  assert.equal(last[0].id, id);
+  assert.equal(last[0].attempts, 1);                             // the two waits didn't count
+  db.completeOutbox(id, T0 + 7300);
+});
+
+test('lanes drain independently', async () => {
+  flush();
+  db.enqueueOutbox('send', { n: 1 }, { lane: 'send', now: T0 });
+  db.enqueueOutbox('game_score', { n: 2 }, { now: T0 });
+  const seen = [];
+  const handlers = { send: async (p) => seen.push(p.n), game_score: async (p) => seen.push(p.n) };
+  assert.equal((await drainOutbox(db, handlers, { clock: () => T0, logger: quiet })).done, 1);
+  assert.deepEqual(seen, [2]);
+  assert.equal(db.getOutboxStats('send').pending, 1);
+  assert.equal((await drainOutbox(db, handlers, { lane: 'send', clock: () => T0, logger: quiet })).done, 1);
+  assert.deepEqual(seen, [2, 1]);
+});
+
+test('prune drops finished rows older than keepMs, never pending ones', () => {
+  flush();
+  const done = db.enqueueOutbox('game_score', {}, { now: T0 });
+  db.claimOutbox(10, OUTBOX.LEASE_MS, T0);
+  db.completeOutbox(done, T0);
+  db.enqueueOutbox('game_score', {}, { now: T0 });              // still pending
+  const before = db.getOutboxStats().pending;
+  assert.ok(db.pruneOutbox(OUTBOX.KEEP_MS, T0 + OUTBOX.KEEP_MS + 1) >= 1);
+  assert.equal(db.getOutboxStats().pending, before);
+  assert.equal(db.getOutboxStats().oldest_pending, T0);
+});
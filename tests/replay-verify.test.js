@@ -0,0 +1,60 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { replayVerdict, REPLAY_LIMITS } = require('../lib/replay-verify');
+const { INPUT } = require('../lib/flappy-sim');
+const { flyRun } = require('./lib/autopilot');
+
+const SEED = 1;
+const run = flyRun(SEED);
+const ok = (over = {}) => ({
+  replay: run.replay, seed: SEED, score: run.score,
+  elapsedMs: run.replay.steps * (1000 / 60) + 500, ...over,
+});
+const withReplay = (over) => ok({ replay: { ...run.replay, ...over } });
+
+test('accepts a genuine run and reports the simulated level', () => {
+  const v = replayVerdict(ok());
+  assert.equal(v.valid, true);
+  assert.equal(v.score, run.score);
+  assert.equal(v.level, run.level);
+});
+
+test('rejects a claimed score the inputs did not earn', () => {
+  assert.equal(replayVerdict(ok({ score: run.score + 1 })).reason, 'replay_mismatch');
+  assert.equal(replayVerdict(ok({ score: 999 })).reason, 'replay_mismatch');
+});
+
+test('the log only reproduces on the seed the session issued', () => {
+  assert.equal(replayVerdict(ok({ seed: SEED + 1 })).valid, false);
+  assert.equal(replayVerdict(ok({ seed: undefined })).reason, 'no_seed');
+});
+
+test('rejects missing or malformed replays', () => {
+  assert.equal(replayVerdict(ok({ replay: undefined })).reason, 'no_replay');
+  assert.equal(replayVerdict(withReplay({ v: 2 })).reason, 'replay_version');
+  assert.equal(replayVerdict(withReplay({ w: 1200 })).reason, 'replay_viewport');
+  assert.equal(replayVerdict(withReplay({ w: 480, h: 500 })).reason, 'replay_viewport');
+  assert.equal(replayVerdict(withReplay({ y0: -5 })).reason, 'replay_start');
+  assert.equal(replayVerdict(withReplay({ mult: 3 })).reason, 'replay_mult');
+  assert.equal(replayVerdict(withReplay({ steps: REPLAY_LIMITS.MAX_STEPS + 1 })).reason, 'replay_steps');
+});
+
+test('rejects unsorted, unknown or oversized input logs', () => {
+  const inputs = run.replay.inputs;
+  assert.equal(replayVerdict(withReplay({ inputs: [...inputs].reverse() })).reason, 'replay_inputs');
+  assert.equal(replayVerdict(withReplay({ inputs: [[0, 9]] })).reason, 'replay_inputs');
+  assert.equal(replayVerdict(withReplay({ inputs: [[0, INPUT.RESIZE, 2000, 800]] })).reason, 'replay_inputs');
+  const flood = Array.from({ length: REPLAY_LIMITS.MAX_INPUTS + 1 }, () => [0, INPUT.FLAP_END]);
+  assert.equal(replayVerdict(withReplay({ inputs: flood })).reason, 'replay_inputs');
+});
+
+test('game time cannot exceed wall-clock time since the session started', () => {
+  const fast = ok({ elapsedMs: run.replay.steps * (1000 / 60) - REPLAY_LIMITS.STEP_SLACK_MS - 100 });
+  assert.equal(replayVerdict(fast).reason, 'replay_too_long');
+});
+
+test('a truncated log that never dies is rejected', () => {
+  const steps = Math.floor(run.replay.steps / 2);
+  const inputs = run.replay.inputs.filter(ev => ev[0] <= steps);
+  assert.equal(replayVerdict(withReplay({ steps, inputs })).reason, 'replay_incomplete');
+});
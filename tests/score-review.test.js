@@ -0,0 +1,151 @@
+// Suspicious-score review queue: flagged runs stay OFF the boards until approved;
+// approval lands them with their ORIGINAL played_at, rejection never does.
+// Drives the REAL db.js against an ISOLATED temp DB (FLAPPY_DATA_DIR).
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const TMP = fs.mkdtempSync(path.join(os.tmpdir(), 'flappy-review-'));
+process.env.FLAPPY_DATA_DIR = TMP;
+
+const db = require('../db');
+const dbh = db.init();
+const { CLOSEOUT, dueForCloseout } = require('../lib/tournament-closeout');
+
+db.upsertPlayer(1, 'Honest', null);
+db.upsertPlayer(2, 'Sus', null);
+db.createTournament('t', 'T', 'S', '2026-01-01T00:00:00Z', '2099-01-01T00:00:00Z');
+
+const flag = (over = {}) => db.flagScore({
+  board: 'weekly', telegramId: 2, score: 300, level: 20, coinsEarned: 50,
+  reasons: ['score_jump'], history: { best: 40, games: 12 }, ...over,
+});
+
+test('a flagged weekly score is queued, off the board, coins held', () => {
+  db.submitScore(1, 100, 10, 0);
+  const id = flag();
+  assert.deepEqual(db.getWeeklyLeaderboard(10).map(r => r.telegram_id), [1]);
+  assert.equal(db.getPlayer(2).coins, 0);
+  assert.equal(db.countPendingReviews(), 1);
+  const [r] = db.getPendingReviews();
+  assert.equal(r.id, id);
+  assert.equal(r.first_name, 'Sus');
+  assert.equal(r.reason, 'score_jump');
+  assert.equal(r.prior_best, 40);
+});
+
+test('approval puts it on the board with its original played_at and credits coins', () => {
+  const [r] = db.getPendingReviews();
+  dbh.prepare("UPDATE score_reviews SET played_at = '2000-01-01 00:00:00' WHERE id = ?").run(r.id);
+  const done = db.resolveReview(r.id, true, 99);
+  assert.equal(done.status, 'approved');
+  assert.equal(done.reviewed_by, 99);
+  assert.deepEqual(db.getWeeklyLeaderboard(10).map(r => r.telegram_id), [2, 1]);
+  assert.equal(dbh.prepare('SELECT played_at FROM scores WHERE telegram_id = 2').get().played_at, '2000-01-01 00:00:00');
+  assert.equal(db.getPlayer(2).coins, 50);
+  assert.equal(db.resolveReview(r.id, false, 98), null, 'a second decision is ignored');
+});
+
+test('rejection never reaches the board', () => {
+  const id = flag({ board: 'tournament', tournamentId: 't', score: 450 });
+  assert.equal(db.resolveReview(id, false, 99).status, 'rejected');
+  assert.equal(db.countTournamentScores('t'), 0);
+  assert.equal(db.resolveReview(id, true, 99), null);
+  assert.equal(db.countTournamentScores('t'), 0);
+});
+
+test('approved tournament reviews land on the tournament board', () => {
+  const id = flag({ board: 'tournament', tournamentId: 't', score: 450 });
+  db.resolveReview(id, true, 99);
+  assert.deepEqual(db.getTournamentLeaderboard('t', 10).map(r => r.best_score), [450]);
+});
+
+test('/ban clears everything the player has waiting', () => {
+  flag(); flag({ board: 'tournament', tournamentId: 't' });
+  assert.equal(db.rejectPlayerReviews(2, 99), 2);
+  assert.equal(db.countPendingReviews(), 0);
+});
+
+test('history only counts scores from before the session started', () => {
+  const now = Date.now();
+  const h = db.getPlayerScoreHistory(1, now + 60000, 500, 7);
+  assert.equal(h.best, 100);
+  assert.equal(h.games, 1);
+  assert.equal(db.getPlayerScoreHistory(1, Date.parse('2001-01-01T00:00:00Z'), 500, 7).games, 0);
+});
+
+test('recent cap hits include queued and rejected runs, not approved ones twice', () => {
+  const now = Date.now() + 60000;
+  db.submitScore(1, 500, 50, 0);
+  const a = flag({ telegramId: 1, score: 500 });
+  flag({ telegramId: 1, score: 500 });
+  db.resolveReview(a, false, 99);
+  assert.equal(db.getPlayerScoreHistory(1, now, 500, 7).recentCapHits, 3);
+  const b = flag({ telegramId: 1, score: 500 });
+  db.resolveReview(b, true, 99);
+  assert.equal(db.getPlayerScoreHistory(1, now, 500, 7).recentCapHits, 4);
+});
+
+test('badges claimed by a flagged run are granted on approval, not on rejection', () => {
+  db.upsertPlayer(3, 'Badger', null);
+  const badges = (id) => JSON.parse(db.getPlayer(id).badges || '[]').sort();
+  const rejected = flag({ telegramId: 3, score: 60, badges: ['sky_king'] });
+  db.resolveReview(rejected, false, 99);
+  assert.deepEqual(badges(3), []);
+
+  db.updatePlayerBadges(3, ['rookie']);
+  const approved = flag({ telegramId: 3, score: 120, badges: ['legend', 'combo_king'] });
+  assert.deepEqual(badges(3), ['rookie'], 'held while pending');
+  db.resolveReview(approved, true, 99);
+  assert.deepEqual(badges(3), ['combo_king', 'legend', 'rookie']);
+});
+
+test('close-out waits for pending tournament reviews; a closed tournament refuses approvals', () => {
+  db.createTournament('ended', 'Ended', 'S', '2026-01-01T00:00:00Z', '2026-02-01T00:00:00Z');
+  const held = flag({ board: 'tournament', tournamentId: 'ended', score: 450 });
+  assert.equal(db.countPendingReviews('ended'), 1);
+  assert.equal(db.closeTournament('ended'), null, 'held while a run is pending review');
+  assert.equal(db.getTournament('ended').closed_at, null);
+
+  db.resolveReview(held, true, 99);
+  assert.deepEqual(db.closeTournament('ended').map(r => r.best_score), [450]);
+
+  const late = flag({ board: 'tournament', tournamentId: 'ended', score: 900 });
+  const r = db.resolveReview(late, true, 99);
+  assert.equal(r.refused, 'tournament_closed');
+  assert.equal(db.getReview(late).status, 'pending', 'left for the admin to reject');
+  assert.deepEqual(db.getTournamentLeaderboard('ended', 10).map(e => e.best_score), [450]);
+  assert.equal(db.resolveReview(late, false, 99).status, 'rejected');
+});
+
+test('a held close-out stays due after the catch-up window, then closes once cleared', () => {
+  db.createTournament('slow', 'Slow', 'S', '2026-01-01T00:00:00Z', '2026-02-01T00:00:00Z');
+  const review = flag({ board: 'tournament', tournamentId: 'slow', score: 320 });
+  const ended = Date.parse('2026-02-01T00:00:00Z');
+  const due = (now) => dueForCloseout(db.getUnclosedTournaments(), now).map(t => t.id).filter(id => id === 'slow');
+
+  assert.deepEqual(due(ended + 1000), ['slow']);
+  assert.equal(db.holdCloseout('slow'), true, 'first hold: admins are told');
+  assert.equal(db.holdCloseout('slow'), false, 'later passes stay quiet');
+
+  const stale = ended + CLOSEOUT.CATCHUP_MS + 24 * 60 * 60 * 1000;
+  assert.deepEqual(due(stale), ['slow'], 'still due after the catch-up window');
+  db.resolveReview(review, true, 99);
+  assert.deepEqual(db.closeTournament('slow').map(r => r.best_score), [320]);
+  assert.deepEqual(due(stale), []);
+});
+
+test('an archived week refuses approvals: the CSV and champion post are final', () => {
+  const id = flag({ score: 999, coinsEarned: 70 });
+  const coins = db.getPlayer(2).coins;
+  assert.ok(db.archiveWeek().filename);
+  const r = db.resolveReview(id, true, 99);
+  assert.equal(r.refused, 'week_archived');
+  assert.equal(db.getReview(id).status, 'pending', 'left for the admin to reject');
+  assert.equal(db.getPlayer(2).coins, coins);
+  assert.ok(!db.getWeeklyLeaderboard(10).some(e => e.best_score === 999));
+  assert.equal(db.resolveReview(id, false, 99).status, 'rejected');
+});
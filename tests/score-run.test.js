@@ -0,0 +1,57 @@
+// Disputed-run reproduction: submitScore/submitTournamentScore store the session
+// seed + input log, and getScoreRun hands them back so the run re-simulates to the
+// same score. Drives the REAL db.js against an ISOLATED temp DB (FLAPPY_DATA_DIR).
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const TMP = fs.mkdtempSync(path.join(os.tmpdir(), 'flappy-run-'));
+process.env.FLAPPY_DATA_DIR = TMP;
+
+const db = require('../db');
+const dbh = db.init();
+const { replayRun } = require('../lib/flappy-sim');
+const { flyRun } = require('./lib/autopilot');
+
+assert.ok(fs.existsSync(path.join(TMP, 'flappy_bert.db')), 'temp DB created in isolated dir');
+
+db.upsertPlayer(1, 'P1', null);
+db.createTournament('t', 'T', 'S', '2026-01-01T00:00:00Z', '2099-01-01T00:00:00Z');
+
+const lastId = (table) => dbh.prepare(`SELECT MAX(id) AS id FROM ${table}`).get().id;
+
+test('a weekly score stores its seed + replay and re-simulates to the same score', () => {
+  const run = flyRun(3);
+  db.submitScore(1, run.score, run.level, 0, { seed: 3, replay: run.replay });
+  const stored = db.getScoreRun('weekly', lastId('scores'));
+  assert.equal(stored.seed, 3);
+  assert.deepEqual(stored.replay, run.replay);
+  assert.equal(replayRun(stored.replay, stored.seed).score, stored.score);
+});
+
+test('tournament scores store the run too', () => {
+  const run = flyRun(2);
+  db.submitTournamentScore('t', 1, run.score, run.level, 0, { seed: 2, replay: run.replay });
+  const stored = db.getScoreRun('tournament', lastId('tournament_scores'));
+  assert.equal(stored.tournament_id, 't');
+  assert.equal(replayRun(stored.replay, stored.seed).score, run.score);
+});
+
+test('runs without a recording store nulls; unknown boards return nothing', () => {
+  db.submitScore(1, 5, 1, 0);
+  const stored = db.getScoreRun('weekly', lastId('scores'));
+  assert.equal(stored.seed, null);
+  assert.equal(stored.replay, null);
+  assert.equal(db.getScoreRun('nope', 1), null);
+  assert.deepEqual(db.getPlayerRuns('nope', 1), []);
+});
+
+test('getPlayerRuns lists a player\'s runs best-first with the ids to replay', () => {
+  const runs = db.getPlayerRuns('weekly', 1);
+  assert.ok(runs.length >= 2);
+  assert.ok(runs[0].score >= runs[1].score);
+  assert.equal(runs[runs.length - 1].has_replay, 0);
+});
@@ -0,0 +1,152 @@
+// Outbound message queue: the pacer's global / per-chat spacing, queued sends
+// round-tripping through the outbox 'send' lane (Buffers included), and the
+// handler's 429 / 403 handling — against an ISOLATED temp DB (FLAPPY_DATA_DIR)
+// and a fake bot.
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const TMP = fs.mkdtempSync(path.join(os.tmpdir(), 'flappy-sendq-'));
+process.env.FLAPPY_DATA_DIR = TMP;
+
+const db = require('../db');
+db.init();
+const { OUTBOX, drainOutbox } = require('../lib/outbox');
+const {
+  SEND_QUEUE, chatGapMs, createPacer, isBlocked, outboundClient, sendHandler,
+} = require('../lib/send-queue');
+const { safeSend } = require('../lib/safe-send');
+
+// outbound.* stamps rows with the real clock; drain a minute ahead of it.
+const T0 = Date.now() + 60 * 1000;
+const quiet = () => {};
+const tgError = (status, parameters) => Object.assign(new Error(`ETELEGRAM: ${status}`), {
+  code: 'ETELEGRAM', response: { statusCode: status, body: { ok: false, error_code: status, parameters } },
+});
+const drainSends = (handlers, now) => drainOutbox(db, handlers, { lane: SEND_QUEUE.LANE, clock: () => now, logger: quiet });
+const flush = () => db.claimOutbox(1000, OUTBOX.LEASE_MS, Number.MAX_SAFE_INTEGER, SEND_QUEUE.LANE)
+  .forEach(j => db.completeOutbox(j.id));
+
+// A fake bot recording calls; fail(method) → the error to throw, if any.
+function fakeBot(fail = () => null) {
+  const calls = [];
+  const send = (method) => async (chatId, ...args) => {
+    const err = fail(method, chatId);
+    if (err) throw err;
+    calls.push({ method, chatId, args });
+    return { message_id: calls.length };
+  };
+  return { calls, sendMessage: send('sendMessage'), sendPhoto: send('sendPhoto'), sendDocument: send('sendDocument') };
+}
+
+test('pacer spaces sends globally and per chat, and holds everything while paused', () => {
+  const pacer = createPacer();
+  assert.equal(pacer.waitMs(1, T0), 0);
+  pacer.sent(1, T0);
+  assert.equal(pacer.waitMs(2, T0), Math.ceil(1000 / SEND_QUEUE.GLOBAL_PER_SEC));
+  assert.equal(pacer.waitMs(1, T0), SEND_QUEUE.CHAT_GAP_MS);
+  assert.equal(pacer.waitMs(2, T0 + 100), 0);
+
+  pacer.sent(-100, T0 + 100);
+  assert.equal(pacer.waitMs(-100, T0 + 100), SEND_QUEUE.GROUP_GAP_MS);
+  assert.equal(chatGapMs('@channel'), SEND_QUEUE.GROUP_GAP_MS);
+
+  pacer.pause(T0 + 10000);
+  assert.equal(pacer.waitMs(3, T0 + 4000), 6000);
+});
+
+test('queued sends go through the send lane, Buffers included, and resolve inside safeSend', async () => {
+  flush();
+  const outbound = outboundClient(db);
+  const png = Buffer.from([0x89, 0x50, 0x4e, 0x47]);
+  const queued = await safeSend(outbound.sendPhoto(42, png, { caption: 'hi' }, { filename: 'a.png' }), 'test');
+  assert.ok(queued.queued > 0);
+  await outbound.sendMessage(43, 'hello', { parse_mode: 'Markdown' });
+  assert.equal(db.claimOutbox(10, OUTBOX.LEASE_MS, Number.MAX_SAFE_INTEGER).length, 0);   // not in the default lane
+
+  const bot = fakeBot();
+  const r = await drainSends({ send: sendHandler(bot, createPacer(), { sleep: async () => {} }) }, T0);
+  assert.equal(r.done, 2);
+  assert.deepEqual(bot.calls.map(c => [c.method, c.chatId]), [['sendPhoto', 42], ['sendMessage', 43]]);
+  assert.ok(Buffer.isBuffer(bot.calls[0].args[0]) && bot.calls[0].args[0].equals(png));
+  assert.deepEqual(bot.calls[0].args.slice(1), [{ caption: 'hi' }, { filename: 'a.png' }]);
+  assert.deepEqual(bot.calls[1].args, ['hello', { parse_mode: 'Markdown' }]);
+});
+
+test('a second message to the same chat waits its turn instead of bursting', async () => {
+  flush();
+  const outbound = outboundClient(db);
+  await outbound.sendMessage(50, 'one');
+  await outbound.sendMessage(50, 'two');
+  const bot = fakeBot();
+  let now = T0;
+  const slept = [];
+  const handlers = { send: sendHandler(bot, createPacer(), { clock: () => now, sleep: async (ms) => slept.push(ms) }) };
+
+  let r = await drainSends(handlers, now);
+  assert.deepEqual([r.done, r.deferred], [1, 1]);
+  assert.deepEqual(bot.calls.map(c => c.args[0]), ['one']);
+  assert.equal((await drainSends(handlers, now + SEND_QUEUE.CHAT_GAP_MS - 1)).claimed, 0);
+  now += SEND_QUEUE.CHAT_GAP_MS;
+  r = await drainSends(handlers, now);
+  assert.equal(r.done, 1);
+  assert.deepEqual(bot.calls.map(c => c.args[0]), ['one', 'two']);
+  assert.deepEqual(slept, []);
+});
+
+test('a 429 pauses the queue for retry_after and the message is sent afterwards', async () => {
+  flush();
+  const outbound = outboundClient(db);
+  await outbound.sendMessage(60, 'a');
+  await outbound.sendMessage(61, 'b');
+  let limited = true;
+  const bot = fakeBot(() => (limited ? tgError(429, { retry_after: 3 }) : null));
+  let now = T0;
+  const handlers = { send: sendHandler(bot, createPacer(), { clock: () => now, sleep: async () => {} }) };
+
+  let r = await drainSends(handlers, now);
+  assert.deepEqual([r.deferred, r.failed], [2, 0]);                // 61 is held by the pause, not sent
+  limited = false;
+  assert.equal((await drainSends(handlers, now + 2999)).claimed, 0);
+  now += 3000;
+  r = await drainSends(handlers, now);
+  assert.equal(r.done + r.deferred, 2);
+  now += 1000;
+  await drainSends(handlers, now);
+  assert.deepEqual(bot.calls.map(c => c.chatId).sort(), [60, 61]);
+  assert.equal(db.getOutboxStats(SEND_QUEUE.LANE).failed, 0);
+});
+
+test('a 403 is final: the chat is reported, marked unreachable, and later sends skip it', async () => {
+  flush();
+  db.upsertPlayer(70, 'Blocker', null);
+  const outbound = outboundClient(db);
+  await outbound.sendMessage(70, 'first');
+  await outbound.sendMessage(70, 'second');
+  let requests = 0;
+  const bot = fakeBot(() => { requests++; return tgError(403); });
+  const blocked = [];
+  const handlers = {
+    send: sendHandler(bot, createPacer(), {
+      clock: () => T0,
+      sleep: async () => {},
+      onBlocked: (chatId) => { blocked.push(chatId); db.setPlayerUnreachable(chatId, true); },
+      isUnreachable: (chatId) => db.isPlayerUnreachable(chatId),
+    }),
+  };
+  const failedBefore = db.getOutboxStats(SEND_QUEUE.LANE).failed;
+  const r = await drainSends(handlers, T0);
+  assert.deepEqual([r.failed, r.retried], [2, 0]);
+  assert.equal(requests, 1);                                      // no request made for "second"
+  assert.deepEqual(blocked, [70]);
+  assert.equal(db.isPlayerUnreachable(70), true);
+  assert.equal(db.getOutboxStats(SEND_QUEUE.LANE).failed, failedBefore + 2);
+  assert.equal(isBlocked(tgError(403)), true);
+  assert.equal(isBlocked(tgError(400)), false);
+
+  db.setPlayerUnreachable(70, false);                              // they /start again
+  assert.equal(db.isPlayerUnreachable(70), false);
+});
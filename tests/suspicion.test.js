@@ -0,0 +1,40 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { suspicionReasons, SUSPICION } = require('../lib/suspicion');
+const { LIMITS } = require('../lib/score-validation');
+
+const run = (over = {}, history = {}) => suspicionReasons({
+  score: 40, elapsedMs: 60000,
+  ...over,
+  history: { best: 35, games: 20, recentCapHits: 0, ...history },
+});
+
+test('an ordinary run is clean', () => {
+  assert.deepEqual(run(), []);
+});
+
+test('flags a sudden jump over an established best', () => {
+  assert.deepEqual(run({ score: 120, elapsedMs: 120000 }, { best: 40 }), ['score_jump']);
+  // 2.5× but under the minimum delta — a 10 → 30 beginner improving is normal.
+  assert.deepEqual(run({ score: 30, elapsedMs: 60000 }, { best: 10 }), []);
+  // No jump without enough history to compare against.
+  assert.deepEqual(run({ score: 120, elapsedMs: 120000 }, { best: 0, games: SUSPICION.JUMP_MIN_GAMES - 1 }), []);
+});
+
+test('flags pace close to MAX_SCORE_PER_SECOND, not short runs', () => {
+  const fast = LIMITS.MAX_SCORE_PER_SECOND * SUSPICION.PACE_FRACTION;
+  assert.deepEqual(run({ score: 40, elapsedMs: (40 / fast) * 1000 }), ['near_pace_cap']);
+  assert.deepEqual(run({ score: 40, elapsedMs: (40 / fast) * 1000 + 1000 }), []);
+  assert.deepEqual(run({ score: 10, elapsedMs: 2500 }, { best: 10 }), []);
+});
+
+test('flags repeated runs at the hard cap', () => {
+  const cap = { score: LIMITS.MAX_ABSOLUTE_SCORE, elapsedMs: 600000 };
+  assert.deepEqual(run(cap, { best: 500, recentCapHits: SUSPICION.CAP_HITS_MAX - 1 }), []);
+  assert.deepEqual(run(cap, { best: 500, recentCapHits: SUSPICION.CAP_HITS_MAX }), ['cap_streak']);
+});
+
+test('reports every reason that applies', () => {
+  const r = run({ score: LIMITS.MAX_ABSOLUTE_SCORE, elapsedMs: 110000 }, { best: 100, recentCapHits: 5 });
+  assert.deepEqual(r, ['score_jump', 'near_pace_cap', 'cap_streak']);
+});
@@ -0,0 +1,103 @@
+// Telegram Games: the signed launch token (sign / verify / tamper / expiry) and
+// the Bot API round trips — sendGame, the callback answer with the game URL,
+// setGameScore (a lower score is "not modified", not an error) and
+// getGameHighScores — against a local fake Bot API (baseApiUrl).
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const express = require('express');
+const TelegramBot = require('node-telegram-bot-api');
+
+const {
+  GAME_LAUNCH, launchSecret, signLaunchToken, verifyLaunchToken, launchUser, scoreTarget,
+  sendGameMessage, answerGameLaunch, mirrorGameScore, fetchGameHighScores,
+} = require('../lib/telegram-games');
+
+const TOKEN = '123456:TEST';
+const SECRET = launchSecret(TOKEN);
+const NOW = Date.parse('2026-10-19T12:00:00Z');
+
+test('launch tokens verify, and reject tampering, other bots and expiry', () => {
+  const payload = { u: 42, n: 'Ann', un: null, c: -100, m: 7, exp: NOW + 1000 };
+  const token = signLaunchToken(payload, SECRET);
+  assert.deepEqual(verifyLaunchToken(token, SECRET, NOW), payload);
+  assert.deepEqual(launchUser(payload), { id: 42, first_name: 'Ann', username: undefined });
+  assert.deepEqual(scoreTarget(payload), { chat_id: -100, message_id: 7 });
+  assert.deepEqual(scoreTarget({ u: 42, i: 'AAQ' }), { inline_message_id: 'AAQ' });
+
+  const forged = Buffer.from(JSON.stringify({ ...payload, u: 1 })).toString('base64url') + '.' + token.split('.')[1];
+  assert.equal(verifyLaunchToken(forged, SECRET, NOW), null);
+  assert.equal(verifyLaunchToken(token, launchSecret('999:OTHER'), NOW), null);
+  assert.equal(verifyLaunchToken(token, SECRET, NOW + 1000), null);
+  assert.equal(verifyLaunchToken(signLaunchToken({ u: 42, exp: NOW + 1000 }, SECRET), SECRET, NOW), null);   // no target
+  assert.equal(verifyLaunchToken('garbage', SECRET, NOW), null);
+  assert.equal(verifyLaunchToken(undefined, SECRET, NOW), null);
+});
+
+// Minimal Bot API: records every call, keeps one best score per user.
+function fakeBotApi() {
+  const calls = [];
+  const best = new Map();
+  const app = express();
+  app.use(express.urlencoded({ extended: false }));
+  app.post('/bot:token/:method', (req, res) => {
+    const { method } = req.params;
+    calls.push({ method, form: req.body });
+    if (method === 'setGameScore') {
+      const user = Number(req.body.user_id), score = Number(req.body.score);
+      if (score <= (best.get(user) || 0)) {
+        return res.status(400).json({ ok: false, error_code: 400, description: 'Bad Request: BOT_SCORE_NOT_MODIFIED' });
+      }
+      best.set(user, score);
+      return res.json({ ok: true, result: true });
+    }
+    if (method === 'getGameHighScores') {
+      const result = [...best].sort((a, b) => b[1] - a[1])
+        .map(([id, score], i) => ({ position: i + 1, user: { id, is_bot: false, first_name: `P${id}` }, score }));
+      return res.json({ ok: true, result });
+    }
+    if (method === 'sendGame') {
+      return res.json({ ok: true, result: { message_id: 7, chat: { id: Number(req.body.chat_id) }, game: {} } });
+    }
+    res.json({ ok: true, result: true });
+  });
+  return new Promise((resolve) => {
+    const server = app.listen(0, '127.0.0.1', () => resolve({ server, calls, url: `http://127.0.0.1:${server.address().port}` }));
+  });
+}
+
+test('game message → launch → mirrored scores, against a fake Bot API', async () => {
+  const api = await fakeBotApi();
+  try {
+    const bot = new TelegramBot(TOKEN, { polling: false, baseApiUrl: api.url });
+
+    await sendGameMessage(bot, -100, 'flappybert');
+    const sent = api.calls.at(-1);
+    assert.equal(sent.method, 'sendGame');
+    assert.equal(sent.form.game_short_name, 'flappybert');
+    assert.deepEqual(JSON.parse(sent.form.reply_markup).inline_keyboard[0][0].callback_game, {});
+
+    const query = { id: 'q1', from: { id: 42, first_name: 'Ann' }, message: { message_id: 7, chat: { id: -100 } }, game_short_name: 'flappybert' };
+    const opts = { shortName: 'flappybert', webappUrl: 'https://example.com/flappy_bert.html', secret: SECRET, nowMs: NOW };
+    assert.equal(answerGameLaunch(bot, { ...query, game_short_name: 'other' }, opts), null);
+    await answerGameLaunch(bot, query, opts);
+    const answered = api.calls.at(-1);
+    assert.equal(answered.method, 'answerCallbackQuery');
+    assert.equal(answered.form.callback_query_id, 'q1');
+    const url = new URL(answered.form.url);
+    assert.equal(url.origin + url.pathname, 'https://example.com/flappy_bert.html');
+    const launch = verifyLaunchToken(url.searchParams.get(GAME_LAUNCH.PARAM), SECRET, NOW);
+    assert.deepEqual({ u: launch.u, c: launch.c, m: launch.m }, { u: 42, c: -100, m: 7 });
+
+    assert.equal(await mirrorGameScore(bot, launch, 30), true);
+    const set = api.calls.at(-1);
+    assert.deepEqual([set.method, set.form.user_id, set.form.score, set.form.chat_id, set.form.message_id],
+      ['setGameScore', '42', '30', '-100', '7']);
+    assert.equal(await mirrorGameScore(bot, launch, 12), false);   // lower → not modified, no throw
+
+    const high = await fetchGameHighScores(bot, launch);
+    assert.deepEqual(high.map(h => [h.position, h.user.id, h.score]), [[1, 42, 30]]);
+  } finally {
+    await new Promise((resolve) => api.server.close(resolve));
+  }
+});
@@ -0,0 +1,83 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { planTournamentCommand: plan, toIso } = require('../lib/tournament-admin');
+const { tournamentFromRow, tournamentToRow } = require('../tournaments-config');
+
+const summer = {
+  id: 'summer', name: 'Summer', sponsor: 'Dr. Inker LABS',
+  startTime: '2026-06-01T00:00:00Z', endTime: '2026-09-01T00:00:00Z',
+};
+const byId = new Map([[summer.id, summer]]);
+const MID = new Date('2026-07-01T12:00:00Z');
+
+test('/tnew creates a validated config from pipe-separated fields', () => {
+  const r = plan('tnew', 'autumn-2026 | Autumn Cup | Acme Inc | 2026-10-01T00:00:00Z | 2026-10-31 23:59', byId);
+  assert.equal(r.ok, true);
+  assert.equal(r.created, true);
+  assert.deepEqual(r.config, {
+    id: 'autumn-2026', name: 'Autumn Cup', sponsor: 'Acme Inc',
+    startTime: '2026-10-01T00:00:00Z', endTime: new Date('2026-10-31 23:59').toISOString().replace('.000Z', 'Z'),
+  });
+});
+
+test('/tnew rejects bad ids, duplicates, bad dates and inverted windows', () => {
+  assert.equal(plan('tnew', 'only | three | parts', byId).reason, 'usage');
+  assert.equal(plan('tnew', 'Bad Id | N | S | 2026-10-01 | 2026-10-02', byId).reason, 'bad_id');
+  assert.equal(plan('tnew', 'summer | N | S | 2026-10-01 | 2026-10-02', byId).reason, 'exists');
+  assert.equal(plan('tnew', 'x-1 | N | S | october | 2026-10-02', byId).reason, 'bad_date');
+  assert.equal(plan('tnew', 'x-1 | N | S | 2026-10-02 | 2026-10-01', byId).reason, 'invalid');
+});
+
+test('/tnew refuses an id a deleted tournament left results under', () => {
+  const retired = (id) => id === 'old-cup';
+  const r = plan('tnew', 'old-cup | N | S | 2026-10-01 | 2026-10-02', byId, new Date(), retired);
+  assert.deepEqual(r, { ok: false, reason: 'retired', id: 'old-cup' });
+  assert.equal(plan('tnew', 'new-cup | N | S | 2026-10-01 | 2026-10-02', byId, new Date(), retired).ok, true);
+});
+
+test('/tedit patches one field and re-validates', () => {
+  assert.equal(plan('tedit', 'summer name The Summer Session', byId).config.name, 'The Summer Session');
+  assert.equal(plan('tedit', 'summer end 2026-09-15T00:00:00Z', byId).config.endTime, '2026-09-15T00:00:00Z');
+  assert.equal(plan('tedit', 'summer reset 2026-06-22T00:00:00Z', byId).config.scoreResetAt, '2026-06-22T00:00:00Z');
+  assert.equal(plan('tedit', 'summer samecourse on', byId).config.sameCourse, true);
+  assert.equal(plan('tedit', 'summer courseseed 1234', byId).config.courseSeed, 1234);
+  const cleared = plan('tedit', 'summer reset none', new Map([['summer', { ...summer, scoreResetAt: '2026-06-22T00:00:00Z' }]]));
+  assert.equal('scoreResetAt' in cleared.config, false);
+  assert.equal(summer.name, 'Summer', 'the existing config is never mutated');
+});
+
+test('/tedit rejects unknown ids/fields, bad values and windows validateTournament refuses', () => {
+  assert.equal(plan('tedit', 'nope name X', byId).reason, 'unknown_id');
+  assert.equal(plan('tedit', 'summer colour red', byId).reason, 'bad_field');
+  assert.equal(plan('tedit', 'summer name', byId).reason, 'usage');
+  assert.equal(plan('tedit', 'summer samecourse maybe', byId).reason, 'bad_value');
+  assert.equal(plan('tedit', 'summer courseseed -3', byId).reason, 'bad_value');
+  assert.equal(plan('tedit', 'summer end 2026-05-01T00:00:00Z', byId).reason, 'invalid');
+});
+
+test('/tend needs CONFIRM and a live tournament', () => {
+  assert.equal(plan('tend', 'summer', byId, MID).reason, 'missing_confirm');
+  assert.equal(plan('tend', 'summer confirm', byId, MID).reason, 'missing_confirm');
+  assert.equal(plan('tend', 'summer CONFIRM', byId, new Date('2026-10-01T00:00:00Z')).reason, 'not_live');
+  assert.equal(plan('tend', 'summer CONFIRM', byId, MID).config.endTime, '2026-07-01T12:00:00Z');
+});
+
+test('/tprizes sets or clears the ladder', () => {
+  assert.deepEqual(plan('tprizes', 'summer 100 $60 40.5', byId).config.prizes, [100, 60, 40.5]);
+  assert.equal('prizes' in plan('tprizes', 'summer none', byId).config, false);
+  assert.equal(plan('tprizes', 'summer 100 lots', byId).reason, 'bad_value');
+  assert.equal(plan('tprizes', 'summer', byId).reason, 'usage');
+});
+
+test('toIso only accepts explicit dates', () => {
+  assert.equal(toIso('2026-06-01T00:00:00Z'), '2026-06-01T00:00:00Z');
+  assert.equal(toIso('next tuesday'), null);
+  assert.equal(toIso('2026-13-45'), null);
+});
+
+test('configs round-trip through DB rows', () => {
+  const full = { ...summer, scoreResetAt: '2026-06-22T00:00:00Z', prizes: [100, 60], sameCourse: true, courseSeed: 9 };
+  assert.deepEqual(tournamentFromRow(tournamentToRow(full)), full);
+  assert.deepEqual(tournamentFromRow(tournamentToRow(summer)), summer);
+  assert.equal(tournamentToRow(summer).options, null);
+});
@@ -0,0 +1,95 @@
+// Tournament archives next to the weekly CSVs: file naming, the close-out
+// archive (recorded results, written once), snapshots before a reset or a
+// delete, and the typed archive list — against an ISOLATED temp DB and archive
+// dir (FLAPPY_DATA_DIR).
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const TMP = fs.mkdtempSync(path.join(os.tmpdir(), 'flappy-archive-'));
+process.env.FLAPPY_DATA_DIR = TMP;
+
+const db = require('../db');
+const dbh = db.init();
+const {
+  tournamentArchiveKey, tournamentFilename, parseArchiveFilename, parseArchiveType, isTournamentKey,
+} = require('../lib/archive-files');
+
+const csvLines = (file) => fs.readFileSync(file, 'utf8').split('\n');
+
+test('archive file names round-trip', () => {
+  const key = tournamentArchiveKey('summer-2026', 'reset', Date.parse('2026-10-19T10:15:00.123Z'));
+  assert.equal(key, 'summer-2026__reset-20261019T101500Z');
+  assert.deepEqual(parseArchiveFilename(tournamentFilename(key)),
+    { type: 'tournament', key, tournamentId: 'summer-2026', snapshot: 'reset' });
+  assert.deepEqual(parseArchiveFilename('tournament-summer-2026.csv'),
+    { type: 'tournament', key: 'summer-2026', tournamentId: 'summer-2026', snapshot: null });
+  assert.deepEqual(parseArchiveFilename('leaderboard-2026-10-12.csv'), { type: 'weekly', week: '2026-10-12' });
+  assert.equal(parseArchiveFilename('notes.csv'), null);
+  assert.equal(isTournamentKey('../../etc/passwd'), false);
+  assert.equal(parseArchiveType(undefined), null);
+  assert.equal(parseArchiveType('Tournaments'), 'tournament');
+  assert.equal(parseArchiveType('monthly'), undefined);
+});
+
+function seed(id) {
+  dbh.prepare('INSERT INTO tournaments (id, name, sponsor, start_time, end_time) VALUES (?, ?, ?, ?, ?)')
+    .run(id, id, 'S', '2026-10-01T00:00:00Z', '2026-10-10T00:00:00Z');
+  const run = (pid, score, at) => dbh.prepare(
+    'INSERT INTO tournament_scores (tournament_id, telegram_id, score, level, coins_earned, played_at) VALUES (?, ?, ?, 1, 0, ?)'
+  ).run(id, pid, score, at);
+  run(1, 40, '2026-10-02 00:00:00');
+  run(2, 40, '2026-10-01 00:00:00');   // same score, reached first → ranks above
+  run(3, 10, '2026-10-03 00:00:00');
+}
+
+test('close-out archive: recorded results with prizes, written once', () => {
+  db.upsertPlayer(1, '=HYPERLINK("x")', null);
+  db.upsertPlayer(2, 'Early', null);
+  db.upsertPlayer(3, 'Third', null);
+  seed('cup');
+  db.closeTournament('cup', null, [50]);
+
+  const r = db.archiveTournament('cup');
+  assert.equal(r.playerCount, 3);
+  const lines = csvLines(r.filepath);
+  assert.equal(lines[0], 'rank,telegram_id,player_name,username,best_score,games_played,max_level,best_at,prize,skin');
+  assert.deepEqual(lines.slice(1).map(l => l.split(',').slice(0, 2)), [['1', '2'], ['2', '1'], ['3', '3']]);
+  assert.match(lines[1], /,50,default$/);
+  assert.ok(lines[2].includes(`"'=HYPERLINK(""x"")"`));   // csvCell defang + quoting
+  assert.equal(db.archiveTournament('cup').alreadyExists, true);
+});
+
+test('reset and delete snapshot the board before wiping it', () => {
+  seed('weekly-cup');
+  assert.equal(db.resetTournamentScores('weekly-cup'), 3);
+  assert.equal(db.countTournamentScores('weekly-cup'), 0);
+
+  const snaps = db.getArchiveList('tournament').filter(a => a.tournamentId === 'weekly-cup');
+  assert.equal(snaps.length, 1);
+  assert.equal(snaps[0].snapshot, 'reset');
+  assert.equal(csvLines(db.getTournamentArchivePath(snaps[0].key)).length, 4);
+
+  seed('orphan');
+  db.deleteTournament('orphan');
+  assert.equal(db.getTournament('orphan'), undefined);
+  assert.ok(db.getArchiveList('tournament').some(a => a.tournamentId === 'orphan' && a.snapshot === 'deleted'));
+  // Nothing to archive: no empty file.
+  dbh.prepare('INSERT INTO tournaments (id, name, sponsor, start_time, end_time) VALUES (?, ?, ?, ?, ?)')
+    .run('empty', 'Empty', 'S', '2026-10-01T00:00:00Z', '2026-10-10T00:00:00Z');
+  assert.equal(db.archiveTournament('empty', { snapshot: 'reset' }), null);
+});
+
+test('archive list: typed, newest first, weekly files keep their week', () => {
+  const week = db.getWeekStart();
+  db.submitScore(1, 12, 1, 0);
+  assert.ok(db.archiveWeek(week));
+  const all = db.getArchiveList();
+  assert.deepEqual([...new Set(all.map(a => a.type))].sort(), ['tournament', 'weekly']);
+  assert.deepEqual(db.getArchiveList('weekly').map(a => a.week), [week]);
+  assert.ok(db.getArchiveList('tournament').every(a => a.type === 'tournament'));
+  assert.ok(db.getArchivePath(week));
+});
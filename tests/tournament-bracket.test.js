@@ -0,0 +1,156 @@
+// Knockout brackets: seeding and byes, match decisions and tiebreaks, the db
+// model (seed once, window-scoped bests, resolve + advance at most once) and
+// close-out placing by the bracket. DB cases run against an ISOLATED temp DB
+// (FLAPPY_DATA_DIR).
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const TMP = fs.mkdtempSync(path.join(os.tmpdir(), 'flappy-bracket-'));
+process.env.FLAPPY_DATA_DIR = TMP;
+
+const db = require('../db');
+const dbh = db.init();
+const {
+  validateBracket, bracketSize, seedPositions, roundName, buildBracket, nextMatch, isBye,
+  decideMatch, playerBracketStatus, bracketStandings,
+} = require('../lib/tournament-bracket');
+const { resolveRegistration, registrationClosedReason } = require('../lib/tournament-entry');
+const { validateTournament } = require('../tournaments-config');
+
+const START = Date.parse('2026-10-10T00:00:00Z');
+const END = Date.parse('2026-10-13T00:00:00Z');   // 3 days → 24h rounds for 8 players
+const T = { id: 'ko', name: 'KO', sponsor: 'S', startTime: '2026-10-10T00:00:00Z', endTime: '2026-10-13T00:00:00Z' };
+
+const players = (n) => Array.from({ length: n }, (_, i) => ({ telegram_id: 100 + i, weekly_best: 1000 - i * 10 }));
+
+test('validateBracket and config checks', () => {
+  assert.ok(validateBracket({}));
+  assert.ok(validateBracket({ maxPlayers: 16 }));
+  for (const bad of [null, [], { maxPlayers: 12 }, { maxPlayers: 1 }, { maxPlayers: 128 }, { size: 8 }]) {
+    assert.equal(validateBracket(bad), false, JSON.stringify(bad));
+  }
+  assert.ok(validateTournament({ ...T, bracket: { maxPlayers: 8 }, registration: { cap: 8 } }));
+  assert.equal(validateTournament({ ...T, bracket: {}, rules: { scoring: 'best', attempts: 3 } }), false);
+  assert.equal(validateTournament({ ...T, bracket: { maxPlayers: 8 }, registration: { cap: 9 } }), false);
+  assert.equal(validateTournament({ ...T, bracket: {}, registration: { closesAt: '2026-10-11T00:00:00Z' } }), false);
+});
+
+test('knockout registration closes at the start and caps at the bracket', () => {
+  const cfg = { ...T, bracket: { maxPlayers: 16 } };
+  assert.deepEqual(resolveRegistration(cfg), { fee: 0, cap: 16, closesAt: T.startTime });
+  assert.equal(registrationClosedReason(cfg, START - 1), null);
+  assert.equal(registrationClosedReason(cfg, START + 1), 'closed');
+});
+
+test('seedPositions keeps top seeds apart; byes go to the top seeds', () => {
+  assert.deepEqual(seedPositions(4), [1, 4, 2, 3]);
+  assert.deepEqual(seedPositions(8), [1, 8, 4, 5, 2, 7, 3, 6]);
+  assert.equal(bracketSize(1), 0);
+  assert.equal(bracketSize(5), 8);
+
+  const plan = buildBracket(players(6), START, END);
+  assert.equal(plan.rounds, 3);
+  const r1 = plan.matches.filter(m => m.round === 1);
+  assert.equal(r1.length, 4);
+  assert.deepEqual(r1[0], {
+    round: 1, slot: 0, opens_at: '2026-10-10T00:00:00.000Z', closes_at: '2026-10-11T00:00:00.000Z',
+    player_a: 100, seed_a: 1, player_b: null, seed_b: null,
+  });
+  assert.deepEqual(r1.filter(isBye).map(m => m.seed_a).sort(), [1, 2]);
+  const final = plan.matches.find(m => m.round === 3);
+  assert.equal(final.opens_at, '2026-10-12T00:00:00.000Z');
+  assert.equal(final.closes_at, '2026-10-13T00:00:00.000Z');
+  assert.equal(buildBracket(players(1), START, END), null);
+});
+
+test('seeding is by weekly best, join order breaking ties, capped at maxPlayers', () => {
+  const plan = buildBracket([
+    { telegram_id: 1, weekly_best: null }, { telegram_id: 2, weekly_best: 50 },
+    { telegram_id: 3, weekly_best: 50 }, { telegram_id: 4, weekly_best: 90 }, { telegram_id: 5, weekly_best: 10 },
+  ], START, END, 4);
+  const r1 = plan.matches.filter(m => m.round === 1);
+  assert.deepEqual(r1.map(m => [m.player_a, m.player_b]), [[4, 5], [2, 3]]);
+  assert.equal(roundName(1, 2), 'Semi-final');
+  assert.equal(roundName(1, 4), 'Round 1');
+});
+
+test('decideMatch: score, then earlier best, then the higher seed', () => {
+  const m = { player_a: 1, seed_a: 1, player_b: 2, seed_b: 8 };
+  const run = (score, at) => ({ score, best_at: at });
+  assert.equal(decideMatch(m, run(10, '2026-10-10 01:00:00'), run(20, '2026-10-10 02:00:00')).winner, 2);
+  assert.equal(decideMatch(m, run(20, '2026-10-10 03:00:00'), run(20, '2026-10-10 02:00:00')).winner, 2);
+  assert.equal(decideMatch(m, run(20, '2026-10-10 02:00:00'), run(20, '2026-10-10 02:00:00')).winner, 1);
+  assert.equal(decideMatch(m, null, run(5, '2026-10-10 02:00:00')).winner, 2);
+  assert.deepEqual(decideMatch(m, null, null), { winner: 1, loser: 2, score_a: null, score_b: null });
+  assert.equal(decideMatch({ player_a: 1, seed_a: 1, player_b: null, seed_b: null }, null, null).winner, 1);
+  assert.deepEqual(nextMatch({ round: 1, slot: 3 }, 3), { round: 2, slot: 1, side: 'b' });
+  assert.equal(nextMatch({ round: 3, slot: 0 }, 3), null);
+});
+
+function seedPlayers(ids) {
+  for (const id of ids) db.upsertPlayer(id, `P${id}`, null);
+}
+
+test('db: seeded once, bests scoped to the match window, winners advance once', () => {
+  dbh.prepare('INSERT INTO tournaments (id, name, sponsor, start_time, end_time) VALUES (?, ?, ?, ?, ?)')
+    .run('ko-db', 'KO', 'S', T.startTime, T.endTime);
+  seedPlayers([100, 101, 102, 103]);
+  const plan = buildBracket(players(4), START, END);   // 2 rounds of 36h
+  assert.ok(db.seedBracket('ko-db', plan.matches));
+  assert.equal(db.seedBracket('ko-db', plan.matches), false);
+  assert.ok(db.hasBracket('ko-db'));
+
+  const score = (id, s, at) => dbh.prepare(
+    'INSERT INTO tournament_scores (tournament_id, telegram_id, score, level, coins_earned, played_at) VALUES (?, ?, ?, 1, 0, ?)'
+  ).run('ko-db', id, s, at);
+  score(100, 30, '2026-10-10 05:00:00');
+  score(103, 40, '2026-10-10 06:00:00');
+  score(103, 99, '2026-10-11 13:00:00');   // after the round-1 window (closes 12:00)
+
+  let [m0] = db.getBracket('ko-db');
+  assert.equal(m0.name_a, 'P100');
+  assert.deepEqual(db.getMatchBest('ko-db', 103, m0), { score: 40, best_at: '2026-10-10 06:00:00' });
+  assert.equal(db.getMatchBest('ko-db', 101, m0), null);
+
+  const result = decideMatch(m0, db.getMatchBest('ko-db', 100, m0), db.getMatchBest('ko-db', 103, m0));
+  assert.equal(result.winner, 103);
+  assert.ok(db.markMatchOpened('ko-db', 1, 0));
+  assert.equal(db.markMatchOpened('ko-db', 1, 0), false);
+  // A run pending review holds the result until /review decides it.
+  const review = db.flagScore({
+    board: 'tournament', tournamentId: 'ko-db', telegramId: 100, score: 90, level: 9, coinsEarned: 0,
+    reasons: ['score_jump'], history: { best: 5, games: 4 },
+  });
+  assert.equal(db.resolveMatch('ko-db', m0, result, nextMatch(m0, 2)), false);
+  assert.equal(db.getBracket('ko-db')[0].winner, null);
+  db.resolveReview(review, false, 99);
+
+  assert.ok(db.resolveMatch('ko-db', m0, result, nextMatch(m0, 2)));
+  assert.equal(db.resolveMatch('ko-db', m0, result, nextMatch(m0, 2)), false);
+
+  const bracket = db.getBracket('ko-db');
+  const final = bracket.find(m => m.round === 2);
+  assert.equal(final.player_a, 103);
+  assert.equal(final.seed_a, 4);
+  assert.equal(playerBracketStatus(bracket, 103), 'alive');
+  assert.equal(playerBracketStatus(bracket, 100), 'eliminated');
+  assert.equal(playerBracketStatus(bracket, 999), null);
+});
+
+test('close-out places by the bracket, not the best score', () => {
+  const m1 = db.getBracket('ko-db').find(m => m.round === 1 && m.slot === 1);
+  db.resolveMatch('ko-db', m1, decideMatch(m1, null, null), nextMatch(m1, 2));   // seed 2 through
+  const final = db.getBracket('ko-db').find(m => m.round === 2);
+  db.resolveMatch('ko-db', final, { winner: 101, loser: 103, score_a: 12, score_b: 8 }, null);
+
+  const standings = db.closeTournament('ko-db', null, [100, 50]);
+  assert.deepEqual(standings.map(e => e.telegram_id), [101, 103, 100, 102]);
+  assert.equal(standings[0].score, 0);      // champion without a recorded run still places first
+  assert.equal(standings[1].score, 99);
+  assert.equal(standings[0].prize, 100);
+  assert.deepEqual(bracketStandings(db.getBracket('ko-db'), []).map(e => e.telegram_id), [101, 103, 100, 102]);
+});
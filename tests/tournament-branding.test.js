@@ -0,0 +1,72 @@
+// Sponsor branding: validation of the optional `branding` block, the palette
+// overrides the tournament card draws with, the CTA button and the Mini App
+// payload, plus the round trip through the tournaments.options column.
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const {
+  validateBranding, resolvePalette, withAlpha, brandingCta, brandingForClient,
+} = require('../lib/tournament-branding');
+const { validateTournament, tournamentToRow, tournamentFromRow } = require('../tournaments-config');
+const { instanceConfig } = require('../lib/tournament-templates');
+
+const T = { id: 'inked', name: 'Inked Cup', sponsor: 'Dr. Inker LABS', startTime: '2026-10-01T00:00:00Z', endTime: '2026-10-10T00:00:00Z' };
+const BRANDING = {
+  logo: 'sponsors/inker.png',
+  colors: { gold: '#ff2d95', accent3: '#7CF9FF' },
+  tagline: 'Ink that never fades',
+  url: 'https://drinker.example/cup',
+  ctaText: 'Get inked',
+};
+
+test('validateBranding', () => {
+  assert.ok(validateBranding(BRANDING));
+  assert.ok(validateBranding({ tagline: 'Just a tagline' }));
+  assert.ok(validateTournament({ ...T, branding: BRANDING }));
+  for (const bad of [
+    null, [], {},
+    { ...BRANDING, font: 'Comic Sans' },                          // unknown field
+    { ...BRANDING, logo: '../secrets.png' },                      // outside assets/sponsors
+    { ...BRANDING, logo: 'sponsors/inker.gif' },
+    { ...BRANDING, colors: { gold: 'pink' } },
+    { ...BRANDING, colors: { silver: '#ffffff' } },               // medal colours stay
+    { ...BRANDING, tagline: 'x'.repeat(81) },
+    { ...BRANDING, tagline: '   ' },
+    { ...BRANDING, url: 'http://drinker.example' },               // https only
+    { ...BRANDING, url: 'javascript:alert(1)' },
+    { tagline: 'Hi', ctaText: 'Click' },                          // label without a link
+    { ...BRANDING, ctaText: 'x'.repeat(25) },
+  ]) assert.equal(validateBranding(bad), false, JSON.stringify(bad));
+  assert.equal(validateTournament({ ...T, branding: { logo: 'inker.png' } }), false);
+});
+
+test('resolvePalette overrides only the configured colours', () => {
+  const base = { gold: '#ffd700', accent3: '#00e5ff', silver: '#c0c0c0' };
+  assert.deepEqual(resolvePalette(base, BRANDING), { gold: '#ff2d95', accent3: '#7CF9FF', silver: '#c0c0c0' });
+  assert.deepEqual(resolvePalette(base, null), base);
+  assert.equal(withAlpha('#ffd700', 0.45), 'rgba(255,215,0,0.45)');
+});
+
+test('CTA and Mini App payload', () => {
+  assert.deepEqual(brandingCta(BRANDING, T.sponsor), { text: 'Get inked', url: 'https://drinker.example/cup' });
+  assert.deepEqual(brandingCta({ url: 'https://drinker.example' }, T.sponsor), { text: 'Visit Dr. Inker LABS', url: 'https://drinker.example' });
+  assert.equal(brandingCta({ tagline: 'Hi' }, T.sponsor), null);
+  assert.deepEqual(brandingForClient(BRANDING, T.sponsor), {
+    logoUrl: '/assets/sponsors/inker.png',
+    colors: BRANDING.colors,
+    tagline: 'Ink that never fades',
+    cta: { text: 'Get inked', url: 'https://drinker.example/cup' },
+  });
+  assert.equal(brandingForClient(null, T.sponsor), null);
+});
+
+test('branding is stored in tournaments.options and carried by templates', () => {
+  const row = tournamentToRow({ ...T, branding: BRANDING });
+  assert.deepEqual(tournamentFromRow(row).branding, BRANDING);
+  const cfg = instanceConfig(
+    { id: 'weekly', name: 'Weekly', sponsor: 'S', every: 'week', start: 'sat 00:00', end: 'sun 23:59:59', branding: BRANDING },
+    { startMs: Date.parse('2026-10-24T00:00:00Z'), endMs: Date.parse('2026-10-25T23:59:59Z') },
+  );
+  assert.deepEqual(cfg.branding, BRANDING);
+});
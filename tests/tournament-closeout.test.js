@@ -0,0 +1,67 @@
+// Scheduled tournament close-out: which tournaments are due (incl. boot catch-up
+// bound) and the one-time freeze/claim in db.closeTournament.
+// DB cases run against an ISOLATED temp DB (FLAPPY_DATA_DIR).
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const TMP = fs.mkdtempSync(path.join(os.tmpdir(), 'flappy-closeout-'));
+process.env.FLAPPY_DATA_DIR = TMP;
+
+const db = require('../db');
+const dbh = db.init();
+const { CLOSEOUT, dueForCloseout } = require('../lib/tournament-closeout');
+
+const NOW = Date.parse('2026-10-19T12:00:00Z');
+const DAY = 24 * 60 * 60 * 1000;
+
+test('dueForCloseout: ended, un-closed, within the catch-up window, oldest first', () => {
+  const rows = [
+    { id: 'live',    end_time: '2026-10-20T00:00:00Z', closed_at: null },
+    { id: 'late',    end_time: '2026-10-19T11:00:00Z', closed_at: null },
+    { id: 'early',   end_time: '2026-10-18T00:00:00Z', closed_at: null },
+    { id: 'done',    end_time: '2026-10-18T00:00:00Z', closed_at: '2026-10-18 00:05:00' },
+    { id: 'ancient', end_time: new Date(NOW - CLOSEOUT.CATCHUP_MS - DAY).toISOString(), closed_at: null },
+    { id: 'broken',  end_time: 'not-a-date', closed_at: null },
+  ];
+  assert.deepEqual(dueForCloseout(rows, NOW).map(t => t.id), ['early', 'late']);
+});
+
+test('dueForCloseout compares instants, not strings (UTC offsets)', () => {
+  // 13:30+05:30 is 08:00Z — already past at NOW even though it sorts after it as text.
+  const rows = [{ id: 'ist', end_time: '2026-10-19T13:30:00+05:30', closed_at: null }];
+  assert.deepEqual(dueForCloseout(rows, NOW).map(t => t.id), ['ist']);
+});
+
+test('dueForCloseout keeps a close-out held on /review due past the catch-up window', () => {
+  const stale = new Date(NOW - CLOSEOUT.CATCHUP_MS - DAY).toISOString();
+  const rows = [
+    { id: 'held',   end_time: stale, closed_at: null, closeout_held_at: '2026-09-20 12:00:00' },
+    { id: 'stale',  end_time: stale, closed_at: null, closeout_held_at: null },
+    { id: 'future', end_time: '2026-10-20T00:00:00Z', closed_at: null, closeout_held_at: '2026-10-19 00:00:00' },
+  ];
+  assert.deepEqual(dueForCloseout(rows, NOW).map(t => t.id), ['held']);
+});
+
+test('closeTournament freezes tiebroken standings once; later scores do not move them', () => {
+  dbh.prepare("INSERT INTO tournaments (id, name, sponsor, start_time, end_time) VALUES ('cup', 'Cup', 'Acme', '2026-10-01T00:00:00Z', '2026-10-19T00:00:00Z')").run();
+  for (const [id, name] of [[1, 'A'], [2, 'B'], [3, 'C']]) {
+    dbh.prepare('INSERT INTO players (telegram_id, first_name) VALUES (?, ?)').run(id, name);
+  }
+  const ins = dbh.prepare('INSERT INTO tournament_scores (tournament_id, telegram_id, score, level, played_at) VALUES (?, ?, ?, ?, ?)');
+  ins.run('cup', 1, 50, 3, '2026-10-10 10:00:00');
+  ins.run('cup', 2, 50, 3, '2026-10-09 10:00:00'); // same score, reached earlier → ranks above 1
+  ins.run('cup', 3, 70, 4, '2026-10-11 10:00:00');
+  db.banPlayer(3, 'test');
+
+  const standings = db.closeTournament('cup');
+  assert.deepEqual(standings.map(e => [e.rank, e.telegram_id]), [[1, 2], [2, 1]]);
+  assert.equal(db.closeTournament('cup'), null, 'second claim is a no-op');
+
+  ins.run('cup', 1, 99, 5, '2026-10-19 11:00:00');
+  assert.deepEqual(db.getFinalStandings('cup').map(e => e.telegram_id), [2, 1]);
+  assert.deepEqual(dueForCloseout(db.getUnclosedTournaments(), NOW), []);
+});
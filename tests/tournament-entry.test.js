@@ -0,0 +1,108 @@
+// Tournament registration: config validation, when joining is open, and that
+// db.joinTournament charges the fee / honours the cap atomically. DB cases run
+// against an ISOLATED temp DB (FLAPPY_DATA_DIR).
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const TMP = fs.mkdtempSync(path.join(os.tmpdir(), 'flappy-entry-'));
+process.env.FLAPPY_DATA_DIR = TMP;
+
+const db = require('../db');
+const dbh = db.init();
+const {
+  validateRegistration, resolveRegistration, registrationClosedReason, describeRegistration, JOIN_ERRORS,
+} = require('../lib/tournament-entry');
+const { validateTournament } = require('../tournaments-config');
+
+const T = { id: 'cup', name: 'Cup', sponsor: 'S', startTime: '2026-10-10T00:00:00Z', endTime: '2026-10-20T00:00:00Z' };
+
+function seedTournament(id) {
+  dbh.prepare('INSERT INTO tournaments (id, name, sponsor, start_time, end_time) VALUES (?, ?, ?, ?, ?)')
+    .run(id, id, 'S', T.startTime, T.endTime);
+}
+
+function seedPlayer(id, coins) {
+  db.upsertPlayer(id, `P${id}`, null);
+  dbh.prepare('UPDATE players SET coins = ? WHERE telegram_id = ?').run(coins, id);
+}
+
+test('validateRegistration', () => {
+  assert.ok(validateRegistration({}, T.endTime));
+  assert.ok(validateRegistration({ fee: 50, cap: 100, closesAt: '2026-10-15T00:00:00Z' }, T.endTime));
+  for (const bad of [
+    null, [], { fee: -1 }, { fee: 1.5 }, { cap: 0 }, { closesAt: 'soon' },
+    { closesAt: '2026-10-21T00:00:00Z' },  // after the tournament ends
+    { price: 5 },
+  ]) assert.equal(validateRegistration(bad, T.endTime), false, JSON.stringify(bad));
+
+  assert.ok(validateTournament({ ...T, registration: { fee: 10 } }));
+  assert.equal(validateTournament({ ...T, registration: { cap: -3 } }), false);
+});
+
+test('registrationClosedReason / resolve / describe', () => {
+  const cfg = { ...T, registration: { fee: 25, cap: 10, closesAt: '2026-10-12T00:00:00Z' } };
+  assert.equal(registrationClosedReason(cfg, Date.parse('2026-10-01T00:00:00Z')), null); // scheduled: open
+  assert.equal(registrationClosedReason(cfg, Date.parse('2026-10-11T00:00:00Z')), null);
+  assert.equal(registrationClosedReason(cfg, Date.parse('2026-10-13T00:00:00Z')), 'closed');
+  assert.equal(registrationClosedReason(cfg, Date.parse('2026-10-21T00:00:00Z')), 'ended');
+  assert.equal(registrationClosedReason(T, Date.parse('2026-10-19T00:00:00Z')), null);   // default: until the end
+
+  assert.deepEqual(resolveRegistration(T), { fee: 0, cap: null, closesAt: T.endTime });
+  assert.equal(describeRegistration(cfg, 3), 'Entry 25 coins · 3/10 joined');
+  assert.equal(describeRegistration(T, 0), 'Free entry · 0 joined');
+  for (const reason of ['ended', 'closed', 'full', 'already_joined', 'insufficient_coins', 'unknown_player']) {
+    assert.ok(JOIN_ERRORS[reason], reason);
+  }
+});
+
+test('joinTournament deducts the fee once and records the entry', () => {
+  seedTournament('fee-cup');
+  seedPlayer(1, 100);
+  assert.deepEqual(db.joinTournament('fee-cup', 1, { fee: 40 }), { ok: true, feePaid: 40, coins: 60 });
+  assert.equal(db.getPlayer(1).coins, 60);
+  assert.ok(db.isRegistered('fee-cup', 1));
+  assert.deepEqual(db.joinTournament('fee-cup', 1, { fee: 40 }), { ok: false, reason: 'already_joined' });
+  assert.equal(db.getPlayer(1).coins, 60);
+});
+
+test('joinTournament refuses short balances, full fields and unknown players without charging', () => {
+  seedTournament('cap-cup');
+  seedPlayer(2, 10);
+  seedPlayer(3, 500);
+  seedPlayer(4, 500);
+  assert.deepEqual(db.joinTournament('cap-cup', 2, { fee: 20, cap: 2 }), { ok: false, reason: 'insufficient_coins' });
+  assert.equal(db.getPlayer(2).coins, 10);
+  assert.equal(db.isRegistered('cap-cup', 2), false);
+
+  assert.ok(db.joinTournament('cap-cup', 3, { fee: 20, cap: 2 }).ok);
+  assert.ok(db.joinTournament('cap-cup', 4, { fee: 0, cap: 2 }).ok);
+  seedPlayer(5, 500);
+  assert.deepEqual(db.joinTournament('cap-cup', 5, { fee: 20, cap: 2 }), { ok: false, reason: 'full' });
+  assert.equal(db.getPlayer(5).coins, 500);
+  assert.equal(db.countEntries('cap-cup'), 2);
+
+  assert.deepEqual(db.joinTournament('cap-cup', 999, {}), { ok: false, reason: 'unknown_player' });
+});
+
+test('existing scorers are backfilled as entrants on init', () => {
+  seedTournament('old-cup');
+  seedPlayer(6, 0);
+  db.submitTournamentScore('old-cup', 6, 42, 3, 0);
+  assert.equal(db.isRegistered('old-cup', 6), false);
+  db.init();
+  assert.ok(db.isRegistered('old-cup', 6));
+  assert.equal(dbh.prepare('SELECT fee_paid FROM tournament_entries WHERE tournament_id = ? AND telegram_id = ?')
+    .get('old-cup', 6).fee_paid, 0);
+});
+
+test('deleteTournament removes its entries', () => {
+  seedTournament('gone-cup');
+  seedPlayer(7, 0);
+  db.joinTournament('gone-cup', 7, {});
+  db.deleteTournament('gone-cup');
+  assert.equal(db.countEntries('gone-cup'), 0);
+});
@@ -0,0 +1,96 @@
+// Per-tournament gameplay modifiers: config validation, what a session stores,
+// the sim applying start level / pickup allowlist, and replay verification
+// rejecting runs not flown under the session's modifiers.
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const {
+  validateModifiers, resolveModifiers, sessionModifiers, sameModifiers, replayModifierError, MAX_START_LEVEL,
+} = require('../lib/tournament-modifiers');
+const { validateTournament } = require('../tournaments-config');
+const { replayVerdict } = require('../lib/replay-verify');
+const { createRng, createRunState, addPipe, POWERUPS, PHYSICS } = require('../lib/flappy-sim');
+const { flyRun } = require('./lib/autopilot');
+
+const NO_BOOST = { allowShopMultiplier: false, powerups: ['shield'], startLevel: 3 };
+
+test('validateModifiers', () => {
+  assert.ok(validateModifiers({}));
+  assert.ok(validateModifiers(NO_BOOST));
+  assert.ok(validateModifiers({ powerups: [] }));
+  for (const bad of [
+    null, [], { allowShopMultiplier: 'no' }, { powerups: ['laser'] }, { powerups: ['shield', 'shield'] },
+    { powerups: 'shield' }, { startLevel: 0 }, { startLevel: MAX_START_LEVEL + 1 }, { startLevel: 2.5 }, { speed: 2 },
+  ]) assert.equal(validateModifiers(bad), false, JSON.stringify(bad));
+
+  const t = { id: 'x', name: 'X', sponsor: 'S', startTime: '2026-10-01T00:00:00Z', endTime: '2026-10-02T00:00:00Z' };
+  assert.ok(validateTournament({ ...t, modifiers: NO_BOOST }));
+  assert.equal(validateTournament({ ...t, modifiers: { startLevel: 99 } }), false);
+});
+
+test('resolve / session / same: defaults filled, no-op modifiers store nothing', () => {
+  assert.deepEqual(resolveModifiers(undefined), { allowShopMultiplier: true, powerups: POWERUPS, startLevel: 1 });
+  assert.deepEqual(resolveModifiers({ powerups: ['frenzy', 'shield'] }).powerups, ['shield', 'frenzy']);
+  assert.equal(sessionModifiers(undefined), null);
+  assert.equal(sessionModifiers({ allowShopMultiplier: true, startLevel: 1 }), null);
+  assert.deepEqual(sessionModifiers(NO_BOOST), NO_BOOST);
+  assert.ok(sameModifiers(null, {}));
+  assert.ok(sameModifiers({ powerups: ['frenzy', 'shield'] }, { powerups: ['shield', 'frenzy'] }));
+  assert.equal(sameModifiers(NO_BOOST, { ...NO_BOOST, startLevel: 4 }), false);
+});
+
+test('the sim starts a raised-level run at that difficulty', () => {
+  const S = createRunState({ w: 400, h: 800, x0: 100, y0: 320, mult: 1, startLevel: 5 });
+  assert.equal(S.level, 5);
+  assert.equal(S.gameSpeed, PHYSICS.baseSpeed + 5 * 0.25);
+  assert.equal(S.pipeGap, PHYSICS.basePipeGap - 5 * 4);
+  const plain = createRunState({ w: 400, h: 800, x0: 100, y0: 320, mult: 1 });
+  assert.equal(plain.level, 1);
+  assert.equal(plain.gameSpeed, PHYSICS.baseSpeed, 'default runs are unchanged');
+});
+
+test('a pickup allowlist empties bands without shifting the seeded course', () => {
+  const spawn = (powerups) => {
+    const S = createRunState({ w: 400, h: 800, x0: 100, y0: 320, mult: 1, startLevel: 5, powerups });
+    const rng = createRng(7);
+    for (let i = 0; i < 300; i++) addPipe(S, rng);
+    return S.pipes;
+  };
+  const all = spawn(undefined);
+  const none = spawn([]);
+  assert.ok(all.some(p => p.hasMagnet) && all.some(p => p.hasFrenzy) && all.some(p => p.hasShield), 'fixture spawns every pickup');
+  assert.ok(none.every(p => !p.hasMagnet && !p.hasFrenzy && !p.hasShield));
+  assert.deepEqual(none.map(p => p.gapY), all.map(p => p.gapY));
+  assert.deepEqual(none.map(p => p.hasCoin), all.map(p => p.hasCoin));
+});
+
+test('replayVerdict accepts a run flown under the session modifiers', () => {
+  const run = flyRun(3, { startLevel: 3, powerups: ['shield'] });
+  const v = replayVerdict({
+    replay: run.replay, seed: 3, score: run.score,
+    elapsedMs: run.replay.steps * (1000 / 60) + 500, modifiers: NO_BOOST,
+  });
+  assert.equal(v.valid, true);
+  assert.equal(v.level, run.level);
+  assert.ok(v.level >= 3);
+});
+
+test('replayVerdict rejects a run not flown under the session modifiers', () => {
+  const run = flyRun(3);
+  const input = { replay: run.replay, seed: 3, score: run.score, elapsedMs: run.replay.steps * (1000 / 60) + 500 };
+  assert.equal(replayVerdict(input).valid, true, 'fine for a default session');
+  assert.equal(replayVerdict({ ...input, modifiers: NO_BOOST }).reason, 'modifiers_mismatch');
+  // Claiming the modifiers in the header doesn't help: the re-simulation differs.
+  const forged = { ...run.replay, startLevel: 3, powerups: ['shield'] };
+  assert.equal(replayVerdict({ ...input, replay: forged, modifiers: NO_BOOST }).valid, false);
+});
+
+test('replayModifierError: shop multiplier and malformed headers', () => {
+  const header = { mult: 2, startLevel: 3, powerups: ['shield'] };
+  assert.equal(replayModifierError(header, NO_BOOST), 'modifiers_mismatch');
+  assert.equal(replayModifierError({ ...header, mult: 1 }, NO_BOOST), null);
+  assert.equal(replayModifierError({ mult: 2 }, { powerups: POWERUPS }), null, 'boosts allowed by default');
+  const run = flyRun(3);
+  assert.equal(replayVerdict({ replay: { ...run.replay, startLevel: 0 }, seed: 3, score: run.score, elapsedMs: 1e9 }).reason, 'replay_modifiers');
+  assert.equal(replayVerdict({ replay: { ...run.replay, powerups: ['laser'] }, seed: 3, score: run.score, elapsedMs: 1e9 }).reason, 'replay_modifiers');
+});
@@ -0,0 +1,80 @@
+// Sponsor participation report: score buckets, day filling, the report shape
+// and CSV, and db.getTournamentReportData against an ISOLATED temp DB
+// (FLAPPY_DATA_DIR) — banned players left out, new players counted by
+// players.created_at inside the window.
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const TMP = fs.mkdtempSync(path.join(os.tmpdir(), 'flappy-report-'));
+process.env.FLAPPY_DATA_DIR = TMP;
+
+const db = require('../db');
+const dbh = db.init();
+const { scoreDistribution, fillDays, buildReport, reportToCsv } = require('../lib/tournament-report');
+const { csvCell } = require('../lib/csv-cell');
+
+const T = { id: 'cup', name: 'Cup', sponsor: 'Dr. Inker LABS', startTime: '2026-10-01T00:00:00Z', endTime: '2026-10-03T23:59:59Z' };
+
+test('scoreDistribution buckets every run, empty buckets included', () => {
+  const dist = scoreDistribution([0, 4, 5, 12, 12, 99, 100, 1200]);
+  assert.deepEqual(dist.map(b => [b.label, b.runs]), [
+    ['0-4', 2], ['5-9', 1], ['10-24', 2], ['25-49', 0], ['50-99', 1], ['100-249', 1], ['250-499', 0], ['500+', 1],
+  ]);
+});
+
+test('fillDays covers the window, up to today while live', () => {
+  const perDay = [{ day: '2026-10-02', runs: 3, players: 2 }];
+  assert.deepEqual(fillDays(perDay, T.startTime, T.endTime, Date.parse('2026-11-01T00:00:00Z')), [
+    { day: '2026-10-01', runs: 0, players: 0 },
+    { day: '2026-10-02', runs: 3, players: 2 },
+    { day: '2026-10-03', runs: 0, players: 0 },
+  ]);
+  assert.equal(fillDays(perDay, T.startTime, T.endTime, Date.parse('2026-10-02T12:00:00Z')).length, 2);
+});
+
+test('getTournamentReportData: runs, days, scores and new players', () => {
+  dbh.prepare('INSERT INTO tournaments (id, name, sponsor, start_time, end_time) VALUES (?, ?, ?, ?, ?)')
+    .run(T.id, T.name, T.sponsor, T.startTime, T.endTime);
+  const player = (id, createdAt) => {
+    db.upsertPlayer(id, `P${id}`, null);
+    dbh.prepare('UPDATE players SET created_at = ? WHERE telegram_id = ?').run(createdAt, id);
+  };
+  player(1, '2026-09-01 00:00:00');    // a regular
+  player(2, '2026-10-01 10:00:00');    // joined during the cup and played
+  player(3, '2026-10-02 10:00:00');    // joined during the cup, never played it
+  player(4, '2026-10-01 00:00:00');    // banned
+  const run = (id, score, playedAt) => dbh.prepare(
+    'INSERT INTO tournament_scores (tournament_id, telegram_id, score, level, coins_earned, played_at) VALUES (?, ?, ?, 1, 0, ?)'
+  ).run(T.id, id, score, playedAt);
+  run(1, 30, '2026-10-01 12:00:00');
+  run(1, 60, '2026-10-03 12:00:00');
+  run(2, 7, '2026-10-01 13:00:00');
+  run(4, 999, '2026-10-01 14:00:00');
+  db.banPlayer(4, 'cheating');
+
+  const data = db.getTournamentReportData(T.id, '2026-10-01 00:00:00', '2026-10-03 23:59:59');
+  assert.deepEqual(data.totals, { players: 2, runs: 3 });
+  assert.deepEqual(data.perDay, [
+    { day: '2026-10-01', runs: 2, players: 2 },
+    { day: '2026-10-03', runs: 1, players: 1 },
+  ]);
+  assert.deepEqual(data.scores.sort((a, b) => a - b), [7, 30, 60]);
+  assert.deepEqual(data.newPlayers, { total: 2, played: 1 });
+
+  const report = buildReport(T, data, [{ rank: 1, first_name: '=cmd', username: null, score: 60, prize: 50 }],
+    Date.parse('2026-10-05T00:00:00Z'));
+  assert.equal(report.runsPerPlayer, 1.5);
+  assert.equal(report.runsPerDay.length, 3);
+  assert.deepEqual(report.winners, [{ rank: 1, name: '=cmd', username: null, score: 60, prize: 50 }]);
+
+  const csv = reportToCsv(report, csvCell).split('\n');
+  assert.equal(csv[0], 'section,key,value,detail');
+  assert.ok(csv.includes('summary,unique_players,2,'));
+  assert.ok(csv.includes('summary,new_players,2,1 played'));
+  assert.ok(csv.includes('runs_per_day,2026-10-02,0,0 players'));
+  assert.ok(csv.includes("winner,#1,50,'=cmd (60)"));   // formula defanged
+});
@@ -0,0 +1,124 @@
+// Immutable tournament results + payout ledger. Results are written once at
+// close-out; only payout_status/note may change afterwards. DB cases run against
+// an ISOLATED temp DB (FLAPPY_DATA_DIR).
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const TMP = fs.mkdtempSync(path.join(os.tmpdir(), 'flappy-results-'));
+process.env.FLAPPY_DATA_DIR = TMP;
+
+const db = require('../db');
+const dbh = db.init();
+const { csvCell } = require('../lib/csv-cell');
+const {
+  RESULT_COLUMNS, resultsToCsv, resultsToJson, parsePayoutArgs, changesResults,
+} = require('../lib/tournament-results');
+
+function setup() {
+  dbh.prepare("INSERT INTO tournaments (id, name, sponsor, start_time, end_time) VALUES ('cup', 'Cup', 'Acme', '2026-10-01T00:00:00Z', '2026-10-19T00:00:00Z')").run();
+  const insP = dbh.prepare('INSERT INTO players (telegram_id, first_name) VALUES (?, ?)');
+  insP.run(1, '=HYPERLINK("x")'); insP.run(2, 'Bee'); insP.run(3, 'Cee');
+  const ins = dbh.prepare('INSERT INTO tournament_scores (tournament_id, telegram_id, score, level, played_at) VALUES (?, ?, ?, ?, ?)');
+  ins.run('cup', 1, 90, 5, '2026-10-10 10:00:00');
+  ins.run('cup', 2, 80, 4, '2026-10-10 11:00:00');
+  ins.run('cup', 3, 70, 4, '2026-10-10 12:00:00');
+}
+setup();
+db.closeTournament('cup', null, [100, 50]);
+
+test('close-out records ranks, scores and prize slots (pending) once', () => {
+  const rows = db.getTournamentResults('cup');
+  assert.deepEqual(rows.map(r => [r.rank, r.telegram_id, r.score, r.prize, r.payout_status]), [
+    [1, 1, 90, 100, 'pending'],
+    [2, 2, 80, 50, 'pending'],
+    [3, 3, 70, null, null],
+  ]);
+  assert.equal(rows[0].best_at, '2026-10-10 10:00:00');
+});
+
+test('later bans and score removals do not change recorded results', () => {
+  db.banPlayer(1, 'late ban');
+  db.removeTournamentScores(2, 'cup');
+  assert.deepEqual(db.getFinalStandings('cup').map(e => [e.rank, e.telegram_id, e.best_score]),
+    [[1, 1, 90], [2, 2, 80], [3, 3, 70]]);
+  db.unbanPlayer(1);
+});
+
+test('result rows reject edits and deletes; payout columns stay writable', () => {
+  assert.throws(() => dbh.prepare("UPDATE tournament_results SET score = 999 WHERE tournament_id = 'cup' AND rank = 1").run(), /immutable/);
+  assert.throws(() => dbh.prepare("UPDATE tournament_results SET prize = 1 WHERE tournament_id = 'cup' AND rank = 1").run(), /immutable/);
+  assert.throws(() => dbh.prepare("DELETE FROM tournament_results WHERE tournament_id = 'cup'").run(), /immutable/);
+
+  assert.equal(db.setPayoutStatus('cup', 1, 'sent', 'paypal tx 123', 'telegram:9'), 1);
+  const r = db.getTournamentResults('cup')[0];
+  assert.equal(r.payout_status, 'sent');
+  assert.equal(r.payout_note, 'paypal tx 123');
+  assert.equal(r.payout_updated_by, 'telegram:9');
+  assert.ok(r.payout_updated_at);
+});
+
+test('a deleted tournament\'s id stays retired: no new row inherits its results', () => {
+  dbh.prepare("INSERT INTO tournaments (id, name, sponsor, start_time, end_time) VALUES ('gone', 'Gone', 'Acme', '2026-10-01T00:00:00Z', '2026-10-19T00:00:00Z')").run();
+  dbh.prepare("INSERT INTO tournament_scores (tournament_id, telegram_id, score, level, played_at) VALUES ('gone', 3, 40, 2, '2026-10-10 10:00:00')").run();
+  db.closeTournament('gone', null, [10]);
+  db.deleteTournament('gone');
+  assert.equal(db.hasTournamentResults('gone'), true);
+  assert.equal(db.hasTournamentResults('cup'), true);
+  assert.equal(db.hasTournamentResults('nope'), false);
+
+  db.createTournament('gone', 'Gone 2', 'Acme', '2026-11-01T00:00:00Z', '2026-11-19T00:00:00Z');
+  assert.equal(db.insertTournament({
+    id: 'gone', name: 'Gone 3', sponsor: 'Acme', start_time: '2026-11-01T00:00:00Z', end_time: '2026-11-19T00:00:00Z',
+    score_reset_at: null, prizes: null, options: null,
+  }), false);
+  assert.equal(db.getTournament('gone'), undefined);
+  assert.equal(db.getFinalStandings('gone'), null);
+
+  // A live row with results (closed, not deleted) still updates in place.
+  db.saveTournament({
+    id: 'cup', name: 'Cup!', sponsor: 'Acme', start_time: '2026-10-01T00:00:00Z', end_time: '2026-10-19T00:00:00Z',
+    score_reset_at: null, prizes: null, options: null,
+  }, 9);
+  assert.equal(db.getTournament('cup').name, 'Cup!');
+});
+
+test('setPayoutStatus ignores rows without a prize and rejects unknown statuses', () => {
+  assert.equal(db.setPayoutStatus('cup', 3, 'sent', null, 'telegram:9'), 0);
+  assert.equal(db.setPayoutStatus('nope', 1, 'sent', null, 'telegram:9'), 0);
+  assert.throws(() => db.setPayoutStatus('cup', 2, 'paid', null, 'telegram:9'), /CHECK/);
+});
+
+test('CSV export is csvCell-encoded; JSON keeps the export columns', () => {
+  const rows = db.getTournamentResults('cup');
+  const lines = resultsToCsv(rows, csvCell).split('\n');
+  assert.equal(lines[0], RESULT_COLUMNS.join(','));
+  assert.equal(lines.length, 4);
+  assert.ok(lines[1].startsWith(`cup,1,1,"'=HYPERLINK(""x"")"`), lines[1]);
+
+  const json = resultsToJson(rows);
+  assert.deepEqual(Object.keys(json[0]), RESULT_COLUMNS);
+  assert.equal(json[2].prize, null);
+});
+
+test('parsePayoutArgs', () => {
+  assert.deepEqual(parsePayoutArgs('cup 1 sent paypal tx 123'),
+    { ok: true, tournamentId: 'cup', rank: 1, status: 'sent', note: 'paypal tx 123' });
+  assert.deepEqual(parsePayoutArgs('cup #2 VOID'),
+    { ok: true, tournamentId: 'cup', rank: 2, status: 'void', note: null });
+  assert.equal(parsePayoutArgs('cup 1 paid').ok, false);
+  assert.equal(parsePayoutArgs('cup 0 sent').ok, false);
+  assert.equal(parsePayoutArgs('cup').ok, false);
+  assert.equal(parsePayoutArgs(undefined).ok, false);
+});
+
+test('changesResults: window, reset and prizes matter; name and sponsor do not', () => {
+  const t = { id: 'cup', name: 'Cup', sponsor: 'Acme', startTime: 'a', endTime: 'b', prizes: [100] };
+  assert.equal(changesResults(t, { ...t, name: 'Cup!', sponsor: 'Globex' }), false);
+  assert.equal(changesResults(t, { ...t, endTime: 'c' }), true);
+  assert.equal(changesResults(t, { ...t, prizes: [100, 50] }), true);
+  assert.equal(changesResults(t, { ...t, scoreResetAt: 'x' }), true);
+});
@@ -0,0 +1,122 @@
+// Tournament rule sets: validation, labels, and that getTournamentLeaderboard /
+// getTournamentPlayerRank rank by the configured rule (attempt limit, sum and
+// average of the top K) with the same tiebreak. DB cases run against an
+// ISOLATED temp DB (FLAPPY_DATA_DIR).
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const TMP = fs.mkdtempSync(path.join(os.tmpdir(), 'flappy-rules-'));
+process.env.FLAPPY_DATA_DIR = TMP;
+
+const db = require('../db');
+const dbh = db.init();
+const { validateRules, describeRules, scoreLabel, attemptsLeft } = require('../lib/tournament-rules');
+const { validateTournament } = require('../tournaments-config');
+
+test('validateRules accepts the three formats', () => {
+  assert.ok(validateRules({ scoring: 'best' }));
+  assert.ok(validateRules({ scoring: 'best', attempts: 3 }));
+  assert.ok(validateRules({ scoring: 'sum', topK: 5 }));
+  assert.ok(validateRules({ scoring: 'average', topK: 3, attempts: 10 }));
+});
+
+test('validateRules rejects malformed rule sets', () => {
+  for (const bad of [
+    null, [], 'best', {},
+    { scoring: 'median', topK: 3 },
+    { scoring: 'best', topK: 2 },            // topK only means something for sum/average
+    { scoring: 'sum' },                      // ...where it is required
+    { scoring: 'sum', topK: 0 },
+    { scoring: 'sum', topK: 2.5 },
+    { scoring: 'sum', topK: 101 },
+    { scoring: 'best', attempts: 0 },
+    { scoring: 'average', topK: 5, attempts: 3 }, // can't average more runs than allowed
+    { scoring: 'best', extra: true },
+  ]) assert.equal(validateRules(bad), false, JSON.stringify(bad));
+});
+
+test('validateTournament checks optional rules', () => {
+  const t = { id: 'x', name: 'X', sponsor: 'S', startTime: '2026-10-01T00:00:00Z', endTime: '2026-10-02T00:00:00Z' };
+  assert.ok(validateTournament({ ...t, rules: { scoring: 'sum', topK: 3 } }));
+  assert.equal(validateTournament({ ...t, rules: { scoring: 'sum' } }), false);
+});
+
+test('describeRules / scoreLabel / attemptsLeft', () => {
+  assert.equal(describeRules(null), null);
+  assert.equal(describeRules({ scoring: 'best', attempts: 3 }), 'Best of 3 attempts');
+  assert.equal(describeRules({ scoring: 'sum', topK: 5 }), 'Sum of your top 5 runs');
+  assert.equal(describeRules({ scoring: 'average', topK: 1, attempts: 1 }), 'Average of your top 1 run · 1 attempt');
+  assert.equal(scoreLabel(null), 'SCORE');
+  assert.equal(scoreLabel({ scoring: 'sum', topK: 2 }), 'TOTAL');
+  assert.equal(scoreLabel({ scoring: 'average', topK: 2 }), 'AVG');
+  assert.equal(attemptsLeft(null, 9), null);
+  assert.equal(attemptsLeft({ scoring: 'best', attempts: 3 }, 1), 2);
+  assert.equal(attemptsLeft({ scoring: 'best', attempts: 3 }, 5), 0);
+});
+
+// Fixture: A grinds many runs, B plays few but consistently, C ties B's total later.
+//   A: 10, 90, 20, 95  (in play order)
+//   B: 60, 70
+//   C: 70, 60          (C completes its 130 after B)
+dbh.prepare("INSERT INTO tournaments (id, name, sponsor, start_time, end_time) VALUES ('cup', 'Cup', 'Acme', '2026-10-01T00:00:00Z', '2026-10-06T00:00:00Z')").run();
+const ins = dbh.prepare('INSERT INTO tournament_scores (tournament_id, telegram_id, score, level, played_at) VALUES (?, ?, ?, ?, ?)');
+for (const [id, name] of [[1, 'A'], [2, 'B'], [3, 'C']]) {
+  dbh.prepare('INSERT INTO players (telegram_id, first_name) VALUES (?, ?)').run(id, name);
+}
+[[1, 10, '01'], [1, 90, '02'], [1, 20, '03'], [1, 95, '04'],
+ [2, 60, '01'], [2, 70, '02'],
+ [3, 70, '03'], [3, 60, '05']].forEach(([id, score, day]) =>
+  ins.run('cup', id, score, 3, `2026-10-${day} 12:00:00`));
+
+const board = (rules, since = null) =>
+  db.getTournamentLeaderboard('cup', 50, since, null, rules).map(e => [e.telegram_id, e.best_score]);
+
+test('without rules (and with scoring best) the board ranks by the single best run', () => {
+  assert.deepEqual(board(null), [[1, 95], [2, 70], [3, 70]]);
+  assert.deepEqual(board({ scoring: 'best' }), board(null));
+});
+
+test('attempt limit: only the first N runs count', () => {
+  assert.deepEqual(board({ scoring: 'best', attempts: 1 }), [[3, 70], [2, 60], [1, 10]]);
+  const rows = db.getTournamentLeaderboard('cup', 50, null, null, { scoring: 'best', attempts: 2 });
+  assert.deepEqual(rows.map(e => [e.telegram_id, e.best_score]), [[1, 90], [2, 70], [3, 70]]);
+  assert.equal(rows[0].games_played, 4, 'games_played still reports every run');
+});
+
+test('sum of top K, ties broken by who completed the total first', () => {
+  assert.deepEqual(board({ scoring: 'sum', topK: 2 }), [[1, 185], [2, 130], [3, 130]]);
+  assert.deepEqual(board({ scoring: 'sum', topK: 2, attempts: 2 }), [[2, 130], [3, 130], [1, 100]]);
+});
+
+test('average of top K counts missing runs as 0', () => {
+  assert.deepEqual(board({ scoring: 'average', topK: 3 }), [[1, 68.3], [2, 43.3], [3, 43.3]]);
+});
+
+test('the since boundary applies to the rule-set ranking too', () => {
+  assert.deepEqual(board({ scoring: 'sum', topK: 2 }, '2026-10-03 00:00:00'), [[3, 130], [1, 115]]);
+});
+
+test('getTournamentPlayerRank matches the rule-set board order', () => {
+  for (const rules of [{ scoring: 'sum', topK: 2, attempts: 2 }, { scoring: 'average', topK: 3 }, { scoring: 'best', attempts: 1 }]) {
+    const order = db.getTournamentLeaderboard('cup', 50, null, null, rules).map(e => e.telegram_id);
+    order.forEach((id, i) => assert.equal(db.getTournamentPlayerRank('cup', id, null, rules), i + 1, JSON.stringify(rules)));
+  }
+  assert.equal(db.getTournamentPlayerRank('cup', 99, null, { scoring: 'sum', topK: 2 }), null);
+});
+
+test('countTournamentAttempts includes runs waiting in the review queue', () => {
+  assert.equal(db.countTournamentAttempts('cup', 2), 2);
+  db.flagScore({ board: 'tournament', tournamentId: 'cup', telegramId: 2, score: 80, level: 3, coinsEarned: 0, reasons: ['score_jump'], history: {} });
+  assert.equal(db.countTournamentAttempts('cup', 2), 3);
+  assert.equal(db.countTournamentAttempts('cup', 2, '2026-10-02 00:00:00'), 2);
+});
+
+test('closeTournament records results under the rule set', () => {
+  db.rejectPlayerReviews(2, 99);                                   // close-out waits for the review queue
+  const standings = db.closeTournament('cup', null, [10], { scoring: 'sum', topK: 2, attempts: 2 });
+  assert.deepEqual(standings.map(e => [e.rank, e.telegram_id, e.score, e.prize]), [[1, 2, 130, 10], [2, 3, 130, null], [3, 1, 100, null]]);
+});
@@ -0,0 +1,102 @@
+// Multi-stage tournaments: config validation, which stage is active / live,
+// and that db.closeStage freezes one stage's board (bounded on both ends) once,
+// with its prizes and qualification cut. DB cases run against an ISOLATED temp
+// DB (FLAPPY_DATA_DIR).
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const TMP = fs.mkdtempSync(path.join(os.tmpdir(), 'flappy-stages-'));
+process.env.FLAPPY_DATA_DIR = TMP;
+
+const db = require('../db');
+const dbh = db.init();
+const {
+  validateStages, activeStageIndex, liveStageIndex, stageWindowSql, stageLabel, dueStageCloseouts, stageFromParam,
+} = require('../lib/tournament-stages');
+const { validateTournament } = require('../tournaments-config');
+const { changesResults } = require('../lib/tournament-results');
+
+const T = { id: 'tour', name: 'Tour', sponsor: 'S', startTime: '2026-10-01T00:00:00Z', endTime: '2026-10-10T00:00:00Z' };
+const STAGES = [
+  { name: 'Qualifiers', startTime: '2026-10-01T00:00:00Z', endTime: '2026-10-04T00:00:00Z', prizes: [20], advance: 2 },
+  { name: 'Semis', startTime: '2026-10-05T00:00:00Z', endTime: '2026-10-07T00:00:00Z', advance: 1 },
+  { name: 'Final', startTime: '2026-10-08T00:00:00Z', endTime: '2026-10-10T00:00:00Z' },
+];
+const at = (iso) => Date.parse(iso);
+
+test('validateStages: ordered, non-overlapping windows inside the tournament', () => {
+  assert.ok(validateStages(STAGES, T.startTime, T.endTime));
+  assert.ok(validateTournament({ ...T, stages: STAGES }));
+  const bad = [
+    [],
+    [{ ...STAGES[0], name: '' }],
+    [{ ...STAGES[0], startTime: '2026-09-30T00:00:00Z' }],                    // before the tournament
+    [STAGES[1], STAGES[0]],                                                    // out of order
+    [STAGES[0], { ...STAGES[1], startTime: '2026-10-03T00:00:00Z' }],          // overlaps
+    [STAGES[0], { ...STAGES[2], endTime: '2026-10-11T00:00:00Z' }],            // past the end
+    [STAGES[0], { ...STAGES[2], advance: 4 }],                                 // nothing to advance to
+    [STAGES[0], { ...STAGES[2], prizes: [5] }],                                // last stage pays the tournament prizes
+    [{ ...STAGES[0], advance: 0 }, STAGES[2]],
+    [{ ...STAGES[0], cut: 8 }, STAGES[2]],
+  ];
+  for (const stages of bad) assert.equal(validateStages(stages, T.startTime, T.endTime), false, JSON.stringify(stages));
+  assert.equal(validateTournament({ ...T, stages: STAGES, scoreResetAt: '2026-10-05T00:00:00Z' }), false);
+  assert.ok(changesResults({ ...T, stages: STAGES }, { ...T, stages: STAGES.slice(1) }));
+});
+
+test('active stage (boards) vs live stage (runs)', () => {
+  assert.equal(activeStageIndex(STAGES, at('2026-09-30T00:00:00Z')), 0);
+  assert.equal(activeStageIndex(STAGES, at('2026-10-04T12:00:00Z')), 0);   // between stages: last one's board
+  assert.equal(activeStageIndex(STAGES, at('2026-10-06T00:00:00Z')), 1);
+  assert.equal(liveStageIndex(STAGES, at('2026-10-04T12:00:00Z')), -1);
+  assert.equal(liveStageIndex(STAGES, at('2026-10-08T00:00:00Z')), 2);
+  assert.deepEqual(stageWindowSql(STAGES[1]), { since: '2026-10-05 00:00:00', until: '2026-10-07 00:00:00' });
+  assert.equal(stageLabel(STAGES, 1), 'Stage 2/3 · Semis');
+  assert.deepEqual(dueStageCloseouts(STAGES, [], at('2026-10-09T00:00:00Z')), [0, 1]);   // never the last
+  assert.deepEqual(dueStageCloseouts(STAGES, [0], at('2026-10-09T00:00:00Z')), [1]);
+  assert.deepEqual(dueStageCloseouts(STAGES, [], at('2026-10-02T00:00:00Z')), []);
+  assert.equal(stageFromParam('2', STAGES), 1);
+  assert.equal(stageFromParam('0', STAGES), -1);
+  assert.equal(stageFromParam('x', STAGES), -1);
+});
+
+test('closeStage freezes one window once, with prizes and the qualification cut', () => {
+  dbh.prepare('INSERT INTO tournaments (id, name, sponsor, start_time, end_time) VALUES (?, ?, ?, ?, ?)')
+    .run('tour', 'Tour', 'S', T.startTime, T.endTime);
+  for (const id of [1, 2, 3]) db.upsertPlayer(id, `P${id}`, null);
+  const score = (id, s, playedAt) => dbh.prepare(
+    'INSERT INTO tournament_scores (tournament_id, telegram_id, score, level, coins_earned, played_at) VALUES (?, ?, ?, 1, 0, ?)'
+  ).run('tour', id, s, playedAt);
+  score(1, 50, '2026-10-02 00:00:00');
+  score(2, 70, '2026-10-02 01:00:00');
+  score(3, 60, '2026-10-03 00:00:00');
+  score(3, 500, '2026-10-05 10:00:00');   // stage 2 — must not leak into stage 1's board
+
+  assert.equal(db.getStageResults('tour', 0), null);
+  assert.ok(db.closeStage('tour', 0, stageWindowSql(STAGES[0]), STAGES[0].prizes, null, STAGES[0].advance));
+  assert.equal(db.closeStage('tour', 0, stageWindowSql(STAGES[0]), STAGES[0].prizes, null, STAGES[0].advance), false);
+
+  const board = db.getStageResults('tour', 0);
+  assert.deepEqual(board.map(e => [e.telegram_id, e.best_score, e.prize, e.qualified]),
+    [[2, 70, 20, 1], [3, 60, null, 1], [1, 50, null, 0]]);
+  assert.ok(db.isQualified('tour', 0, 3));
+  assert.equal(db.isQualified('tour', 0, 1), false);
+  assert.deepEqual(db.getClosedStages('tour'), [0]);
+  assert.throws(() => dbh.prepare('UPDATE tournament_stage_results SET score = 1').run(), /immutable/);
+
+  assert.ok(db.claimStageAnnouncement('tour', 0));
+  assert.equal(db.claimStageAnnouncement('tour', 0), false);
+});
+
+test('the live board is bounded by the active stage start', () => {
+  const board = db.getTournamentLeaderboard('tour', 50, stageWindowSql(STAGES[1]).since);
+  assert.deepEqual(board.map(e => [e.telegram_id, e.best_score]), [[3, 500]]);
+  const stage1 = db.getTournamentLeaderboard('tour', 50, stageWindowSql(STAGES[0]).since, null, null, stageWindowSql(STAGES[0]).until);
+  assert.equal(stage1[0].best_score, 70);
+  const sum = db.getTournamentLeaderboard('tour', 50, '2026-10-01 00:00:00', null, { scoring: 'sum', topK: 2 }, '2026-10-04 00:00:00');
+  assert.equal(sum.find(e => e.telegram_id === 3).best_score, 60);
+});
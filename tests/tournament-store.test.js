@@ -0,0 +1,56 @@
+// Runtime tournament management — the tournaments table is the source of truth.
+// Boot seeding from tournaments.json must keep never-edited rows in step with the
+// file but never clobber a row an admin changed via /tnew, /tedit, /tend, /tprizes.
+// Drives the REAL db.js against an ISOLATED temp DB (FLAPPY_DATA_DIR).
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const TMP = fs.mkdtempSync(path.join(os.tmpdir(), 'flappy-tstore-'));
+process.env.FLAPPY_DATA_DIR = TMP;
+
+const db = require('../db');
+db.init();
+const { tournamentFromRow, tournamentToRow, validateTournament } = require('../tournaments-config');
+
+const base = {
+  id: 'cup-1', name: 'Cup One', sponsor: 'Acme',
+  startTime: '2026-10-01T00:00:00Z', endTime: '2026-10-31T00:00:00Z',
+};
+
+test('seedTournament inserts, then follows file edits while the row is unedited', () => {
+  db.seedTournament(tournamentToRow(base));
+  assert.equal(db.getTournament('cup-1').name, 'Cup One');
+
+  db.seedTournament(tournamentToRow({ ...base, name: 'Cup One (renamed)', prizes: [50, 25] }));
+  const cfg = tournamentFromRow(db.getTournament('cup-1'));
+  assert.equal(cfg.name, 'Cup One (renamed)');
+  assert.deepEqual(cfg.prizes, [50, 25]);
+});
+
+test('seedTournament never overwrites an admin-edited row', () => {
+  db.saveTournament(tournamentToRow({ ...base, endTime: '2026-10-20T00:00:00Z' }), 42);
+  db.seedTournament(tournamentToRow(base));
+
+  const row = db.getTournament('cup-1');
+  assert.equal(row.end_time, '2026-10-20T00:00:00Z');
+  assert.equal(row.edited_by, 42);
+  assert.ok(row.edited_at);
+});
+
+test('saveTournament round-trips every config field through tournamentFromRow', () => {
+  const cfg = {
+    id: 'cup-2', name: 'Cup Two', sponsor: 'Globex',
+    startTime: '2026-11-01T00:00:00Z', endTime: '2026-11-08T00:00:00Z',
+    scoreResetAt: '2026-11-02T00:00:00Z', prizes: [100, 60, 30],
+    sameCourse: true, courseSeed: 12345,
+  };
+  db.saveTournament(tournamentToRow(cfg), 7);
+
+  const back = tournamentFromRow(db.getTournament('cup-2'));
+  assert.deepEqual(back, cfg);
+  assert.ok(validateTournament(back));
+});
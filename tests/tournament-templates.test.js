@@ -0,0 +1,123 @@
+// Recurring tournament templates: schedule parsing, occurrence generation
+// (weekly / monthly, the live occurrence included), instance configs, template
+// validation + loading, and insert-only materialization against an ISOLATED
+// temp DB (FLAPPY_DATA_DIR).
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const TMP = fs.mkdtempSync(path.join(os.tmpdir(), 'flappy-templates-'));
+process.env.FLAPPY_DATA_DIR = TMP;
+
+const db = require('../db');
+db.init();
+const {
+  parseMoment, occurrences, instanceConfig, upcomingInstances, validateTemplate,
+} = require('../lib/tournament-templates');
+const {
+  validateTournamentTemplate, loadTemplatesFromFile, tournamentToRow, tournamentFromRow, getFeaturedTournament,
+} = require('../tournaments-config');
+
+const WEEKEND = {
+  id: 'weekend-flap', name: 'Weekend Flap {date}', sponsor: 'Dr. Inker LABS',
+  every: 'week', start: 'sat 00:00', end: 'sun 23:59:59', prizes: [50, 30, 20],
+};
+const MONTHLY = {
+  id: 'monthly-cup', name: '{month} {year} Cup', sponsor: 'Dr. Inker LABS',
+  every: 'month', start: '1 00:00', end: 'last 23:59:59',
+};
+const at = (iso) => Date.parse(iso);
+const iso = (o) => [new Date(o.startMs).toISOString(), new Date(o.endMs).toISOString()];
+
+test('parseMoment', () => {
+  assert.deepEqual(parseMoment('week', 'sat 00:00'), { day: 6, h: 0, m: 0, s: 0 });
+  assert.deepEqual(parseMoment('month', 'last 23:59:59'), { day: 'last', h: 23, m: 59, s: 59 });
+  for (const [every, spec] of [['week', 'caturday 00:00'], ['week', 'sat 24:00'], ['month', '31 00:00'], ['month', '1 9:00'], ['day', 'mon 00:00']]) {
+    assert.equal(parseMoment(every, spec), null, `${every} ${spec}`);
+  }
+});
+
+test('weekly occurrences: Saturday 00:00 – Sunday 23:59:59, the live one included', () => {
+  // 2026-10-19 is a Monday; 2026-10-24 the next Saturday.
+  assert.deepEqual(occurrences(WEEKEND, at('2026-10-19T12:00:00Z'), at('2026-11-02T12:00:00Z')).map(iso), [
+    ['2026-10-24T00:00:00.000Z', '2026-10-25T23:59:59.000Z'],
+    ['2026-10-31T00:00:00.000Z', '2026-11-01T23:59:59.000Z'],
+  ]);
+  // Sunday afternoon: this weekend's instance is still live.
+  assert.deepEqual(occurrences(WEEKEND, at('2026-10-25T15:00:00Z'), at('2026-10-26T00:00:00Z')).map(iso), [
+    ['2026-10-24T00:00:00.000Z', '2026-10-25T23:59:59.000Z'],
+  ]);
+});
+
+test('monthly occurrences run to the last day of each month', () => {
+  assert.deepEqual(occurrences(MONTHLY, at('2027-01-15T00:00:00Z'), at('2027-03-01T00:00:00Z')).map(iso), [
+    ['2027-01-01T00:00:00.000Z', '2027-01-31T23:59:59.000Z'],
+    ['2027-02-01T00:00:00.000Z', '2027-02-28T23:59:59.000Z'],
+    ['2027-03-01T00:00:00.000Z', '2027-03-31T23:59:59.000Z'],
+  ]);
+});
+
+test('instanceConfig fills the name pattern, dated id and default prizes', () => {
+  const [o] = occurrences(WEEKEND, at('2026-10-19T00:00:00Z'), at('2026-10-26T00:00:00Z'));
+  assert.deepEqual(instanceConfig({ ...WEEKEND, rules: { scoring: 'best', attempts: 5 } }, o), {
+    id: 'weekend-flap-2026-10-24', name: 'Weekend Flap 2026-10-24', sponsor: 'Dr. Inker LABS',
+    startTime: '2026-10-24T00:00:00Z', endTime: '2026-10-25T23:59:59Z', prizes: [50, 30, 20],
+    rules: { scoring: 'best', attempts: 5 },
+  });
+  const [m] = occurrences(MONTHLY, at('2026-11-02T00:00:00Z'), at('2026-11-03T00:00:00Z'));
+  assert.equal(instanceConfig(MONTHLY, m).name, 'November 2026 Cup');
+});
+
+test('template validation', () => {
+  assert.ok(validateTournamentTemplate(WEEKEND));
+  assert.ok(validateTournamentTemplate({ ...MONTHLY, modifiers: { startLevel: 3 } }));
+  for (const bad of [
+    { ...WEEKEND, id: 'Bad Id' },
+    { ...WEEKEND, every: 'day' },
+    { ...WEEKEND, end: 'someday' },
+    { ...WEEKEND, prizes: [-5] },                                      // fails validateTournament
+    { ...WEEKEND, scoreResetAt: '2026-10-24T12:00:00Z' },               // a fixed date
+    { ...WEEKEND, registration: { closesAt: '2026-10-24T12:00:00Z' } },
+    { ...WEEKEND, rules: { scoring: 'median' } },
+  ]) assert.equal(validateTournamentTemplate(bad), false, JSON.stringify(bad));
+  assert.equal(validateTemplate(null), false);
+});
+
+test('loadTemplatesFromFile: optional file, invalid entries skipped', () => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'flappy-test-'));
+  const file = path.join(dir, 'tournament-templates.json');
+  try {
+    assert.deepEqual(loadTemplatesFromFile(file), []);
+    fs.writeFileSync(file, JSON.stringify([WEEKEND, { ...MONTHLY, every: 'fortnight' }]));
+    assert.deepEqual(loadTemplatesFromFile(file).map(t => t.id), ['weekend-flap']);
+  } finally {
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+});
+
+test('the committed tournament-templates.example.json loads in full', () => {
+  const file = path.join(__dirname, '..', 'tournament-templates.example.json');
+  assert.deepEqual(loadTemplatesFromFile(file).map(t => t.id), ['weekend-flap', 'monthly-cup']);
+});
+
+test('materialized instances are insert-only and featured like any tournament', () => {
+  const now = at('2026-10-19T12:00:00Z');
+  const due = upcomingInstances([WEEKEND, MONTHLY], now);
+  assert.deepEqual(due.map(c => c.id), [
+    'weekend-flap-2026-10-24', 'weekend-flap-2026-10-31', 'monthly-cup-2026-10-01', 'monthly-cup-2026-11-01',
+  ]);
+  for (const cfg of due) assert.ok(db.insertTournament(tournamentToRow(cfg)));
+  for (const cfg of due) assert.equal(db.insertTournament(tournamentToRow(cfg)), false);
+
+  // An admin edit to an instance survives the next pass.
+  db.saveTournament(tournamentToRow({ ...due[0], name: 'Halloween Weekend' }), 'telegram:1');
+  db.insertTournament(tournamentToRow(due[0]));
+  assert.equal(db.getTournament('weekend-flap-2026-10-24').name, 'Halloween Weekend');
+
+  const all = db.getAllTournaments().map(tournamentFromRow);
+  assert.equal(getFeaturedTournament(all, new Date(now)).id, 'monthly-cup-2026-10-01');
+  assert.equal(getFeaturedTournament(all.filter(t => !t.id.startsWith('monthly')), new Date(now)).id, 'weekend-flap-2026-10-24');
+});
@@ -4,7 +4,7 @@ const fs = require('node:fs');
 const path = require('node:path');
 const os = require('node:os');
 
-const { loadTournamentsFromFile, validateTournament } = require('../tournaments-config');
+const { loadTournamentsFromFile, validateTournament, publicTournamentRow } = require('../tournaments-config');
 
 function withTempFile(contents, fn) {
   const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'flappy-test-'));
@@ -203,3 +203,25 @@ test('rejects invalid optional fields', () => {
 test('still valid with neither optional field (backward compatible)', () => {
   assert.equal(validateTournament({ id: 't', name: 'T', sponsor: 'S', startTime: '2026-06-01T00:00:00Z', endTime: '2026-09-01T00:00:00Z' }), true);
 });
+
+test('accepts optional sameCourse + courseSeed when valid', () => {
+  const base = { id: 't', name: 'T', sponsor: 'S', startTime: '2026-06-01T00:00:00Z', endTime: '2026-09-01T00:00:00Z' };
+  assert.equal(validateTournament({ ...base, sameCourse: true }), true);
+  assert.equal(validateTournament({ ...base, sameCourse: true, courseSeed: 123456 }), true);
+  assert.equal(validateTournament({ ...base, sameCourse: 'yes' }), false);
+  assert.equal(validateTournament({ ...base, courseSeed: -1 }), false);
+  assert.equal(validateTournament({ ...base, courseSeed: 2 ** 32 }), false);
+  assert.equal(validateTournament({ ...base, courseSeed: 1.5 }), false);
+});
+
+test('publicTournamentRow keeps only the public columns', () => {
+  const row = {
+    id: 'cup', name: 'Cup', sponsor: 'Acme', start_time: '2026-10-01T00:00:00Z', end_time: '2026-10-19T00:00:00Z',
+    status: 'scheduled', created_at: '2026-09-01 00:00:00', score_reset_at: null, prizes: '[100]', options: '{"rules":{}}',
+    edited_at: '2026-09-02 00:00:00', edited_by: 12345, closed_at: '2026-10-19 00:05:00',
+  };
+  const pub = publicTournamentRow(row);
+  assert.deepEqual(Object.keys(pub), ['id', 'name', 'sponsor', 'start_time', 'end_time', 'created_at']);
+  assert.equal('edited_by' in pub, false);
+  assert.equal(JSON.stringify(pub).includes('12345'), false);
+});
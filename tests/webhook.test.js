@@ -0,0 +1,106 @@
+// Webhook mode: env → config (polling fallback, bad URL/secret rejected), the
+// secret-token check on the update route, and setWebhook/deleteWebhook with
+// per-instance ownership — against a local fake Bot API (baseApiUrl).
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const express = require('express');
+const TelegramBot = require('node-telegram-bot-api');
+
+const {
+  webhookConfig, webhookRoute, webhookUrl, newInstanceId, isTelegramRequest, webhookHandler,
+  registerWebhook, releaseWebhook,
+} = require('../lib/webhook');
+
+const TOKEN = '123456:TEST';
+
+function listen(app) {
+  return new Promise((resolve) => {
+    const server = app.listen(0, '127.0.0.1', () => resolve({ server, url: `http://127.0.0.1:${server.address().port}` }));
+  });
+}
+const close = (server) => new Promise((resolve) => server.close(resolve));
+
+test('config: polling without WEBHOOK_URL, derived or explicit secret with it', () => {
+  assert.deepEqual(webhookConfig({}, TOKEN), { enabled: false });
+  const cfg = webhookConfig({ WEBHOOK_URL: 'https://flappy.example.com/' }, TOKEN);
+  assert.equal(cfg.enabled, true);
+  assert.equal(cfg.baseUrl, 'https://flappy.example.com');
+  assert.match(cfg.secretToken, /^[0-9a-f]{64}$/);
+  assert.notEqual(webhookConfig({ WEBHOOK_URL: 'https://x.dev' }, '999:OTHER').secretToken, cfg.secretToken);
+  assert.ok(!webhookRoute(cfg).includes(cfg.secretToken));   // the path never shows the secret
+  assert.equal(webhookConfig({ WEBHOOK_URL: 'https://x.dev', WEBHOOK_SECRET: 'my_secret-1' }, TOKEN).secretToken, 'my_secret-1');
+
+  assert.throws(() => webhookConfig({ WEBHOOK_URL: 'http://insecure.dev' }, TOKEN), /https/);
+  assert.throws(() => webhookConfig({ WEBHOOK_URL: 'https://x.dev', WEBHOOK_SECRET: 'has space' }, TOKEN), /WEBHOOK_SECRET/);
+
+  const a = webhookUrl(cfg, newInstanceId());
+  assert.notEqual(a, webhookUrl(cfg, newInstanceId()));
+  assert.ok(a.startsWith(`https://flappy.example.com/telegram/webhook/${cfg.pathKey}/`));
+  assert.equal(isTelegramRequest(cfg.secretToken, cfg.secretToken), true);
+  assert.equal(isTelegramRequest('nope', cfg.secretToken), false);
+  assert.equal(isTelegramRequest(undefined, cfg.secretToken), false);
+});
+
+test('update route: only requests with the secret token reach the bot', async () => {
+  const cfg = webhookConfig({ WEBHOOK_URL: 'https://x.dev' }, TOKEN);
+  const received = [];
+  const app = express();
+  app.use(express.json());
+  app.post(webhookRoute(cfg), webhookHandler({ processUpdate: (u) => received.push(u.update_id) }, cfg.secretToken));
+  const { server, url } = await listen(app);
+  try {
+    const post = (headers) => fetch(`${url}/telegram/webhook/${cfg.pathKey}/abc123`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json', ...headers },
+      body: JSON.stringify({ update_id: 7 }),
+    });
+    assert.equal((await post({})).status, 401);
+    assert.equal((await post({ 'X-Telegram-Bot-Api-Secret-Token': 'wrong' })).status, 401);
+    assert.equal((await post({ 'X-Telegram-Bot-Api-Secret-Token': cfg.secretToken })).status, 200);
+    assert.deepEqual(received, [7]);
+    const bad = await fetch(`${url}/telegram/webhook/${cfg.pathKey}/abc123`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json', 'X-Telegram-Bot-Api-Secret-Token': cfg.secretToken },
+      body: JSON.stringify({ message: {} }),
+    });
+    assert.equal(bad.status, 400);
+    assert.deepEqual(received, [7]);
+  } finally {
+    await close(server);
+  }
+});
+
+test('setWebhook at startup; deleteWebhook at shutdown only while still ours', async () => {
+  let current = '';
+  const calls = [];
+  const api = express();
+  api.use(express.urlencoded({ extended: false }));
+  api.post('/bot:token/:method', (req, res) => {
+    const { method } = req.params;
+    calls.push({ method, params: { ...req.query, ...req.body } });
+    if (method === 'setWebHook') current = req.query.url;
+    if (method === 'deleteWebhook') current = '';
+    if (method === 'getWebhookInfo') return res.json({ ok: true, result: { url: current, pending_update_count: 0 } });
+    res.json({ ok: true, result: true });
+  });
+  const { server, url } = await listen(api);
+  try {
+    const bot = new TelegramBot(TOKEN, { polling: false, baseApiUrl: url });
+    const cfg = webhookConfig({ WEBHOOK_URL: 'https://x.dev' }, TOKEN);
+    const oldUrl = webhookUrl(cfg, 'old');
+    const newUrl = webhookUrl(cfg, 'new');
+
+    await registerWebhook(bot, oldUrl, cfg.secretToken);
+    assert.deepEqual(calls.at(-1).params, { url: oldUrl, secret_token: cfg.secretToken });
+    await registerWebhook(bot, newUrl, cfg.secretToken);   // next deploy takes over
+
+    assert.equal(await releaseWebhook(bot, oldUrl), false);
+    assert.equal(current, newUrl);
+    assert.equal(await releaseWebhook(bot, newUrl), true);
+    assert.equal(current, '');
+    assert.equal(calls.filter(c => c.method === 'deleteWebhook').length, 1);
+  } finally {
+    await close(server);
+  }
+});
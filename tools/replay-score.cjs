@@ -0,0 +1,38 @@
+// Reproduces a disputed run from the stored seed + input log, using the same
+// lib/flappy-sim.js the game and the server verifier run.
+//
+//   node tools/replay-score.cjs <weekly|tournament> --player <telegram_id>   # list runs + ids
+//   node tools/replay-score.cjs <weekly|tournament> <score_id>               # re-simulate one
+//
+// Reads the live DB (FLAPPY_DATA_DIR respected). Read-only.
+const db = require('../db');
+const { replayRun } = require('../lib/flappy-sim');
+
+const [board, arg, value] = process.argv.slice(2);
+if (!['weekly', 'tournament'].includes(board) || !arg) {
+  console.error('usage: node tools/replay-score.cjs <weekly|tournament> (<score_id> | --player <telegram_id>)');
+  process.exit(2);
+}
+db.init();
+
+if (arg === '--player') {
+  const runs = db.getPlayerRuns(board, Number(value), 20);
+  if (!runs.length) { console.log('no runs'); process.exit(0); }
+  for (const r of runs) {
+    console.log(`#${r.id}  score=${r.score}  level=${r.level}  seed=${r.seed ?? '-'}  replay=${r.has_replay ? 'yes' : 'no'}  ${r.played_at}`);
+  }
+  process.exit(0);
+}
+
+const run = db.getScoreRun(board, Number(arg));
+if (!run) { console.error(`no ${board} score #${arg}`); process.exit(1); }
+if (run.seed == null || !run.replay) {
+  console.error(`score #${run.id} has no stored seed/replay (submitted before run recording)`);
+  process.exit(1);
+}
+const out = replayRun(run.replay, run.seed);
+console.log(`stored:   score=${run.score} level=${run.level} player=${run.telegram_id} seed=${run.seed}`);
+console.log(`replayed: score=${out.score} level=${out.level} steps=${out.steps} died=${out.died}`);
+const ok = out.died && out.score === run.score;
+console.log(ok ? '\n>>> MATCH — the inputs reproduce the stored score' : '\n>>> MISMATCH — the inputs do NOT reproduce the stored score');
+process.exit(ok ? 0 : 1);
@@ -23,7 +23,7 @@ const post = (path, body) => fetch(`http://127.0.0.1:${PORT}${path}`, {
 }).then(async (r) => ({ status: r.status, body: await r.json().catch(() => ({})) }));
 
 (async () => {
-  const srv = spawn('node', ['bot.js'], {
+  const srv = spawn('node', ['api.js'], {
     cwd: '/opt/Flappy-Bert',
     env: { ...process.env, BOT_TOKEN: TOKEN, API_SECRET: SECRET, PORT: String(PORT) },
     stdio: ['ignore', 'ignore', 'ignore'],
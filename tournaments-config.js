@@ -1,9 +1,22 @@
 // tournaments-config.js — loads and validates tournament configuration
-// from a JSON file. Pure module: no side effects, no DB access.
+// from a JSON file, and maps configs to/from `tournaments` DB rows (the DB is
+// the source of truth at runtime; the file only seeds it). Pure module: no side
+// effects, no DB access.
 
 const fs = require('node:fs');
+const { isCourseSeed } = require('./lib/course-seed');
+const { validateRules } = require('./lib/tournament-rules');
+const { validateModifiers } = require('./lib/tournament-modifiers');
+const { validateRegistration } = require('./lib/tournament-entry');
+const { validateBracket, bracketCap } = require('./lib/tournament-bracket');
+const { validateStages } = require('./lib/tournament-stages');
+const { validateBranding } = require('./lib/tournament-branding');
+const { validateTemplate, occurrences, instanceConfig } = require('./lib/tournament-templates');
 
 const REQUIRED_FIELDS = ['id', 'name', 'sponsor', 'startTime', 'endTime'];
+// Optional per-tournament settings with no dedicated column — stored together in
+// tournaments.options (JSON). scoreResetAt / prizes have their own columns.
+const OPTION_FIELDS = ['sameCourse', 'courseSeed', 'rules', 'modifiers', 'registration', 'bracket', 'stages', 'branding'];
 
 function validateTournament(obj) {
   if (!obj || typeof obj !== 'object') return false;
@@ -20,10 +33,86 @@ function validateTournament(obj) {
   if (obj.prizes !== undefined) {
     if (!Array.isArray(obj.prizes) || obj.prizes.some((p) => typeof p !== 'number' || !Number.isFinite(p) || p < 0)) return false;
   }
+  // Optional "same course for everyone" (lib/course-seed): every entrant gets one seed.
+  if (obj.sameCourse !== undefined && typeof obj.sameCourse !== 'boolean') return false;
+  if (obj.courseSeed !== undefined && !isCourseSeed(obj.courseSeed)) return false;
+  // Optional rule set (lib/tournament-rules): attempt limit, sum/average of top K.
+  if (obj.rules !== undefined && !validateRules(obj.rules)) return false;
+  // Optional gameplay modifiers (lib/tournament-modifiers): shop boosts, pickups, start level.
+  if (obj.modifiers !== undefined && !validateModifiers(obj.modifiers)) return false;
+  // Optional registration terms (lib/tournament-entry): coin fee, cap, closing time.
+  if (obj.registration !== undefined && !validateRegistration(obj.registration, obj.endTime)) return false;
+  // Optional knockout format (lib/tournament-bracket). Ranked by the bracket, so no
+  // rule set; the field is fixed at startTime and can't exceed the bracket.
+  if (obj.bracket !== undefined) {
+    if (!validateBracket(obj.bracket) || obj.rules !== undefined) return false;
+    const reg = obj.registration || {};
+    if (reg.cap !== undefined && reg.cap > bracketCap(obj.bracket)) return false;
+    if (reg.closesAt !== undefined && Date.parse(reg.closesAt) > Date.parse(obj.startTime)) return false;
+  }
+  // Optional stages (lib/tournament-stages): they replace the single scoreResetAt
+  // boundary, and a bracket has rounds of its own.
+  if (obj.stages !== undefined) {
+    if (!validateStages(obj.stages, obj.startTime, obj.endTime)) return false;
+    if (obj.scoreResetAt !== undefined || obj.bracket !== undefined) return false;
+  }
+  // Optional sponsor branding (lib/tournament-branding): logo, palette, tagline, CTA link.
+  if (obj.branding !== undefined && !validateBranding(obj.branding)) return false;
   return true;
 }
 
-function loadTournamentsFromFile(filepath) {
+// DB row (db.getAllTournaments) → config object in the tournaments.json shape.
+function tournamentFromRow(row) {
+  const cfg = {
+    id: row.id,
+    name: row.name,
+    sponsor: row.sponsor,
+    startTime: row.start_time,
+    endTime: row.end_time,
+  };
+  if (row.score_reset_at) cfg.scoreResetAt = row.score_reset_at;
+  if (row.prizes) {
+    try { cfg.prizes = JSON.parse(row.prizes); } catch (e) { cfg.prizes = 'corrupt'; }
+  }
+  if (row.options) {
+    let opts = null;
+    try { opts = JSON.parse(row.options); } catch (e) { opts = null; }
+    if (opts && typeof opts === 'object') {
+      for (const k of OPTION_FIELDS) if (opts[k] !== undefined) cfg[k] = opts[k];
+    }
+  }
+  return cfg;
+}
+
+// Config object → column values for db.saveTournament / db.seedTournament.
+function tournamentToRow(cfg) {
+  const opts = {};
+  for (const k of OPTION_FIELDS) if (cfg[k] !== undefined) opts[k] = cfg[k];
+  return {
+    id: cfg.id,
+    name: cfg.name,
+    sponsor: cfg.sponsor,
+    start_time: cfg.startTime,
+    end_time: cfg.endTime,
+    score_reset_at: cfg.scoreResetAt || null,
+    prizes: cfg.prizes === undefined ? null : JSON.stringify(cfg.prizes),
+    options: Object.keys(opts).length ? JSON.stringify(opts) : null,
+  };
+}
+
+// The columns of a tournaments row that unauthenticated API responses may show.
+// The rest is internal (edited_by is an admin's Telegram id) or served parsed
+// elsewhere (prizes, options → rules, stages, registration…).
+const PUBLIC_ROW_FIELDS = ['id', 'name', 'sponsor', 'start_time', 'end_time', 'created_at'];
+
+function publicTournamentRow(row) {
+  const out = {};
+  for (const k of PUBLIC_ROW_FIELDS) out[k] = row[k] === undefined ? null : row[k];
+  return out;
+}
+
+// Parsed JSON array from filepath, or [] (with a log line) when missing or malformed.
+function readJsonArray(filepath) {
   let raw;
   try {
     raw = fs.readFileSync(filepath, 'utf8');
@@ -44,9 +133,12 @@ function loadTournamentsFromFile(filepath) {
     console.error(`[tournaments-config] ${filepath} must contain a JSON array, got ${typeof parsed}`);
     return [];
   }
+  return parsed;
+}
 
+function loadTournamentsFromFile(filepath) {
   const valid = [];
-  for (const entry of parsed) {
+  for (const entry of readJsonArray(filepath)) {
     if (validateTournament(entry)) {
       valid.push(entry);
     } else {
@@ -56,6 +148,28 @@ function loadTournamentsFromFile(filepath) {
   return valid;
 }
 
+// A template is valid when its own fields are and a sample instance passes
+// validateTournament (prizes, rules, modifiers… are checked there).
+const TEMPLATE_SAMPLE_FROM_MS = Date.UTC(2026, 0, 1);
+function validateTournamentTemplate(t) {
+  if (!validateTemplate(t)) return false;
+  const [first] = occurrences(t, TEMPLATE_SAMPLE_FROM_MS, TEMPLATE_SAMPLE_FROM_MS + 62 * 24 * 60 * 60 * 1000);
+  return !!first && validateTournament(instanceConfig(t, first));
+}
+
+function loadTemplatesFromFile(filepath) {
+  if (!fs.existsSync(filepath)) return [];   // templates are optional
+  const valid = [];
+  for (const entry of readJsonArray(filepath)) {
+    if (validateTournamentTemplate(entry)) {
+      valid.push(entry);
+    } else {
+      console.warn(`[tournaments-config] skipping invalid template: ${JSON.stringify(entry)}`);
+    }
+  }
+  return valid;
+}
+
 const UPCOMING_WINDOW_MS = 7 * 24 * 60 * 60 * 1000;
 const RECENTLY_ENDED_WINDOW_MS = 14 * 24 * 60 * 60 * 1000;
 
@@ -96,4 +210,14 @@ function getFeaturedTournament(tournaments, now) {
   return null;
 }
 
-module.exports = { loadTournamentsFromFile, validateTournament, getFeaturedTournament };
+module.exports = {
+  loadTournamentsFromFile,
+  loadTemplatesFromFile,
+  validateTournamentTemplate,
+  validateTournament,
+  getFeaturedTournament,
+  tournamentFromRow,
+  tournamentToRow,
+  publicTournamentRow,
+  OPTION_FIELDS,
+};